@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the audit log hash chain and export entries for a patient
+ *
+ * Usage:
+ *   node scripts/audit-log.js verify
+ *   node scripts/audit-log.js export <patientId> [--consultation <consultationId>] [--out entries.json]
+ *
+ * Reads the persisted log (PERSISTENCE_DRIVER=file, PERSISTENCE_DATA_DIR and
+ * ENCRYPTION_KEY as for the server). `verify` exits with code 1 when the
+ * chain is broken; an export always includes the verification result.
+ */
+
+import fs from 'fs/promises';
+
+// Keep store logging out of the CLI output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { agentConfig } = await import('../src/config/agent-config.js');
+const { createStore } = await import('../src/utils/persistence-store.js');
+const { AuditLog } = await import('../src/utils/audit-log.js');
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+async function loadAuditLog() {
+  if (agentConfig.persistence.driver !== 'file') {
+    throw new Error(`The ${agentConfig.persistence.driver} persistence driver keeps no audit log between runs`);
+  }
+
+  const store = await createStore(agentConfig.persistence).initialize();
+  const auditLog = new AuditLog(store);
+  await auditLog.hydrate();
+  return auditLog;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'verify': {
+      const result = (await loadAuditLog()).verify();
+      if (result.valid) {
+        console.log(`Audit chain intact: ${result.entries} entries, head ${result.headHash}`);
+        return 0;
+      }
+      console.error(`Audit chain broken at entry ${result.brokenAt}: ${result.reason}`);
+      return 1;
+    }
+
+    case 'export': {
+      const [patientId] = args;
+      const consultationId = option(args, '--consultation');
+      if (!patientId || patientId.startsWith('--')) throw new Error('Missing patientId');
+
+      const exported = (await loadAuditLog()).export({ patientId, consultationId });
+      const json = JSON.stringify(exported, null, 2);
+      const out = option(args, '--out');
+
+      if (out) {
+        await fs.writeFile(out, json);
+        console.log(`${exported.entries.length} audit entries for ${patientId} written to ${out}`);
+      } else {
+        console.log(json);
+      }
+      if (!exported.verification.valid) {
+        console.error(`Warning: audit chain broken at entry ${exported.verification.brokenAt}`);
+      }
+      return exported.verification.valid ? 0 : 1;
+    }
+
+    default:
+      console.log('Usage:');
+      console.log('  node scripts/audit-log.js verify');
+      console.log('  node scripts/audit-log.js export <patientId> [--consultation <consultationId>] [--out entries.json]');
+      return command ? 2 : 0;
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
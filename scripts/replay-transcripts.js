@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+
+/**
+ * Replay recorded consultation transcripts and diff their structured output
+ *
+ * Usage:
+ *   node scripts/replay-transcripts.js replay <transcript.json> [--out output.json]
+ *   node scripts/replay-transcripts.js diff <a.json> <b.json>
+ *
+ * `diff` accepts transcripts (replayed on the fly) or outputs saved with
+ * `replay --out`, so a replay from before a parser change can be compared
+ * with one from after it. Exits with code 1 when the outputs differ.
+ */
+
+import fs from 'fs/promises';
+
+// Keep agent logging out of the CLI output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { loadTranscript, TRANSCRIPT_VERSION } = await import('../src/utils/transcript-recorder.js');
+const { replayTranscript, diffStructures } = await import('../src/utils/transcript-replay.js');
+
+async function loadOutput(filePath) {
+  const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+  if (data.version === TRANSCRIPT_VERSION && Array.isArray(data.exchanges)) {
+    const replay = await replayTranscript(await loadTranscript(filePath));
+    if (replay.error) {
+      console.error(`${filePath}: replay failed - ${replay.error}`);
+    }
+    return replay.output;
+  }
+
+  return data;
+}
+
+function formatValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return 'undefined';
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'replay': {
+      const [file] = args;
+      const outIndex = args.indexOf('--out');
+      if (!file) throw new Error('Missing transcript path');
+
+      const replay = await replayTranscript(await loadTranscript(file));
+      const json = JSON.stringify(replay.output, null, 2);
+
+      if (outIndex !== -1 && args[outIndex + 1]) {
+        await fs.writeFile(args[outIndex + 1], json);
+        console.log(`Replay output written to ${args[outIndex + 1]}`);
+      } else {
+        console.log(json);
+      }
+
+      if (replay.error) console.error(`Replay failed: ${replay.error}`);
+      if (replay.unusedExchanges > 0) console.error(`${replay.unusedExchanges} recorded exchange(s) were not used`);
+      return replay.error ? 1 : 0;
+    }
+
+    case 'diff': {
+      const [fileA, fileB] = args;
+      if (!fileA || !fileB) throw new Error('diff needs two files');
+
+      const changes = diffStructures(await loadOutput(fileA), await loadOutput(fileB));
+      if (changes.length === 0) {
+        console.log('No differences in structured output');
+        return 0;
+      }
+
+      console.log(`${changes.length} difference(s):`);
+      for (const change of changes) {
+        console.log(`\n${change.path}`);
+        console.log(`  - ${formatValue(change.before)}`);
+        console.log(`  + ${formatValue(change.after)}`);
+      }
+      return 1;
+    }
+
+    default:
+      console.log('Usage:');
+      console.log('  node scripts/replay-transcripts.js replay <transcript.json> [--out output.json]');
+      console.log('  node scripts/replay-transcripts.js diff <a.json> <b.json>');
+      return command ? 2 : 0;
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Re-wrap persisted patient data under the current encryption key
+ *
+ * Usage:
+ *   ENCRYPTION_KEY=<new key> ENCRYPTION_PREVIOUS_KEYS=<old key> node scripts/rotate-encryption-key.js
+ *
+ * Run with the service stopped. Envelopes sealed with a previous key get their
+ * data key re-wrapped under ENCRYPTION_KEY (the data itself is not re-encrypted)
+ * and records written before encryption was enabled are sealed. Once it
+ * reports nothing left under a previous key, that key can be dropped from
+ * ENCRYPTION_PREVIOUS_KEYS.
+ */
+
+// Keep store logging out of the CLI output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { agentConfig } = await import('../src/config/agent-config.js');
+const { createStore } = await import('../src/utils/persistence-store.js');
+
+async function main() {
+  if (agentConfig.persistence.driver !== 'file') {
+    console.error(`Nothing to rotate with the ${agentConfig.persistence.driver} persistence driver`);
+    return 2;
+  }
+
+  const store = await createStore(agentConfig.persistence).initialize();
+  const report = await store.rotateEncryption();
+  await store.close();
+
+  console.log(`Rotated to key ${store.encryptor.currentKeyId} in ${store.dataDir}`);
+  console.log(`  ${report.rewrapped} envelope(s) re-wrapped, ${report.sealed} record(s) newly encrypted`);
+  for (const [namespace, count] of Object.entries(report.namespaces)) {
+    console.log(`  ${namespace}: ${count}`);
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });
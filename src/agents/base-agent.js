@@ -1,10 +1,21 @@
 import { CdpEvmWalletProvider, AgentKit } from '@coinbase/agentkit';
 import { getLangChainTools } from '@coinbase/agentkit-langchain';
-import { ChatAnthropic } from '@langchain/anthropic';
 import { agentConfig } from '../config/agent-config.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 import CdpAccountManager from '../utils/cdp-account-manager.js';
+import modelRouter, { extractUsage } from '../utils/model-router.js';
+import usageTracker from '../utils/usage-tracker.js';
+import promptManager from '../utils/prompt-manager.js';
+import transcriptRecorder from '../utils/transcript-recorder.js';
+import phiRedactor from '../utils/phi-redactor.js';
+import structuredOutputStats, {
+  buildSchemaInstructions,
+  buildRepairPrompt,
+  extractJson,
+  parseStructuredOutput
+} from '../utils/structured-output.js';
+import { AGENT_OUTPUT_SCHEMAS } from '../schemas/agent-output.js';
 
 export class BaseAgent {
   constructor(name, specialization = 'general', accountManager = null, agentId = null) {
@@ -25,23 +36,9 @@ export class BaseAgent {
 
   async initializeAgent() {
     try {
-      // Initialize Claude LLM with model selection based on mode
-      const modelName = process.env.CLAUDE_MODEL || 'claude-4-sonnet-latest'; // Claude 4 Sonnet
-
-      this.llm = new ChatAnthropic({
-        anthropicApiKey: agentConfig.claude.apiKey,
-        modelName: modelName,
-        temperature: 0.3, // Lower temperature for medical accuracy
-        maxTokens: parseInt(process.env.MAX_TOKENS) || 2500, // Balanced for complete responses within timeout
-      });
-
-      // Fast mode LLM (using same model for consistency)
-      this.fastLLM = new ChatAnthropic({
-        anthropicApiKey: agentConfig.claude.apiKey,
-        modelName: process.env.FAST_MODEL || modelName, // Same Sonnet model for fast mode
-        temperature: 0.2, // Even lower for consistency
-        maxTokens: parseInt(process.env.FAST_MAX_TOKENS) || 1000, // Increased for complete responses
-      });
+      // Chat models are routed per agent and mode (see utils/model-router.js)
+      this.llm = modelRouter.createModel(this.agentId, 'normal');
+      this.fastLLM = modelRouter.createModel(this.agentId, 'fast');
 
       // Initialize blockchain features only if enabled
       if (process.env.ENABLE_BLOCKCHAIN === 'true') {
@@ -136,47 +133,266 @@ export class BaseAgent {
         throw new Error('Empty or invalid message content');
       }
       
-      // Select LLM based on mode
+      // Select LLM based on mode; synthesis and conference calls get their own routes
       const llm = mode === 'fast' ? this.fastLLM : this.llm;
+      const routeMode = context.type === 'synthesis' ? 'synthesis'
+        : context.type === 'coordination_conference' ? 'conference'
+        : mode;
+      
+      const systemPrompt = mode === 'fast' ? this.getFastSystemPrompt() : this.getSystemPrompt();
+      const startedAt = Date.now();
+
+      // Identifiers leave as tokens; the reply is restored with the same vault
+      const { prompt, vault } = phiRedactor.redactPrompt(messageContent);
       
       // Create promise for LLM invocation with proper string content
       const llmPromise = llm.invoke([
         {
           role: 'system',
-          content: mode === 'fast' ? this.getFastSystemPrompt() : this.getSystemPrompt(),
+          content: systemPrompt,
         },
         {
           role: 'user',
-          content: messageContent,
+          content: prompt,
         },
-      ]);
+      ], { mode: routeMode, maxTokens: context.maxTokens });
       
       // Add timeout
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Processing timeout after ${timeout}ms`)), timeout)
-      );
+      let timeoutHandle;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutHandle = setTimeout(() => reject(new Error(`Processing timeout after ${timeout}ms`)), timeout);
+      });
       
       // Race between response and timeout
-      const response = await Promise.race([llmPromise, timeoutPromise]);
+      const exchange = { mode, systemPrompt, prompt };
+      let response;
+      try {
+        response = await Promise.race([llmPromise, timeoutPromise])
+          .finally(() => clearTimeout(timeoutHandle));
+      } catch (error) {
+        this.recordExchange(context, { ...exchange, error: error.message, durationMs: Date.now() - startedAt });
+        throw error;
+      }
+      this.recordUsage(context, response);
+      this.recordExchange(context, {
+        ...exchange,
+        route: response.route,
+        response: response.content,
+        durationMs: Date.now() - startedAt
+      });
       
       this.updateExperience();
       
+      const restore = content => (vault ? vault.restore(content) : content);
+      
       // Parse JSON response if in fast mode
       if (mode === 'fast') {
         try {
-          return JSON.parse(response.content);
+          return restore(JSON.parse(response.content));
         } catch {
-          return response.content; // Fallback if not valid JSON
+          return restore(response.content); // Fallback if not valid JSON
         }
       }
       
-      return response.content;
+      return restore(response.content);
     } catch (error) {
       logger.error(`Error processing message in agent ${this.name}:`, error);
       throw error;
     }
   }
   
+  /**
+   * Ask for JSON matching the agent's output schema, validate it and re-ask
+   * with the validation errors until it is valid or the repair attempts run out
+   * @returns {Object} { data, text, raw, valid, attempts, errors } - `text` is the
+   *   narrative (or the whole reply); data is null when the output never
+   *   validated and callers fall back to parsing `text`
+   */
+  async processStructuredMessage(message, context = {}, schemaName = this.agentId) {
+    const schema = AGENT_OUTPUT_SCHEMAS[schemaName];
+    const config = agentConfig.structuredOutput || {};
+
+    if (!schema || config.enabled === false) {
+      const raw = await this.processMessage(message, context);
+      const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+      return { data: null, text, raw: text, valid: false, attempts: 1, errors: [] };
+    }
+
+    let raw = await this.processMessage(`${message}${buildSchemaInstructions(schemaName, schema)}`, context);
+    let { data, errors } = parseStructuredOutput(raw, schema);
+    let attempts = 1;
+
+    while (!data && attempts <= (config.maxRepairAttempts ?? 1)) {
+      logger.warn(`${this.name} output failed ${schemaName} schema (${errors.length} errors) - re-asking`);
+      raw = await this.processMessage(buildRepairPrompt(schemaName, schema, raw, errors), context);
+      ({ data, errors } = parseStructuredOutput(raw, schema));
+      attempts++;
+    }
+
+    structuredOutputStats.record(schemaName, { valid: Boolean(data), attempts });
+    if (!data) {
+      logger.warn(`${this.name} output still invalid after ${attempts} attempts: ${errors.join('; ')}`);
+    }
+
+    const rawText = typeof raw === 'string' ? raw : JSON.stringify(raw);
+    const narrative = (data || extractJson(raw))?.narrative;
+    return {
+      data,
+      text: typeof narrative === 'string' ? narrative : rawText,
+      raw: rawText,
+      valid: Boolean(data),
+      attempts,
+      errors
+    };
+  }
+
+  // Summary of a structured output result attached to the agent's response
+  describeStructuredOutput(result, schemaName = this.agentId) {
+    return {
+      schema: `agent-output/${schemaName}`,
+      valid: result.valid,
+      attempts: result.attempts,
+      errors: result.errors
+    };
+  }
+
+  // Account the call's tokens and cost (routed responses carry both in `route`)
+  recordUsage(context, response) {
+    const route = response.route || extractUsage(response);
+    usageTracker.record({
+      consultationId: context.consultationId,
+      tenantId: context.tenantId,
+      agentId: this.agentId,
+      contextType: context.type,
+      provider: route.provider,
+      model: route.model,
+      inputTokens: route.inputTokens,
+      outputTokens: route.outputTokens,
+      costUsd: route.costUsd
+    });
+    promptManager.recordTokenUsage(route.inputTokens + route.outputTokens);
+  }
+
+  // Capture the exchange in the consultation transcript when one is being recorded
+  recordExchange(context, exchange) {
+    transcriptRecorder.record(context.consultationId, {
+      agentId: this.agentId,
+      agentName: this.name,
+      contextType: context.type,
+      ...exchange
+    });
+  }
+
+  // Prompt section with the patient's earlier consultations, when the caller supplied one
+  formatPatientHistory(context = {}) {
+    return context.patientHistory ? `\n\n${context.patientHistory}\n` : '';
+  }
+
+  // Owner of an assessment, so a user's records can be exported and erased later
+  recordOwner(context = {}) {
+    return {
+      consultationId: context.consultationId || null,
+      userId: context.userId || null,
+      tenantId: context.tenantId || null
+    };
+  }
+
+  /**
+   * Patient records this agent keeps, for user data export and erasure
+   * `retain` lists the fields the agent's statistics are computed from, which
+   * anonymized records keep. Stores with `linkedBy` hold records that belong to
+   * an earlier store's assessment or case (e.g. a plan's assessmentId) and must
+   * come after it
+   * @returns {Array} [{ name, records (Map or Array), retain, linkedBy }]
+   */
+  getPatientRecordStores() {
+    return [];
+  }
+
+  /**
+   * A data subject's records in each store, as [key, record] pairs
+   */
+  findPatientRecords(subject) {
+    const linked = new Set();
+
+    return this.getPatientRecordStores().map(store => {
+      const entries = store.records instanceof Map
+        ? Array.from(store.records.entries())
+        : store.records.map((record, index) => [index, record]);
+      const matches = entries.filter(([, record]) => record && !record.anonymized && (store.linkedBy
+        ? linked.has(record[store.linkedBy])
+        : subject.owns(record)));
+
+      for (const [, record] of matches) {
+        if (record.assessmentId) linked.add(record.assessmentId);
+        if (record.caseId) linked.add(record.caseId);
+      }
+      return { store, matches };
+    });
+  }
+
+  exportPatientRecords(subject) {
+    return Object.fromEntries(this.findPatientRecords(subject)
+      .filter(({ matches }) => matches.length > 0)
+      .map(({ store, matches }) => [store.name, matches.map(([, record]) => record)]));
+  }
+
+  /**
+   * Replace a data subject's records with copies holding only the retained
+   * fields, so counts and distributions stay as they were
+   * @returns {Number} Records anonymized
+   */
+  anonymizePatientRecords(subject) {
+    let anonymized = 0;
+
+    for (const { store, matches } of this.findPatientRecords(subject)) {
+      for (const [key, record] of matches) {
+        const copy = { anonymized: true };
+        for (const field of store.retain) {
+          if (record[field] !== undefined) copy[field] = record[field];
+        }
+
+        if (store.records instanceof Map) {
+          // Keys can be client-supplied case ids
+          store.records.delete(key);
+          store.records.set(subject.alias(key), copy);
+        } else {
+          store.records[key] = copy;
+        }
+        anonymized++;
+      }
+    }
+
+    if (anonymized > 0) {
+      logger.info(`${this.name} anonymized ${anonymized} patient records`);
+    }
+    return anonymized;
+  }
+
+  /**
+   * Delete anonymized records dated (timestamp or createdAt) before the cutoff
+   * @returns {Number} Records deleted
+   */
+  purgeAnonymizedRecords(cutoff) {
+    const expired = record => record?.anonymized && new Date(record.timestamp || record.createdAt).getTime() < cutoff;
+    let purged = 0;
+
+    for (const { records } of this.getPatientRecordStores()) {
+      if (records instanceof Map) {
+        for (const [key, record] of Array.from(records.entries())) {
+          if (!expired(record)) continue;
+          records.delete(key);
+          purged++;
+        }
+      } else {
+        const kept = records.filter(record => !expired(record));
+        purged += records.length - kept.length;
+        records.splice(0, records.length, ...kept);
+      }
+    }
+    return purged;
+  }
+
   getFastSystemPrompt() {
     // Optimized prompt for fast responses
     return `You are ${this.name}, specialized in ${this.specialization}.
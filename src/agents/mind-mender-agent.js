@@ -169,7 +169,7 @@ ${rawQuery && (rawQuery.toLowerCase().includes('scared') || rawQuery.toLowerCase
    - Visualization: Successfully completing ${rawQuery && rawQuery.toLowerCase().includes('stair') ? 'stairs' : sport || 'activity'} pain-free
    - Progress tracking: Journal confidence levels (0-10) to see objective improvement
 
-Assessment Data: ${JSON.stringify(assessmentData)}
+Assessment Data: ${JSON.stringify(assessmentData)}${this.formatPatientHistory(context)}
 
         ${enableDualTrack && rawQuery ? `
 🎯 REMEMBER: Your PRIMARY task is answering: "${rawQuery}"
@@ -181,20 +181,23 @@ ${sport ? `🏈 ADDRESS: Fear of returning to ${sport}, confidence for contact/c
         Use bullet points for protocols, but write in clear, empathetic clinical narrative format.
       `;
       
-      const assessment = await this.processMessage(assessmentPrompt, context);
+      const output = await this.processStructuredMessage(assessmentPrompt, context);
+      const assessment = output.text;
       const responseTime = Date.now() - startTime;
 
-      // Parse psychological metrics
-      const riskFactors = this.extractPsychologicalRisks(assessment);
-      const protectiveFactors = this.extractProtectiveFactors(assessment);
-      const interventionTargets = this.extractInterventionTargets(assessment);
-      const urgencyLevel = this.assessPsychologicalUrgency(assessment);
+      // Use the schema-validated metrics, falling back to parsing the free text
+      const { data } = output;
+      const riskFactors = data ? data.riskFactors : this.extractPsychologicalRisks(assessment);
+      const protectiveFactors = data ? data.protectiveFactors : this.extractProtectiveFactors(assessment);
+      const interventionTargets = data ? data.interventionTargets : this.extractInterventionTargets(assessment);
+      const urgencyLevel = data ? data.urgencyLevel : this.assessPsychologicalUrgency(assessment);
 
       // Build structured response per Task 1.2
       const psychAssessment = {
         // Standard fields
         specialist: this.name,
         specialistType: 'mindMender',
+        ...this.recordOwner(context),
 
         // Structured assessment
         assessment: {
@@ -212,8 +215,11 @@ ${sport ? `🏈 ADDRESS: Fear of returning to ${sport}, confidence for contact/c
         // Raw LLM response for reference
         rawResponse: assessment,
 
-        // Recommendations come from LLM rawResponse, not hardcoded
-        recommendations: [],
+        // Schema validation outcome of the LLM output
+        structuredOutput: this.describeStructuredOutput(output),
+
+        // Recommendations come from the structured output, not hardcoded
+        recommendations: output.data?.recommendations || [],
 
         // Key findings with metadata
         keyFindings: [
@@ -245,7 +251,7 @@ ${sport ? `🏈 ADDRESS: Fear of returning to ${sport}, confidence for contact/c
         ],
 
         // Follow-up questions for patient
-        followUpQuestions: [
+        followUpQuestions: output.data?.followUpQuestions?.length > 0 ? output.data.followUpQuestions : [
           'How worried are you about re-injuring yourself?',
           'What activities are you avoiding due to fear?',
           'How is your mood and stress level affecting your recovery?'
@@ -805,6 +811,22 @@ ${sport ? `🏈 ADDRESS: Fear of returning to ${sport}, confidence for contact/c
     return Math.min(baseConfidence + experienceBonus + accuracyBonus, 0.95);
   }
 
+  getPatientRecordStores() {
+    return [
+      {
+        name: 'psychologicalAssessments',
+        records: this.psychologicalAssessments,
+        retain: ['assessmentId', 'specialistType', 'urgencyLevel', 'riskFactors', 'confidence', 'status', 'timestamp']
+      },
+      {
+        name: 'interventionPlans',
+        records: this.interventionPlans,
+        linkedBy: 'assessmentId',
+        retain: ['planId', 'confidence', 'createdAt']
+      }
+    ];
+  }
+
   getPsychologicalStatistics() {
     const totalAssessments = this.psychologicalAssessments.size;
     const totalInterventions = this.interventionPlans.size;
@@ -131,7 +131,7 @@ ${mechanism && bodyPart ? `
    - Example: "Progress when ROM reaches 0-120° and gait is symmetric with no antalgic pattern"
    - Define specific benchmarks, not vague timelines
 
-Movement Data: ${JSON.stringify(movementData)}
+Movement Data: ${JSON.stringify(movementData)}${this.formatPatientHistory(context)}
 
         Provide your response as readable prose with markdown headers (## for sections).
         Write naturally as a biomechanics specialist explaining your movement analysis and recommendations.
@@ -139,13 +139,18 @@ Movement Data: ${JSON.stringify(movementData)}
         Use bullet points for exercise lists, but write in clear, clinical narrative format.
       `;
       
-      const analysis = await this.processMessage(analysisPrompt, context);
+      const output = await this.processStructuredMessage(analysisPrompt, context);
+      const analysis = output.text;
       const responseTime = Date.now() - startTime;
 
-      // Parse movement patterns using body-part-specific context
-      const dysfunctionPatterns = this.extractDysfunctionPatterns(analysis, bodyPart, relevantPatterns);
-      const compensatoryPatterns = this.extractCompensatoryPatterns(analysis);
-      const riskLevel = this.assessMovementRisk(analysis);
+      // Use the schema-validated fields, falling back to parsing movement patterns
+      // from the free text using body-part-specific context
+      const { data } = output;
+      const dysfunctionPatterns = data
+        ? data.dysfunctionPatterns
+        : this.extractDysfunctionPatterns(analysis, bodyPart, relevantPatterns);
+      const compensatoryPatterns = data ? data.compensatoryPatterns : this.extractCompensatoryPatterns(analysis);
+      const riskLevel = data ? data.riskLevel : this.assessMovementRisk(analysis);
 
       // Body part was already extracted above (before prompt) - no need to extract again
 
@@ -154,6 +159,7 @@ Movement Data: ${JSON.stringify(movementData)}
         // Standard fields
         specialist: this.name,
         specialistType: 'movementDetective',
+        ...this.recordOwner(context),
 
         // Structured assessment
         assessment: {
@@ -172,8 +178,11 @@ Movement Data: ${JSON.stringify(movementData)}
         // Raw LLM response for reference
         rawResponse: analysis,
 
-        // Recommendations come from LLM rawResponse, not hardcoded
-        recommendations: [],
+        // Schema validation outcome of the LLM output
+        structuredOutput: this.describeStructuredOutput(output),
+
+        // Recommendations come from the structured output, not hardcoded
+        recommendations: output.data?.recommendations || [],
 
         // Key findings with metadata
         keyFindings: [
@@ -200,7 +209,7 @@ Movement Data: ${JSON.stringify(movementData)}
         ],
 
         // Follow-up questions for patient
-        followUpQuestions: [
+        followUpQuestions: output.data?.followUpQuestions?.length > 0 ? output.data.followUpQuestions : [
           'When do you notice the movement difficulty most?',
           'Have you had previous injuries to this area?',
           'What movements are most challenging for you?'
@@ -817,6 +826,20 @@ Movement Data: ${JSON.stringify(movementData)}
     return Math.min(baseConfidence + experienceBonus + accuracyBonus, 0.95);
   }
 
+  getPatientRecordStores() {
+    const retain = ['assessmentId', 'specialistType', 'dysfunctionPatterns', 'riskLevel', 'confidence', 'status', 'timestamp'];
+    return [
+      { name: 'biomechanicalAssessments', records: this.biomechanicalAssessments, retain },
+      { name: 'movementPatterns', records: this.movementPatterns, retain },
+      {
+        name: 'movementInterventions',
+        records: this.movementInterventions,
+        linkedBy: 'assessmentId',
+        retain: ['planId', 'confidence', 'createdAt']
+      }
+    ];
+  }
+
   getMovementStatistics() {
     const totalAssessments = this.biomechanicalAssessments.length;
     const totalPlans = this.movementInterventions.size;
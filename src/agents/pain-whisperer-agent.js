@@ -138,7 +138,7 @@ ${timeline && mechanism ? `
    - Neurological changes (numbness, weakness)
    - Systemic symptoms (fever, malaise)`}
 
-Pain Data: ${JSON.stringify(painData)}
+Pain Data: ${JSON.stringify(painData)}${this.formatPatientHistory(context)}
 
         ${enableDualTrack && rawQuery ? `
 🎯 REMEMBER: Your PRIMARY task is answering: "${rawQuery}"
@@ -149,19 +149,26 @@ Pain Data: ${JSON.stringify(painData)}
         Use bullet points for lists, but write in clear, clinical narrative format.
       `;
       
-      const assessment = await this.processMessage(assessmentPrompt, context);
+      const output = await this.processStructuredMessage(assessmentPrompt, context);
+      const assessment = output.text;
       const responseTime = Date.now() - startTime;
 
-      // Parse and structure the response
-      const painScore = this.extractPainScore(assessment, painData);
-      const functionalImpact = this.extractFunctionalImpact(assessment);
-      const riskLevel = this.extractRiskLevel(assessment);
+      // Use the schema-validated fields, falling back to parsing the free text
+      // (a patient-reported pain level always wins over the LLM's score)
+      const { data } = output;
+      const painScore = data
+        ? this.extractPainScore('', painData) ?? data.painScore
+        : this.extractPainScore(assessment, painData);
+      const functionalImpact = data ? data.functionalImpact : this.extractFunctionalImpact(assessment);
+      const riskLevel = data ? data.riskLevel : this.extractRiskLevel(assessment);
 
       // Build structured response per Task 1.2
       const painAssessment = {
         // Standard fields
         specialist: this.name,
         specialistType: 'painWhisperer',
+        assessmentId: `pain_${Date.now()}`,
+        ...this.recordOwner(context),
 
         // Structured assessment
         assessment: {
@@ -179,8 +186,11 @@ Pain Data: ${JSON.stringify(painData)}
         // Raw LLM response for reference
         rawResponse: assessment,
 
-        // Recommendations come from LLM rawResponse, not hardcoded
-        recommendations: [],
+        // Schema validation outcome of the LLM output
+        structuredOutput: this.describeStructuredOutput(output),
+
+        // Recommendations come from the structured output, not hardcoded
+        recommendations: output.data?.recommendations || [],
 
         // Key findings with metadata
         keyFindings: [
@@ -207,7 +217,7 @@ Pain Data: ${JSON.stringify(painData)}
         ],
 
         // Follow-up questions for patient
-        followUpQuestions: [
+        followUpQuestions: output.data?.followUpQuestions?.length > 0 ? output.data.followUpQuestions : [
           'What activities specifically trigger or worsen your pain?',
           'How does the pain affect your sleep quality?',
           'What pain relief methods have you already tried?'
@@ -584,6 +594,22 @@ Pain Data: ${JSON.stringify(painData)}
     return Math.min(baseConfidence + experienceBonus + accuracyBonus, 0.95);
   }
 
+  getPatientRecordStores() {
+    return [
+      {
+        name: 'painTrackingHistory',
+        records: this.painTrackingHistory,
+        retain: ['assessmentId', 'specialistType', 'painScore', 'functionalImpact', 'riskLevel', 'confidence', 'status', 'timestamp']
+      },
+      {
+        name: 'painInterventions',
+        records: this.painInterventions,
+        linkedBy: 'assessmentId',
+        retain: ['planId', 'multimodalApproach', 'opioidSparing', 'functionalFocus', 'confidence', 'createdAt']
+      }
+    ];
+  }
+
   getPainStatistics() {
     const totalAssessments = this.painTrackingHistory.length;
     const totalPlans = this.painInterventions.size;
@@ -1,5 +1,6 @@
 import { OrthopedicSpecialist } from './orthopedic-specialist.js';
 import logger from '../utils/logger.js';
+import tracer from '../utils/tracing.js';
 
 export class TriageAgent extends OrthopedicSpecialist {
   constructor(name = 'OrthoTriage Master', accountManager = null) {
@@ -76,7 +77,7 @@ export class TriageAgent extends OrthopedicSpecialist {
         Extract the body part or condition mentioned and ensure it's properly categorized.
         ` : ''}
 
-        Case Data: ${JSON.stringify(caseData)}
+        Case Data: ${JSON.stringify(caseData)}${this.formatPatientHistory(context)}
 
         IMPORTANT: If the patient asked about a specific body part, condition, or symptom, ensure this is clearly identified and properly triaged.
 
@@ -127,11 +128,14 @@ export class TriageAgent extends OrthopedicSpecialist {
         Provide clear, actionable triage decision with confidence levels.
       `;
 
-      const triageResult = await this.processMessage(triagePrompt, context);
+      const output = await this.processStructuredMessage(triagePrompt, context);
+      const triageResult = output.text;
       const responseTime = Date.now() - startTime;
 
-      // Parse and structure the response
-      const structuredResponse = this.parseTriageResponse(triageResult);
+      // Use the schema-validated output, falling back to parsing the free text
+      const structuredResponse = output.data
+        ? this.fromStructuredOutput(output.data)
+        : this.parseTriageResponse(triageResult);
 
       const caseId = caseData.id || `case_${Date.now()}`;
 
@@ -140,6 +144,7 @@ export class TriageAgent extends OrthopedicSpecialist {
         // Standard fields
         specialist: this.name,
         specialistType: 'triage',
+        ...this.recordOwner(context),
 
         // Structured assessment
         assessment: {
@@ -156,6 +161,9 @@ export class TriageAgent extends OrthopedicSpecialist {
         // Raw LLM response for reference
         rawResponse: triageResult,
 
+        // Schema validation outcome of the LLM output
+        structuredOutput: this.describeStructuredOutput(output),
+
         // Structured recommendations
         recommendations: (structuredResponse.recommendations && structuredResponse.recommendations.length > 0)
           ? structuredResponse.recommendations
@@ -270,6 +278,42 @@ export class TriageAgent extends OrthopedicSpecialist {
     }
   }
 
+  // Map schema-validated triage output onto the structure parseTriageResponse produces
+  fromStructuredOutput(data) {
+    const { urgencyLevel } = data;
+
+    return {
+      primaryFindings: data.primaryFindings,
+      recommendations: data.recommendations.map(rec => ({
+        priority: 1,
+        evidenceGrade: 'B',
+        contraindications: [],
+        timeline: '24-48 hours',
+        expectedOutcome: 'Improved assessment and care plan',
+        ...rec
+      })),
+      keyFindings: (data.redFlags || [])
+        .filter(redFlag => redFlag.present || urgencyLevel === 'emergency')
+        .map(redFlag => ({
+          finding: redFlag.flag,
+          confidence: 0.85,
+          clinicalRelevance: 'high',
+          requiresMDReview: true
+        })),
+      questionsForAgents: (data.questionsForAgents || []).map(question => ({
+        priority: urgencyLevel === 'emergency' ? 'high' : 'medium',
+        ...question
+      })),
+      followUpQuestions: data.followUpQuestions || [],
+      urgencyLevel,
+      clinicalImportance: data.clinicalImportance ||
+        (urgencyLevel === 'emergency' ? 'critical' : urgencyLevel === 'urgent' ? 'high' : 'medium'),
+      specialistRecommendations: data.specialistRecommendations.length > 0
+        ? data.specialistRecommendations
+        : ['painWhisperer', 'movementDetective']
+    };
+  }
+
   // Helper method to parse triage response into structured format
   parseTriageResponse(response) {
     const structured = {
@@ -798,6 +842,22 @@ export class TriageAgent extends OrthopedicSpecialist {
     return Math.min(baseConfidence + experienceBonus + accuracyBonus, 0.95);
   }
 
+  getPatientRecordStores() {
+    return [
+      {
+        name: 'caseQueue',
+        records: this.caseQueue,
+        retain: ['specialistType', 'urgencyLevel', 'specialistRecommendations', 'confidence', 'status', 'timestamp']
+      },
+      {
+        name: 'caseHistory',
+        records: this.caseHistory,
+        linkedBy: 'caseId',
+        retain: ['action', 'specialistCount', 'specialistsInvolved', 'timestamp']
+      }
+    ];
+  }
+
   getCaseStatistics() {
     const total = this.caseHistory.length;
     const byUrgency = {};
@@ -818,6 +878,7 @@ export class TriageAgent extends OrthopedicSpecialist {
   }
 
   async assessDataCompleteness(caseData) {
+    const span = tracer.startSpan('triage.assess_data_completeness');
     try {
       logger.info(`${this.name} assessing data completeness for consultation`);
       
@@ -839,6 +900,11 @@ export class TriageAgent extends OrthopedicSpecialist {
       // Assess if we can infer missing data
       const inferenceCapability = this.assessInferenceCapability(caseData);
       
+      span.setAttributes({
+        'triage.completeness': overallCompleteness,
+        'triage.recommended_specialists': viableSpecialists
+      });
+
       return {
         completeness: overallCompleteness,
         coreDataScore,
@@ -851,6 +917,7 @@ export class TriageAgent extends OrthopedicSpecialist {
       };
     } catch (error) {
       logger.error(`Error assessing data completeness: ${error.message}`);
+      span.recordException(error);
       return {
         completeness: 0,
         coreDataScore: 0,
@@ -861,6 +928,8 @@ export class TriageAgent extends OrthopedicSpecialist {
         confidence: 0.3,
         minimumDataMet: false
       };
+    } finally {
+      span.end();
     }
   }
 
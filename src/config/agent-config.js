@@ -18,7 +18,59 @@ export const agentConfig = {
     maxTokens: parseInt(process.env.MAX_TOKENS) || 2500,
     fastMaxTokens: parseInt(process.env.FAST_MAX_TOKENS) || 1000,
   },
-  
+
+  // LLM Provider Configuration ('anthropic' or 'scripted' for offline runs)
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'anthropic',
+    fixturesPath: process.env.LLM_FIXTURES_PATH || null,
+    scriptedLatencyMs: parseInt(process.env.LLM_SCRIPTED_LATENCY_MS) || 0,
+    // Per-agent / per-mode model routing table (JSON), see utils/model-router.js
+    routingPath: process.env.LLM_ROUTING_PATH || null,
+    // USD per million tokens, matched against the model name
+    pricing: {
+      opus: { inputPer1M: 15, outputPer1M: 75 },
+      sonnet: { inputPer1M: 3, outputPer1M: 15 },
+      haiku: { inputPer1M: 0.8, outputPer1M: 4 },
+      scripted: { inputPer1M: 0, outputPer1M: 0 },
+      default: { inputPer1M: 3, outputPer1M: 15 },
+    },
+  },
+
+  // Token Usage & Cost Accounting (budgets in USD, unset = no budget)
+  usage: {
+    dailyBudgetUsd: parseFloat(process.env.USAGE_DAILY_BUDGET_USD) || null,
+    monthlyBudgetUsd: parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || null,
+    consultationBudgetUsd: parseFloat(process.env.USAGE_CONSULTATION_BUDGET_USD) || null,
+    maxConsultations: parseInt(process.env.USAGE_MAX_CONSULTATIONS) || 1000,
+    // Enforced per-consultation ceilings: USAGE_CONSULTATION_BUDGET_USD above plus an
+    // optional token cap, overridable per tenant (JSON: { "<tenantId>": { maxCostUsd, maxTokens } })
+    consultationMaxTokens: parseInt(process.env.USAGE_CONSULTATION_MAX_TOKENS) || null,
+    tenantBudgets: process.env.USAGE_TENANT_BUDGETS ? JSON.parse(process.env.USAGE_TENANT_BUDGETS) : {},
+    // Output token cap for the shortened synthesis used when the budget runs low
+    briefSynthesisMaxTokens: parseInt(process.env.USAGE_BRIEF_SYNTHESIS_MAX_TOKENS) || 600,
+    // Per-call token estimates used until the usage ledger has history for a stage
+    estimates: {
+      specialist: { inputTokens: 2500, outputTokens: 1000 },
+      conference: { inputTokens: 2000, outputTokens: 600 },
+      synthesis: { inputTokens: 4000, outputTokens: 1000 },
+    },
+  },
+
+  // Structured agent output (JSON schemas in src/schemas/agent-output.js)
+  structuredOutput: {
+    enabled: process.env.STRUCTURED_OUTPUT !== 'false',
+    // Re-asks with the validation errors before falling back to free-text parsing
+    maxRepairAttempts: process.env.STRUCTURED_OUTPUT_MAX_REPAIRS !== undefined
+      ? parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS)
+      : 1,
+  },
+
+  // Consultation Transcript Recording (prompts + raw LLM replies for replay)
+  transcripts: {
+    record: process.env.TRANSCRIPT_RECORDING === 'true',
+    dir: process.env.TRANSCRIPT_DIR || 'transcripts',
+  },
+
   network: {
     id: process.env.NETWORK_ID || 'base-sepolia',
   },
@@ -57,10 +109,47 @@ export const agentConfig = {
   // API Configuration
   api: {
     port: parseInt(process.env.PORT) || 3000,
-    rateLimit: parseInt(process.env.API_RATE_LIMIT) || 100,
+    rateLimit: parseInt(process.env.API_RATE_LIMIT) || 100, // requests per API key (or IP) per window
+    rateLimitWindowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    globalRateLimit: parseInt(process.env.API_GLOBAL_RATE_LIMIT) || 1000, // requests per window across all callers
     corsOrigin: process.env.CORS_ORIGIN || '*',
+    // Log responses that don't match the route schemas in src/schemas/api.js
+    validateResponses: process.env.API_VALIDATE_RESPONSES === 'true',
+  },
+
+  // Consultation Admission Control (caps concurrently running coordinations)
+  admission: {
+    maxConcurrentCoordinations: parseInt(process.env.MAX_CONCURRENT_COORDINATIONS) || 4,
+    maxQueuedCoordinations: parseInt(process.env.MAX_QUEUED_COORDINATIONS) || 20,
+    queueTimeoutMs: parseInt(process.env.COORDINATION_QUEUE_TIMEOUT_MS) || 30 * 1000,
   },
   
+  // Graceful shutdown (SIGINT/SIGTERM)
+  lifecycle: {
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS) || 30 * 1000, // wait for in-flight work before abandoning it
+  },
+
+  // Distributed tracing (W3C traceparent, OTLP export)
+  tracing: {
+    enabled: process.env.TRACING_ENABLED !== 'false',
+    serviceName: process.env.OTEL_SERVICE_NAME || 'orthoiq-agents',
+    // OTLP/HTTP JSON traces endpoint, e.g. http://otel-collector:4318/v1/traces (no export when unset)
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+      (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces` : null),
+    otlpHeaders: process.env.OTEL_EXPORTER_OTLP_HEADERS || '', // key=value,key2=value2
+    exportIntervalMs: parseInt(process.env.OTEL_BSP_SCHEDULE_DELAY) || 5000,
+    exportBatchSize: parseInt(process.env.OTEL_BSP_MAX_EXPORT_BATCH_SIZE) || 512,
+    maxQueueSize: parseInt(process.env.OTEL_BSP_MAX_QUEUE_SIZE) || 2048,
+    maxConsultations: parseInt(process.env.TRACE_MAX_CONSULTATIONS) || 500, // traces kept for GET /consultation/:id/trace
+  },
+
+  // Idempotency-Key handling for consultation and resolution endpoints
+  idempotency: {
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000, // how long stored responses are replayed
+    maxKeys: parseInt(process.env.IDEMPOTENCY_MAX_KEYS) || 10000,
+    sweepIntervalMs: parseInt(process.env.IDEMPOTENCY_SWEEP_MS) || 10 * 60 * 1000,
+  },
+
   // Recovery Metrics Configuration
   recovery: {
     defaultWeeks: parseInt(process.env.DEFAULT_RECOVERY_WEEKS) || 16,
@@ -69,11 +158,99 @@ export const agentConfig = {
     patientSatisfactionTarget: parseInt(process.env.PATIENT_SATISFACTION_TARGET) || 8,
   },
   
+  // Persistence Configuration
+  persistence: {
+    driver: process.env.PERSISTENCE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'file'),
+    dataDir: process.env.PERSISTENCE_DATA_DIR || 'agent_data',
+  },
+
+  // Consultation Job Registry Configuration
+  consultationJobs: {
+    ttlMs: parseInt(process.env.CONSULTATION_JOB_TTL_MS) || 24 * 60 * 60 * 1000,
+    sweepIntervalMs: parseInt(process.env.CONSULTATION_JOB_SWEEP_MS) || 10 * 60 * 1000,
+  },
+
+  // Background Job Queue Configuration
+  jobQueue: {
+    backend: process.env.JOB_QUEUE_BACKEND || 'memory', // 'memory' or 'redis'
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY) || 2,
+    attempts: parseInt(process.env.JOB_QUEUE_ATTEMPTS) || 3,
+    backoffMs: parseInt(process.env.JOB_QUEUE_BACKOFF_MS) || 5000,
+    maxFinishedJobs: parseInt(process.env.JOB_QUEUE_MAX_FINISHED) || 500,
+    // Opened at startup so jobs queued before a restart are found before their handlers register
+    queues: ['coordination', 'learning', 'webhook-delivery'],
+  },
+
+  // Consultation Event Stream (SSE) Configuration
+  consultationEvents: {
+    retentionMs: parseInt(process.env.CONSULTATION_EVENTS_RETENTION_MS) || 5 * 60 * 1000,
+    maxHistory: parseInt(process.env.CONSULTATION_EVENTS_MAX_HISTORY) || 200,
+  },
+
+  // Patient Longitudinal History Configuration
+  patientHistory: {
+    maxConsultations: parseInt(process.env.PATIENT_HISTORY_MAX_CONSULTATIONS) || 20, // kept per user
+    summaryConsultations: parseInt(process.env.PATIENT_HISTORY_SUMMARY_CONSULTATIONS) || 3, // shown to agents
+    maxRecommendations: parseInt(process.env.PATIENT_HISTORY_MAX_RECOMMENDATIONS) || 3, // per consultation
+  },
+
+  // Outbound Webhook Configuration
+  webhooks: {
+    // Subscribers set up at deploy time: [{"url": "...", "events": ["consultation.completed"], "secret": "..."}]
+    subscriptions: process.env.WEBHOOK_SUBSCRIPTIONS ? JSON.parse(process.env.WEBHOOK_SUBSCRIPTIONS) : [],
+    secret: process.env.WEBHOOK_SECRET || null, // signing secret for configured subscribers without their own
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS) || 10 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+    maxDeliveryLogs: parseInt(process.env.WEBHOOK_MAX_DELIVERY_LOGS) || 1000,
+    // Private or internal hosts API subscribers may still register, e.g. "hooks.internal,10.0.0.5"
+    allowedHosts: process.env.WEBHOOK_ALLOWED_HOSTS ? process.env.WEBHOOK_ALLOWED_HOSTS.split(',').map(host => host.trim()) : [],
+  },
+
   // Security Configuration
   security: {
     jwtSecret: process.env.JWT_SECRET,
+    jwtIssuer: process.env.JWT_ISSUER || null,
+    jwtAudience: process.env.JWT_AUDIENCE || null,
+    // Single admin key for the 'default' tenant (kept for existing deployments)
     apiKey: process.env.API_KEY,
+    // Per-client keys: {"<key>": {"tenantId": "clinic-a", "role": "patient|clinician|admin", "name": "...", "rateLimit": 300}}
+    apiKeys: process.env.API_KEYS ? JSON.parse(process.env.API_KEYS) : {},
+    // Unset: required whenever API_KEY, API_KEYS or JWT_SECRET is configured
+    authRequired: process.env.AUTH_REQUIRED ? process.env.AUTH_REQUIRED === 'true' : null,
+    // Master key for persisted patient data (64 hex chars, base64 of 32 bytes or a passphrase)
     encryptionKey: process.env.ENCRYPTION_KEY,
+    // Keys rotated out, comma-separated; kept until `npm run encryption:rotate` has re-wrapped everything
+    previousEncryptionKeys: process.env.ENCRYPTION_PREVIOUS_KEYS ? process.env.ENCRYPTION_PREVIOUS_KEYS.split(',').map(key => key.trim()).filter(Boolean) : [],
+  },
+
+  // Audit log of access to patient data
+  audit: {
+    enabled: process.env.AUDIT_LOG_ENABLED !== 'false',
+  },
+
+  // Data retention: days each data class is kept, null keeps it indefinitely
+  retention: {
+    enabled: process.env.RETENTION_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.RETENTION_PURGE_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    maxReports: parseInt(process.env.RETENTION_MAX_REPORTS) || 50,
+    // Overrides as JSON, e.g. {"rawQueries": 14, "deidentifiedOutcomes": 3650}
+    rules: {
+      rawQueries: 30,
+      recoveryRecords: 365,
+      patientHistory: 365,
+      consultationHistory: 365,
+      deidentifiedOutcomes: null,
+      ...(process.env.RETENTION_POLICY ? JSON.parse(process.env.RETENTION_POLICY) : {})
+    },
+  },
+
+  // Privacy Configuration (de-identification of direct identifiers)
+  privacy: {
+    redactLogs: process.env.PHI_REDACT_LOGS !== 'false',
+    // Prompts carry [NAME_1]-style tokens; replies are restored before they reach the user
+    redactPrompts: process.env.PHI_REDACT_PROMPTS !== 'false',
   },
   
   // Development/Testing
@@ -0,0 +1,219 @@
+// Canned responses for the scripted LLM provider (LLM_PROVIDER=scripted)
+//
+// rules    - checked in order; `pattern` is a case-insensitive regex tested
+//            against the user prompt, `agents` optionally limits the rule to
+//            agent ids (triage, painWhisperer, movementDetective, strengthSage,
+//            mindMender)
+// agents   - default response per agent id when no rule matches
+// fallback - response for everything else
+//
+// Responses are written to satisfy the agents' output schemas (prompts that
+// carry a RESPONSE SCHEMA block) and, with STRUCTURED_OUTPUT=false, their
+// free-text parsers (parseTriageResponse, the specialists' extract* helpers,
+// parseCoordinationResponse and formatStructuredSynthesis). Object responses
+// are returned as JSON text. A JSON file with the same shape can be supplied
+// via LLM_FIXTURES_PATH.
+
+const triageAssessment = `## Triage Assessment
+
+1. PRIMARY FINDINGS:
+- Mechanical knee pain after a twisting injury with intermittent swelling
+- Weight bearing tolerated with a mild limp
+- No systemic symptoms reported
+
+2. URGENCY CLASSIFICATION:
+Routine (within 1-2 weeks)
+
+3. RED FLAG SCREENING:
+- Neurological deficits: none reported
+- Vascular compromise: none reported
+- Infection signs: none reported
+
+4. SPECIALIST ROUTING RECOMMENDATIONS:
+- Pain Whisperer for pain mechanism assessment
+- Movement Detective for gait and loading analysis
+- Strength Sage for functional restoration
+
+5. STRUCTURED RECOMMENDATIONS:
+- Relative rest with graded return to walking
+  - Priority level: 1
+  - Evidence grade: A
+  - Expected timeline: 1-2 weeks
+  - Expected outcome: Reduced swelling and pain with daily activity
+- Progressive quadriceps strengthening
+  - Priority level: 2
+  - Evidence grade: B
+  - Expected timeline: 2-6 weeks
+  - Expected outcome: Restored knee stability
+
+6. INTER-AGENT QUESTIONS:
+Questions for Pain Whisperer:
+- Is the pain pattern consistent with an inflammatory or mechanical source?
+Questions for Movement Detective:
+- Is there a compensatory gait pattern loading the knee?
+
+7. FOLLOW-UP QUESTIONS FOR PATIENT:
+- Does the knee lock or give way?
+- How long does morning stiffness last?
+`;
+
+// Structured (schema) replies for each agent's main assessment
+const structuredAssessments = {
+  triage: {
+    narrative: '## Triage Assessment\n\nThis looks like a mechanical knee injury from the twist, with intermittent swelling and no red flags. It can be managed routinely over the next 1-2 weeks.',
+    urgencyLevel: 'routine',
+    clinicalImportance: 'medium',
+    primaryFindings: [
+      'Mechanical knee pain after a twisting injury with intermittent swelling',
+      'Weight bearing tolerated with a mild limp',
+      'No systemic symptoms reported'
+    ],
+    redFlags: [
+      { flag: 'Neurological deficits', present: false },
+      { flag: 'Vascular compromise', present: false },
+      { flag: 'Infection signs', present: false }
+    ],
+    specialistRecommendations: ['painWhisperer', 'movementDetective', 'strengthSage'],
+    recommendations: [
+      {
+        intervention: 'Relative rest with graded return to walking',
+        priority: 1,
+        evidenceGrade: 'A',
+        timeline: '1-2 weeks',
+        expectedOutcome: 'Reduced swelling and pain with daily activity'
+      },
+      {
+        intervention: 'Progressive quadriceps strengthening',
+        priority: 2,
+        evidenceGrade: 'B',
+        timeline: '2-6 weeks',
+        expectedOutcome: 'Restored knee stability'
+      }
+    ],
+    questionsForAgents: [
+      { targetAgent: 'painWhisperer', question: 'Is the pain pattern consistent with an inflammatory or mechanical source?' },
+      { targetAgent: 'movementDetective', question: 'Is there a compensatory gait pattern loading the knee?' }
+    ],
+    followUpQuestions: ['Does the knee lock or give way?', 'How long does morning stiffness last?']
+  },
+  painWhisperer: {
+    narrative: '## Pain Assessment\n\nYour pain is 6/10 and comes from an acute, inflammatory response to the injury. It should settle with load management.\n\n## Recommendations\n\n- Ice for 15-20 minutes after activity\n- Compression sleeve during the day',
+    painScore: 6,
+    functionalImpact: 'moderate',
+    riskLevel: 'low',
+    recommendations: [
+      { intervention: 'Ice for 15-20 minutes after activity', priority: 1, evidenceGrade: 'B' },
+      { intervention: 'Keep pain at 3/10 or below during rehab exercises', priority: 2, evidenceGrade: 'B' }
+    ]
+  },
+  movementDetective: {
+    narrative: '## Movement Analysis\n\nThe knee bends less while you stand on it, and you hike the hip on that side to compensate.\n\n## Recommendations\n\n- Gait retraining with focus on knee flexion\n- Single-leg balance work',
+    dysfunctionPatterns: ['Reduced knee flexion during stance', 'Dynamic knee valgus during single-leg loading'],
+    compensatoryPatterns: ['Hip hike on the affected side'],
+    riskLevel: 'low'
+  },
+  strengthSage: {
+    narrative: '## Functional Capacity\n\nYou are at about 65% of your pre-injury capacity, mainly limited by quadriceps and gluteal weakness.\n\n## Recommendations\n\n- Isometric quadriceps sets progressing to mini squats\n- Glute bridges',
+    functionalLevel: 65,
+    strengthDeficits: ['Quadriceps weakness', 'Gluteal weakness'],
+    restorationPotential: 'good'
+  },
+  mindMender: {
+    narrative: '## Psychological Assessment\n\nYou are motivated and well supported, with some worry about re-injury on stairs.\n\n## Recommendations\n\n- Graded exposure to stairs\n- Realistic expectations for a 6-8 week recovery',
+    riskFactors: ['Fear of re-injury'],
+    protectiveFactors: ['Motivation', 'Support at home'],
+    interventionTargets: ['Fear avoidance of stairs'],
+    urgencyLevel: 'low'
+  }
+};
+
+export const defaultLLMFixtures = {
+  rules: [
+    ...Object.entries(structuredAssessments).map(([agentId, response]) => ({
+      name: `${agentId}-structured-assessment`,
+      agents: [agentId],
+      pattern: `RESPONSE SCHEMA: ${agentId}`,
+      response
+    })),
+    {
+      name: 'triage-assessment',
+      agents: ['triage'],
+      pattern: 'COMPREHENSIVE ORTHOPEDIC TRIAGE ASSESSMENT',
+      response: triageAssessment
+    },
+    {
+      name: 'coordination-conference',
+      pattern: 'INTER-AGENT COORDINATION CONFERENCE',
+      response: `1. The current findings are consistent with my initial assessment and support a graded loading approach. Confidence: high
+
+2. This is important for the coordinated plan because symptom response should guide progression week to week. Confidence: moderate
+
+3. No additional concerns from my area of expertise beyond monitoring swelling after activity. Confidence: moderate`
+    },
+    {
+      name: 'consultation-synthesis',
+      pattern: 'MULTI-SPECIALIST CONSULTATION SYNTHESIS',
+      response: {
+        unifiedAssessment: 'The specialists agree this is a mechanical knee problem after a twisting injury, with moderate pain and mild functional limitation and no red flags.',
+        integratedTreatmentPlan: 'Start with relative rest, ice after activity and pain education, then progress to quadriceps and gluteal strengthening with gait retraining as swelling settles.',
+        careCoordination: 'Pain Whisperer leads the first two weeks, Movement Detective and Strength Sage lead progression from week three. Reassess in two weeks or sooner if swelling increases.'
+      }
+    }
+  ],
+
+  agents: {
+    triage: triageAssessment,
+
+    painWhisperer: `## Pain Assessment
+
+Pain level: 6/10 with a moderate functional impact on walking and stairs.
+
+## Pain Mechanisms
+
+The pattern is acute and well-localized, consistent with inflammatory nociceptive pain after the injury. Good prognosis with appropriate load management.
+
+## Recommendations
+
+- Ice for 15-20 minutes after activity
+- Compression sleeve during the day
+- Keep pain at 3/10 or below during rehab exercises`,
+
+    movementDetective: `## Movement Analysis
+
+The knee shows reduced flexion during stance with a compensatory hip hike on the affected side. Dynamic knee valgus appears during single-leg loading.
+
+## Recommendations
+
+- Gait retraining with focus on heel strike and knee flexion
+- Single-leg balance work with mirror feedback
+- Low risk of long-term dysfunction if corrected early`,
+
+    strengthSage: `## Functional Capacity
+
+Functional level: 65% of pre-injury capacity. Quadriceps weakness and gluteal weakness are the main deficits.
+
+## Priorities
+
+The primary focus is restoring quadriceps strength. The secondary emphasis is hip stability for single-leg tasks.
+
+## Recommendations
+
+- Isometric quadriceps sets progressing to mini squats
+- Glute bridges and side-lying abduction
+- Favorable restoration potential with consistent training`,
+
+    mindMender: `## Psychological Assessment
+
+The patient is motivated and has good support at home, with some anxiety about re-injury and mild fear avoidance of stairs.
+
+## Recommendations
+
+- Graded exposure to feared activities
+- Brief pain education to reduce anxiety
+- Set realistic expectations for a 6-8 week recovery`
+  },
+
+  fallback: 'Assessment completed. Continue with the coordinated care plan and monitor symptoms.'
+};
+
+export default defaultLLMFixtures;
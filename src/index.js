@@ -6,9 +6,11 @@
  * Multi-agent recovery ecosystem with token economics and blockchain integration
  */
 
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import express from 'express';
 import logger from './utils/logger.js';
+import { agentConfig } from './config/agent-config.js';
 import AgentCoordinator from './utils/agent-coordinator.js';
 import TokenManager from './utils/token-manager.js';
 import RecoveryMetrics from './utils/recovery-metrics.js';
@@ -17,6 +19,30 @@ import CdpAccountManager from './utils/cdp-account-manager.js';
 import cacheManager from './utils/cache-manager.js';
 import promptManager from './utils/prompt-manager.js';
 import { validateScope } from './utils/scope-validator.js';
+import { createStore } from './utils/persistence-store.js';
+import ConsultationJobRegistry, { JOB_STATUS } from './utils/consultation-jobs.js';
+import ConsultationEventStream from './utils/consultation-events.js';
+import { createJobQueue } from './utils/job-queue.js';
+import transcriptRecorder from './utils/transcript-recorder.js';
+import modelRouter from './utils/model-router.js';
+import usageTracker from './utils/usage-tracker.js';
+import structuredOutputStats from './utils/structured-output.js';
+import { listSchemas } from './schemas/agent-output.js';
+import { API_ROUTES, findRoute, toOpenApiPath, buildOpenApiDocument } from './schemas/api.js';
+import Authenticator, { canAccessRecord, PERMISSIONS } from './utils/auth.js';
+import { validateRequest, validateResponses } from './utils/request-validator.js';
+import RateLimiter from './utils/rate-limiter.js';
+import AdmissionController from './utils/admission-control.js';
+import WebhookDispatcher, { publicSubscription, DELIVERY_STATUS } from './utils/webhook-dispatcher.js';
+import PatientHistory from './utils/patient-history.js';
+import IdempotencyStore from './utils/idempotency.js';
+import LifecycleManager from './utils/lifecycle-manager.js';
+import metrics, { PROMETHEUS_CONTENT_TYPE } from './utils/metrics.js';
+import tracer, { SPAN_KIND, TRACE_HEADER, TRACE_ID_HEADER } from './utils/tracing.js';
+import phiRedactor from './utils/phi-redactor.js';
+import AuditLog from './utils/audit-log.js';
+import UserDataManager from './utils/user-data.js';
+import RetentionManager from './utils/data-retention.js';
 
 // Import all specialist agents
 import { TriageAgent } from './agents/triage-agent.js';
@@ -28,6 +54,19 @@ import { MindMenderAgent } from './agents/mind-mender-agent.js';
 // Load environment variables
 dotenv.config();
 
+// Routes served without credentials
+const PUBLIC_PATHS = ['/health', '/docs', '/schemas', '/openapi.json'];
+
+function isPublicPath(path) {
+  return PUBLIC_PATHS.some(publicPath => path === publicPath || path.startsWith(`${publicPath}/`));
+}
+
+const scopeRejections = metrics.counter(
+  'scope_rejections_total',
+  'Queries redirected by scope validation, by detected out-of-scope category',
+  ['category']
+);
+
 // Helper function to check if consultation meets quality thresholds for MD review
 function shouldFlagForMDReview(result) {
   // Check specialist count (3+, excluding triage)
@@ -64,45 +103,125 @@ function shouldFlagForMDReview(result) {
   return { flag: false };
 }
 
-// API call to flag consultation for MD review (fails silently)
-async function flagConsultationForMDReview(consultationId, qualityScore) {
-  try {
-    const response = await fetch(`http://localhost:3001/api/consultations/${consultationId}/flag-for-review`, {
-      method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        requiresReview: true,
-        qualityScore
-      })
-    });
-
-    if (!response.ok) {
-      logger.warn(`Failed to flag consultation ${consultationId} for MD review: ${response.status}`);
-    } else {
-      logger.info(`Consultation ${consultationId} flagged for MD review (quality: ${qualityScore.toFixed(2)})`);
-    }
-  } catch (error) {
-    logger.error(`Error flagging consultation for MD review: ${error.message}`);
-  }
-}
-
 class OrthoIQAgentSystem {
   constructor() {
     this.app = express();
     this.port = process.env.PORT || 3000;
 
     // Core system components
-    this.tokenManager = new TokenManager();
-    this.coordinator = new AgentCoordinator(this.tokenManager); // Pass token manager for prediction market
-    this.recoveryMetrics = new RecoveryMetrics();
+    this.store = createStore(agentConfig.persistence);
+    transcriptRecorder.checkEncryption();
+    this.lifecycle = new LifecycleManager();
+    this.tokenManager = new TokenManager(this.store);
+    this.coordinator = new AgentCoordinator(this.tokenManager, { store: this.store, lifecycle: this.lifecycle }); // Pass token manager for prediction market
+    this.recoveryMetrics = new RecoveryMetrics(this.store);
+    this.consultationJobs = new ConsultationJobRegistry(this.store);
+    this.consultationEvents = new ConsultationEventStream();
+    this.consultationEvents.attach(this.coordinator);
+    this.jobQueue = createJobQueue(this.store);
     this.blockchainUtils = new BlockchainUtils();
     this.accountManager = new CdpAccountManager();
+    this.authenticator = new Authenticator(agentConfig.security);
+    this.rateLimiter = new RateLimiter();
+    this.admission = new AdmissionController();
+    this.webhooks = new WebhookDispatcher(this.store, this.jobQueue);
+    this.webhooks.attach({ coordinator: this.coordinator, recoveryMetrics: this.recoveryMetrics });
+    this.patientHistory = new PatientHistory(this.store);
+    this.patientHistory.attach({ coordinator: this.coordinator, recoveryMetrics: this.recoveryMetrics });
+    this.idempotency = new IdempotencyStore(this.store);
+    this.auditLog = new AuditLog(this.store);
+    this.registerMetricsCollectors();
 
     // Agent registry
     this.agents = {};
+    this.userData = new UserDataManager({
+      coordinator: this.coordinator,
+      recoveryMetrics: this.recoveryMetrics,
+      patientHistory: this.patientHistory,
+      consultationJobs: this.consultationJobs,
+      jobQueue: this.jobQueue,
+      cacheManager,
+      usageTracker,
+      idempotency: this.idempotency,
+      webhooks: this.webhooks,
+      consultationEvents: this.consultationEvents,
+      tracer,
+      transcriptRecorder,
+      auditLog: this.auditLog
+    });
+    this.retention = new RetentionManager(this.store, {
+      userData: this.userData,
+      coordinator: this.coordinator,
+      recoveryMetrics: this.recoveryMetrics,
+      patientHistory: this.patientHistory
+    });
     this.isInitialized = false;
   }
 
+  /**
+   * Expose statistics the components already keep on /metrics; read at scrape time
+   */
+  registerMetricsCollectors() {
+    metrics.collect('process', () => [
+      { name: 'process_uptime_seconds', help: 'Seconds since the process started', type: 'gauge', samples: [{ value: process.uptime() }] }
+    ]);
+
+    metrics.collect('cache', () => {
+      const { hits, misses } = cacheManager.stats;
+      return [
+        { name: 'cache_hits_total', help: 'Consultation cache hits (exact and similar-case matches)', type: 'counter', samples: [{ value: hits }] },
+        { name: 'cache_misses_total', help: 'Consultation cache misses', type: 'counter', samples: [{ value: misses }] },
+        { name: 'cache_entries', help: 'Consultations currently cached', type: 'gauge', samples: [{ value: cacheManager.cache.size }] }
+      ];
+    });
+
+    metrics.collect('tokens', () => {
+      const { totalTokensIssued, totalRewardsDistributed } = this.tokenManager.networkStats;
+      return [
+        { name: 'tokens_distributed_total', help: 'Tokens distributed to agents as rewards', type: 'counter', samples: [{ value: totalTokensIssued }] },
+        { name: 'token_rewards_total', help: 'Token reward distributions', type: 'counter', samples: [{ value: totalRewardsDistributed }] }
+      ];
+    });
+
+    metrics.collect('llm', () => {
+      const byModel = Object.entries(usageTracker.aggregates.byModel || {}).map(([modelKey, totals]) => {
+        const [provider, ...model] = modelKey.split('/');
+        return { labels: { provider, model: model.join('/') }, totals };
+      });
+      const byAgent = Object.entries(usageTracker.aggregates.byAgent || {});
+
+      return [
+        {
+          name: 'llm_calls_total',
+          help: 'LLM calls by provider and model',
+          type: 'counter',
+          samples: byModel.map(({ labels, totals }) => ({ labels, value: totals.calls }))
+        },
+        {
+          name: 'llm_tokens_total',
+          help: 'LLM tokens by provider, model and direction',
+          type: 'counter',
+          samples: byModel.flatMap(({ labels, totals }) => [
+            { labels: { ...labels, direction: 'input' }, value: totals.inputTokens },
+            { labels: { ...labels, direction: 'output' }, value: totals.outputTokens }
+          ])
+        },
+        {
+          name: 'llm_cost_usd_total',
+          help: 'Estimated LLM cost in USD by provider and model',
+          type: 'counter',
+          samples: byModel.map(({ labels, totals }) => ({ labels, value: totals.costUsd }))
+        },
+        {
+          name: 'llm_agent_tokens_total',
+          help: 'LLM tokens (input and output) by agent',
+          type: 'counter',
+          samples: byAgent.map(([agent, totals]) => ({ labels: { agent }, value: totals.totalTokens }))
+        }
+      ];
+    });
+  }
+
   async initialize() {
     try {
       logger.info('🚀 Initializing OrthoIQ Agent System');
@@ -110,6 +229,9 @@ class OrthoIQAgentSystem {
       // Setup Express middleware
       this.setupMiddleware();
       
+      // Restore persisted state before agents and wallets are initialized
+      await this.initializePersistence();
+      
       // Initialize blockchain utilities
       await this.initializeBlockchain();
       
@@ -122,6 +244,9 @@ class OrthoIQAgentSystem {
       // Initialize token economics
       await this.initializeTokenEconomics();
       
+      // Start processing background jobs (needs registered agents)
+      this.registerJobHandlers();
+      
       // Setup API routes
       this.setupRoutes();
       
@@ -139,14 +264,34 @@ class OrthoIQAgentSystem {
   }
 
   setupMiddleware() {
+    // Track in-flight requests and turn new ones away once shutdown starts
+    this.app.use(this.lifecycle.middleware());
     this.app.use(express.json({ limit: '10mb' }));
     this.app.use(express.urlencoded({ extended: true }));
+    // Server span per request (after body parsing, which would lose the async context)
+    this.app.use(tracer.middleware());
+    // Per-request PHI vault so prompts are de-identified and replies restored consistently
+    this.app.use(phiRedactor.middleware());
     
-    // CORS middleware
+    // CORS middleware (CORS_ORIGIN: '*' or a comma-separated list of origins)
+    const allowedOrigins = String(agentConfig.api.corsOrigin || '*')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+
     this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
+      const origin = req.get('Origin');
+      if (allowedOrigins.includes('*')) {
+        res.header('Access-Control-Allow-Origin', '*');
+      } else {
+        res.header('Vary', 'Origin');
+        if (origin && allowedOrigins.includes(origin)) {
+          res.header('Access-Control-Allow-Origin', origin);
+        }
+      }
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+      res.header('Access-Control-Allow-Headers', `Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key, Idempotency-Key, ${TRACE_HEADER}`);
+      res.header('Access-Control-Expose-Headers', TRACE_ID_HEADER);
       
       if (req.method === 'OPTIONS') {
         res.sendStatus(200);
@@ -160,6 +305,170 @@ class OrthoIQAgentSystem {
       logger.info(`${req.method} ${req.path} - ${req.ip}`);
       next();
     });
+
+    // Authentication (API key or JWT) and per-caller rate limits for everything except public routes
+    const authenticate = this.authenticator.middleware();
+    const rateLimit = this.rateLimiter.middleware();
+    this.app.use((req, res, next) => {
+      if (isPublicPath(req.path)) return next();
+      authenticate(req, res, () => rateLimit(req, res, next));
+    });
+  }
+
+  async initializePersistence() {
+    try {
+      logger.info(`💾 Initializing ${this.store.driver} persistence store`);
+      await this.store.initialize();
+      this.lifecycle.restore(await this.store.get('lifecycle', 'lastShutdown'));
+      await this.tokenManager.hydrate();
+      await this.coordinator.hydrate();
+      await this.recoveryMetrics.hydrate();
+      usageTracker.attachStore(this.store);
+      await usageTracker.hydrate();
+      await this.webhooks.hydrate();
+      await this.patientHistory.hydrate();
+      await this.idempotency.hydrate();
+      await this.auditLog.hydrate();
+      this.idempotency.startSweeper();
+      await this.jobQueue.initialize();
+      await this.consultationJobs.hydrate(
+        consultationId => this.jobQueue.hasPendingJob(`coordination:${consultationId}`)
+      );
+      this.consultationJobs.attach(this.coordinator);
+      this.consultationJobs.startSweeper();
+      await this.retention.hydrate();
+      this.retention.startScheduler();
+      logger.info('✅ Persisted state restored');
+    } catch (error) {
+      logger.error(`❌ Persistence initialization failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Serving a cached consultation reads the patient data it was built from
+   */
+  auditCacheRead(req, consultation, details) {
+    const consultationId = consultation?.consultationId || null;
+    this.auditLog.record({
+      action: 'read',
+      resource: 'cache',
+      auth: req.auth,
+      route: `${req.method} ${req.route?.path || req.path}`,
+      consultationId,
+      patientId: consultationId ? this.consultationOwner(consultationId) : null,
+      details
+    });
+  }
+
+  /**
+   * Patient (user) a consultation belongs to, for audit entries
+   */
+  consultationOwner(consultationId) {
+    const owner = this.coordinator.getConsultation(consultationId) || this.consultationJobs.get(consultationId);
+    return owner?.userId || null;
+  }
+
+  registerJobHandlers() {
+    // Jobs left unfinished at shutdown stay in the queue store and run again on the next start
+    this.jobQueue.register('coordination', job => this.lifecycle.track(
+      'coordination',
+      job.data.consultationId,
+      // Continues the trace of the request that queued the job
+      tracer.withSpan('job.coordination', {
+        parent: job.data.traceparent || null,
+        kind: SPAN_KIND.CONSUMER,
+        attributes: { 'job.id': job.id, 'job.attempt': job.attemptsMade + 1 }
+      }, span => {
+        tracer.setConsultation(job.data.consultationId, span);
+        return phiRedactor.run(phiRedactor.createVault(job.data.caseData), () => this.processCoordinationJob(job));
+      }),
+      {
+        details: { jobId: job.id, consultationId: job.data.consultationId },
+        checkpoint: () => this.consultationJobs.update(job.data.consultationId, {
+          status: JOB_STATUS.QUEUED,
+          error: 'Interrupted by shutdown; resumes on restart'
+        })
+      }
+    ));
+    this.jobQueue.register('learning', job => this.lifecycle.track(
+      'learning',
+      job.id,
+      phiRedactor.run(phiRedactor.createVault(job.data.caseData), () => this.runLearningMode(job.data.caseData, job.data.fastResponse))
+    ), {
+      concurrency: 1,
+      attempts: 1
+    });
+    this.jobQueue.register('webhook-delivery', job => this.lifecycle.track(
+      'webhook-delivery',
+      job.data.deliveryId,
+      this.webhooks.deliver(job)
+    ), {
+      attempts: this.webhooks.maxAttempts,
+      backoffMs: this.webhooks.backoffMs
+    });
+  }
+
+  /**
+   * Full multi-specialist coordination for a fast-mode consultation
+   */
+  async processCoordinationJob(job) {
+    const { consultationId, caseData, specialists, options } = job.data;
+
+    // Wait for a coordination slot; the place was reserved when the job was queued
+    const release = await this.admission.acquire({ reservationId: consultationId });
+    let result;
+    try {
+      this.consultationJobs.markRunning(consultationId);
+
+      result = await this.coordinator.coordinateMultiSpecialistConsultation(
+        caseData,
+        specialists,
+        {
+          ...options,
+          mode: 'normal', // Use normal mode for full coordination
+          originMode: 'fast', // Queued by the fast-mode endpoint, recorded as a fast consultation
+          consultationId, // Pass the same ID to ensure consistency
+          willRetry: job.attemptsMade + 1 < job.maxAttempts
+        }
+      );
+    } finally {
+      release();
+    }
+
+    // Cache for training and future use (budget-degraded results are not reused)
+    if (!result.budget?.degraded) {
+      await cacheManager.set(caseData, result, null, options.tenantId);
+      this.auditLog.record({
+        action: 'write',
+        resource: 'cache',
+        auth: { subject: 'job:coordination', role: 'system', tenantId: options.tenantId || 'default' },
+        route: 'job coordination',
+        consultationId,
+        patientId: options.userId || null
+      });
+    }
+
+    // Check if consultation meets quality thresholds for MD review and notify subscribers
+    const mdReviewCheck = shouldFlagForMDReview(result);
+    if (mdReviewCheck.flag) {
+      await this.webhooks.emit('consultation.flagged_for_md_review', {
+        consultationId,
+        userId: options.userId || null,
+        qualityScore: mdReviewCheck.qualityScore,
+        specialistCount: mdReviewCheck.specialistCount,
+        reason: mdReviewCheck.reason
+      }, { tenantId: options.tenantId, eventId: `consultation.flagged_for_md_review:${consultationId}` });
+    }
+
+    logger.info(`Background coordination complete for ${consultationId}, cached successfully`);
+
+    return {
+      consultationId,
+      participatingSpecialists: result.participatingSpecialists,
+      duration: result.duration,
+      flaggedForMDReview: mdReviewCheck.flag
+    };
   }
 
   async initializeBlockchain() {
@@ -215,6 +524,8 @@ class OrthoIQAgentSystem {
         strengthSage: strengthSageAgent,
         mindMender: mindMenderAgent
       };
+      this.userData.agents = this.agents;
+      this.retention.agents = this.agents;
       
       // Register agents with coordinator
       Object.entries(this.agents).forEach(([type, agent]) => {
@@ -276,8 +587,27 @@ class OrthoIQAgentSystem {
   }
 
   setupRoutes() {
+    // Every route is declared in src/schemas/api.js; registering through it adds
+    // the permission check and request validation and keeps /openapi.json accurate
+    const route = (method, path, handler) => {
+      const definition = findRoute(method, path);
+      if (!definition) {
+        throw new Error(`Route ${method.toUpperCase()} ${path} is missing from src/schemas/api.js`);
+      }
+
+      const middleware = [];
+      // Before authorization, so refused attempts on patient data are recorded too
+      if (definition.audit) middleware.push(this.auditLog.middleware(definition, id => this.consultationOwner(id)));
+      if (definition.permission) middleware.push(this.authenticator.authorize(definition.permission));
+      middleware.push(validateRequest(definition));
+      if (agentConfig.api.validateResponses) middleware.push(validateResponses(definition));
+      if (definition.idempotent) middleware.push(this.idempotency.middleware(definition));
+
+      this.app[method](path, ...middleware, handler);
+    };
+
     // Health check endpoint
-    this.app.get('/health', (req, res) => {
+    route('get', '/health', (req, res) => {
       res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
@@ -287,8 +617,19 @@ class OrthoIQAgentSystem {
       });
     });
 
+    // Prometheus scrape endpoint
+    route('get', '/metrics', (req, res) => {
+      try {
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.send(metrics.render());
+      } catch (error) {
+        logger.error(`Error rendering metrics: ${error.message}`);
+        res.status(500).json({ error: 'Failed to render metrics', message: error.message });
+      }
+    });
+
     // System status endpoint with performance metrics
-    this.app.get('/status', async (req, res) => {
+    route('get', '/status', async (req, res) => {
       try {
         const coordinationStats = this.coordinator.getCoordinationStatistics();
         const networkStats = this.tokenManager.getNetworkStatistics();
@@ -302,7 +643,8 @@ class OrthoIQAgentSystem {
             initialized: this.isInitialized,
             uptime: process.uptime(),
             version: '2.0.0', // Updated version with optimizations
-            optimizationsEnabled: true
+            optimizationsEnabled: true,
+            llmProvider: agentConfig.llm.provider
           },
           performance: {
             cache: cacheStats,
@@ -324,7 +666,27 @@ class OrthoIQAgentSystem {
           coordination: coordinationStats,
           tokenEconomics: networkStats,
           recovery: recoveryStats,
-          blockchain: blockchainStats
+          blockchain: blockchainStats,
+          consultationJobs: this.consultationJobs.getStats(),
+          consultationEvents: this.consultationEvents.getStats(),
+          jobQueue: await this.jobQueue.getStats(),
+          persistence: this.store.getStats(),
+          transcripts: transcriptRecorder.getStats(),
+          modelRouting: modelRouter.getStats(),
+          structuredOutput: structuredOutputStats.getStats(),
+          auth: this.authenticator.getStats(),
+          rateLimits: this.rateLimiter.getStats(),
+          admission: this.admission.getStats(),
+          webhooks: this.webhooks.getStats(),
+          patientHistory: this.patientHistory.getStats(),
+          idempotency: this.idempotency.getStats(),
+          lifecycle: this.lifecycle.getStats(),
+          metrics: metrics.getStats(),
+          tracing: tracer.getStats(),
+          privacy: phiRedactor.getStats(),
+          audit: this.auditLog.getStats(),
+          userData: this.userData.getStats(),
+          retention: this.retention.getStats()
         });
       } catch (error) {
         logger.error(`Error getting system status: ${error.message}`);
@@ -333,14 +695,22 @@ class OrthoIQAgentSystem {
     });
 
     // Triage endpoint
-    this.app.post('/triage', async (req, res) => {
+    route('post', '/triage', async (req, res) => {
       try {
         // Scope validation - early return if out of scope
         const scopeCheck = this.validateQueryScope(req, res);
         if (scopeCheck) return;
 
         const caseData = req.body;
-        const triageResult = await this.agents.triage.triageCase(caseData);
+        const userId = req.auth.userId || caseData.userId;
+        const triageResult = await this.agents.triage.triageCase(caseData, {
+          userId,
+          tenantId: req.auth.tenantId,
+          patientHistory: this.patientHistory.summarize(userId, {
+            tenantId: req.auth.tenantId,
+            priorConsultations: caseData.priorConsultations
+          })
+        });
         
         // Award tokens for successful triage
         await this.tokenManager.distributeTokenReward(this.agents.triage.agentId, {
@@ -362,7 +732,7 @@ class OrthoIQAgentSystem {
     });
 
     // Multi-specialist consultation endpoint with caching and modes
-    this.app.post('/consultation', async (req, res) => {
+    route('post', '/consultation', async (req, res) => {
       try {
         // Scope validation - early return if out of scope
         const scopeCheck = this.validateQueryScope(req, res);
@@ -372,15 +742,16 @@ class OrthoIQAgentSystem {
           caseData,
           requiredSpecialists,
           mode = 'fast',
-          platformContext
+          platformContext,
+          budget
         } = req.body;
+        const { tenantId } = req.auth;
         const startTime = Date.now();
 
         // Extract new dual-track fields from caseData
         const {
           rawQuery,
           enableDualTrack,
-          userId,
           isReturningUser,
           priorConsultations,
           requestResearch,
@@ -389,14 +760,27 @@ class OrthoIQAgentSystem {
           ...traditionalCaseData
         } = caseData;
 
+        // Patients signed in with their own token can only consult for themselves
+        if (req.auth.userId && caseData.userId && caseData.userId !== req.auth.userId) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Patients can only request consultations for themselves'
+          });
+        }
+        const userId = req.auth.userId || caseData.userId;
+
+        // Condensed record of the user's earlier consultations for triage and the specialists
+        const patientHistory = this.patientHistory.summarize(userId, { tenantId, priorConsultations });
+
         // Check for noCache flag (query param or body param)
         const noCache = req.query.noCache === 'true' || req.body.noCache === true;
         const enableSimilarityCache = process.env.ENABLE_SIMILARITY_CACHE === 'true';
 
-        // Check cache first (unless noCache is specified)
-        if (!noCache && process.env.ENABLE_CACHE === 'true') {
-          const cached = await cacheManager.get(caseData);
+        // Check cache first (unless noCache is specified); returning users get answers that build on their history
+        if (!noCache && !patientHistory && process.env.ENABLE_CACHE === 'true') {
+          const cached = await cacheManager.get(caseData, tenantId);
           if (cached) {
+            this.auditCacheRead(req, cached.response, { cacheKey: cached.cacheKey });
             logger.info(`Cache hit - returning cached consultation`);
             return res.json({
               success: true,
@@ -410,8 +794,9 @@ class OrthoIQAgentSystem {
           // Check for similar cases if similarity cache is enabled
           if (enableSimilarityCache) {
             const similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.8;
-            const similar = await cacheManager.findSimilar(caseData, similarityThreshold);
+            const similar = await cacheManager.findSimilar(caseData, similarityThreshold, tenantId);
             if (similar) {
+              this.auditCacheRead(req, similar, { similarity: similar.similarity });
               logger.info(`Similar case found - returning adapted consultation`);
               return res.json({
                 success: true,
@@ -457,17 +842,58 @@ class OrthoIQAgentSystem {
         if (mode === 'fast') {
           logger.info('Fast mode: Returning immediate triage, continuing coordination in background');
 
-          // Get immediate triage-only response
-          const triageAgent = this.agents.triage;
-          const triageResponse = await triageAgent.triageCase(caseData, {
-            rawQuery,
-            enableDualTrack,
-            userId,
-            isReturningUser,
-            platformContext
-          });
+          // Claim a place in the coordination queue before spending anything on triage
+          const consultationId = `consultation_${crypto.randomUUID()}`;
+          tracer.setConsultation(consultationId);
+          this.admission.reserve(consultationId);
+
+          let triageResponse;
+          try {
+            // Get immediate triage-only response
+            triageResponse = await this.agents.triage.triageCase(caseData, {
+              rawQuery,
+              enableDualTrack,
+              consultationId,
+              userId,
+              tenantId,
+              isReturningUser,
+              platformContext,
+              patientHistory
+            });
 
-          const consultationId = `consultation_${Date.now()}`;
+            this.consultationJobs.create(consultationId, {
+              mode: 'fast',
+              tenantId,
+              userId,
+              specialists: smartSpecialists,
+              triage: triageResponse
+            });
+
+            // Queue full coordination before acknowledging so it survives restarts
+            await this.jobQueue.add('coordination', {
+              consultationId,
+              traceparent: tracer.inject(),
+              caseData,
+              specialists: smartSpecialists,
+              options: {
+                rawQuery,
+                enableDualTrack,
+                userId,
+                isReturningUser,
+                priorConsultations,
+                requestResearch,
+                uploadedImages,
+                athleteProfile,
+                platformContext,
+                budget,
+                tenantId,
+                patientHistory
+              }
+            }, { jobId: `coordination:${consultationId}` });
+          } catch (error) {
+            this.admission.cancelReservation(consultationId);
+            throw error;
+          }
 
           // Return immediately to user (target: <5s)
           res.json({
@@ -481,43 +907,6 @@ class OrthoIQAgentSystem {
             timestamp: new Date().toISOString()
           });
 
-          // Continue full coordination in background (fire-and-forget, no await)
-          const backgroundPromise = this.coordinator.coordinateMultiSpecialistConsultation(
-            caseData,
-            smartSpecialists,
-            {
-              mode: 'normal', // Use normal mode for full coordination
-              consultationId, // Pass the same ID to ensure consistency
-              rawQuery,
-              enableDualTrack,
-              userId,
-              isReturningUser,
-              priorConsultations,
-              requestResearch,
-              uploadedImages,
-              athleteProfile,
-              platformContext
-            }
-          );
-
-          // Handle background completion (no await - fire and forget)
-          backgroundPromise
-            .then(async result => {
-              // Cache for training and future use
-              await cacheManager.set(caseData, result);
-
-              // Check if consultation meets quality thresholds for MD review
-              const mdReviewCheck = shouldFlagForMDReview(result);
-              if (mdReviewCheck.flag) {
-                await flagConsultationForMDReview(consultationId, mdReviewCheck.qualityScore);
-              }
-
-              logger.info(`Background coordination complete for ${consultationId}, cached successfully`);
-            })
-            .catch(err => {
-              logger.error(`Background coordination failed for ${consultationId}:`, err.message);
-            });
-
           // Exit early - response already sent
           return;
         }
@@ -525,11 +914,28 @@ class OrthoIQAgentSystem {
         // Normal mode: Complete multi-specialist consultation before responding
         // Set timeout for normal mode - 90s to accommodate parallel coordination + synthesis
         const timeout = 90000;
-        const consultationPromise = this.coordinator.coordinateMultiSpecialistConsultation(
+        const consultationId = `consultation_${crypto.randomUUID()}`;
+        tracer.setConsultation(consultationId);
+
+        // Wait for a coordination slot (429 when the queue is full or the wait times out)
+        const release = await this.admission.acquire();
+
+        this.consultationJobs.create(consultationId, {
+          mode,
+          tenantId,
+          userId,
+          specialists: smartSpecialists
+        });
+        this.consultationJobs.markRunning(consultationId);
+
+        const consultationPromise = tracer.withSpan('consultation.coordinate', {
+          attributes: { 'consultation.id': consultationId, 'consultation.mode': mode }
+        }, () => this.coordinator.coordinateMultiSpecialistConsultation(
           caseData,
           smartSpecialists,
           {
             mode,
+            consultationId,
             rawQuery,
             enableDualTrack,
             userId,
@@ -538,9 +944,14 @@ class OrthoIQAgentSystem {
             requestResearch,
             uploadedImages,
             athleteProfile,
-            platformContext
+            platformContext,
+            budget,
+            tenantId,
+            patientHistory
           }
-        );
+        ));
+        // Hold the slot until the coordination itself ends, even if the request times out
+        consultationPromise.finally(release).catch(() => {});
 
         // Race against timeout
         const timeoutPromise = new Promise((_, reject) =>
@@ -561,13 +972,26 @@ class OrthoIQAgentSystem {
           consultationResult.participatingSpecialists
         );
         
-        // Cache successful result
-        await cacheManager.set(caseData, consultationResult);
+        // Store enriched result on the job record
+        this.consultationJobs.complete(consultationId, consultationResult);
+
+        // Cache successful result (budget-degraded results are not reused)
+        if (!consultationResult.budget?.degraded) {
+          await cacheManager.set(caseData, consultationResult, null, tenantId);
+          this.auditLog.record({
+            action: 'write',
+            resource: 'cache',
+            auth: req.auth,
+            route: 'POST /consultation',
+            consultationId,
+            patientId: userId || null
+          });
+        }
         
         // Trigger learning mode in background if needed
         if (mode === 'fast' && promptManager.shouldRunLearningMode(caseData, consultationResult, this.agents.triage)) {
-          setImmediate(() => {
-            this.runLearningMode(caseData, consultationResult);
+          this.jobQueue.add('learning', { caseData, fastResponse: consultationResult, tenantId }).catch(error => {
+            logger.error(`Failed to queue learning mode: ${error.message}`);
           });
         }
         
@@ -580,6 +1004,11 @@ class OrthoIQAgentSystem {
           timestamp: new Date().toISOString()
         });
       } catch (error) {
+        if (error.code === 'ADMISSION_REJECTED') {
+          logger.warn(`Consultation rejected by admission control: ${error.message}`);
+          return this.sendAdmissionRejection(res, error);
+        }
+
         logger.error(`Consultation API error: ${error.message}`);
         
         // Return timeout error with appropriate status
@@ -595,14 +1024,173 @@ class OrthoIQAgentSystem {
       }
     });
 
+    // Consultation result retrieval (fast-mode background jobs)
+    route('get', '/consultation/:consultationId', async (req, res) => {
+      try {
+        const { consultationId } = req.params;
+        const consultation = await this.getStoredConsultation(consultationId);
+
+        if (!consultation || !canAccessRecord(req.auth, consultation)) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId} (it may have expired)`
+          });
+        }
+
+        res.json({
+          success: true,
+          consultation,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Consultation retrieval error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to retrieve consultation', message: error.message });
+      }
+    });
+
+    // Consultation progress stream (Server-Sent Events)
+    route('get', '/consultation/:consultationId/events', (req, res) => {
+      try {
+        const { consultationId } = req.params;
+        const job = this.consultationJobs.get(consultationId);
+        // Streams outliving their job record have no owner to check, so only admins may follow them
+        const visible = job
+          ? canAccessRecord(req.auth, job)
+          : req.auth.role === 'admin' && this.consultationEvents.hasStream(consultationId);
+
+        if (!visible) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId} (it may have expired)`
+          });
+        }
+
+        if (job && !this.consultationEvents.hasStream(consultationId)) {
+          this.consultationEvents.replayOutcome(consultationId, job);
+        }
+
+        this.consultationEvents.subscribe(consultationId, req, res);
+      } catch (error) {
+        logger.error(`Consultation event stream error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to open consultation event stream', message: error.message });
+      }
+    });
+
+    route('get', '/consultation/:consultationId/status', (req, res) => {
+      try {
+        const { consultationId } = req.params;
+        const status = this.getAccessibleConsultation(req, consultationId)
+          ? this.consultationJobs.getStatus(consultationId)
+          : null;
+
+        if (!status) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId} (it may have expired)`
+          });
+        }
+
+        res.json({
+          success: true,
+          ...status,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Consultation status error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get consultation status', message: error.message });
+      }
+    });
+
+    // Trace spans per pipeline stage, to see where a slow consultation spent its time
+    route('get', '/consultation/:consultationId/trace', (req, res) => {
+      try {
+        const { consultationId } = req.params;
+        // Job records expire before the coordinator's consultation record
+        const owner = this.coordinator.getConsultation(consultationId) || this.consultationJobs.get(consultationId);
+        const traces = owner && canAccessRecord(req.auth, owner)
+          ? tracer.getConsultationTraces(consultationId)
+          : null;
+
+        if (!traces) {
+          return res.status(404).json({
+            error: 'Consultation trace not found',
+            message: `No trace recorded for ${consultationId} (traces are kept for the ${tracer.maxConsultations} most recent consultations)`
+          });
+        }
+
+        res.json({
+          success: true,
+          consultationId,
+          traces,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Consultation trace error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get consultation trace', message: error.message });
+      }
+    });
+
+    // Follow-up answers refine a completed consultation instead of starting a new one
+    route('post', '/consultation/:consultationId/answers', async (req, res) => {
+      try {
+        const { consultationId } = req.params;
+        const consultation = this.coordinator.getConsultation(consultationId);
+
+        if (!consultation || !canAccessRecord(req.auth, consultation)) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId}`
+          });
+        }
+
+        tracer.setConsultation(consultationId);
+
+        // Re-running specialists takes a coordination slot like any other consultation
+        const release = await this.admission.acquire();
+        let result;
+        try {
+          result = await this.coordinator.refineConsultation(consultationId, req.body);
+        } finally {
+          release();
+        }
+
+        res.json({
+          success: true,
+          consultationId,
+          refinement: result.refinement,
+          consultation: result,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code === 'ADMISSION_REJECTED') {
+          logger.warn(`Consultation refinement rejected by admission control: ${error.message}`);
+          return this.sendAdmissionRejection(res, error);
+        }
+        if (error.code === 'CONSULTATION_NOT_REFINABLE') {
+          return res.status(409).json({ error: 'Consultation cannot be refined', message: error.message });
+        }
+
+        logger.error(`Consultation refinement error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to refine consultation', message: error.message });
+      }
+    });
+
     // Recovery tracking endpoints
-    this.app.post('/recovery/start', async (req, res) => {
+    route('post', '/recovery/start', async (req, res) => {
       try {
         const { patientId, initialAssessment } = req.body;
+
+        if (req.auth.userId && patientId !== req.auth.userId) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Patients can only track their own recovery'
+          });
+        }
         
         const trackingResult = await this.recoveryMetrics.trackPatientRecovery(
           patientId,
-          initialAssessment
+          initialAssessment,
+          { tenantId: req.auth.tenantId }
         );
 
         res.json({
@@ -616,24 +1204,32 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.post('/recovery/update', async (req, res) => {
+    route('post', '/recovery/update', async (req, res) => {
       try {
         const { patientId, progressData } = req.body;
+
+        if (!this.getAccessibleRecoveryRecord(req, patientId)) {
+          return res.status(404).json({
+            error: 'Patient record not found',
+            message: `No recovery record found for ${patientId}`
+          });
+        }
         
         const updateResult = await this.recoveryMetrics.updateRecoveryProgress(
           patientId,
-          progressData
+          progressData,
+          { tenantId: req.auth.tenantId }
         );
 
         // Award tokens for significant progress
-        const metrics = updateResult.progressUpdate.metrics;
-        if (metrics.painReduction >= 50 || metrics.functionalImprovement >= 70) {
+        const progress = updateResult.progressUpdate.metrics;
+        if (progress.painReduction >= 50 || progress.functionalImprovement >= 70) {
           for (const agent of Object.values(this.agents)) {
             await this.tokenManager.distributeTokenReward(agent.agentId, {
               success: true,
               reason: 'progress_milestone',
-              painReduction: metrics.painReduction || 0,
-              functionalImprovement: metrics.functionalImprovement >= 70
+              painReduction: progress.painReduction || 0,
+              functionalImprovement: progress.functionalImprovement >= 70
             }, {
               walletProvider: agent.walletProvider
             });
@@ -651,13 +1247,21 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.post('/recovery/complete', async (req, res) => {
+    route('post', '/recovery/complete', async (req, res) => {
       try {
         const { patientId, finalOutcome } = req.body;
+
+        if (!this.getAccessibleRecoveryRecord(req, patientId)) {
+          return res.status(404).json({
+            error: 'Patient record not found',
+            message: `No recovery record found for ${patientId}`
+          });
+        }
         
         const completionResult = await this.recoveryMetrics.completeRecoveryTracking(
           patientId,
-          finalOutcome
+          finalOutcome,
+          { tenantId: req.auth.tenantId }
         );
 
         // Record outcome on blockchain
@@ -701,7 +1305,7 @@ class OrthoIQAgentSystem {
     });
 
     // Agent-specific endpoints
-    this.app.post('/agents/:agentType/assess', async (req, res) => {
+    route('post', '/agents/:agentType/assess', async (req, res) => {
       try {
         // Scope validation - early return if out of scope
         const scopeCheck = this.validateQueryScope(req, res);
@@ -715,19 +1319,21 @@ class OrthoIQAgentSystem {
           return res.status(404).json({ error: 'Agent not found' });
         }
 
+        const owner = { userId: req.auth.userId || assessmentData.userId, tenantId: req.auth.tenantId };
+        res.locals.audit = { patientId: owner.userId };
         let result;
         switch (agentType) {
           case 'painWhisperer':
-            result = await agent.assessPain(assessmentData);
+            result = await agent.assessPain(assessmentData, owner);
             break;
           case 'movementDetective':
-            result = await agent.analyzeMovementPattern(assessmentData);
+            result = await agent.analyzeMovementPattern(assessmentData, owner);
             break;
           case 'strengthSage':
-            result = await agent.assessFunctionalCapacity(assessmentData);
+            result = await agent.assessFunctionalCapacity(assessmentData, owner);
             break;
           case 'mindMender':
-            result = await agent.assessPsychologicalFactors(assessmentData);
+            result = await agent.assessPsychologicalFactors(assessmentData, owner);
             break;
           default:
             result = await agent.processMessage(JSON.stringify(assessmentData));
@@ -755,15 +1361,392 @@ class OrthoIQAgentSystem {
       }
     });
 
+    // Background job inspection endpoints
+    route('get', '/jobs', async (req, res) => {
+      try {
+        const { status, name } = req.query;
+        const limit = parseInt(req.query.limit) || 50;
+        const jobs = (await this.jobQueue.getJobs({ status, name }))
+          .filter(job => canAccessRecord(req.auth, this.jobOwner(job)))
+          .slice(0, limit);
+
+        res.json({
+          success: true,
+          jobs,
+          stats: await this.jobQueue.getStats(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listing jobs: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list jobs', message: error.message });
+      }
+    });
+
+    route('get', '/jobs/:jobId', async (req, res) => {
+      try {
+        const job = await this.jobQueue.getJob(req.params.jobId);
+        const owner = job && this.jobOwner(job);
+
+        if (!job || !canAccessRecord(req.auth, owner)) {
+          return res.status(404).json({
+            error: 'Job not found',
+            message: `No job found for ${req.params.jobId}`
+          });
+        }
+        res.locals.audit = { consultationId: job.data.consultationId, patientId: owner.userId };
+
+        res.json({
+          success: true,
+          job,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting job: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get job', message: error.message });
+      }
+    });
+
+    // Token usage and cost endpoints
+    route('get', '/usage', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          usage: usageTracker.getSummary({ tenantId: req.auth.tenantId }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting usage: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get usage', message: error.message });
+      }
+    });
+
+    route('get', '/usage/consultations/:consultationId', (req, res) => {
+      try {
+        const usage = usageTracker.getConsultationUsage(req.params.consultationId);
+
+        if (!usage || !canAccessRecord(req.auth, { tenantId: usage.tenantId })) {
+          return res.status(404).json({
+            error: 'Consultation usage not found',
+            message: `No usage recorded for ${req.params.consultationId}`
+          });
+        }
+
+        res.json({
+          success: true,
+          usage,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error getting consultation usage: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get consultation usage', message: error.message });
+      }
+    });
+
+    // Audit log: who accessed a patient's data, and whether the chain is intact
+    route('get', '/audit/entries', (req, res) => {
+      try {
+        const { patientId, consultationId } = req.query;
+        if (!patientId && !consultationId) {
+          return res.status(400).json({
+            error: 'Invalid audit export',
+            message: 'patientId or consultationId is required'
+          });
+        }
+
+        res.json({
+          success: true,
+          ...this.auditLog.export({ patientId, consultationId, tenantId: req.auth.tenantId }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error exporting audit entries: ${error.message}`);
+        res.status(500).json({ error: 'Failed to export audit entries', message: error.message });
+      }
+    });
+
+    route('get', '/audit/verify', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          ...this.auditLog.verify(),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error verifying audit log: ${error.message}`);
+        res.status(500).json({ error: 'Failed to verify audit log', message: error.message });
+      }
+    });
+
+    // User data requests: a complete export, and erasure of everything recorded about the user
+    route('get', '/users/:userId/export', async (req, res) => {
+      try {
+        const { userId } = req.params;
+        if (req.auth.userId && userId !== req.auth.userId) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Patients can only export their own data'
+          });
+        }
+
+        res.json({
+          success: true,
+          export: await this.userData.export(userId, req.auth.tenantId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`User data export API error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to export user data', message: error.message });
+      }
+    });
+
+    route('delete', '/users/:userId', async (req, res) => {
+      try {
+        const { userId } = req.params;
+        if (req.auth.userId && userId !== req.auth.userId) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: 'Patients can only erase their own data'
+          });
+        }
+
+        res.json({
+          success: true,
+          erasure: await this.userData.erase(userId, req.auth.tenantId),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code === 'ERASURE_IN_PROGRESS') {
+          return res.status(409).json({ error: 'Consultation in progress', message: error.message });
+        }
+        logger.error(`User data erasure API error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to erase user data', message: error.message });
+      }
+    });
+
+    // Data retention: the policy, purge reports and on-demand purges
+    route('get', '/retention/policy', (req, res) => {
+      res.json({
+        success: true,
+        policy: this.retention.getPolicy(),
+        schedule: {
+          enabled: this.retention.enabled,
+          intervalMs: this.retention.intervalMs,
+          lastRunAt: this.retention.stats.lastRunAt
+        },
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    route('get', '/retention/reports', (req, res) => {
+      const { limit } = req.query;
+      res.json({
+        success: true,
+        reports: this.retention.getReports(limit ? parseInt(limit) : undefined),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    route('post', '/retention/purge', async (req, res) => {
+      try {
+        res.json({
+          success: true,
+          report: await this.retention.purge({ trigger: 'manual' }),
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Retention purge API error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to purge expired data', message: error.message });
+      }
+    });
+
+    // Outbound webhooks: subscribers and delivery logs of the caller's tenant
+    const getAccessibleSubscription = (req, subscriptionId) => {
+      const subscription = this.webhooks.getSubscription(subscriptionId);
+      return subscription && canAccessRecord(req.auth, subscription) ? subscription : null;
+    };
+    const getAccessibleDelivery = (req, deliveryId) => {
+      const delivery = this.webhooks.getDelivery(deliveryId);
+      return delivery && canAccessRecord(req.auth, { tenantId: delivery.subscriberTenantId }) ? delivery : null;
+    };
+
+    route('get', '/webhooks/subscriptions', (req, res) => {
+      try {
+        const subscriptions = this.webhooks.listSubscriptions()
+          .filter(subscription => canAccessRecord(req.auth, subscription))
+          .map(publicSubscription);
+
+        res.json({
+          success: true,
+          subscriptions,
+          events: this.webhooks.getStats().events,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listing webhook subscriptions: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list webhook subscriptions', message: error.message });
+      }
+    });
+
+    route('post', '/webhooks/subscriptions', (req, res) => {
+      let subscription;
+      try {
+        subscription = this.webhooks.subscribe(req.body, { tenantId: req.auth.tenantId });
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid webhook subscription', message: error.message });
+      }
+
+      res.json({
+        success: true,
+        subscription,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    route('delete', '/webhooks/subscriptions/:subscriptionId', (req, res) => {
+      try {
+        const { subscriptionId } = req.params;
+        if (!getAccessibleSubscription(req, subscriptionId)) {
+          return res.status(404).json({
+            error: 'Webhook subscription not found',
+            message: `No subscription with ID: ${subscriptionId}`
+          });
+        }
+
+        try {
+          this.webhooks.unsubscribe(subscriptionId);
+        } catch (error) {
+          return res.status(409).json({ error: 'Webhook subscription cannot be removed', message: error.message });
+        }
+
+        res.json({
+          success: true,
+          subscriptionId,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error removing webhook subscription: ${error.message}`);
+        res.status(500).json({ error: 'Failed to remove webhook subscription', message: error.message });
+      }
+    });
+
+    route('get', '/webhooks/deliveries', (req, res) => {
+      try {
+        const { status, event, subscriptionId, limit } = req.query;
+        const deliveries = this.webhooks.listDeliveries({
+          status,
+          event,
+          subscriptionId,
+          tenantId: req.auth.tenantId,
+          limit: limit ? parseInt(limit) : 100
+        });
+
+        res.json({
+          success: true,
+          deliveries,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listing webhook deliveries: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list webhook deliveries', message: error.message });
+      }
+    });
+
+    route('get', '/webhooks/deliveries/:deliveryId', (req, res) => {
+      const delivery = getAccessibleDelivery(req, req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          error: 'Webhook delivery not found',
+          message: `No delivery with ID: ${req.params.deliveryId}`
+        });
+      }
+
+      res.json({
+        success: true,
+        delivery,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    route('post', '/webhooks/deliveries/:deliveryId/redeliver', async (req, res) => {
+      try {
+        const { deliveryId } = req.params;
+        if (!getAccessibleDelivery(req, deliveryId)) {
+          return res.status(404).json({
+            error: 'Webhook delivery not found',
+            message: `No delivery with ID: ${deliveryId}`
+          });
+        }
+
+        let delivery;
+        try {
+          delivery = await this.webhooks.redeliver(deliveryId);
+        } catch (error) {
+          return res.status(409).json({ error: 'Webhook delivery cannot be redelivered', message: error.message });
+        }
+
+        res.json({
+          success: true,
+          delivery,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error redelivering webhook: ${error.message}`);
+        res.status(500).json({ error: 'Failed to redeliver webhook', message: error.message });
+      }
+    });
+
+    route('get', '/webhooks/dead-letters', (req, res) => {
+      try {
+        const deliveries = this.webhooks.listDeliveries({
+          status: DELIVERY_STATUS.DEAD_LETTER,
+          tenantId: req.auth.tenantId,
+          limit: req.query.limit ? parseInt(req.query.limit) : 100
+        });
+
+        res.json({
+          success: true,
+          deliveries,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error(`Error listing webhook dead letters: ${error.message}`);
+        res.status(500).json({ error: 'Failed to list webhook dead letters', message: error.message });
+      }
+    });
+
+    // Agent output schemas (JSON Schema) the frontend can validate responses against
+    route('get', '/schemas', (req, res) => {
+      res.json({
+        success: true,
+        schemas: listSchemas(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    route('get', '/schemas/*', (req, res) => {
+      const name = req.params[0];
+      const schema = listSchemas()[name];
+
+      if (!schema) {
+        return res.status(404).json({
+          error: 'Schema not found',
+          message: `No schema named ${name} (available: ${Object.keys(listSchemas()).join(', ')})`
+        });
+      }
+
+      res.json(schema);
+    });
+
     // Cache management endpoints
-    this.app.post('/cache/clear', (req, res) => {
+    route('post', '/cache/clear', (req, res) => {
       try {
-        cacheManager.clear();
-        logger.info('Cache cleared via API endpoint');
+        const cleared = cacheManager.clear({ tenantId: req.auth.tenantId });
+        logger.info(`Cache cleared via API endpoint (tenant ${req.auth.tenantId}, ${cleared} entries)`);
 
         res.json({
           success: true,
           message: 'Cache cleared successfully',
+          cleared,
           timestamp: new Date().toISOString()
         });
       } catch (error) {
@@ -772,7 +1755,7 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.get('/cache/stats', (req, res) => {
+    route('get', '/cache/stats', (req, res) => {
       try {
         const stats = cacheManager.getStats();
 
@@ -791,7 +1774,7 @@ class OrthoIQAgentSystem {
     });
 
     // Token management endpoints
-    this.app.get('/tokens/balance/:agentId', (req, res) => {
+    route('get', '/tokens/balance/:agentId', (req, res) => {
       try {
         const { agentId } = req.params;
         const balance = this.tokenManager.getAgentBalance(agentId);
@@ -811,7 +1794,7 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.get('/tokens/statistics', (req, res) => {
+    route('get', '/tokens/statistics', (req, res) => {
       try {
         const stats = this.tokenManager.getNetworkStatistics();
         res.json({
@@ -826,7 +1809,7 @@ class OrthoIQAgentSystem {
     });
 
     // Prediction market endpoints
-    this.app.get('/predictions/market/statistics', (req, res) => {
+    route('get', '/predictions/market/statistics', (req, res) => {
       try {
         const marketStats = this.coordinator.getPredictionMarketStats();
 
@@ -849,7 +1832,7 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.get('/predictions/agent/:agentId', (req, res) => {
+    route('get', '/predictions/agent/:agentId', (req, res) => {
       try {
         const { agentId } = req.params;
         const performance = this.coordinator.getAgentPredictionPerformance(agentId);
@@ -870,12 +1853,15 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.post('/predictions/resolve/md-review', async (req, res) => {
+    route('post', '/predictions/resolve/md-review', async (req, res) => {
       try {
         const { consultationId, mdReviewData } = req.body;
 
-        if (!consultationId || !mdReviewData) {
-          return res.status(400).json({ error: 'consultationId and mdReviewData are required' });
+        if (!this.canResolvePredictions(req, consultationId)) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId}`
+          });
         }
 
         const resolution = await this.coordinator.resolveMDReviewPredictions(consultationId, mdReviewData);
@@ -892,12 +1878,15 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.post('/predictions/resolve/user-modal', async (req, res) => {
+    route('post', '/predictions/resolve/user-modal', async (req, res) => {
       try {
         const { consultationId, userFeedback } = req.body;
 
-        if (!consultationId || !userFeedback) {
-          return res.status(400).json({ error: 'consultationId and userFeedback are required' });
+        if (!this.canResolvePredictions(req, consultationId)) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId}`
+          });
         }
 
         const resolution = await this.coordinator.resolveUserModalPredictions(consultationId, userFeedback);
@@ -918,12 +1907,15 @@ class OrthoIQAgentSystem {
       }
     });
 
-    this.app.post('/predictions/resolve/follow-up', async (req, res) => {
+    route('post', '/predictions/resolve/follow-up', async (req, res) => {
       try {
         const { consultationId, followUpData } = req.body;
 
-        if (!consultationId || !followUpData) {
-          return res.status(400).json({ error: 'consultationId and followUpData are required' });
+        if (!this.canResolvePredictions(req, consultationId)) {
+          return res.status(404).json({
+            error: 'Consultation not found',
+            message: `No consultation found for ${consultationId}`
+          });
         }
 
         const resolution = await this.coordinator.resolveFollowUpPredictions(consultationId, followUpData);
@@ -941,38 +1933,28 @@ class OrthoIQAgentSystem {
     });
 
     // API documentation endpoint
-    this.app.get('/docs', (req, res) => {
+    route('get', '/openapi.json', (req, res) => {
+      res.json(buildOpenApiDocument({
+        version: '1.0.1',
+        permissions: PERMISSIONS,
+        serverUrl: `${req.protocol}://${req.get('host')}`
+      }));
+    });
+
+    route('get', '/docs', (req, res) => {
       res.json({
         name: 'OrthoIQ Agents API',
         version: '1.0.1',
         description: 'Multi-agent recovery ecosystem with token economics',
-        endpoints: {
-          health: 'GET /health - System health check',
-          status: 'GET /status - Detailed system status',
-          triage: 'POST /triage - Triage a patient case',
-          consultation: 'POST /consultation - Multi-specialist consultation (supports ?noCache=true query param)',
-          recovery: {
-            start: 'POST /recovery/start - Start recovery tracking',
-            update: 'POST /recovery/update - Update recovery progress',
-            complete: 'POST /recovery/complete - Complete recovery tracking'
-          },
-          agents: 'POST /agents/:agentType/assess - Agent-specific assessment',
-          cache: {
-            clear: 'POST /cache/clear - Clear consultation cache',
-            stats: 'GET /cache/stats - Get cache statistics and configuration'
-          },
-          tokens: {
-            balance: 'GET /tokens/balance/:agentId - Get agent token balance',
-            statistics: 'GET /tokens/statistics - Get network token statistics'
-          },
-          predictions: {
-            marketStatistics: 'GET /predictions/market/statistics - Get prediction market statistics',
-            agentPerformance: 'GET /predictions/agent/:agentId - Get agent prediction performance',
-            resolveMDReview: 'POST /predictions/resolve/md-review - Resolve predictions with MD review data',
-            resolveUserModal: 'POST /predictions/resolve/user-modal - Resolve predictions with user feedback modal',
-            resolveFollowUp: 'POST /predictions/resolve/follow-up - Resolve predictions with user follow-up data'
-          }
-        },
+        authentication: 'Send X-API-Key: <key> or Authorization: Bearer <API key or HS256 JWT>; /health, /docs, /openapi.json and /schemas are public. Roles: patient (patient app; patient tokens see only their own records), clinician, admin',
+        rateLimits: 'Requests are limited per API key or token subject and globally (429 with Retry-After, RateLimit-* headers); POST /consultation also answers 429 when the coordination queue is full',
+        openapi: 'GET /openapi.json - Full request and response schemas (OpenAPI 3.1)',
+        endpoints: Object.fromEntries(
+          API_ROUTES.map(definition => [
+            definition.operationId,
+            `${definition.method.toUpperCase()} ${toOpenApiPath(definition)} - ${definition.summary}`
+          ])
+        ),
         agents: Object.fromEntries(
           Object.entries(this.agents).map(([type, agent]) => [
             type,
@@ -996,6 +1978,16 @@ class OrthoIQAgentSystem {
 
     // Global error handler
     this.app.use((error, req, res, next) => {
+      // Malformed request bodies are the caller's error, reported like failed validation
+      if (error.type === 'entity.parse.failed' || error.status === 400) {
+        const message = error.type === 'entity.parse.failed' ? 'body must be valid JSON' : error.message;
+        return res.status(400).json({
+          error: 'Invalid request',
+          message,
+          details: [message]
+        });
+      }
+
       logger.error(`API Error: ${error.message}`);
       res.status(500).json({
         error: 'Internal server error',
@@ -1010,6 +2002,8 @@ class OrthoIQAgentSystem {
    */
   validateQueryScope(req, res) {
     const caseData = req.body.caseData || req.body;
+    // Symptoms may be sent as a list; scope checks and the agents read them as text
+    if (Array.isArray(caseData.symptoms)) caseData.symptoms = caseData.symptoms.join(', ');
     const query = caseData.rawQuery || caseData.primaryComplaint || caseData.symptoms || '';
 
     logger.info({
@@ -1036,6 +2030,7 @@ class OrthoIQAgentSystem {
         reason: validation.detectedCategory,
         redirecting: true
       });
+      scopeRejections.inc({ category: validation.detectedCategory || 'unknown' });
       return res.status(200).json({
         success: false,
         scopeValidation: {
@@ -1076,15 +2071,45 @@ class OrthoIQAgentSystem {
     }
   }
 
-  async stop() {
-    if (this.server) {
-      return new Promise((resolve) => {
-        this.server.close(() => {
-          logger.info('🛑 OrthoIQ Agents API server stopped');
-          resolve();
-        });
-      });
+  /**
+   * Graceful shutdown: stop accepting requests and background jobs, drain
+   * in-flight work up to SHUTDOWN_DRAIN_TIMEOUT_MS, checkpoint what is left and
+   * flush the store
+   * @returns {Object} Shutdown report (drained and abandoned work)
+   */
+  async stop({ reason = 'shutdown' } = {}) {
+    const report = await this.lifecycle.shutdown({
+      reason,
+      stopAccepting: () => {
+        if (this.server) {
+          this.lifecycle.track('server', 'http', new Promise(resolve => {
+            this.server.close(() => {
+              logger.info('🛑 OrthoIQ Agents API server stopped');
+              resolve();
+            });
+          }));
+          this.server.closeIdleConnections();
+        }
+
+        // Running jobs are tracked individually; closing stops new pickups and retry timers
+        this.lifecycle.track('queue', 'jobQueue', this.jobQueue.close());
+        // Event streams never end on their own, so they are closed up front
+        this.consultationEvents.closeAll();
+        this.consultationJobs.stop();
+        this.idempotency.stop();
+        this.retention.stop();
+      }
+    });
+
+    try {
+      await tracer.shutdown();
+      await this.store.set('lifecycle', 'lastShutdown', report);
+      await this.store.close();
+    } catch (error) {
+      logger.error(`Error flushing state at shutdown: ${error.message}`);
     }
+
+    return report;
   }
   
   /**
@@ -1115,6 +2140,7 @@ class OrthoIQAgentSystem {
       return insights;
     } catch (error) {
       logger.error(`Learning mode error: ${error.message}`);
+      throw error;
     }
   }
   
@@ -1126,22 +2152,71 @@ class OrthoIQAgentSystem {
     };
   }
   
+  /**
+   * 429 for a consultation turned away by admission control
+   */
+  sendAdmissionRejection(res, error) {
+    const retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+    const { running, queueDepth, maxConcurrent, maxQueued } = this.admission.getStats();
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Consultation capacity exceeded',
+      message: error.message,
+      reason: error.reason,
+      retryAfter,
+      admission: { running, queueDepth, maxConcurrent, maxQueued }
+    });
+  }
+
+  /**
+   * Tenant (and user) a background job works for; webhook deliveries belong to their subscriber's tenant
+   */
+  jobOwner(job) {
+    const data = job.data || {};
+    if (data.deliveryId) {
+      const delivery = this.webhooks.deliveries.get(data.deliveryId);
+      return delivery ? { tenantId: delivery.subscriberTenantId } : null;
+    }
+    return {
+      tenantId: data.options?.tenantId ?? data.tenantId,
+      userId: data.options?.userId ?? data.caseData?.userId
+    };
+  }
+
+  /**
+   * Consultation job record if it belongs to the caller's tenant (and, for
+   * patient tokens, to the patient)
+   */
+  getAccessibleConsultation(req, consultationId) {
+    const job = this.consultationJobs.get(consultationId);
+    return job && canAccessRecord(req.auth, job) ? job : null;
+  }
+
+  /**
+   * Predictions outlive consultation job records (follow-ups arrive weeks
+   * later), so ownership is checked against the prediction record itself
+   */
+  canResolvePredictions(req, consultationId) {
+    const owner = this.coordinator.getPredictionOwner(consultationId)
+      || this.consultationJobs.get(consultationId);
+    return canAccessRecord(req.auth, owner);
+  }
+
+  getAccessibleRecoveryRecord(req, patientId) {
+    const record = this.recoveryMetrics.getPatientRecord(patientId, { tenantId: req.auth.tenantId });
+    return record && canAccessRecord(req.auth, record, record.patientId) ? record : null;
+  }
+
   async getStoredConsultation(consultationId) {
-    // In production, this would query a database
-    // For now, check in-memory cache
     try {
-      // Check if consultation was cached
-      if (this.consultationCache && this.consultationCache.has(consultationId)) {
-        return this.consultationCache.get(consultationId);
-      }
-
-      logger.warn(`Consultation ${consultationId} not found in cache`);
-      return null;
+      return this.consultationJobs.get(consultationId);
     } catch (error) {
       logger.error(`Error retrieving consultation: ${error.message}`);
       return null;
     }
   }
+
 }
 
 // Start the system if this file is run directly
@@ -1151,18 +2226,20 @@ async function main() {
   try {
     await system.start();
     
-    // Graceful shutdown handling
-    process.on('SIGINT', async () => {
-      logger.info('📴 Received SIGINT, shutting down gracefully');
-      await system.stop();
-      process.exit(0);
-    });
-    
-    process.on('SIGTERM', async () => {
-      logger.info('📴 Received SIGTERM, shutting down gracefully');
-      await system.stop();
-      process.exit(0);
-    });
+    // Graceful shutdown handling; a second signal exits without waiting
+    const shutdown = async signal => {
+      if (!system.lifecycle.isAccepting()) {
+        logger.warn(`📴 Received ${signal} again, exiting without waiting for the drain`);
+        process.exit(1);
+      }
+
+      logger.info(`📴 Received ${signal}, shutting down gracefully`);
+      const report = await system.stop({ reason: signal });
+      process.exit(report.abandoned.length > 0 ? 1 : 0);
+    };
+
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
     
   } catch (error) {
     logger.error(`❌ Failed to start OrthoIQ Agent System: ${error.message}`);
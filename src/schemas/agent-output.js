@@ -0,0 +1,212 @@
+// JSON schemas for structured agent output
+//
+// AGENT_OUTPUT_SCHEMAS - what each agent's LLM must return for its main
+//   assessment (validated, and repaired by re-asking when invalid)
+// SPECIALIST_RESPONSE_SCHEMA - the assessment object every agent hands back
+//   to the coordinator and the API, i.e. the fields the frontend can rely on
+//
+// Served from GET /schemas so clients can validate against the same contract.
+
+const AGENT_IDS = ['triage', 'painWhisperer', 'movementDetective', 'strengthSage', 'mindMender'];
+
+const narrative = {
+  type: 'string',
+  minLength: 1,
+  description: 'Patient-facing answer in markdown (## headers, bullet points, readable prose)'
+};
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const recommendation = {
+  type: 'object',
+  required: ['intervention'],
+  properties: {
+    intervention: { type: 'string', minLength: 1 },
+    priority: { type: 'integer', minimum: 1, maximum: 5 },
+    evidenceGrade: { type: 'string', enum: ['A', 'B', 'C'] },
+    timeline: { type: 'string' },
+    expectedOutcome: { type: 'string' },
+    contraindications: stringList
+  }
+};
+
+const agentQuestion = {
+  type: 'object',
+  required: ['targetAgent', 'question'],
+  properties: {
+    targetAgent: { type: 'string', enum: AGENT_IDS },
+    question: { type: 'string', minLength: 1 },
+    priority: { type: 'string', enum: ['high', 'medium', 'low'] }
+  }
+};
+
+const clinicalImportance = { type: 'string', enum: ['low', 'medium', 'high', 'critical'] };
+const riskLevel = { type: 'string', enum: ['low', 'moderate', 'high'] };
+
+const optionalFields = {
+  recommendations: { type: 'array', items: recommendation },
+  followUpQuestions: stringList
+};
+
+export const AGENT_OUTPUT_SCHEMAS = {
+  triage: {
+    $id: 'agent-output/triage',
+    title: 'Triage assessment',
+    type: 'object',
+    required: ['narrative', 'urgencyLevel', 'primaryFindings', 'specialistRecommendations', 'recommendations'],
+    properties: {
+      narrative,
+      urgencyLevel: { type: 'string', enum: ['emergency', 'urgent', 'semi-urgent', 'routine'] },
+      clinicalImportance,
+      primaryFindings: { ...stringList, minItems: 1 },
+      redFlags: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['flag', 'present'],
+          properties: {
+            flag: { type: 'string' },
+            present: { type: 'boolean' }
+          }
+        }
+      },
+      specialistRecommendations: {
+        type: 'array',
+        items: { type: 'string', enum: AGENT_IDS.filter(id => id !== 'triage') }
+      },
+      questionsForAgents: { type: 'array', items: agentQuestion },
+      ...optionalFields,
+      recommendations: { type: 'array', items: recommendation, minItems: 1 }
+    }
+  },
+
+  painWhisperer: {
+    $id: 'agent-output/painWhisperer',
+    title: 'Pain assessment',
+    type: 'object',
+    required: ['narrative', 'painScore', 'functionalImpact', 'riskLevel'],
+    properties: {
+      narrative,
+      painScore: { type: ['integer', 'null'], minimum: 0, maximum: 10 },
+      functionalImpact: { type: 'string', enum: ['mild', 'moderate', 'severe', 'unknown'] },
+      riskLevel: { ...riskLevel, description: 'Risk of the pain becoming chronic' },
+      ...optionalFields
+    }
+  },
+
+  movementDetective: {
+    $id: 'agent-output/movementDetective',
+    title: 'Movement pattern analysis',
+    type: 'object',
+    required: ['narrative', 'dysfunctionPatterns', 'compensatoryPatterns', 'riskLevel'],
+    properties: {
+      narrative,
+      dysfunctionPatterns: stringList,
+      compensatoryPatterns: stringList,
+      riskLevel,
+      ...optionalFields
+    }
+  },
+
+  strengthSage: {
+    $id: 'agent-output/strengthSage',
+    title: 'Functional capacity assessment',
+    type: 'object',
+    required: ['narrative', 'functionalLevel', 'strengthDeficits', 'restorationPotential'],
+    properties: {
+      narrative,
+      functionalLevel: { type: 'number', minimum: 0, maximum: 100, description: 'Percent of pre-injury capacity' },
+      strengthDeficits: stringList,
+      restorationPotential: { type: 'string', enum: ['excellent', 'good', 'fair', 'poor'] },
+      ...optionalFields
+    }
+  },
+
+  mindMender: {
+    $id: 'agent-output/mindMender',
+    title: 'Psychological assessment',
+    type: 'object',
+    required: ['narrative', 'riskFactors', 'protectiveFactors', 'interventionTargets', 'urgencyLevel'],
+    properties: {
+      narrative,
+      riskFactors: stringList,
+      protectiveFactors: stringList,
+      interventionTargets: stringList,
+      urgencyLevel: riskLevel,
+      ...optionalFields
+    }
+  }
+};
+
+export const SPECIALIST_RESPONSE_SCHEMA = {
+  $id: 'specialist-response',
+  title: 'Specialist assessment',
+  type: 'object',
+  required: [
+    'specialist',
+    'specialistType',
+    'assessment',
+    'rawResponse',
+    'recommendations',
+    'keyFindings',
+    'questionsForAgents',
+    'followUpQuestions',
+    'confidence',
+    'status',
+    'response'
+  ],
+  properties: {
+    specialist: { type: 'string' },
+    specialistType: { type: 'string', enum: AGENT_IDS },
+    assessment: {
+      type: 'object',
+      required: ['primaryFindings', 'confidence', 'dataQuality', 'clinicalImportance'],
+      properties: {
+        primaryFindings: stringList,
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        dataQuality: { type: 'number', minimum: 0, maximum: 1 },
+        clinicalImportance: { type: 'string', enum: ['low', 'medium', 'high', 'critical', 'unknown'] }
+      }
+    },
+    rawResponse: { type: 'string', description: 'Agent narrative before formatting' },
+    recommendations: { type: 'array', items: recommendation },
+    keyFindings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['finding', 'confidence'],
+        properties: {
+          finding: { type: 'string' },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          clinicalRelevance: { type: ['string', 'null'] },
+          requiresMDReview: { type: 'boolean' }
+        }
+      }
+    },
+    questionsForAgents: { type: 'array', items: agentQuestion },
+    followUpQuestions: stringList,
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    status: { type: 'string', enum: ['success', 'failed'] },
+    response: { type: 'string', description: 'Patient-facing markdown' },
+    structuredOutput: {
+      type: 'object',
+      description: 'How the LLM output was obtained (schema validation and repair attempts)',
+      properties: {
+        schema: { type: 'string' },
+        valid: { type: 'boolean' },
+        attempts: { type: 'integer', minimum: 1 },
+        errors: stringList
+      }
+    }
+  }
+};
+
+/**
+ * All published schemas keyed by name
+ */
+export function listSchemas() {
+  return {
+    ...Object.fromEntries(Object.entries(AGENT_OUTPUT_SCHEMAS).map(([agentId, schema]) => [`agent-output/${agentId}`, schema])),
+    'specialist-response': SPECIALIST_RESPONSE_SCHEMA
+  };
+}
@@ -0,0 +1,1362 @@
+// Request and response schemas for every HTTP route
+//
+// API_ROUTES is the single description of the HTTP API: setupRoutes registers
+// each handler through it (permission check plus request validation), GET /docs
+// lists it and GET /openapi.json is generated from it, so the three can't drift.
+// Response schemas describe the fields clients can rely on; handlers may add
+// more, so response objects stay open (no additionalProperties: false).
+
+import { SPECIALIST_RESPONSE_SCHEMA } from './agent-output.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUS } from '../utils/webhook-dispatcher.js';
+
+const SPECIALISTS = ['triage', 'painWhisperer', 'movementDetective', 'strengthSage', 'mindMender'];
+
+const string = { type: 'string' };
+const stringList = { type: 'array', items: string };
+const timestamp = { type: 'string', description: 'ISO 8601 timestamp' };
+const anyObject = { type: 'object' };
+const score = (maximum, description) => ({ type: 'number', minimum: 0, maximum, description });
+
+const success = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['success', ...required, 'timestamp'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    ...properties,
+    timestamp
+  }
+});
+
+export const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: string,
+    message: string,
+    details: { ...stringList, description: 'One entry per invalid field' },
+    retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (429 only)' }
+  }
+};
+
+// Returned with HTTP 200 when scope validation redirects a non-orthopedic query
+const OUT_OF_SCOPE_SCHEMA = {
+  type: 'object',
+  required: ['success', 'scopeValidation', 'recommendation'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    scopeValidation: {
+      type: 'object',
+      required: ['category', 'message'],
+      properties: {
+        category: { type: 'string', enum: ['out_of_scope'] },
+        message: string,
+        detectedCondition: { type: ['string', 'null'] },
+        confidence: { type: ['number', 'null'] }
+      }
+    },
+    recommendation: string,
+    timestamp
+  }
+};
+
+export const CASE_DATA_SCHEMA = {
+  type: 'object',
+  description: 'Patient case; at least a primary complaint, symptoms or free-text query is required',
+  anyOf: [
+    { required: ['primaryComplaint'] },
+    { required: ['symptoms'] },
+    { required: ['rawQuery'] }
+  ],
+  properties: {
+    primaryComplaint: { type: 'string', minLength: 1, maxLength: 2000 },
+    symptoms: {
+      type: ['string', 'array'],
+      items: string,
+      description: 'Free text or a list of symptoms'
+    },
+    rawQuery: { type: 'string', minLength: 1, maxLength: 10000, description: 'Patient query in their own words' },
+    painLevel: score(10, 'Pain on a 0-10 scale'),
+    location: string,
+    duration: string,
+    age: { type: 'number', minimum: 0, maximum: 130 },
+    history: { type: ['string', 'object', 'array'] },
+    userId: string,
+    enableDualTrack: { type: 'boolean' },
+    isReturningUser: { type: 'boolean' },
+    priorConsultations: { type: 'array' },
+    requestResearch: { type: 'boolean' },
+    uploadedImages: { type: 'array' },
+    athleteProfile: anyObject,
+    painData: anyObject,
+    movementData: anyObject,
+    functionalData: anyObject,
+    psychData: anyObject
+  }
+};
+
+const budgetSchema = {
+  type: 'object',
+  description: 'Per-consultation LLM budget, capped by the tenant budget',
+  anyOf: [{ required: ['maxCostUsd'] }, { required: ['maxTokens'] }],
+  properties: {
+    maxCostUsd: { type: 'number', exclusiveMinimum: 0 },
+    maxTokens: { type: 'number', exclusiveMinimum: 0 }
+  }
+};
+
+const consultationResultSchema = {
+  type: 'object',
+  required: ['consultationId', 'synthesizedRecommendations', 'participatingSpecialists', 'responses'],
+  properties: {
+    consultationId: string,
+    synthesizedRecommendations: {
+      type: 'object',
+      properties: {
+        synthesis: string,
+        synthesizedBy: string,
+        synthesisDetail: { type: 'string', enum: ['full', 'brief', 'none'] },
+        treatmentPlan: anyObject,
+        clinicalFlags: anyObject,
+        coordinationMetadata: anyObject
+      }
+    },
+    participatingSpecialists: { type: 'array', items: { type: 'string', enum: SPECIALISTS } },
+    responses: {
+      type: 'array',
+      items: anyObject,
+      description: 'Specialist assessments (see /schemas/specialist-response); failed specialists carry error and status'
+    },
+    mode: string,
+    duration: { type: ['number', 'null'] },
+    budget: { type: ['object', 'null'] },
+    usage: anyObject,
+    dataCompleteness: { type: 'number' },
+    suggestedFollowUp: { type: 'array' },
+    triageConfidence: { type: 'number' }
+  }
+};
+
+const jobStatus = { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] };
+
+const consultationJobSchema = {
+  type: 'object',
+  required: ['consultationId', 'status', 'mode', 'specialists', 'specialistResponses', 'createdAt', 'expiresAt'],
+  properties: {
+    consultationId: string,
+    status: jobStatus,
+    mode: string,
+    tenantId: string,
+    userId: { type: ['string', 'null'] },
+    specialists: stringList,
+    triage: { type: ['object', 'null'] },
+    specialistResponses: anyObject,
+    result: { ...consultationResultSchema, type: ['object', 'null'] },
+    error: { type: ['string', 'null'] },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    startedAt: { type: ['string', 'null'] },
+    completedAt: { type: ['string', 'null'] },
+    expiresAt: timestamp
+  }
+};
+
+// Follow-up answers for POST /consultation/:consultationId/answers
+const consultationAnswersSchema = {
+  type: 'object',
+  anyOf: [{ required: ['answers'] }, { required: ['followUpAnswers'] }],
+  properties: {
+    answers: {
+      type: 'object',
+      description: 'Case fields answering the follow-up questions; objects such as painData are merged into the stored case',
+      properties: Object.fromEntries(Object.entries(CASE_DATA_SCHEMA.properties).filter(([field]) => field !== 'userId'))
+    },
+    followUpAnswers: {
+      type: 'array',
+      minItems: 1,
+      description: 'Free-text answers, kept on the case as followUpAnswers',
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 1, maxLength: 1000 },
+          answer: { type: 'string', minLength: 1, maxLength: 2000 }
+        }
+      }
+    }
+  }
+};
+
+const interventionList = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['intervention', 'phase'],
+    properties: {
+      intervention: string,
+      phase: { type: 'string', enum: ['phase1', 'phase2', 'phase3'] },
+      priority: { type: ['number', 'null'] },
+      specialist: { type: ['string', 'null'] }
+    }
+  }
+};
+
+const valueChange = { type: ['object', 'null'], description: '{ before, after } when the value changed, otherwise null' };
+
+const refinementSchema = {
+  type: 'object',
+  required: ['number', 'changedFields', 'rerunSpecialists', 'changes'],
+  properties: {
+    number: { type: 'integer', description: 'How many times the consultation has been refined' },
+    changedFields: stringList,
+    completeness: {
+      type: 'object',
+      properties: { before: { type: 'number' }, after: { type: 'number' } }
+    },
+    completenessChanges: { ...anyObject, description: 'Specialist -> { before, after } data completeness' },
+    rerunSpecialists: { type: 'array', items: { type: 'string', enum: SPECIALISTS } },
+    failedSpecialists: { ...stringList, description: 'Re-run specialists that failed and kept their earlier assessment' },
+    changes: {
+      type: 'object',
+      required: ['interventions', 'hasChanges'],
+      properties: {
+        interventions: {
+          type: 'object',
+          properties: {
+            added: interventionList,
+            removed: interventionList,
+            changed: { type: 'array', items: anyObject },
+            unchanged: { type: 'integer' }
+          }
+        },
+        diagnosis: valueChange,
+        urgencyLevel: valueChange,
+        redFlags: {
+          type: 'object',
+          properties: { added: stringList, removed: stringList }
+        },
+        hasChanges: { type: 'boolean' }
+      }
+    },
+    startTime: timestamp,
+    endTime: timestamp
+  }
+};
+
+const patientId = { type: 'string', minLength: 1, maxLength: 200 };
+
+const recoveryMeasures = {
+  painLevel: score(10, 'Pain on a 0-10 scale'),
+  functionalScore: score(100, 'Function on a 0-100 scale'),
+  rangeOfMotion: { type: ['number', 'object'] },
+  strengthMetrics: { type: ['number', 'object'] },
+  qualityOfLife: score(10, 'Quality of life on a 0-10 scale')
+};
+
+const resolutionBody = (field, properties, required = []) => ({
+  type: 'object',
+  required: ['consultationId', field],
+  properties: {
+    consultationId: { type: 'string', minLength: 1 },
+    [field]: { type: 'object', required, properties: { ...properties, timestamp } }
+  }
+});
+
+const resolutionResponse = success({ consultationId: string, resolution: { type: ['object', 'null'] } }, ['consultationId']);
+
+const webhookSubscription = {
+  type: 'object',
+  required: ['id', 'url', 'events', 'tenantId', 'source'],
+  properties: {
+    id: string,
+    url: string,
+    events: { type: 'array', items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] } },
+    secret: { ...string, description: 'HMAC signing secret; only returned when the subscription is created' },
+    secretHint: string,
+    description: { type: ['string', 'null'] },
+    tenantId: { type: ['string', 'null'], description: 'null for subscribers configured with WEBHOOK_SUBSCRIPTIONS (all tenants)' },
+    source: { type: 'string', enum: ['config', 'api'] },
+    createdAt: timestamp
+  }
+};
+
+const webhookDelivery = {
+  type: 'object',
+  required: ['id', 'event', 'subscriptionId', 'url', 'status', 'attempts', 'payload'],
+  properties: {
+    id: string,
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+    eventId: string,
+    subscriptionId: string,
+    url: string,
+    tenantId: string,
+    payload: {
+      type: 'object',
+      required: ['id', 'event', 'tenantId', 'createdAt', 'data'],
+      properties: { id: string, event: string, tenantId: string, createdAt: timestamp, data: anyObject }
+    },
+    status: { type: 'string', enum: Object.values(DELIVERY_STATUS) },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['attempt', 'at'],
+        properties: {
+          attempt: { type: 'integer' },
+          at: timestamp,
+          statusCode: { type: ['integer', 'null'] },
+          durationMs: { type: 'number' },
+          error: { type: ['string', 'null'] }
+        }
+      }
+    },
+    createdAt: timestamp,
+    deliveredAt: { type: ['string', 'null'] },
+    deadLetteredAt: { type: ['string', 'null'] }
+  }
+};
+
+const deliveryParam = { deliveryId: { type: 'string', minLength: 1 } };
+
+const agentParam = { agentId: { type: 'string', minLength: 1 } };
+const consultationParam = { consultationId: { type: 'string', minLength: 1 } };
+// What a retention purge removed per data class; counts carry no identifiers
+const retentionCounts = { type: 'object', additionalProperties: { type: 'integer' } };
+const retentionReport = {
+  type: 'object',
+  required: ['runId', 'trigger', 'startedAt', 'finishedAt', 'policy', 'purged', 'total'],
+  properties: {
+    runId: string,
+    trigger: { type: 'string', enum: ['scheduled', 'manual'] },
+    startedAt: timestamp,
+    finishedAt: timestamp,
+    policy: anyObject,
+    purged: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: { deleted: retentionCounts, anonymized: retentionCounts }
+      }
+    },
+    total: { type: 'integer' }
+  }
+};
+
+const userParam = { userId: { type: 'string', minLength: 1, maxLength: 200 } };
+
+/**
+ * Route definitions. `permission` names an entry in PERMISSIONS
+ * (src/utils/auth.js); routes without one are public. `idempotent` routes
+ * honour the Idempotency-Key header (src/utils/idempotency.js) and `audit`
+ * routes are recorded in the audit log (src/utils/audit-log.js)
+ */
+export const API_ROUTES = [
+  {
+    method: 'get',
+    path: '/health',
+    operationId: 'health',
+    summary: 'System health check',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['status', 'timestamp', 'system', 'agents', 'blockchain'],
+        properties: {
+          status: { type: 'string', enum: ['healthy'] },
+          timestamp,
+          system: string,
+          agents: { type: 'integer', minimum: 0 },
+          blockchain: { type: 'string', enum: ['connected', 'offline'] }
+        }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/status',
+    operationId: 'status',
+    summary: 'Detailed system status, performance and queue metrics',
+    permission: 'system:admin',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['system', 'performance', 'agents', 'coordination'],
+        properties: {
+          system: {
+            type: 'object',
+            required: ['initialized', 'uptime', 'version'],
+            properties: { initialized: { type: 'boolean' }, uptime: { type: 'number' }, version: string, llmProvider: string }
+          },
+          performance: anyObject,
+          agents: anyObject,
+          coordination: anyObject,
+          consultationJobs: anyObject,
+          jobQueue: anyObject,
+          usage: anyObject,
+          admission: anyObject,
+          rateLimits: anyObject,
+          auth: anyObject,
+          metrics: anyObject,
+          tracing: anyObject,
+          privacy: anyObject,
+          audit: anyObject,
+          userData: anyObject,
+          retention: anyObject
+        }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/metrics',
+    operationId: 'metrics',
+    summary: 'Consultation, specialist, cache, scope, conference, token and LLM usage metrics in Prometheus text format',
+    permission: 'system:admin',
+    stream: 'text/plain; version=0.0.4',
+    responses: {}
+  },
+  {
+    method: 'post',
+    path: '/triage',
+    operationId: 'triage',
+    summary: 'Triage a patient case',
+    permission: 'consultations:create',
+    audit: { resource: 'consultation', action: 'write' },
+    body: CASE_DATA_SCHEMA,
+    responses: {
+      200: { anyOf: [success({ triage: anyObject }, ['triage']), OUT_OF_SCOPE_SCHEMA] }
+    }
+  },
+  {
+    method: 'post',
+    path: '/consultation',
+    operationId: 'createConsultation',
+    summary: 'Multi-specialist consultation; fast mode answers with triage and continues in the background',
+    permission: 'consultations:create',
+    audit: { resource: 'consultation', action: 'write' },
+    idempotent: true,
+    query: {
+      noCache: { type: 'boolean', description: 'Skip the consultation cache' }
+    },
+    body: {
+      type: 'object',
+      required: ['caseData'],
+      properties: {
+        caseData: CASE_DATA_SCHEMA,
+        requiredSpecialists: { type: 'array', items: { type: 'string', enum: SPECIALISTS } },
+        mode: { type: 'string', enum: ['fast', 'normal'], description: 'Defaults to fast' },
+        platformContext: anyObject,
+        budget: budgetSchema,
+        noCache: { type: 'boolean' }
+      }
+    },
+    responses: {
+      200: {
+        anyOf: [
+          success({
+            mode: { type: 'string', enum: ['fast'] },
+            triage: anyObject,
+            status: { type: 'string', enum: ['processing'] },
+            message: string,
+            consultationId: string,
+            responseTime: { type: 'number' }
+          }, ['mode', 'triage', 'status', 'consultationId']),
+          success({
+            consultation: consultationResultSchema,
+            fromCache: { type: 'boolean' },
+            similarityMatch: { type: 'boolean' },
+            mode: string,
+            responseTime: { type: 'number' }
+          }, ['consultation', 'fromCache']),
+          OUT_OF_SCOPE_SCHEMA
+        ]
+      },
+      504: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/consultation/:consultationId',
+    operationId: 'getConsultation',
+    summary: 'Consultation job with partial specialist responses and the final result',
+    permission: 'consultations:read',
+    audit: { resource: 'consultation', action: 'read' },
+    params: consultationParam,
+    responses: {
+      200: success({ consultation: consultationJobSchema }, ['consultation']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/consultation/:consultationId/events',
+    operationId: 'streamConsultationEvents',
+    summary: 'Stream consultation progress as Server-Sent Events (supports Last-Event-ID)',
+    permission: 'consultations:read',
+    audit: { resource: 'consultation', action: 'read' },
+    params: consultationParam,
+    stream: 'text/event-stream',
+    responses: {
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/consultation/:consultationId/status',
+    operationId: 'getConsultationStatus',
+    summary: 'Consultation job status and progress',
+    permission: 'consultations:read',
+    audit: { resource: 'consultation', action: 'read' },
+    params: consultationParam,
+    responses: {
+      200: success({
+        consultationId: string,
+        status: jobStatus,
+        mode: string,
+        progress: {
+          type: 'object',
+          required: ['expectedSpecialists', 'receivedSpecialists', 'completed', 'total'],
+          properties: {
+            expectedSpecialists: stringList,
+            receivedSpecialists: stringList,
+            completed: { type: 'integer' },
+            total: { type: 'integer' }
+          }
+        },
+        error: { type: ['string', 'null'] },
+        expiresAt: timestamp
+      }, ['consultationId', 'status', 'progress']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/consultation/:consultationId/trace',
+    operationId: 'getConsultationTrace',
+    summary: 'Trace spans of a consultation (triage, specialists, conference, synthesis, predictions) with time per stage',
+    permission: 'consultations:read',
+    audit: { resource: 'consultation', action: 'read' },
+    params: consultationParam,
+    responses: {
+      200: success({
+        consultationId: string,
+        traces: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['traceId', 'startTime', 'spans', 'breakdown'],
+            properties: {
+              traceId: string,
+              startTime: timestamp,
+              endTime: { type: ['string', 'null'] },
+              durationMs: { type: ['number', 'null'] },
+              spans: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  required: ['spanId', 'parentSpanId', 'name', 'startTime', 'endTime', 'durationMs', 'status'],
+                  properties: {
+                    spanId: string,
+                    parentSpanId: { type: ['string', 'null'] },
+                    name: string,
+                    kind: string,
+                    startTime: timestamp,
+                    endTime: { type: ['string', 'null'] },
+                    durationMs: { type: ['number', 'null'] },
+                    status: { type: 'string', enum: ['unset', 'ok', 'error'] },
+                    statusMessage: { type: ['string', 'null'] },
+                    attributes: anyObject,
+                    events: { type: 'array', items: anyObject }
+                  }
+                }
+              },
+              breakdown: anyObject
+            }
+          }
+        }
+      }, ['consultationId', 'traces']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/consultation/:consultationId/answers',
+    operationId: 'answerConsultationFollowUp',
+    summary: 'Refine a completed consultation with follow-up answers; only specialists whose data completeness changed run again',
+    permission: 'consultations:create',
+    audit: { resource: 'consultation', action: 'write' },
+    idempotent: true,
+    params: consultationParam,
+    body: consultationAnswersSchema,
+    responses: {
+      200: success({
+        consultationId: string,
+        refinement: refinementSchema,
+        consultation: consultationResultSchema
+      }, ['consultationId', 'refinement', 'consultation']),
+      404: ERROR_SCHEMA,
+      409: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/recovery/start',
+    operationId: 'startRecovery',
+    summary: 'Start recovery tracking for a patient',
+    permission: 'recovery:track',
+    audit: { resource: 'recovery', action: 'write' },
+    body: {
+      type: 'object',
+      required: ['patientId', 'initialAssessment'],
+      properties: {
+        patientId,
+        initialAssessment: { type: 'object', properties: { ...recoveryMeasures, injuryType: string, severity: string } }
+      }
+    },
+    responses: {
+      200: success({
+        tracking: {
+          type: 'object',
+          required: ['patientId', 'baselineMetrics', 'recoveryGoals', 'expectedTimeline'],
+          properties: {
+            patientId: string,
+            baselineMetrics: anyObject,
+            recoveryGoals: { type: ['object', 'array'] },
+            expectedTimeline: anyObject,
+            trackingStarted: timestamp
+          }
+        }
+      }, ['tracking']),
+      403: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/recovery/update',
+    operationId: 'updateRecovery',
+    summary: 'Record recovery progress',
+    permission: 'recovery:track',
+    audit: { resource: 'recovery', action: 'write' },
+    body: {
+      type: 'object',
+      required: ['patientId', 'progressData'],
+      properties: {
+        patientId,
+        progressData: {
+          type: 'object',
+          anyOf: Object.keys(recoveryMeasures).map(field => ({ required: [field] })),
+          properties: recoveryMeasures
+        }
+      }
+    },
+    responses: {
+      200: success({
+        update: {
+          type: 'object',
+          required: ['patientId', 'progressUpdate', 'currentPhase'],
+          properties: {
+            patientId: string,
+            progressUpdate: anyObject,
+            currentPhase: string,
+            milestonesReached: { type: 'integer' },
+            riskAssessment: anyObject,
+            recommendations: { type: 'array' }
+          }
+        }
+      }, ['update']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/recovery/complete',
+    operationId: 'completeRecovery',
+    summary: 'Complete recovery tracking, record the outcome and distribute rewards',
+    permission: 'recovery:complete',
+    audit: { resource: 'recovery', action: 'write' },
+    idempotent: true,
+    body: {
+      type: 'object',
+      required: ['patientId', 'finalOutcome'],
+      properties: {
+        patientId,
+        finalOutcome: {
+          type: 'object',
+          properties: {
+            ...recoveryMeasures,
+            returnToActivity: { type: 'boolean' },
+            patientSatisfaction: score(10, 'Satisfaction on a 0-10 scale'),
+            adherenceRate: score(100, 'Adherence percentage')
+          }
+        }
+      }
+    },
+    responses: {
+      200: success({
+        completion: anyObject,
+        blockchainRecord: { type: ['object', 'null'] },
+        rewards: {
+          type: 'array',
+          items: { type: 'object', required: ['agent'], properties: { agent: string, tokens: { type: ['number', 'null'] } } }
+        }
+      }, ['completion', 'rewards']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/agents/:agentType/assess',
+    operationId: 'agentAssessment',
+    summary: 'Assessment by a single specialist agent',
+    permission: 'agents:assess',
+    audit: { resource: 'assessment', action: 'write' },
+    params: { agentType: { type: 'string', description: `One of ${SPECIALISTS.join(', ')}` } },
+    body: {
+      type: 'object',
+      description: 'Assessment data for the agent (case fields plus agent-specific data such as painData)',
+      properties: {
+        ...CASE_DATA_SCHEMA.properties,
+        outcome: {
+          type: 'object',
+          description: 'Observed outcome; a successful one awards tokens to the agent',
+          properties: { success: { type: 'boolean' } }
+        }
+      }
+    },
+    responses: {
+      200: { anyOf: [success({ agent: string, assessment: anyObject }, ['agent', 'assessment']), OUT_OF_SCOPE_SCHEMA] },
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/jobs',
+    operationId: 'listJobs',
+    summary: 'List background jobs',
+    permission: 'system:admin',
+    audit: { resource: 'job', action: 'read' },
+    query: {
+      status: { type: 'string', enum: ['waiting', 'active', 'delayed', 'completed', 'failed'] },
+      name: string,
+      limit: { type: 'integer', minimum: 1, maximum: 1000 }
+    },
+    responses: {
+      200: success({ jobs: { type: 'array', items: anyObject }, stats: anyObject }, ['jobs', 'stats'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/jobs/:jobId',
+    operationId: 'getJob',
+    summary: 'Background job details',
+    permission: 'system:admin',
+    audit: { resource: 'job', action: 'read' },
+    params: { jobId: string },
+    responses: {
+      200: success({ job: anyObject }, ['job']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/usage',
+    operationId: 'usageSummary',
+    summary: 'Token usage and cost aggregates with budget status',
+    permission: 'system:admin',
+    responses: {
+      200: success({
+        usage: {
+          type: 'object',
+          required: ['totals', 'byAgent', 'byStage', 'byModel', 'budgets'],
+          properties: { totals: anyObject, byAgent: anyObject, byStage: anyObject, byModel: anyObject, budgets: anyObject }
+        }
+      }, ['usage'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/usage/consultations/:consultationId',
+    operationId: 'consultationUsage',
+    summary: 'Cost breakdown for one consultation',
+    permission: 'system:admin',
+    audit: { resource: 'usage', action: 'read' },
+    params: consultationParam,
+    responses: {
+      200: success({
+        usage: {
+          type: 'object',
+          required: ['consultationId', 'totals', 'specialists', 'conference', 'synthesis'],
+          properties: { consultationId: string, totals: anyObject, specialists: anyObject, conference: anyObject, synthesis: anyObject }
+        }
+      }, ['usage']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/audit/entries',
+    operationId: 'exportAuditEntries',
+    summary: 'Audit log entries for a patient or consultation, with the chain verification',
+    permission: 'audit:read',
+    query: {
+      patientId: { type: 'string', minLength: 1 },
+      consultationId: { type: 'string', minLength: 1 }
+    },
+    responses: {
+      200: success({
+        patientId: { type: ['string', 'null'] },
+        consultationId: { type: ['string', 'null'] },
+        entries: { type: 'array', items: anyObject },
+        verification: anyObject,
+        exportedAt: string
+      }, ['entries', 'verification'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/audit/verify',
+    operationId: 'verifyAuditLog',
+    summary: 'Verify the audit log hash chain',
+    permission: 'audit:read',
+    responses: {
+      200: success({
+        valid: { type: 'boolean' },
+        entries: { type: 'integer' },
+        headHash: string,
+        brokenAt: { type: ['integer', 'null'] },
+        reason: { type: ['string', 'null'] }
+      }, ['valid', 'entries', 'headHash'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/users/:userId/export',
+    operationId: 'exportUserData',
+    summary: 'Everything recorded about a user as one machine-readable bundle (consultations, recovery, agent assessments, audit trail)',
+    permission: 'users:export',
+    audit: { resource: 'user', action: 'read' },
+    params: userParam,
+    responses: {
+      200: success({
+        export: {
+          type: 'object',
+          required: ['format', 'version', 'userId', 'tenantId', 'exportedAt', 'consultationIds'],
+          properties: {
+            format: string,
+            version: { type: 'integer' },
+            userId: string,
+            tenantId: string,
+            exportedAt: timestamp,
+            consultationIds: stringList,
+            consultations: { type: 'array', items: anyObject },
+            predictions: { type: 'array', items: anyObject },
+            resolutions: { type: 'array', items: anyObject },
+            recovery: anyObject,
+            patientHistory: { type: ['object', 'null'] },
+            agentRecords: anyObject,
+            auditTrail: { type: 'array', items: anyObject }
+          }
+        }
+      }, ['export']),
+      403: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'delete',
+    path: '/users/:userId',
+    operationId: 'eraseUserData',
+    summary: 'Delete or anonymize everything recorded about a user; aggregate statistics, the token ledger and the audit log stay consistent',
+    permission: 'users:erase',
+    audit: { resource: 'user', action: 'delete' },
+    params: userParam,
+    responses: {
+      200: success({
+        erasure: {
+          type: 'object',
+          required: ['userId', 'tenantId', 'erasedAt', 'deleted', 'anonymized', 'retained'],
+          properties: {
+            userId: string,
+            tenantId: string,
+            erasedAt: timestamp,
+            consultationIds: { type: 'integer', description: 'Consultations found for the user' },
+            deleted: { type: 'object', additionalProperties: { type: 'integer' } },
+            anonymized: { type: 'object', additionalProperties: { type: 'integer' } },
+            retained: { type: 'object', additionalProperties: { type: 'integer' } }
+          }
+        }
+      }, ['erasure']),
+      403: ERROR_SCHEMA,
+      409: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/retention/policy',
+    operationId: 'getRetentionPolicy',
+    summary: 'Days each data class is kept (null: indefinitely) and the purge schedule',
+    permission: 'retention:read',
+    responses: {
+      200: success({
+        policy: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            required: ['retentionDays'],
+            properties: { retentionDays: { type: ['number', 'null'] }, description: string }
+          }
+        },
+        schedule: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            intervalMs: { type: 'integer' },
+            lastRunAt: { type: ['string', 'null'] }
+          }
+        }
+      }, ['policy', 'schedule'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/retention/reports',
+    operationId: 'listRetentionReports',
+    summary: 'Reports of recent retention purges, newest first',
+    permission: 'retention:read',
+    query: {
+      limit: { type: 'integer', minimum: 1, maximum: 1000 }
+    },
+    responses: {
+      200: success({ reports: { type: 'array', items: retentionReport } }, ['reports'])
+    }
+  },
+  {
+    method: 'post',
+    path: '/retention/purge',
+    operationId: 'purgeExpiredData',
+    summary: 'Purge everything past its retention period now and report what was removed',
+    permission: 'retention:purge',
+    responses: {
+      200: success({ report: retentionReport }, ['report'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/webhooks/subscriptions',
+    operationId: 'listWebhookSubscriptions',
+    summary: 'Webhook subscribers of the caller\'s tenant',
+    permission: 'webhooks:manage',
+    responses: {
+      200: success({ subscriptions: { type: 'array', items: webhookSubscription }, events: stringList }, ['subscriptions'])
+    }
+  },
+  {
+    method: 'post',
+    path: '/webhooks/subscriptions',
+    operationId: 'createWebhookSubscription',
+    summary: 'Register a webhook subscriber; the response holds its signing secret',
+    permission: 'webhooks:manage',
+    body: {
+      type: 'object',
+      required: ['url', 'events'],
+      properties: {
+        url: { type: 'string', pattern: '^https?://', maxLength: 2000 },
+        events: {
+          anyOf: [
+            { type: 'string', enum: ['*'] },
+            { type: 'array', minItems: 1, items: { type: 'string', enum: ['*', ...WEBHOOK_EVENTS] } }
+          ]
+        },
+        secret: { type: 'string', minLength: 16, maxLength: 200, description: 'Generated when omitted' },
+        description: { type: 'string', maxLength: 500 }
+      }
+    },
+    responses: {
+      200: success({ subscription: webhookSubscription }, ['subscription'])
+    }
+  },
+  {
+    method: 'delete',
+    path: '/webhooks/subscriptions/:subscriptionId',
+    operationId: 'deleteWebhookSubscription',
+    summary: 'Remove a webhook subscriber; its pending deliveries are cancelled',
+    permission: 'webhooks:manage',
+    params: { subscriptionId: { type: 'string', minLength: 1 } },
+    responses: {
+      200: success({ subscriptionId: string }, ['subscriptionId']),
+      404: ERROR_SCHEMA,
+      409: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/webhooks/deliveries',
+    operationId: 'listWebhookDeliveries',
+    summary: 'Webhook delivery logs, newest first',
+    permission: 'webhooks:manage',
+    query: {
+      status: { type: 'string', enum: Object.values(DELIVERY_STATUS) },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      subscriptionId: string,
+      limit: { type: 'integer', minimum: 1, maximum: 1000 }
+    },
+    responses: {
+      200: success({ deliveries: { type: 'array', items: webhookDelivery } }, ['deliveries'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/webhooks/deliveries/:deliveryId',
+    operationId: 'getWebhookDelivery',
+    summary: 'One webhook delivery with every attempt',
+    permission: 'webhooks:manage',
+    params: deliveryParam,
+    responses: {
+      200: success({ delivery: webhookDelivery }, ['delivery']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/webhooks/deliveries/:deliveryId/redeliver',
+    operationId: 'redeliverWebhook',
+    summary: 'Queue a dead-lettered or cancelled delivery again',
+    permission: 'webhooks:manage',
+    params: deliveryParam,
+    responses: {
+      200: success({ delivery: webhookDelivery }, ['delivery']),
+      404: ERROR_SCHEMA,
+      409: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/webhooks/dead-letters',
+    operationId: 'listWebhookDeadLetters',
+    summary: 'Deliveries that exhausted their retries',
+    permission: 'webhooks:manage',
+    query: { limit: { type: 'integer', minimum: 1, maximum: 1000 } },
+    responses: {
+      200: success({ deliveries: { type: 'array', items: webhookDelivery } }, ['deliveries'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/schemas',
+    operationId: 'listSchemas',
+    summary: 'Agent output and specialist response JSON schemas',
+    responses: {
+      200: success({ schemas: anyObject }, ['schemas'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/schemas/*',
+    openApiPath: '/schemas/{name}',
+    operationId: 'getSchema',
+    summary: 'One schema, e.g. /schemas/agent-output/triage or /schemas/specialist-response',
+    params: { name: { type: 'string', description: 'Schema name; may contain slashes' } },
+    responses: {
+      200: { type: 'object', description: 'JSON Schema' },
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/cache/clear',
+    operationId: 'clearCache',
+    summary: 'Clear the caller\'s tenant entries from the consultation cache',
+    permission: 'system:admin',
+    audit: { resource: 'cache', action: 'delete' },
+    responses: {
+      200: success({ message: string, cleared: { type: 'integer', description: 'Cache entries removed for the caller\'s tenant' } })
+    }
+  },
+  {
+    method: 'get',
+    path: '/cache/stats',
+    operationId: 'cacheStats',
+    summary: 'Cache statistics and configuration',
+    permission: 'system:admin',
+    responses: {
+      200: success({
+        stats: anyObject,
+        similarityCacheEnabled: { type: 'boolean' },
+        similarityThreshold: { type: 'number' },
+        cacheEnabled: { type: 'boolean' }
+      }, ['stats'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/tokens/balance/:agentId',
+    operationId: 'agentTokenBalance',
+    summary: 'Agent token balance',
+    permission: 'agents:read',
+    params: agentParam,
+    responses: {
+      200: success({ balance: anyObject }, ['balance']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/tokens/statistics',
+    operationId: 'tokenStatistics',
+    summary: 'Network token statistics',
+    permission: 'system:admin',
+    responses: {
+      200: success({ statistics: anyObject }, ['statistics'])
+    }
+  },
+  {
+    method: 'get',
+    path: '/predictions/market/statistics',
+    operationId: 'predictionMarketStatistics',
+    summary: 'Prediction market statistics',
+    permission: 'system:admin',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['success', 'statistics'],
+        properties: {
+          success: { type: 'boolean' },
+          statistics: { type: ['object', 'null'] },
+          message: string,
+          timestamp
+        }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/predictions/agent/:agentId',
+    operationId: 'agentPredictionPerformance',
+    summary: 'Agent prediction performance',
+    permission: 'agents:read',
+    params: agentParam,
+    responses: {
+      200: success({ agentId: string, performance: anyObject }, ['agentId', 'performance']),
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/predictions/resolve/md-review',
+    operationId: 'resolveMDReview',
+    summary: 'Resolve predictions with MD review data',
+    permission: 'predictions:review',
+    audit: { resource: 'resolution', action: 'write' },
+    idempotent: true,
+    body: resolutionBody('mdReviewData', {
+      approved: { type: 'boolean' },
+      clinicalAccuracy: score(1, 'Reviewer-rated accuracy, 0-1'),
+      recommendations: string
+    }, ['approved']),
+    responses: {
+      200: resolutionResponse,
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/predictions/resolve/user-modal',
+    operationId: 'resolveUserModal',
+    summary: 'Resolve predictions with the user feedback modal',
+    permission: 'predictions:feedback',
+    audit: { resource: 'resolution', action: 'write' },
+    idempotent: true,
+    body: resolutionBody('userFeedback', {
+      satisfied: { type: 'boolean' },
+      painLevel: score(10, 'Pain on a 0-10 scale'),
+      confidence: { type: 'number', minimum: 1, maximum: 5 }
+    }, ['satisfied']),
+    responses: {
+      200: {
+        ...resolutionResponse,
+        properties: {
+          ...resolutionResponse.properties,
+          cascadingResolution: { type: ['object', 'null'] },
+          recommendMDReview: { type: 'boolean' },
+          totalAgentsResolved: { type: 'integer' }
+        }
+      },
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'post',
+    path: '/predictions/resolve/follow-up',
+    operationId: 'resolveFollowUp',
+    summary: 'Resolve predictions with user follow-up data',
+    permission: 'predictions:feedback',
+    audit: { resource: 'resolution', action: 'write' },
+    idempotent: true,
+    body: resolutionBody('followUpData', {
+      painLevel: score(10, 'Pain on a 0-10 scale'),
+      functionalImprovement: score(100, 'Percent functional improvement'),
+      returnedToActivity: { type: 'boolean' },
+      adherenceRate: score(100, 'Adherence percentage'),
+      daysSinceConsultation: { type: 'integer', minimum: 0 }
+    }),
+    responses: {
+      200: resolutionResponse,
+      404: ERROR_SCHEMA
+    }
+  },
+  {
+    method: 'get',
+    path: '/docs',
+    operationId: 'docs',
+    summary: 'API overview with the endpoint list',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['name', 'version', 'endpoints'],
+        properties: { name: string, version: string, description: string, endpoints: anyObject, agents: anyObject }
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    operationId: 'openApi',
+    summary: 'This API as an OpenAPI 3.1 document',
+    responses: {
+      200: { type: 'object', required: ['openapi', 'info', 'paths'] }
+    }
+  }
+];
+
+/**
+ * Find the route definition for an Express method and path
+ */
+export function findRoute(method, path) {
+  return API_ROUTES.find(route => route.method === method && route.path === path) || null;
+}
+
+/**
+ * Express path to OpenAPI path, e.g. /consultation/:consultationId -> /consultation/{consultationId}
+ */
+export function toOpenApiPath(route) {
+  return route.openApiPath || route.path.replace(/:([A-Za-z_]\w*)/g, '{$1}');
+}
+
+const STANDARD_ERRORS = {
+  400: 'Invalid request',
+  401: 'Missing or invalid credentials',
+  403: 'Role not allowed to perform this operation',
+  409: 'Conflicts with the current state of the resource',
+  422: 'Idempotency-Key already used with a different request',
+  429: 'Rate limit or consultation capacity exceeded (see Retry-After)',
+  500: 'Internal error'
+};
+
+function jsonContent(schema) {
+  return { 'application/json': { schema } };
+}
+
+function parameters(route) {
+  const pathParams = Object.entries(route.params || {}).map(([name, schema]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema
+  }));
+  const queryParams = Object.entries(route.query || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: false,
+    schema
+  }));
+  return [...pathParams, ...queryParams];
+}
+
+function operation(route, permissions) {
+  const responses = {};
+  for (const [status, schema] of Object.entries(route.responses)) {
+    responses[status] = {
+      description: status === '200' ? route.summary : STANDARD_ERRORS[status] || 'Error',
+      content: jsonContent(schema)
+    };
+  }
+  if (route.stream) {
+    responses[200] = {
+      description: route.summary,
+      content: { [route.stream]: { schema: { type: 'string' } } }
+    };
+  }
+
+  const errorStatuses = [
+    ...(route.body || route.query ? [400] : []),
+    ...(route.permission ? [401, 403, 429] : []),
+    ...(route.idempotent ? [409, 422] : []),
+    500
+  ];
+  for (const status of errorStatuses) {
+    responses[status] ||= { description: STANDARD_ERRORS[status], content: jsonContent(ERROR_SCHEMA) };
+  }
+
+  const op = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: [route.path.split('/')[1].replace(/\.json$/, '')],
+    responses
+  };
+
+  const params = parameters(route);
+  if (route.idempotent) {
+    params.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key and request replay the first response (Idempotent-Replayed: true)',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    });
+  }
+  if (params.length > 0) op.parameters = params;
+  if (route.body) op.requestBody = { required: true, content: jsonContent(route.body) };
+
+  if (route.audit) op['x-audit'] = route.audit;
+
+  if (route.permission) {
+    op.security = [{ apiKey: [] }, { bearer: [] }];
+    op['x-roles'] = permissions[route.permission];
+  } else {
+    op.security = [];
+  }
+
+  return op;
+}
+
+/**
+ * Generate the OpenAPI 3.1 document for API_ROUTES
+ * @param {Object} options - { version, permissions (role lists per permission), serverUrl }
+ */
+export function buildOpenApiDocument({ version = '1.0.0', permissions = {}, serverUrl = null } = {}) {
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const path = toOpenApiPath(route);
+    paths[path] = { ...paths[path], [route.method]: operation(route, permissions) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'OrthoIQ Agents API',
+      version,
+      description: 'Multi-agent orthopedic consultation and recovery API. Roles (x-roles): patient (patient app; ' +
+        'patient tokens only reach their own records), clinician and admin.'
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', description: 'API key or HS256 JWT (claims: sub, tenantId, role)' }
+      },
+      schemas: {
+        Error: ERROR_SCHEMA,
+        CaseData: CASE_DATA_SCHEMA,
+        SpecialistResponse: SPECIALIST_RESPONSE_SCHEMA
+      }
+    }
+  };
+}
@@ -0,0 +1,167 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+/**
+ * AdmissionController - caps how many consultation coordinations run at once
+ * (each fans out to several LLM agents plus a conference round) and holds the
+ * overflow in a bounded FIFO wait queue.
+ *
+ * Normal-mode requests wait for a slot (up to queueTimeoutMs) or are turned
+ * away once the queue is full. Fast-mode requests reserve a place in the queue
+ * before their immediate triage; the background job later claims a slot with
+ * that reservation and is never rejected, since the client has already been
+ * promised a result.
+ */
+export class AdmissionController {
+  constructor(options = {}) {
+    const config = agentConfig.admission || {};
+
+    this.maxConcurrent = options.maxConcurrent ?? config.maxConcurrentCoordinations ?? 4;
+    this.maxQueued = options.maxQueued ?? config.maxQueuedCoordinations ?? 20;
+    this.queueTimeoutMs = options.queueTimeoutMs ?? config.queueTimeoutMs ?? 30 * 1000;
+
+    this.running = 0;
+    this.waiters = []; // { resolve, reject, timer, enqueuedAt }
+    this.reservations = new Set(); // consultationIds admitted for background coordination
+    this.stats = {
+      admitted: 0,
+      rejected: 0,
+      timedOut: 0,
+      peakQueueDepth: 0,
+      totalWaitMs: 0,
+      waited: 0,
+      totalRunMs: 0,
+      completed: 0
+    };
+  }
+
+  get queueDepth() {
+    return this.waiters.length + this.reservations.size;
+  }
+
+  /**
+   * Suggested Retry-After: time for the work ahead of a new caller to drain
+   */
+  estimateWaitMs() {
+    const averageRunMs = this.stats.completed > 0 ? this.stats.totalRunMs / this.stats.completed : 30 * 1000;
+    const ahead = this.running + this.queueDepth + 1 - this.maxConcurrent;
+    return Math.max(1000, Math.ceil((Math.max(ahead, 1) * averageRunMs) / Math.max(this.maxConcurrent, 1)));
+  }
+
+  rejection(reason, message) {
+    const error = new Error(message);
+    error.code = 'ADMISSION_REJECTED';
+    error.reason = reason;
+    error.retryAfterMs = this.estimateWaitMs();
+    return error;
+  }
+
+  notePeak() {
+    this.stats.peakQueueDepth = Math.max(this.stats.peakQueueDepth, this.queueDepth);
+  }
+
+  /**
+   * Reserve a queue place for a background (fast-mode) coordination
+   * @throws {Error} code ADMISSION_REJECTED when running and queued work is at capacity
+   */
+  reserve(consultationId) {
+    if (this.running + this.queueDepth >= this.maxConcurrent + this.maxQueued) {
+      this.stats.rejected++;
+      throw this.rejection('queue_full', `Consultation capacity reached (${this.running} running, ${this.queueDepth} queued)`);
+    }
+
+    this.reservations.add(consultationId);
+    this.notePeak();
+  }
+
+  cancelReservation(consultationId) {
+    this.reservations.delete(consultationId);
+  }
+
+  /**
+   * Wait for a coordination slot
+   * @param {Object} options - { reservationId } for reserved background work,
+   *   which skips the queue bound and the wait timeout
+   * @returns {Promise<Function>} Resolves with a release function to call when the coordination ends
+   */
+  acquire({ reservationId = null } = {}) {
+    const admitted = reservationId !== null;
+    if (admitted) this.reservations.delete(reservationId);
+
+    if (this.running < this.maxConcurrent && this.waiters.length === 0) {
+      return Promise.resolve(this.grant(Date.now()));
+    }
+
+    if (!admitted && this.queueDepth >= this.maxQueued) {
+      this.stats.rejected++;
+      return Promise.reject(this.rejection(
+        'queue_full',
+        `Consultation queue is full (${this.running} running, ${this.queueDepth} queued)`
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null, enqueuedAt: Date.now() };
+
+      if (!admitted && this.queueTimeoutMs > 0) {
+        waiter.timer = setTimeout(() => {
+          this.waiters = this.waiters.filter(entry => entry !== waiter);
+          this.stats.timedOut++;
+          reject(this.rejection('queue_timeout', `No consultation slot became free within ${this.queueTimeoutMs}ms`));
+        }, this.queueTimeoutMs);
+      }
+
+      this.waiters.push(waiter);
+      this.notePeak();
+      logger.info(`Coordination queued (${this.running} running, ${this.queueDepth} queued)`);
+    });
+  }
+
+  grant(enqueuedAt) {
+    const startedAt = Date.now();
+    this.running++;
+    this.stats.admitted++;
+    if (startedAt > enqueuedAt) {
+      this.stats.waited++;
+      this.stats.totalWaitMs += startedAt - enqueuedAt;
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.running--;
+      this.stats.completed++;
+      this.stats.totalRunMs += Date.now() - startedAt;
+      this.next();
+    };
+  }
+
+  next() {
+    while (this.running < this.maxConcurrent && this.waiters.length > 0) {
+      const waiter = this.waiters.shift();
+      if (waiter.timer) clearTimeout(waiter.timer);
+      waiter.resolve(this.grant(waiter.enqueuedAt));
+    }
+  }
+
+  getStats() {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      maxQueued: this.maxQueued,
+      queueTimeoutMs: this.queueTimeoutMs,
+      running: this.running,
+      waiting: this.waiters.length,
+      reserved: this.reservations.size,
+      queueDepth: this.queueDepth,
+      peakQueueDepth: this.stats.peakQueueDepth,
+      admitted: this.stats.admitted,
+      rejected: this.stats.rejected,
+      timedOut: this.stats.timedOut,
+      averageWaitMs: this.stats.waited > 0 ? Math.round(this.stats.totalWaitMs / this.stats.waited) : 0,
+      averageRunMs: this.stats.completed > 0 ? Math.round(this.stats.totalRunMs / this.stats.completed) : null
+    };
+  }
+}
+
+export default AdmissionController;
@@ -1,19 +1,187 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import logger from './logger.js';
 import { agentConfig } from '../config/agent-config.js';
 import promptManager from './prompt-manager.js';
 import { CoordinationConference } from './coordination-conference.js';
 import { PredictionMarket } from './prediction-market.js';
-
-export class AgentCoordinator {
-  constructor(tokenManager = null) {
+import { PersistentMap, persistValue } from './persistence-store.js';
+import transcriptRecorder from './transcript-recorder.js';
+import usageTracker from './usage-tracker.js';
+import { ConsultationBudget, resolveBudgetLimits } from './consultation-budget.js';
+import { mergeCaseAnswers, planRefinement, diffRecommendations } from './consultation-refinement.js';
+import metrics from './metrics.js';
+import tracer from './tracing.js';
+import phiRedactor from './phi-redactor.js';
+
+const consultationDuration = metrics.histogram(
+  'consultation_duration_seconds',
+  'Multi-specialist consultation latency from start to synthesized result',
+  ['mode', 'outcome']
+);
+const specialistResponseDuration = metrics.histogram(
+  'specialist_response_duration_seconds',
+  'Time for one specialist to answer within a consultation',
+  ['specialist', 'mode', 'status']
+);
+const specialistTimeouts = metrics.counter(
+  'specialist_timeouts_total',
+  'Specialist calls abandoned at the collection timeout',
+  ['specialist', 'mode']
+);
+const conferenceRounds = metrics.counter(
+  'conference_rounds_total',
+  'Coordination conference rounds',
+  ['outcome']
+);
+const conferenceDisagreements = metrics.counter(
+  'conference_disagreements_total',
+  'Disagreements detected between specialists in coordination conferences',
+  ['severity']
+);
+
+/**
+ * AgentCoordinator - runs multi-specialist consultations
+ * Emits 'specialistResponse', 'dialogueExchange', 'disagreementDetected',
+ * 'budgetStepSkipped', 'synthesisCompleted', 'consultationCompleted',
+ * 'consultationRefined' and 'consultationFailed' so callers can track progress of background consultations
+ */
+export class AgentCoordinator extends EventEmitter {
+  constructor(tokenManager = null, options = {}) {
+    super();
+    const { store = null, lifecycle = null } = options;
+
+    this.store = store;
+    this.lifecycle = lifecycle; // LifecycleManager draining background work at shutdown
     this.specialists = new Map();
-    this.activeConsultations = new Map();
+    this.activeConsultations = new PersistentMap(store, 'consultations', {
+      serialize: consultation => ({
+        ...consultation,
+        responses: Object.fromEntries(consultation.responses || [])
+      }),
+      deserialize: consultation => ({
+        ...consultation,
+        responses: new Map(Object.entries(consultation.responses || {}))
+      })
+    });
     this.coordinationHistory = [];
     this.performanceMetrics = new Map();
     this.coordinationConference = new CoordinationConference();
+    this.coordinationConference.on('dialogueExchange', event => this.emit('dialogueExchange', event));
+    this.coordinationConference.on('disagreementDetected', event => this.emit('disagreementDetected', event));
     this.tokenManager = tokenManager;
-    this.predictionMarket = tokenManager ? new PredictionMarket(tokenManager) : null;
-    this.consultationPayments = new Map(); // Track payment flows
+    this.predictionMarket = tokenManager ? new PredictionMarket(tokenManager, store) : null;
+    this.predictionMarket?.on('predictionsResolved', event => this.emit('predictionsResolved', event));
+    this.consultationPayments = new PersistentMap(store, 'consultationPayments'); // Track payment flows
+  }
+
+  /**
+   * Restore consultations, history and prediction market state from the store
+   * Consultations that were still running when the process stopped are marked interrupted
+   */
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      const consultations = await this.activeConsultations.hydrate();
+      await this.consultationPayments.hydrate();
+      this.coordinationHistory = (await this.store.get('coordinator', 'history')) || [];
+
+      for (const [consultationId, consultation] of this.activeConsultations) {
+        if (consultation.status === 'in_progress') {
+          consultation.status = 'interrupted';
+          this.activeConsultations.touch(consultationId);
+        } else if (consultation.status === 'refining') {
+          // Refinements only replace the stored result once they finish
+          consultation.status = 'completed';
+          this.activeConsultations.touch(consultationId);
+        }
+      }
+
+      if (this.predictionMarket) {
+        await this.predictionMarket.hydrate();
+      }
+
+      logger.info(`AgentCoordinator: Restored ${consultations} consultations`);
+    } catch (error) {
+      logger.error(`Error restoring coordinator state: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Register fire-and-forget work with the lifecycle manager so shutdown waits for it
+   */
+  trackBackground(kind, consultationId, promise) {
+    return this.lifecycle ? this.lifecycle.track(kind, consultationId, promise, { details: { consultationId } }) : promise;
+  }
+
+  getConsultation(consultationId) {
+    return this.activeConsultations.get(consultationId) || null;
+  }
+
+  exportUserData(subject) {
+    const owned = consultationId => subject.ownsConsultation(consultationId);
+    return {
+      consultations: Array.from(this.activeConsultations.values())
+        .filter(consultation => owned(consultation.id))
+        .map(consultation => ({ ...consultation, responses: Object.fromEntries(consultation.responses || []) })),
+      coordinationHistory: this.coordinationHistory.filter(entry => owned(entry.consultationId)),
+      payments: Array.from(this.consultationPayments.entries())
+        .filter(([consultationId]) => owned(consultationId))
+        .map(([consultationId, payment]) => ({ consultationId, ...payment })),
+      ...(this.predictionMarket && this.predictionMarket.exportUserData(subject))
+    };
+  }
+
+  /**
+   * Delete a data subject's consultations; coordination history entries and
+   * payments move under an alias so statistics and the token ledger still add up
+   * @returns {Object} { deleted, anonymized }
+   */
+  eraseUserData(subject) {
+    let deleted = 0;
+    let anonymized = 0;
+
+    for (const consultationId of Array.from(this.activeConsultations.keys())) {
+      if (!subject.ownsConsultation(consultationId)) continue;
+      this.activeConsultations.delete(consultationId);
+      deleted++;
+    }
+
+    for (const consultationId of Array.from(this.consultationPayments.keys())) {
+      if (!subject.ownsConsultation(consultationId)) continue;
+      const payment = this.consultationPayments.get(consultationId);
+      this.consultationPayments.delete(consultationId);
+      this.consultationPayments.set(subject.alias(consultationId), payment);
+      anonymized++;
+    }
+
+    if (this.coordinationHistory.some(entry => subject.ownsConsultation(entry.consultationId))) {
+      this.coordinationHistory = this.coordinationHistory.map(entry => {
+        if (!subject.ownsConsultation(entry.consultationId)) return entry;
+        anonymized++;
+        return { ...entry, consultationId: subject.alias(entry.consultationId) };
+      });
+      persistValue(this.store, 'coordinator', 'history', this.coordinationHistory);
+    }
+
+    anonymized += this.predictionMarket ? this.predictionMarket.eraseUserData(subject) : 0;
+    return { deleted, anonymized };
+  }
+
+  /**
+   * Drop coordination history entries recorded before the cutoff (ms timestamp)
+   * @returns {Number} Entries removed
+   */
+  purgeHistory(cutoff) {
+    const kept = this.coordinationHistory.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    const purged = this.coordinationHistory.length - kept.length;
+    if (purged > 0) {
+      this.coordinationHistory = kept;
+      persistValue(this.store, 'coordinator', 'history', this.coordinationHistory);
+    }
+    return purged;
   }
 
   registerSpecialist(type, agent) {
@@ -33,9 +201,14 @@ export class AgentCoordinator {
   }
 
   async coordinateMultiSpecialistConsultation(caseData, requiredSpecialists = [], options = {}) {
+    let consultationId = options.consultationId;
+    let observeDuration = null;
+
     try {
       const {
         mode = 'normal',
+        // Mode the consultation was requested in (fast-mode jobs run the full coordination in normal mode)
+        originMode = mode,
         consultationId: passedConsultationId,
         rawQuery,
         enableDualTrack,
@@ -45,21 +218,36 @@ export class AgentCoordinator {
         requestResearch,
         uploadedImages,
         athleteProfile,
-        platformContext
+        platformContext,
+        budget: requestedBudget,
+        tenantId,
+        patientHistory
       } = options; // Extract dual-track fields
 
       // Use passed consultationId if provided, otherwise generate new one
-      const consultationId = passedConsultationId || `consultation_${Date.now()}`;
+      consultationId = passedConsultationId || `consultation_${crypto.randomUUID()}`;
+      observeDuration = consultationDuration.startTimer({ mode: originMode });
 
       logger.info(`Starting multi-specialist consultation: ${consultationId} (${mode} mode, dual-track: ${enableDualTrack})`);
 
       // Validate required specialists are available
-      const availableSpecialists = this.validateSpecialistAvailability(requiredSpecialists);
+      let availableSpecialists = this.validateSpecialistAvailability(requiredSpecialists);
 
       if (availableSpecialists.length === 0) {
         throw new Error('No required specialists available for consultation');
       }
 
+      // Per-consultation budget: drop lower-priority specialists that would overrun it
+      const budgetLimits = resolveBudgetLimits({ budget: requestedBudget, tenantId });
+      const budget = budgetLimits
+        ? new ConsultationBudget(consultationId, budgetLimits, {
+            onSkip: step => this.emit('budgetStepSkipped', { consultationId, step })
+          })
+        : null;
+      if (budget) {
+        availableSpecialists = budget.planSpecialists(availableSpecialists, mode === 'fast' ? 'fast' : 'normal');
+      }
+
       // Create consultation session with dual-track data
       const consultation = {
         id: consultationId,
@@ -73,6 +261,9 @@ export class AgentCoordinator {
         uploadedImages,
         athleteProfile,
         platformContext,
+        tenantId,
+        patientHistory,
+        budgetLimits,
         requiredSpecialists,
         availableSpecialists,
         responses: new Map(),
@@ -82,6 +273,26 @@ export class AgentCoordinator {
       };
 
       this.activeConsultations.set(consultationId, consultation);
+      usageTracker.begin(consultationId, { tenantId: tenantId || 'default' });
+      transcriptRecorder.begin(consultationId, {
+        caseData,
+        specialists: requiredSpecialists,
+        options: {
+          mode,
+          rawQuery,
+          enableDualTrack,
+          userId,
+          isReturningUser,
+          priorConsultations,
+          requestResearch,
+          uploadedImages,
+          athleteProfile,
+          platformContext,
+          budget: requestedBudget,
+          tenantId,
+          patientHistory
+        }
+      });
 
       // PHASE 1: Initiate prediction market (non-blocking for performance)
       let predictionData = null;
@@ -91,27 +302,31 @@ export class AgentCoordinator {
           .filter(agent => agent);
 
         // Async initiation without await - predictions happen in parallel
-        this.predictionMarket.initiatePredictions(
+        this.trackBackground('predictions', consultationId, tracer.withSpan('predictions.initiate', {
+          attributes: { 'consultation.id': consultationId, 'predictions.agents': participatingAgents.length }
+        }, () => this.predictionMarket.initiatePredictions(
           consultationId,
           caseData,
-          participatingAgents
-        ).then(predictions => {
+          participatingAgents,
+          { tenantId, userId }
+        )).then(predictions => {
           predictionData = predictions;
           logger.info(`Predictions initiated: ${predictions.totalPredictions} predictions, ${predictions.totalStaked} tokens staked`);
         }).catch(error => {
           logger.error(`Prediction initiation failed: ${error.message}`);
-        });
+        }));
       }
 
       // PHASE 2: Process consultation payments (async, non-blocking)
-      if (this.tokenManager) {
-        this.processConsultationPayments(
+      // Skipped when a retried consultation was already paid
+      if (this.tokenManager && !this.consultationPayments.has(consultationId)) {
+        this.trackBackground('payments', consultationId, this.processConsultationPayments(
           consultationId,
           availableSpecialists,
           caseData
         ).catch(error => {
           logger.error(`Consultation payment processing failed: ${error.message}`);
-        });
+        }));
       }
 
       // Collect responses with appropriate mode settings - optimized for reliability
@@ -127,17 +342,24 @@ export class AgentCoordinator {
 
       // Task 1.3: Conduct coordination conference for inter-agent dialogue
       let coordinationMetadata = null;
-      if (responses.size >= 2) {
+      const conferenceAffordable = !budget || responses.size < 2 || budget.allowsConference(responses.size);
+      if (responses.size >= 2 && conferenceAffordable) {
         try {
           logger.info('Conducting coordination conference round');
           coordinationMetadata = await this.coordinationConference.conductConferenceRound(
             responses,
             this.specialists,
-            caseData
+            caseData,
+            { consultationId }
           );
           logger.info(`Conference complete: ${coordinationMetadata.interAgentDialogue.length} dialogues, ${coordinationMetadata.disagreements.length} disagreements`);
+          conferenceRounds.inc({ outcome: coordinationMetadata.error ? 'failed' : 'completed' });
+          for (const disagreement of coordinationMetadata.disagreements) {
+            conferenceDisagreements.inc({ severity: disagreement.severity || 'unknown' });
+          }
         } catch (error) {
           logger.error(`Coordination conference error: ${error.message}`);
+          conferenceRounds.inc({ outcome: 'failed' });
           coordinationMetadata = {
             interAgentDialogue: [],
             disagreements: [],
@@ -148,24 +370,30 @@ export class AgentCoordinator {
       }
 
       // Synthesize recommendations with coordination metadata
-      const synthesizedRecommendations = await this.synthesizeRecommendations(responses, caseData, coordinationMetadata);
+      const synthesisDetail = budget ? budget.planSynthesis() : 'full';
+      const synthesizedRecommendations = await this.synthesizeRecommendations(responses, caseData, coordinationMetadata, consultationId, {
+        detail: synthesisDetail,
+        maxTokens: budget?.briefSynthesisMaxTokens
+      });
+      this.emit('synthesisCompleted', { consultationId, synthesizedRecommendations });
 
       // Update consultation
       consultation.responses = responses;
       consultation.synthesizedRecommendations = synthesizedRecommendations;
       consultation.endTime = new Date().toISOString();
       consultation.status = 'completed';
+      this.activeConsultations.touch(consultationId);
 
       // PHASE 3: Resolve inter-agent predictions (guaranteed resolution)
       // This provides baseline prediction accuracy using agent consensus
       if (this.predictionMarket) {
-        this.resolveInterAgentPredictions(
+        this.trackBackground('predictions', consultationId, this.resolveInterAgentPredictions(
           consultationId,
           responses,
           coordinationMetadata
         ).catch(error => {
           logger.error(`Inter-agent prediction resolution failed: ${error.message}`);
-        });
+        }));
       }
 
       // Update performance metrics
@@ -181,20 +409,185 @@ export class AgentCoordinator {
         mode,
         timestamp: new Date().toISOString()
       });
+      persistValue(this.store, 'coordinator', 'history', this.coordinationHistory);
       
       logger.info(`Completed multi-specialist consultation: ${consultationId} in ${this.calculateDuration(consultation.startTime, consultation.endTime)}ms`);
       
-      return {
+      const result = {
         consultationId,
         synthesizedRecommendations,
         participatingSpecialists: availableSpecialists,
         responses: Array.from(responses.values()),
         coordinationSummary: this.generateCoordinationSummary(consultation),
         mode,
-        duration: this.calculateDuration(consultation.startTime, consultation.endTime)
+        duration: this.calculateDuration(consultation.startTime, consultation.endTime),
+        budget: budget ? budget.report() : null,
+        usage: usageTracker.finalize(consultationId)
       };
+
+      observeDuration({ outcome: 'completed' });
+      this.emit('consultationCompleted', {
+        consultationId,
+        result,
+        caseData,
+        tenantId: consultation.tenantId,
+        userId: consultation.userId
+      });
+      await transcriptRecorder.finish(consultationId, { result });
+
+      return result;
     } catch (error) {
       logger.error(`Error in multi-specialist consultation: ${error.message}`);
+
+      const consultation = consultationId ? this.activeConsultations.get(consultationId) : null;
+      if (consultation) {
+        consultation.status = 'failed';
+        consultation.error = error.message;
+        consultation.endTime = new Date().toISOString();
+        this.activeConsultations.touch(consultationId);
+      }
+      observeDuration?.({ outcome: 'failed' });
+      this.emit('consultationFailed', {
+        consultationId,
+        error: error.message,
+        willRetry: options.willRetry === true
+      });
+      // A retried consultation keeps accumulating into the same breakdown
+      if (consultationId && options.willRetry !== true) {
+        usageTracker.finalize(consultationId);
+      }
+      await transcriptRecorder.finish(consultationId, { error: error.message });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Refine a completed consultation with answers to its follow-up questions
+   * Only specialists whose data completeness changed (per the triage agent's
+   * assessment of the case before and after the answers) run again; the others
+   * keep their earlier response. The recommendations are then re-synthesized
+   * and diffed against the previous ones
+   * @param {Object} input - { answers (case fields), followUpAnswers ([{ question, answer }]) }
+   */
+  async refineConsultation(consultationId, { answers = {}, followUpAnswers = [] } = {}) {
+    const consultation = this.activeConsultations.get(consultationId);
+    if (!consultation) {
+      const error = new Error(`No consultation found for ${consultationId}`);
+      error.code = 'CONSULTATION_NOT_FOUND';
+      throw error;
+    }
+    if (consultation.status !== 'completed') {
+      const error = new Error(`Consultation ${consultationId} is ${consultation.status}; only completed consultations can be refined`);
+      error.code = 'CONSULTATION_NOT_REFINABLE';
+      throw error;
+    }
+
+    const triage = this.specialists.get('triage');
+    if (!triage?.assessDataCompleteness) {
+      throw new Error('Refining consultations requires the triage agent');
+    }
+
+    consultation.status = 'refining';
+    this.activeConsultations.touch(consultationId);
+    const startTime = new Date().toISOString();
+
+    try {
+      const { caseData, changedFields } = mergeCaseAnswers(consultation.caseData, answers, followUpAnswers);
+      const [before, after] = await Promise.all([
+        triage.assessDataCompleteness(consultation.caseData),
+        triage.assessDataCompleteness(caseData)
+      ]);
+      const plan = planRefinement(before, after, Array.from(consultation.responses.keys()));
+
+      const budget = consultation.budgetLimits
+        ? new ConsultationBudget(consultationId, consultation.budgetLimits, {
+            onSkip: step => this.emit('budgetStepSkipped', { consultationId, step })
+          })
+        : null;
+      let rerun = this.validateSpecialistAvailability([...plan.rerun, ...plan.joined]);
+      if (budget && rerun.length > 0) {
+        rerun = budget.planSpecialists(rerun, 'normal');
+      }
+      logger.info(`Refining consultation ${consultationId}: ${changedFields.length} answered fields, re-running ${rerun.join(', ') || 'no specialists'}`);
+
+      const rerunResponses = rerun.length > 0
+        ? await this.collectSpecialistResponses(
+            { ...consultation, caseData, availableSpecialists: rerun },
+            { timeout: 50000 }
+          )
+        : new Map();
+
+      // A specialist that fails on the second pass keeps its earlier assessment
+      const responses = new Map(consultation.responses);
+      const failedSpecialists = [];
+      for (const [specialistType, response] of rerunResponses) {
+        if (response.status !== 'success') failedSpecialists.push(specialistType);
+        if (response.status === 'success' || !responses.has(specialistType)) {
+          responses.set(specialistType, response);
+        }
+      }
+
+      const synthesisDetail = budget ? budget.planSynthesis() : 'full';
+      const synthesizedRecommendations = await this.synthesizeRecommendations(
+        responses,
+        caseData,
+        consultation.synthesizedRecommendations?.coordinationMetadata || null,
+        consultationId,
+        { detail: synthesisDetail, maxTokens: budget?.briefSynthesisMaxTokens }
+      );
+      this.emit('synthesisCompleted', { consultationId, synthesizedRecommendations });
+
+      const refinement = {
+        number: (consultation.refinements?.length || 0) + 1,
+        changedFields,
+        completeness: { before: before.completeness, after: after.completeness },
+        completenessChanges: plan.completenessChanges,
+        rerunSpecialists: rerun,
+        failedSpecialists,
+        changes: diffRecommendations(consultation.synthesizedRecommendations, synthesizedRecommendations),
+        startTime,
+        endTime: new Date().toISOString()
+      };
+
+      consultation.caseData = caseData;
+      consultation.responses = responses;
+      consultation.synthesizedRecommendations = synthesizedRecommendations;
+      consultation.availableSpecialists = [...new Set([...consultation.availableSpecialists, ...rerun])];
+      consultation.refinements = [...(consultation.refinements || []), refinement];
+      consultation.status = 'completed';
+      this.activeConsultations.touch(consultationId);
+
+      const result = {
+        consultationId,
+        synthesizedRecommendations,
+        participatingSpecialists: consultation.availableSpecialists,
+        responses: Array.from(responses.values()),
+        coordinationSummary: this.generateCoordinationSummary(consultation),
+        mode: consultation.mode,
+        duration: this.calculateDuration(refinement.startTime, refinement.endTime),
+        budget: budget ? budget.report() : null,
+        usage: usageTracker.finalize(consultationId),
+        dataCompleteness: after.completeness,
+        suggestedFollowUp: after.suggestedFollowUp,
+        triageConfidence: after.confidence,
+        refinement
+      };
+
+      logger.info(`Refined consultation ${consultationId} (refinement ${refinement.number}, ${refinement.changes.hasChanges ? 'recommendations changed' : 'no recommendation changes'})`);
+      this.emit('consultationRefined', {
+        consultationId,
+        result,
+        refinement,
+        tenantId: consultation.tenantId,
+        userId: consultation.userId
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Error refining consultation ${consultationId}: ${error.message}`);
+      consultation.status = 'completed';
+      this.activeConsultations.touch(consultationId);
       throw error;
     }
   }
@@ -232,13 +625,13 @@ export class AgentCoordinator {
       const workloadAnalysis = new Map();
       
       for (const [type, specialist] of this.specialists) {
-        const metrics = this.performanceMetrics.get(type);
+        const performance = this.performanceMetrics.get(type);
         const currentLoad = await this.assessSpecialistLoad(specialist);
         
         workloadAnalysis.set(type, {
           currentLoad,
           capacity: this.calculateCapacity(specialist),
-          efficiency: metrics.successRate,
+          efficiency: performance.successRate,
           availability: this.assessAvailability(currentLoad)
         });
       }
@@ -263,10 +656,10 @@ export class AgentCoordinator {
     for (const specialistType of requiredSpecialists) {
       if (this.specialists.has(specialistType)) {
         const specialist = this.specialists.get(specialistType);
-        const metrics = this.performanceMetrics.get(specialistType);
+        const performance = this.performanceMetrics.get(specialistType);
         
         // Check if specialist is available based on current load
-        if (this.isSpecialistAvailable(specialist, metrics)) {
+        if (this.isSpecialistAvailable(specialist, performance)) {
           available.push(specialistType);
         }
       }
@@ -283,6 +676,15 @@ export class AgentCoordinator {
       minResponses = 3  // Minimum responses needed in fast mode
     } = options;
     
+    const collectionSpan = tracer.startSpan('coordinator.collect_specialist_responses', {
+      attributes: {
+        'consultation.id': consultation.id,
+        'consultation.mode': fastMode ? 'fast' : 'normal',
+        'specialists.requested': consultation.availableSpecialists,
+        'specialists.timeout_ms': timeout
+      }
+    });
+
     // Create promises for all specialists with timeout
     logger.info(`Available specialists for consultation: ${consultation.availableSpecialists.join(', ')}`);
     logger.info(`Registered specialists: ${Array.from(this.specialists.keys()).join(', ')}`);
@@ -295,13 +697,25 @@ export class AgentCoordinator {
         return { specialistType, response: { error: 'Specialist not found' }, status: 'failed' };
       }
       
+      const mode = fastMode ? 'fast' : 'normal';
+      const observeResponse = specialistResponseDuration.startTimer({ specialist: specialistType, mode });
+      let timedOut = false;
+      const span = tracer.startSpan('coordinator.get_specialist_response', {
+        parent: collectionSpan,
+        attributes: { 'consultation.id': consultation.id, 'specialist.type': specialistType }
+      });
+
       try {
         // Add timeout to each specialist call
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error(`Timeout after ${timeout}ms`)), timeout)
-        );
+        let timeoutHandle;
+        const timeoutPromise = new Promise((_, reject) => {
+          timeoutHandle = setTimeout(() => {
+            timedOut = true;
+            reject(new Error(`Timeout after ${timeout}ms`));
+          }, timeout);
+        });
         
-        const responsePromise = this.getSpecialistResponse(
+        const responsePromise = tracer.withContext(span, () => this.getSpecialistResponse(
           specialist,
           consultation.caseData,
           consultation.id,
@@ -309,26 +723,46 @@ export class AgentCoordinator {
             mode: options.fastMode ? 'fast' : 'normal',
             timeout,
             rawQuery: consultation.rawQuery,
-            enableDualTrack: consultation.enableDualTrack
+            enableDualTrack: consultation.enableDualTrack,
+            patientHistory: consultation.patientHistory
           }
-        );
+        ));
         
         // Race between response and timeout
-        const response = await Promise.race([responsePromise, timeoutPromise]);
+        const response = await Promise.race([responsePromise, timeoutPromise])
+          .finally(() => clearTimeout(timeoutHandle));
         
+        observeResponse({ status: 'success' });
+        span.setAttribute('specialist.confidence', response.confidence);
+        span.end();
         responses.set(specialistType, response);
         this.recordSpecialistPerformance(specialistType, response);
+        this.emit('specialistResponse', {
+          consultationId: consultation.id,
+          specialistType,
+          response,
+          status: 'success'
+        });
         
         return { specialistType, response, status: 'success' };
         
       } catch (error) {
         logger.error(`Error getting response from ${specialistType}: ${error.message}`);
+        observeResponse({ status: timedOut ? 'timeout' : 'failed' });
+        if (timedOut) specialistTimeouts.inc({ specialist: specialistType, mode });
+        span.setAttribute('specialist.timed_out', timedOut).recordException(error).end();
         const errorResponse = {
           error: error.message,
           status: 'failed',
           timestamp: new Date().toISOString()
         };
         responses.set(specialistType, errorResponse);
+        this.emit('specialistResponse', {
+          consultationId: consultation.id,
+          specialistType,
+          response: errorResponse,
+          status: 'failed'
+        });
         
         return { specialistType, response: errorResponse, status: 'failed' };
       }
@@ -356,9 +790,10 @@ export class AgentCoordinator {
       }
       
       // Continue collecting remaining responses in background
-      Promise.allSettled(remaining).then(results => {
+      this.trackBackground('specialists', consultation.id, Promise.allSettled(remaining).then(results => {
         logger.debug(`Background: Collected ${results.length} additional responses`);
-      });
+      }));
+      collectionSpan.setAttribute('specialists.pending', remaining.length);
       
     } else {
       // Normal mode: Wait for all responses
@@ -366,12 +801,13 @@ export class AgentCoordinator {
     }
     
     logger.info(`Collected ${responses.size} specialist responses (${options.fastMode ? 'fast' : 'normal'} mode)`);
+    collectionSpan.setAttribute('specialists.responded', responses.size).end();
     return responses;
   }
 
   async getSpecialistResponse(specialist, caseData, consultationId, options = {}) {
     const startTime = Date.now();
-    const { mode = 'normal', timeout = 50000, rawQuery, enableDualTrack } = options;
+    const { mode = 'normal', timeout = 50000, rawQuery, enableDualTrack, patientHistory } = options;
 
     try {
       let response;
@@ -384,7 +820,8 @@ export class AgentCoordinator {
         consultationId,
         type: 'multi_specialist_consultation',
         rawQuery,
-        enableDualTrack
+        enableDualTrack,
+        patientHistory
       };
 
       // Use prompt manager for optimized prompts in fast mode
@@ -395,7 +832,10 @@ export class AgentCoordinator {
           'fast'
         );
 
-        response = await specialist.processMessage(prompt, dualTrackContext);
+        response = await specialist.processMessage(
+          patientHistory ? `${prompt}\n\n${patientHistory}` : prompt,
+          dualTrackContext
+        );
       } else {
         // Enhanced routing logic with graceful data handling - route by specialist type first
         const specialistType = specialist.agentType || specialist.name.toLowerCase();
@@ -786,7 +1226,16 @@ export class AgentCoordinator {
     }
   }
 
-  async synthesizeRecommendations(responses, caseData, coordinationMetadata = null) {
+  /**
+   * @param {Object} options - { detail: 'full' | 'brief' | 'none', maxTokens } where
+   *   'brief' caps the synthesis output and 'none' skips the LLM call (budget degradation)
+   */
+  async synthesizeRecommendations(responses, caseData, coordinationMetadata = null, consultationId = null, options = {}) {
+    const { detail = 'full', maxTokens } = options;
+    const span = tracer.startSpan('coordinator.synthesize_recommendations', {
+      attributes: { 'consultation.id': consultationId, 'synthesis.detail': detail, 'synthesis.responses': responses.size }
+    });
+
     try {
       const successfulResponses = Array.from(responses.values())
         .filter(r => r.status === 'success');
@@ -813,7 +1262,7 @@ export class AgentCoordinator {
       const synthesisPrompt = `
         MULTI-SPECIALIST CONSULTATION SYNTHESIS:
 
-        Case Data: ${JSON.stringify(caseData)}
+        Case Data: ${JSON.stringify(phiRedactor.redact(caseData))}
 
         Specialist Responses:
         ${successfulResponses.map((r, i) => `
@@ -840,6 +1289,9 @@ export class AgentCoordinator {
 
         Provide a comprehensive, actionable synthesis in clear clinical narrative format that leverages all specialist expertise.
         Use markdown headers (##) and bullet points where appropriate, but write as readable prose, not structured JSON.
+        ${detail === 'brief' ? `
+        Keep it brief: the whole synthesis must fit in roughly ${Math.round(maxTokens * 0.75)} words, so cover only the key findings and the first steps of care.
+        ` : ''}
       `;
 
       // Use the triage agent for synthesis if available
@@ -850,7 +1302,13 @@ export class AgentCoordinator {
         synthesizer = { processMessage: async () => 'Synthesis not available', name: 'System' };
       }
 
-      const rawSynthesis = await synthesizer.processMessage(synthesisPrompt);
+      const rawSynthesis = detail === 'none'
+        ? this.summarizeSpecialistFindings(successfulResponses)
+        : await synthesizer.processMessage(synthesisPrompt, {
+            consultationId,
+            type: 'synthesis',
+            maxTokens: detail === 'brief' ? maxTokens : undefined
+          });
 
       // Format user-friendly synthesis markdown
       const formattedSynthesis = this.formatSynthesisResponse(
@@ -889,7 +1347,8 @@ export class AgentCoordinator {
         confidenceFactors,
 
         participatingSpecialists: successfulResponses.map(r => r.specialist),
-        synthesizedBy: synthesizer.name,
+        synthesizedBy: detail === 'none' ? 'System' : synthesizer.name,
+        synthesisDetail: detail,
         timestamp: new Date().toISOString(),
 
         // Task 1.4: Clinical flags (red flag detection)
@@ -906,10 +1365,35 @@ export class AgentCoordinator {
       };
     } catch (error) {
       logger.error(`Error synthesizing recommendations: ${error.message}`);
+      span.recordException(error);
       throw error;
+    } finally {
+      span.end();
     }
   }
 
+  // Plain summary of each specialist's assessment, used when the budget leaves no room for an LLM synthesis
+  summarizeSpecialistFindings(successfulResponses) {
+    let text = `## Specialist Findings\n\n`;
+
+    for (const r of successfulResponses) {
+      const response = r.response || {};
+      const findings = response.assessment?.primaryFindings || [];
+      const recommendations = (response.recommendations || []).slice(0, 3);
+
+      text += `### ${r.specialist}\n\n`;
+      if (findings.length > 0) {
+        text += `${findings.join('. ')}.\n\n`;
+      }
+      for (const rec of recommendations) {
+        text += `- ${typeof rec === 'string' ? rec : rec.intervention || JSON.stringify(rec)}\n`;
+      }
+      text += '\n';
+    }
+
+    return text.trim();
+  }
+
   async analyzeSpecialistNeeds(caseData) {
     const needs = [];
     
@@ -1005,9 +1489,9 @@ export class AgentCoordinator {
     }
   }
 
-  isSpecialistAvailable(specialist, metrics) {
+  isSpecialistAvailable(specialist, performance) {
     // Simple availability check - could be enhanced
-    return metrics.consultations < agentConfig.agent.maxSpecialistsPerCase * 10;
+    return performance.consultations < agentConfig.agent.maxSpecialistsPerCase * 10;
   }
 
   async assessSpecialistLoad(specialist) {
@@ -1064,22 +1548,22 @@ export class AgentCoordinator {
   }
 
   recordSpecialistPerformance(specialistType, response) {
-    const metrics = this.performanceMetrics.get(specialistType);
+    const performance = this.performanceMetrics.get(specialistType);
     
-    if (metrics) {
-      metrics.consultations += 1;
+    if (performance) {
+      performance.consultations += 1;
       
       if (response.status === 'success') {
-        metrics.successRate = (metrics.successRate * (metrics.consultations - 1) + 1) / metrics.consultations;
+        performance.successRate = (performance.successRate * (performance.consultations - 1) + 1) / performance.consultations;
       } else {
-        metrics.successRate = (metrics.successRate * (metrics.consultations - 1)) / metrics.consultations;
+        performance.successRate = (performance.successRate * (performance.consultations - 1)) / performance.consultations;
       }
       
       // Update average response time
       if (response.responseTime) {
-        metrics.averageResponseTime = (
-          (metrics.averageResponseTime * (metrics.consultations - 1)) + response.responseTime
-        ) / metrics.consultations;
+        performance.averageResponseTime = (
+          (performance.averageResponseTime * (performance.consultations - 1)) + response.responseTime
+        ) / performance.consultations;
       }
     }
   }
@@ -2046,6 +2530,14 @@ export class AgentCoordinator {
     return this.predictionMarket.getMarketStatistics();
   }
 
+  /**
+   * Tenant and user a consultation's predictions were made for (null when unknown)
+   */
+  getPredictionOwner(consultationId) {
+    const predictions = this.predictionMarket?.predictions.get(consultationId);
+    return predictions ? { tenantId: predictions.tenantId, userId: predictions.userId } : null;
+  }
+
   /**
    * Get agent prediction performance
    */
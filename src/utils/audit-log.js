@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+import { stableStringify } from './idempotency.js';
+
+export const AUDIT_ACTIONS = ['read', 'write', 'delete'];
+export const AUDIT_RESOURCES = ['consultation', 'recovery', 'resolution', 'cache', 'user', 'assessment', 'job', 'usage'];
+
+// prevHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const SEQUENCE_WIDTH = 12;
+
+function sequenceKey(seq) {
+  return String(seq).padStart(SEQUENCE_WIDTH, '0');
+}
+
+/**
+ * Hash of an entry without its own hash; keys are sorted so the hash does not
+ * depend on how the store orders fields
+ */
+export function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(stableStringify(content)).digest('hex');
+}
+
+function describeActor(auth) {
+  if (!auth) return { subject: 'anonymous', role: null, tenantId: null, userId: null, method: null };
+  return {
+    subject: auth.subject || null,
+    role: auth.role || null,
+    tenantId: auth.tenantId || null,
+    userId: auth.userId || null,
+    method: auth.method || null
+  };
+}
+
+/**
+ * AuditLog - append-only, hash-chained record of access to patient data
+ * Every entry carries the hash of the one before it, so editing, removing or
+ * reordering an entry breaks the chain from that point on. Entries are
+ * written through to the store namespace `auditLog` keyed by sequence number
+ * (encrypted with the rest of the patient data when a key is configured)
+ */
+export class AuditLog {
+  constructor(store = null, options = {}) {
+    const config = agentConfig.audit || {};
+
+    this.enabled = options.enabled ?? config.enabled ?? true;
+    this.entries = new PersistentMap(store, 'auditLog'); // sequence key -> entry
+    this.seq = 0;
+    this.lastHash = GENESIS_HASH;
+    this.stats = { recorded: 0, verifications: 0, exports: 0 };
+  }
+
+  /**
+   * Load the chain and continue it from the last entry
+   */
+  async hydrate() {
+    const restored = await this.entries.hydrate();
+    const last = this.list().at(-1);
+    if (last) {
+      this.seq = last.seq;
+      this.lastHash = last.hash;
+    }
+    logger.info(`Audit log restored: ${restored} entries`);
+    return restored;
+  }
+
+  /**
+   * Append an entry
+   * @param {Object} event - { action, resource, auth, route, consultationId, patientId, tenantId, statusCode, details }
+   */
+  record(event) {
+    if (!this.enabled) return null;
+
+    if (!AUDIT_ACTIONS.includes(event.action)) throw new Error(`Unknown audit action: ${event.action}`);
+    if (!AUDIT_RESOURCES.includes(event.resource)) throw new Error(`Unknown audit resource: ${event.resource}`);
+
+    const actor = describeActor(event.auth);
+    const entry = {
+      seq: this.seq + 1,
+      timestamp: new Date().toISOString(),
+      action: event.action,
+      resource: event.resource,
+      actor,
+      tenantId: event.tenantId || actor.tenantId || 'default',
+      route: event.route || null,
+      consultationId: event.consultationId || null,
+      patientId: event.patientId || null,
+      statusCode: event.statusCode ?? null,
+      details: event.details || null,
+      prevHash: this.lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    this.entries.set(sequenceKey(entry.seq), entry);
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+    this.stats.recorded++;
+    return entry;
+  }
+
+  /**
+   * Express middleware for a route definition with `audit: { resource, action }`
+   * Runs before authorization so refused attempts are recorded too. The
+   * consultation comes from the path, the body or the JSON response; handlers
+   * can name it (and the patient) in res.locals.audit
+   * @param {Function} resolvePatient - consultationId -> patient (user) id
+   */
+  middleware(definition, resolvePatient = () => null) {
+    const { resource, action } = definition.audit;
+    const route = `${definition.method.toUpperCase()} ${definition.path}`;
+
+    return (req, res, next) => {
+      let responseBody = null;
+      const json = res.json.bind(res);
+      res.json = body => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on('finish', () => {
+        try {
+          const body = req.body && typeof req.body === 'object' ? req.body : {};
+          const audit = res.locals.audit || {};
+          // A cached answer names the consultation it was built from, which is not this one
+          const created = responseBody?.fromCache ? null : responseBody?.consultation?.consultationId;
+          const consultationId = audit.consultationId || req.params.consultationId || body.consultationId ||
+            responseBody?.consultationId || created || null;
+
+          this.record({
+            action,
+            resource,
+            auth: req.auth,
+            route,
+            consultationId,
+            // The patient whose data was accessed, which is not always the caller
+            patientId: audit.patientId || req.params.userId || body.patientId || (consultationId && resolvePatient(consultationId)) ||
+              req.auth?.userId || body.caseData?.userId || null,
+            statusCode: res.statusCode
+          });
+        } catch (error) {
+          logger.error(`Failed to record audit entry for ${route}: ${error.message}`);
+        }
+      });
+      next();
+    };
+  }
+
+  /**
+   * Entries in chain order
+   */
+  list() {
+    return Array.from(this.entries.values()).sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Walk the chain and report the first entry that does not link up
+   * @returns {Object} { valid, entries, headHash, brokenAt, reason }
+   */
+  verify() {
+    this.stats.verifications++;
+    const entries = this.list();
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = entries[0]?.seq ?? 1;
+
+    for (const entry of entries) {
+      let reason = null;
+      if (entry.seq !== expectedSeq) reason = `Expected entry ${expectedSeq}, found ${entry.seq} (entries missing)`;
+      else if (entry.prevHash !== prevHash) reason = 'Previous hash does not match the preceding entry';
+      else if (hashEntry(entry) !== entry.hash) reason = 'Entry content does not match its hash';
+
+      if (reason) {
+        logger.warn(`Audit chain broken at entry ${entry.seq}: ${reason}`);
+        return { valid: false, entries: entries.length, headHash: this.lastHash, brokenAt: entry.seq, reason };
+      }
+      prevHash = entry.hash;
+      expectedSeq++;
+    }
+
+    return { valid: true, entries: entries.length, headHash: prevHash, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Entries about one patient (and/or consultation) with the chain verification,
+   * so the export can be checked against the full log
+   * @param {Object} filter - { patientId, consultationId, tenantId }
+   */
+  export(filter = {}) {
+    const { patientId = null, consultationId = null, tenantId = null } = filter;
+    if (!patientId && !consultationId) {
+      throw new Error('Export needs a patientId or consultationId');
+    }
+
+    this.stats.exports++;
+    const entries = this.list().filter(entry =>
+      (!patientId || entry.patientId === patientId) &&
+      (!consultationId || entry.consultationId === consultationId) &&
+      (!tenantId || entry.tenantId === tenantId)
+    );
+
+    return {
+      patientId,
+      consultationId,
+      entries,
+      verification: this.verify(),
+      exportedAt: new Date().toISOString()
+    };
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      entries: this.entries.size,
+      headHash: this.lastHash,
+      ...this.stats
+    };
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+export const DEFAULT_TENANT = 'default';
+export const ROLES = ['patient', 'clinician', 'admin'];
+
+// Roles allowed to perform each action. 'patient' is the patient-facing app:
+// a patient JWT (role patient with a subject) is further limited to its own
+// consultations, recovery records and user data
+export const PERMISSIONS = {
+  'consultations:create': ['patient', 'clinician', 'admin'],
+  'consultations:read': ['patient', 'clinician', 'admin'],
+  'recovery:track': ['patient', 'clinician', 'admin'],
+  'recovery:complete': ['clinician', 'admin'],
+  'predictions:feedback': ['patient', 'clinician', 'admin'],
+  'predictions:review': ['clinician', 'admin'],
+  'agents:assess': ['clinician', 'admin'],
+  'agents:read': ['clinician', 'admin'],
+  'webhooks:manage': ['admin'],
+  'audit:read': ['admin'],
+  'users:export': ['patient', 'admin'],
+  'users:erase': ['patient', 'admin'],
+  'retention:read': ['admin'],
+  'retention:purge': ['admin'],
+  'system:admin': ['admin']
+};
+
+// Granted to the patient role only for callers identifying one patient (a
+// patient JWT); the shared patient-app API key has no user to act for
+export const PATIENT_SUBJECT_PERMISSIONS = ['users:export', 'users:erase'];
+
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function hmac(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Sign an HS256 JWT (used by tests and for issuing tokens from trusted tooling)
+ */
+export function signJwt(payload, secret, { expiresInSeconds = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { iat: now, ...payload };
+  if (expiresInSeconds && claims.exp === undefined) claims.exp = now + expiresInSeconds;
+
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(claims));
+  const signature = hmac(secret, `${header}.${body}`).toString('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT's signature, expiry, issuer and audience
+ * @returns {Object} The token claims
+ */
+export function verifyJwt(token, secret, { issuer = null, audience = null } = {}) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  if (header.alg !== 'HS256') throw new Error(`Unsupported token algorithm: ${header.alg}`);
+
+  const expected = hmac(secret, `${parts[0]}.${parts[1]}`);
+  if (!safeEqual(expected, Buffer.from(parts[2], 'base64url'))) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now >= claims.exp) throw new Error('Token expired');
+  if (typeof claims.nbf === 'number' && now < claims.nbf) throw new Error('Token not yet valid');
+  if (issuer && claims.iss !== issuer) throw new Error('Invalid token issuer');
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) throw new Error('Invalid token audience');
+  }
+
+  return claims;
+}
+
+/**
+ * Whether an authenticated caller may see a tenant-scoped record; patients
+ * signed in with their own token only see records they own
+ */
+export function canAccessRecord(auth, record, ownerId = record?.userId) {
+  if (!auth || !record) return false;
+  if ((record.tenantId || DEFAULT_TENANT) !== auth.tenantId) return false;
+  if (auth.role === 'patient' && auth.userId && ownerId !== auth.userId) return false;
+  return true;
+}
+
+/**
+ * Authenticator - resolves API keys (X-API-Key or Authorization: Bearer) and
+ * HS256 JWTs to { subject, tenantId, role, userId, method } on req.auth
+ */
+export class Authenticator {
+  constructor(config = agentConfig.security || {}) {
+    this.jwtSecret = config.jwtSecret || null;
+    this.jwtOptions = { issuer: config.jwtIssuer || null, audience: config.jwtAudience || null };
+    this.apiKeys = new Map();
+
+    if (config.apiKey) {
+      this.addApiKey(config.apiKey, { tenantId: DEFAULT_TENANT, role: 'admin', name: 'API_KEY' });
+    }
+    for (const [key, identity] of Object.entries(config.apiKeys || {})) {
+      this.addApiKey(key, identity);
+    }
+
+    const hasCredentials = this.apiKeys.size > 0 || !!this.jwtSecret;
+    this.required = config.authRequired ?? hasCredentials;
+    this.stats = { authenticated: 0, rejected: 0, forbidden: 0 };
+
+    if (!this.required) {
+      logger.warn('API authentication disabled - requests run as admin of the default tenant');
+    }
+  }
+
+  addApiKey(key, identity = {}) {
+    const role = identity.role || 'patient';
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role for API key ${identity.name || ''}: ${role}`);
+    }
+
+    // Keys are held as hashes so lookups compare fixed-length digests
+    const digest = crypto.createHash('sha256').update(key).digest('hex');
+    this.apiKeys.set(digest, {
+      subject: identity.name || `key_${digest.slice(0, 8)}`,
+      tenantId: identity.tenantId || DEFAULT_TENANT,
+      role,
+      userId: null,
+      rateLimit: identity.rateLimit || null,
+      method: 'apiKey'
+    });
+  }
+
+  fromApiKey(key) {
+    const digest = crypto.createHash('sha256').update(key).digest('hex');
+    return this.apiKeys.get(digest) || null;
+  }
+
+  fromJwt(token) {
+    const claims = verifyJwt(token, this.jwtSecret, this.jwtOptions);
+    const role = claims.role || 'patient';
+    if (!ROLES.includes(role)) throw new Error(`Invalid role: ${role}`);
+    if (role === 'patient' && !claims.userId && !claims.sub) {
+      throw new Error('Patient tokens must identify the patient (sub or userId claim)');
+    }
+
+    return {
+      subject: claims.sub || null,
+      tenantId: claims.tenantId || claims.tid || DEFAULT_TENANT,
+      role,
+      userId: role === 'patient' ? claims.userId || claims.sub || null : null,
+      method: 'jwt'
+    };
+  }
+
+  /**
+   * Resolve the caller behind a request
+   * @returns {Object} { auth } on success or { error } when credentials are missing or invalid
+   */
+  identify(req) {
+    const apiKey = req.get('X-API-Key');
+    const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+
+    if (apiKey) {
+      const auth = this.fromApiKey(apiKey);
+      return auth ? { auth } : { error: 'Invalid API key' };
+    }
+
+    if (bearer) {
+      const keyAuth = this.fromApiKey(bearer);
+      if (keyAuth) return { auth: keyAuth };
+      if (!this.jwtSecret) return { error: 'Invalid bearer token' };
+
+      try {
+        return { auth: this.fromJwt(bearer) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    if (!this.required) {
+      return { auth: { subject: 'anonymous', tenantId: DEFAULT_TENANT, role: 'admin', userId: null, method: 'none' } };
+    }
+    return { error: 'Missing credentials (X-API-Key header or Authorization: Bearer <token>)' };
+  }
+
+  /**
+   * Express middleware populating req.auth, rejecting with 401 otherwise
+   */
+  middleware() {
+    return (req, res, next) => {
+      const { auth, error } = this.identify(req);
+
+      if (!auth) {
+        this.stats.rejected++;
+        logger.warn(`Authentication failed for ${req.method} ${req.path}: ${error}`);
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Unauthorized', message: error });
+      }
+
+      this.stats.authenticated++;
+      req.auth = auth;
+      next();
+    };
+  }
+
+  /**
+   * Express middleware allowing only roles granted `permission`
+   */
+  authorize(permission) {
+    const roles = PERMISSIONS[permission];
+    if (!roles) throw new Error(`Unknown permission: ${permission}`);
+
+    const needsSubject = PATIENT_SUBJECT_PERMISSIONS.includes(permission);
+
+    return (req, res, next) => {
+      const allowed = req.auth && roles.includes(req.auth.role);
+      const anonymousPatient = allowed && needsSubject && req.auth.role === 'patient' && !req.auth.userId;
+      if (allowed && !anonymousPatient) return next();
+
+      this.stats.forbidden++;
+      res.status(403).json({
+        error: 'Forbidden',
+        message: anonymousPatient
+          ? `Patient callers need a token identifying the patient to perform ${permission}`
+          : `Role ${req.auth?.role || 'unknown'} is not allowed to perform ${permission}`
+      });
+    };
+  }
+
+  getStats() {
+    return {
+      required: this.required,
+      apiKeys: this.apiKeys.size,
+      jwt: !!this.jwtSecret,
+      ...this.stats
+    };
+  }
+}
+
+export default Authenticator;
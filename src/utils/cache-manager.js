@@ -1,6 +1,11 @@
 import { LRUCache } from 'lru-cache';
 import crypto from 'crypto';
 import logger from './logger.js';
+import fieldEncryptor from './field-encryption.js';
+
+// Case fields compared by findSimilar(), kept readable; the rest of a cached consultation is encrypted
+const MATCH_FIELDS = ['symptoms', 'painLevel', 'location', 'duration', 'age', 'primaryComplaint'];
+const PLAINTEXT_FIELDS = ['tenantId', 'timestamp', 'match'];
 
 class CacheManager {
   constructor() {
@@ -23,11 +28,12 @@ class CacheManager {
   }
   
   /**
-   * Generate cache key from case data
+   * Generate cache key from case data (consultations are never shared across tenants)
    */
-  generateCacheKey(caseData) {
+  generateCacheKey(caseData, tenantId = 'default') {
     // Extract key fields that define uniqueness
     const keyData = {
+      tenantId,
       symptoms: caseData.symptoms || [],
       painLevel: caseData.painLevel,
       location: caseData.location,
@@ -49,9 +55,9 @@ class CacheManager {
   /**
    * Get consultation from cache
    */
-  async get(caseData) {
-    const key = this.generateCacheKey(caseData);
-    const cached = this.cache.get(key);
+  async get(caseData, tenantId = 'default') {
+    const key = this.generateCacheKey(caseData, tenantId);
+    const cached = this.open(this.cache.get(key));
     
     if (cached) {
       this.stats.hits++;
@@ -68,20 +74,30 @@ class CacheManager {
     return null;
   }
   
+  /**
+   * Decrypt a cached entry (entries are sealed when ENCRYPTION_KEY is set)
+   */
+  open(entry) {
+    return entry ? fieldEncryptor.open(entry) : entry;
+  }
+  
   /**
    * Store consultation in cache
    */
-  async set(caseData, response, ttl = null) {
-    const key = this.generateCacheKey(caseData);
+  async set(caseData, response, ttl = null, tenantId = 'default') {
+    const key = this.generateCacheKey(caseData, tenantId);
     
     // Store with optional custom TTL
     const options = ttl ? { ttl: ttl * 1000 } : undefined;
     
-    this.cache.set(key, {
+    const sanitized = this.sanitizeCaseData(caseData);
+    this.cache.set(key, fieldEncryptor.seal({
       response,
+      tenantId,
       timestamp: Date.now(),
-      caseData: this.sanitizeCaseData(caseData)
-    }, options);
+      caseData: sanitized,
+      match: Object.fromEntries(MATCH_FIELDS.map(field => [field, sanitized[field]]))
+    }, PLAINTEXT_FIELDS), options);
     
     this.stats.sets++;
     logger.debug(`Cached consultation with key: ${key}`);
@@ -93,7 +109,7 @@ class CacheManager {
    * Check if similar case exists in cache
    * Now uses weighted scoring with body location/complaint matching
    */
-  async findSimilar(caseData, threshold = 0.8) {
+  async findSimilar(caseData, threshold = 0.8, tenantId = 'default') {
     // Get threshold from env if available
     const configThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || threshold;
 
@@ -107,9 +123,11 @@ class CacheManager {
     let bestDetails = null;
 
     for (const [key, value] of this.cache.entries()) {
-      const cachedLocation = (value.caseData.location || '').toLowerCase().trim();
-      const cachedComplaint = (value.caseData.primaryComplaint || '').toLowerCase().trim();
-      const cachedSymptoms = new Set((value.caseData.symptoms || []).map(s => s.toLowerCase()));
+      if ((value.tenantId || 'default') !== tenantId) continue;
+
+      const cachedLocation = (value.match.location || '').toLowerCase().trim();
+      const cachedComplaint = (value.match.primaryComplaint || '').toLowerCase().trim();
+      const cachedSymptoms = new Set((value.match.symptoms || []).map(s => s.toLowerCase()));
 
       // CRITICAL: Body location/primary complaint must match exactly
       // This prevents ankle queries from matching neck injuries
@@ -136,12 +154,12 @@ class CacheManager {
       // Calculate age/duration similarity
       const ageSimilarity = this.calculateNumericSimilarity(
         caseData.age,
-        value.caseData.age,
+        value.match.age,
         100
       );
       const durationSimilarity = this.calculateDurationSimilarity(
         caseData.duration,
-        value.caseData.duration
+        value.match.duration
       );
 
       // Weighted score: Location/complaint heavily weighted
@@ -153,7 +171,7 @@ class CacheManager {
         (durationSimilarity * 0.1);
 
       if (weightedScore >= configThreshold && weightedScore > bestScore) {
-        bestMatch = value;
+        bestMatch = this.open(value);
         bestScore = weightedScore;
         bestDetails = {
           locationMatch,
@@ -238,11 +256,52 @@ class CacheManager {
   }
   
   /**
-   * Clear cache
+   * Cached consultations built from a data subject's cases, as [key, entry]
+   */
+  findUserEntries(subject) {
+    return Array.from(this.cache.entries())
+      .filter(([, value]) => (value.tenantId || 'default') === subject.tenantId)
+      .map(([key, value]) => [key, this.open(value)])
+      .filter(([, entry]) => subject.ownsConsultation(entry.response?.consultationId) ||
+        subject.ownsUser(entry.caseData?.userId, entry.tenantId));
+  }
+
+  exportUserData(subject) {
+    return this.findUserEntries(subject).map(([cacheKey, entry]) => ({ cacheKey, ...entry }));
+  }
+
+  /**
+   * Drop a data subject's cached consultations
+   * @returns {Number} Entries deleted
+   */
+  eraseUserData(subject) {
+    const entries = this.findUserEntries(subject);
+    for (const [key] of entries) {
+      this.cache.delete(key);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Clear cache, or only one tenant's consultations
+   * @returns {Number} Entries removed
    */
-  clear() {
-    this.cache.clear();
-    logger.info('Cache cleared');
+  clear({ tenantId = null } = {}) {
+    if (!tenantId) {
+      const size = this.cache.size;
+      this.cache.clear();
+      logger.info('Cache cleared');
+      return size;
+    }
+
+    const keys = Array.from(this.cache.entries())
+      .filter(([, value]) => (value.tenantId || 'default') === tenantId)
+      .map(([key]) => key);
+    for (const key of keys) {
+      this.cache.delete(key);
+    }
+    logger.info(`Cache cleared for tenant ${tenantId}`);
+    return keys.length;
   }
   
   /**
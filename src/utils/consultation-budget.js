@@ -0,0 +1,211 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import modelRouter from './model-router.js';
+import usageTracker from './usage-tracker.js';
+
+const LIMIT_FIELDS = ['maxCostUsd', 'maxTokens'];
+
+/**
+ * Validate a request-supplied budget
+ * @returns {string|null} Error message, or null when the budget is usable
+ */
+export function validateBudget(budget) {
+  if (budget === undefined || budget === null) return null;
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    return 'budget must be an object with maxCostUsd and/or maxTokens';
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    const value = budget[field];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      return `budget.${field} must be a positive number`;
+    }
+  }
+  if (!LIMIT_FIELDS.some(field => budget[field] !== undefined)) {
+    return 'budget must set maxCostUsd and/or maxTokens';
+  }
+  return null;
+}
+
+function lowest(...values) {
+  const set = values.filter(value => typeof value === 'number' && value > 0);
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+/**
+ * Work out the limits that apply to a consultation: the tenant's budget (or
+ * the global USAGE_CONSULTATION_* defaults) capped further by the request's
+ * own budget - a request can tighten its tenant's ceiling but never raise it
+ * @returns {Object|null} { maxCostUsd, maxTokens, source } or null when unlimited
+ */
+export function resolveBudgetLimits({ budget = null, tenantId = null } = {}, config = agentConfig.usage || {}) {
+  const tenantBudget = tenantId ? config.tenantBudgets?.[tenantId] : null;
+  const ceiling = tenantBudget || {
+    maxCostUsd: config.consultationBudgetUsd,
+    maxTokens: config.consultationMaxTokens
+  };
+
+  const limits = {
+    maxCostUsd: lowest(ceiling.maxCostUsd, budget?.maxCostUsd),
+    maxTokens: lowest(ceiling.maxTokens, budget?.maxTokens)
+  };
+  if (limits.maxCostUsd === null && limits.maxTokens === null) return null;
+
+  const tightenedByRequest = LIMIT_FIELDS.some(field =>
+    budget?.[field] !== undefined && limits[field] === budget[field]
+  );
+  return {
+    ...limits,
+    source: tightenedByRequest ? 'request' : tenantBudget ? 'tenant' : 'default'
+  };
+}
+
+/**
+ * ConsultationBudget - keeps one consultation inside its token/cost limits.
+ * Spend so far comes from the usage ledger; the cost of the next step is
+ * estimated from ledger history (or configured per-call estimates) priced with
+ * the routed model, and steps that would overrun are dropped or shortened
+ */
+export class ConsultationBudget {
+  constructor(consultationId, limits, options = {}) {
+    const config = agentConfig.usage || {};
+
+    this.consultationId = consultationId;
+    this.limits = limits;
+    this.tracker = options.tracker || usageTracker;
+    this.router = options.router || modelRouter;
+    this.estimates = options.estimates || config.estimates || {};
+    this.briefSynthesisMaxTokens = options.briefSynthesisMaxTokens ?? config.briefSynthesisMaxTokens ?? 600;
+    this.onSkip = options.onSkip || null;
+    this.skippedSteps = [];
+  }
+
+  spent() {
+    const totals = this.tracker.getConsultationUsage(this.consultationId)?.totals;
+    return {
+      costUsd: totals?.costUsd || 0,
+      tokens: totals?.totalTokens || 0
+    };
+  }
+
+  remaining() {
+    const spent = this.spent();
+    return {
+      costUsd: this.limits.maxCostUsd === null ? Infinity : this.limits.maxCostUsd - spent.costUsd,
+      tokens: this.limits.maxTokens === null ? Infinity : this.limits.maxTokens - spent.tokens
+    };
+  }
+
+  /**
+   * Estimate the tokens and cost of `calls` LLM calls for a consultation stage
+   */
+  estimate(stage, agentId, mode, { calls = 1, maxOutputTokens = null } = {}) {
+    const history = this.tracker.aggregates?.byStage?.[stage];
+    const perCall = history?.calls > 0
+      ? { inputTokens: history.inputTokens / history.calls, outputTokens: history.outputTokens / history.calls }
+      : this.estimates[stage] || { inputTokens: 0, outputTokens: 0 };
+
+    const usage = {
+      inputTokens: perCall.inputTokens,
+      outputTokens: maxOutputTokens ? Math.min(perCall.outputTokens, maxOutputTokens) : perCall.outputTokens
+    };
+    const [target] = this.router.resolveRoute(agentId, mode);
+
+    return {
+      tokens: (usage.inputTokens + usage.outputTokens) * calls,
+      costUsd: this.router.calculateCost(target, usage) * calls
+    };
+  }
+
+  fits(...estimates) {
+    const remaining = this.remaining();
+    const needed = estimates.reduce((sum, estimate) => ({
+      tokens: sum.tokens + estimate.tokens,
+      costUsd: sum.costUsd + estimate.costUsd
+    }), { tokens: 0, costUsd: 0 });
+
+    return needed.tokens <= remaining.tokens && needed.costUsd <= remaining.costUsd;
+  }
+
+  briefSynthesisEstimate(synthesizerId = 'triage') {
+    return this.estimate('synthesis', synthesizerId, 'synthesis', { maxOutputTokens: this.briefSynthesisMaxTokens });
+  }
+
+  skip(step, reason, details = {}) {
+    const entry = { step, reason, ...details, timestamp: new Date().toISOString() };
+    this.skippedSteps.push(entry);
+    logger.warn(`Consultation ${this.consultationId} budget: ${step} - ${reason}`);
+    if (this.onSkip) this.onSkip(entry);
+    return entry;
+  }
+
+  /**
+   * Keep as many specialists (in priority order) as the budget allows while
+   * reserving enough for a brief synthesis; at least one specialist always runs
+   */
+  planSpecialists(specialists, mode) {
+    const reserve = this.briefSynthesisEstimate();
+    const kept = [];
+    const estimates = [];
+
+    for (const specialistType of specialists) {
+      const estimate = this.estimate('specialist', specialistType, mode);
+      if (kept.length === 0 || this.fits(...estimates, estimate, reserve)) {
+        kept.push(specialistType);
+        estimates.push(estimate);
+      }
+    }
+
+    const dropped = specialists.filter(type => !kept.includes(type));
+    if (dropped.length > 0) {
+      this.skip('specialists', 'Estimated cost of all specialists exceeds the consultation budget', { dropped });
+    }
+    return kept;
+  }
+
+  /**
+   * Whether a conference round with `participants` calls still leaves room for a brief synthesis
+   */
+  allowsConference(participants) {
+    const conference = this.estimate('conference', 'triage', 'conference', { calls: participants });
+    if (this.fits(conference, this.briefSynthesisEstimate())) return true;
+
+    this.skip('coordination_conference', 'Remaining budget does not cover a conference round and synthesis', {
+      participants
+    });
+    return false;
+  }
+
+  /**
+   * Pick the synthesis detail level: 'full', 'brief' (capped output) or 'none' (no LLM call)
+   */
+  planSynthesis(synthesizerId = 'triage') {
+    if (this.fits(this.estimate('synthesis', synthesizerId, 'synthesis'))) return 'full';
+
+    if (this.fits(this.briefSynthesisEstimate(synthesizerId))) {
+      this.skip('full_synthesis', 'Remaining budget only covers a shortened synthesis', {
+        maxTokens: this.briefSynthesisMaxTokens
+      });
+      return 'brief';
+    }
+
+    this.skip('synthesis', 'Remaining budget does not cover an LLM synthesis; specialist findings are summarized instead');
+    return 'none';
+  }
+
+  report() {
+    const spent = this.spent();
+    return {
+      limits: this.limits,
+      spent,
+      remaining: {
+        costUsd: this.limits.maxCostUsd === null ? null : Math.max(0, this.limits.maxCostUsd - spent.costUsd),
+        tokens: this.limits.maxTokens === null ? null : Math.max(0, this.limits.maxTokens - spent.tokens)
+      },
+      exceeded: (this.limits.maxCostUsd !== null && spent.costUsd > this.limits.maxCostUsd) ||
+        (this.limits.maxTokens !== null && spent.tokens > this.limits.maxTokens),
+      degraded: this.skippedSteps.length > 0,
+      skippedSteps: this.skippedSteps
+    };
+  }
+}
@@ -0,0 +1,214 @@
+import SSE from 'express-sse';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+// Coordinator event -> SSE event name
+export const STREAM_EVENTS = {
+  specialistResponse: 'specialist.response',
+  dialogueExchange: 'conference.dialogue',
+  disagreementDetected: 'conference.disagreement',
+  budgetStepSkipped: 'consultation.budget_step_skipped',
+  synthesisCompleted: 'consultation.synthesis',
+  consultationCompleted: 'consultation.completed',
+  consultationFailed: 'consultation.failed',
+  consultationRetrying: 'consultation.retrying'
+};
+
+const TERMINAL_EVENTS = new Set([
+  STREAM_EVENTS.consultationCompleted,
+  STREAM_EVENTS.consultationFailed
+]);
+
+/**
+ * ConsultationEventStream - Server-Sent Events for consultation progress
+ * Keeps one express-sse channel per consultation plus the events sent so far,
+ * so clients that connect late (or reconnect with Last-Event-ID) are caught up
+ */
+export class ConsultationEventStream {
+  constructor(options = {}) {
+    const config = agentConfig.consultationEvents || {};
+
+    this.streams = new Map(); // consultationId -> { sse, history, clients, finished }
+    this.retentionMs = options.retentionMs ?? config.retentionMs ?? 5 * 60 * 1000;
+    this.maxHistory = options.maxHistory ?? config.maxHistory ?? 200;
+  }
+
+  /**
+   * Forward coordinator progress events to the matching consultation stream
+   */
+  attach(coordinator) {
+    coordinator.on('specialistResponse', ({ consultationId, specialistType, response, status }) => {
+      this.publish(consultationId, STREAM_EVENTS.specialistResponse, {
+        specialistType,
+        status,
+        response
+      });
+    });
+
+    coordinator.on('dialogueExchange', ({ consultationId, exchange }) => {
+      this.publish(consultationId, STREAM_EVENTS.dialogueExchange, exchange);
+    });
+
+    coordinator.on('disagreementDetected', ({ consultationId, disagreement }) => {
+      this.publish(consultationId, STREAM_EVENTS.disagreementDetected, disagreement);
+    });
+
+    coordinator.on('budgetStepSkipped', ({ consultationId, step }) => {
+      this.publish(consultationId, STREAM_EVENTS.budgetStepSkipped, step);
+    });
+
+    coordinator.on('synthesisCompleted', ({ consultationId, synthesizedRecommendations }) => {
+      this.publish(consultationId, STREAM_EVENTS.synthesisCompleted, { synthesizedRecommendations });
+    });
+
+    coordinator.on('consultationCompleted', ({ consultationId, result }) => {
+      this.publish(consultationId, STREAM_EVENTS.consultationCompleted, {
+        participatingSpecialists: result.participatingSpecialists,
+        duration: result.duration
+      });
+    });
+
+    coordinator.on('consultationFailed', ({ consultationId, error, willRetry }) => {
+      const event = willRetry ? STREAM_EVENTS.consultationRetrying : STREAM_EVENTS.consultationFailed;
+      this.publish(consultationId, event, { error });
+    });
+  }
+
+  getStream(consultationId) {
+    if (!this.streams.has(consultationId)) {
+      this.streams.set(consultationId, {
+        sse: new SSE([], { isSerialized: false }),
+        history: [],
+        clients: new Set(),
+        nextId: 1,
+        finished: false
+      });
+    }
+    return this.streams.get(consultationId);
+  }
+
+  hasStream(consultationId) {
+    return this.streams.has(consultationId);
+  }
+
+  publish(consultationId, event, data) {
+    if (!consultationId) return;
+
+    const stream = this.getStream(consultationId);
+    if (stream.finished) return;
+
+    const entry = {
+      id: stream.nextId++,
+      event,
+      data: {
+        consultationId,
+        ...data,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    stream.history.push(entry);
+    if (stream.history.length > this.maxHistory) {
+      stream.history.shift();
+    }
+
+    stream.sse.send(entry.data, entry.event, entry.id);
+
+    if (TERMINAL_EVENTS.has(event)) {
+      this.finish(consultationId);
+    }
+  }
+
+  /**
+   * Close open connections once the consultation is over and drop the
+   * channel after the retention window
+   */
+  finish(consultationId) {
+    const stream = this.streams.get(consultationId);
+    if (!stream || stream.finished) return;
+
+    stream.finished = true;
+    for (const res of stream.clients) {
+      res.end();
+    }
+    stream.clients.clear();
+
+    const timer = setTimeout(() => this.streams.delete(consultationId), this.retentionMs);
+    timer.unref();
+  }
+
+  /**
+   * Close a consultation's stream and drop its event history now
+   * @returns {Boolean} Whether a stream was kept
+   */
+  discard(consultationId) {
+    if (!this.streams.has(consultationId)) return false;
+    this.finish(consultationId);
+    this.streams.delete(consultationId);
+    return true;
+  }
+
+  /**
+   * Attach an HTTP client to a consultation stream, replaying missed events
+   */
+  subscribe(consultationId, req, res) {
+    const stream = this.getStream(consultationId);
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    stream.sse.init(req, res);
+
+    for (const entry of stream.history) {
+      if (entry.id > lastEventId) {
+        res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+      }
+    }
+
+    if (stream.finished) {
+      res.end();
+      return;
+    }
+
+    stream.clients.add(res);
+    req.on('close', () => stream.clients.delete(res));
+
+    logger.debug(`SSE client subscribed to ${consultationId} (${stream.clients.size} connected)`);
+  }
+
+  /**
+   * Publish the terminal event for a consultation that finished before any
+   * stream existed (e.g. before a restart) so subscribers still get an outcome
+   */
+  replayOutcome(consultationId, job) {
+    if (job.status === 'completed' && job.result) {
+      this.publish(consultationId, STREAM_EVENTS.synthesisCompleted, {
+        synthesizedRecommendations: job.result.synthesizedRecommendations
+      });
+      this.publish(consultationId, STREAM_EVENTS.consultationCompleted, {
+        participatingSpecialists: job.result.participatingSpecialists,
+        duration: job.result.duration
+      });
+    } else if (job.status === 'failed') {
+      this.publish(consultationId, STREAM_EVENTS.consultationFailed, { error: job.error });
+    }
+  }
+
+  closeAll() {
+    for (const consultationId of this.streams.keys()) {
+      this.finish(consultationId);
+    }
+  }
+
+  getStats() {
+    let clients = 0;
+    for (const stream of this.streams.values()) {
+      clients += stream.clients.size;
+    }
+
+    return {
+      activeStreams: this.streams.size,
+      connectedClients: clients
+    };
+  }
+}
+
+export default ConsultationEventStream;
@@ -0,0 +1,254 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * ConsultationJobRegistry - tracks background consultations by id
+ * Records lifecycle state, partial specialist responses as they arrive and the
+ * final synthesized result so clients can poll for fast-mode results
+ */
+export class ConsultationJobRegistry {
+  constructor(store = null, options = {}) {
+    const config = agentConfig.consultationJobs || {};
+
+    this.store = store;
+    this.jobs = new PersistentMap(store, 'consultationJobs');
+    this.ttlMs = options.ttlMs ?? config.ttlMs ?? 24 * 60 * 60 * 1000;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? config.sweepIntervalMs ?? 10 * 60 * 1000;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Restore jobs from the store
+   * Jobs that were queued or running when the process stopped are queued again
+   * when the background queue will resume them, otherwise they are failed
+   * @param {Function} isResumable - async (consultationId) => Boolean
+   */
+  async hydrate(isResumable = async () => false) {
+    if (!this.store) return;
+
+    try {
+      const restored = await this.jobs.hydrate();
+
+      for (const job of Array.from(this.jobs.values())) {
+        if (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING) {
+          if (await isResumable(job.consultationId)) {
+            this.update(job.consultationId, { status: JOB_STATUS.QUEUED });
+          } else {
+            this.fail(job.consultationId, 'Interrupted by server restart');
+          }
+        }
+      }
+
+      const expired = this.purgeExpired();
+      logger.info(`Consultation jobs restored: ${restored - expired} active, ${expired} expired`);
+    } catch (error) {
+      logger.error(`Error restoring consultation jobs: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record consultation progress from coordinator events
+   */
+  attach(coordinator) {
+    coordinator.on('specialistResponse', ({ consultationId, specialistType, response, status }) => {
+      this.recordSpecialistResponse(consultationId, specialistType, response, status);
+    });
+    coordinator.on('consultationCompleted', ({ consultationId, result }) => {
+      this.complete(consultationId, result);
+    });
+    coordinator.on('consultationRefined', ({ consultationId, result }) => {
+      this.update(consultationId, { result });
+    });
+    coordinator.on('consultationFailed', ({ consultationId, error, willRetry }) => {
+      if (willRetry) {
+        this.update(consultationId, { status: JOB_STATUS.QUEUED, error });
+      } else {
+        this.fail(consultationId, error);
+      }
+    });
+  }
+
+  create(consultationId, details = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      consultationId,
+      status: JOB_STATUS.QUEUED,
+      mode: details.mode || 'normal',
+      tenantId: details.tenantId || 'default',
+      userId: details.userId || null,
+      specialists: details.specialists || [],
+      triage: details.triage || null,
+      specialistResponses: {},
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      expiresAt: new Date(Date.now() + this.ttlMs).toISOString()
+    };
+
+    this.jobs.set(consultationId, job);
+    return job;
+  }
+
+  update(consultationId, changes) {
+    const job = this.jobs.get(consultationId);
+    if (!job) return null;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.jobs.touch(consultationId);
+    return job;
+  }
+
+  markRunning(consultationId) {
+    return this.update(consultationId, {
+      status: JOB_STATUS.RUNNING,
+      error: null,
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  recordSpecialistResponse(consultationId, specialistType, response, status = 'success') {
+    const job = this.jobs.get(consultationId);
+    if (!job) return null;
+
+    job.specialistResponses[specialistType] = {
+      status,
+      response,
+      receivedAt: new Date().toISOString()
+    };
+    return this.update(consultationId, {});
+  }
+
+  complete(consultationId, result) {
+    return this.update(consultationId, {
+      status: JOB_STATUS.COMPLETED,
+      result,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  fail(consultationId, errorMessage) {
+    return this.update(consultationId, {
+      status: JOB_STATUS.FAILED,
+      error: errorMessage,
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  isExpired(job) {
+    return new Date(job.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Get a job by id, dropping it if it has expired
+   */
+  get(consultationId) {
+    const job = this.jobs.get(consultationId);
+    if (!job) return null;
+
+    if (this.isExpired(job)) {
+      this.jobs.delete(consultationId);
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Lightweight status view without the full specialist payloads
+   */
+  getStatus(consultationId) {
+    const job = this.get(consultationId);
+    if (!job) return null;
+
+    const received = Object.keys(job.specialistResponses);
+
+    return {
+      consultationId: job.consultationId,
+      status: job.status,
+      mode: job.mode,
+      progress: {
+        expectedSpecialists: job.specialists,
+        receivedSpecialists: received,
+        completed: received.length,
+        total: job.specialists.length
+      },
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt
+    };
+  }
+
+  exportUserData(subject) {
+    return Array.from(this.jobs.values()).filter(job => subject.ownsConsultation(job.consultationId));
+  }
+
+  eraseUserData(subject) {
+    let deleted = 0;
+    for (const consultationId of Array.from(this.jobs.keys())) {
+      if (!subject.ownsConsultation(consultationId)) continue;
+      this.jobs.delete(consultationId);
+      deleted++;
+    }
+    return deleted;
+  }
+
+  purgeExpired() {
+    let purged = 0;
+
+    for (const [consultationId, job] of this.jobs) {
+      if (this.isExpired(job)) {
+        this.jobs.delete(consultationId);
+        purged++;
+      }
+    }
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} expired consultation jobs`);
+    }
+    return purged;
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => this.purgeExpired(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const job of this.jobs.values()) {
+      byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+    }
+
+    return {
+      totalJobs: this.jobs.size,
+      byStatus,
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+export default ConsultationJobRegistry;
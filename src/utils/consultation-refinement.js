@@ -0,0 +1,166 @@
+// Helpers for refining a completed consultation with follow-up answers:
+// merging answers into the stored case, deciding which specialists run again
+// and diffing the re-synthesized recommendations against the previous ones.
+
+// Case fields a follow-up answer may not change
+const IMMUTABLE_FIELDS = ['userId'];
+
+const PHASES = ['phase1', 'phase2', 'phase3'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge follow-up answers into the stored case
+ * Structured answers overwrite case fields (objects such as painData are merged
+ * one level deep); free-text answers are appended to caseData.followUpAnswers
+ * @returns {Object} { caseData, changedFields }
+ */
+export function mergeCaseAnswers(caseData = {}, answers = {}, followUpAnswers = []) {
+  const merged = { ...caseData };
+  const changedFields = [];
+
+  for (const [field, value] of Object.entries(answers || {})) {
+    if (IMMUTABLE_FIELDS.includes(field) || value === undefined) continue;
+
+    const next = isPlainObject(value) && isPlainObject(merged[field])
+      ? { ...merged[field], ...value }
+      : value;
+
+    if (!sameValue(merged[field], next)) {
+      merged[field] = next;
+      changedFields.push(field);
+    }
+  }
+
+  if (followUpAnswers?.length > 0) {
+    const answeredAt = new Date().toISOString();
+    merged.followUpAnswers = [
+      ...(caseData.followUpAnswers || []),
+      ...followUpAnswers.map(({ question, answer }) => ({ question, answer, answeredAt }))
+    ];
+    changedFields.push('followUpAnswers');
+  }
+
+  return { caseData: merged, changedFields };
+}
+
+// Completeness score per specialist; triage is scored on the core case data
+function completenessScores(assessment) {
+  const scores = { triage: assessment.coreDataScore };
+  for (const [specialistType, data] of Object.entries(assessment.specialistDataAvailability || {})) {
+    scores[specialistType] = data.completeness;
+  }
+  return scores;
+}
+
+/**
+ * Decide which specialists to run again from two TriageAgent.assessDataCompleteness results
+ * Consulted specialists run again when their completeness changed; specialists
+ * that were not consulted join when it changed and triage now recommends them
+ * @returns {Object} { rerun, joined, completenessChanges: { type: { before, after } } }
+ */
+export function planRefinement(before, after, consultedSpecialists = []) {
+  const previous = completenessScores(before);
+  const current = completenessScores(after);
+  const completenessChanges = {};
+
+  for (const [specialistType, score] of Object.entries(current)) {
+    if (Math.abs((previous[specialistType] || 0) - (score || 0)) > 1e-9) {
+      completenessChanges[specialistType] = { before: previous[specialistType] || 0, after: score || 0 };
+    }
+  }
+
+  const changed = Object.keys(completenessChanges);
+  const rerun = changed.filter(type => consultedSpecialists.includes(type));
+  const joined = changed.filter(type =>
+    !consultedSpecialists.includes(type) && (after.recommendedSpecialists || []).includes(type)
+  );
+
+  return { rerun, joined, completenessChanges };
+}
+
+// Treatment-plan interventions keyed by normalized name, in phase order
+function interventionIndex(synthesis) {
+  const index = new Map();
+
+  for (const phase of PHASES) {
+    for (const intervention of synthesis?.treatmentPlan?.[phase]?.interventions || []) {
+      const key = String(intervention.name || '').trim().toLowerCase();
+      if (!key || index.has(key)) continue;
+
+      index.set(key, {
+        intervention: intervention.name,
+        phase,
+        priority: intervention.priority ?? null,
+        specialist: intervention.specialist || null
+      });
+    }
+  }
+
+  return index;
+}
+
+function changedValue(before, after) {
+  return sameValue(before ?? null, after ?? null) ? null : { before: before ?? null, after: after ?? null };
+}
+
+/**
+ * What changed between two synthesizedRecommendations: treatment-plan
+ * interventions added, removed or moved (phase or priority), the working
+ * diagnosis, urgency and red flags
+ */
+export function diffRecommendations(before = {}, after = {}) {
+  const previous = interventionIndex(before);
+  const current = interventionIndex(after);
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, entry] of current) {
+    const earlier = previous.get(key);
+    if (!earlier) {
+      added.push(entry);
+    } else if (earlier.phase !== entry.phase || earlier.priority !== entry.priority) {
+      changed.push({
+        intervention: entry.intervention,
+        before: { phase: earlier.phase, priority: earlier.priority },
+        after: { phase: entry.phase, priority: entry.priority }
+      });
+    } else {
+      unchanged++;
+    }
+  }
+  const removed = Array.from(previous.entries())
+    .filter(([key]) => !current.has(key))
+    .map(([, entry]) => entry);
+
+  const flags = synthesis => (synthesis?.clinicalFlags?.redFlags || []).map(flag => flag.flag);
+  const previousFlags = flags(before);
+  const currentFlags = flags(after);
+
+  const diff = {
+    interventions: { added, removed, changed, unchanged },
+    diagnosis: changedValue(
+      before.prescriptionData?.diagnosisHypothesis?.primary,
+      after.prescriptionData?.diagnosisHypothesis?.primary
+    ),
+    urgencyLevel: changedValue(before.clinicalFlags?.urgencyLevel, after.clinicalFlags?.urgencyLevel),
+    redFlags: {
+      added: currentFlags.filter(flag => !previousFlags.includes(flag)),
+      removed: previousFlags.filter(flag => !currentFlags.includes(flag))
+    }
+  };
+
+  diff.hasChanges = added.length > 0 || removed.length > 0 || changed.length > 0 ||
+    diff.diagnosis !== null || diff.urgencyLevel !== null ||
+    diff.redFlags.added.length > 0 || diff.redFlags.removed.length > 0;
+
+  return diff;
+}
@@ -1,11 +1,15 @@
+import { EventEmitter } from 'events';
 import logger from './logger.js';
+import tracer from './tracing.js';
 
 /**
  * CoordinationConference - Manages inter-agent dialogue and collaboration
  * Implements Task 1.3: Agent Coordination Conference
+ * Emits 'dialogueExchange' and 'disagreementDetected' as the conference progresses
  */
-export class CoordinationConference {
+export class CoordinationConference extends EventEmitter {
   constructor() {
+    super();
     this.dialogueHistory = [];
     this.disagreementLog = [];
   }
@@ -15,9 +19,15 @@ export class CoordinationConference {
    * @param {Map} initialResponses - Initial agent responses with questionsForAgents
    * @param {Map} specialists - Map of available specialist agents
    * @param {Object} caseData - Original case data for context
+   * @param {Object} options - { consultationId } used to tag emitted events
    * @returns {Object} Coordination metadata with dialogue, disagreements, emergent findings
    */
-  async conductConferenceRound(initialResponses, specialists, caseData) {
+  async conductConferenceRound(initialResponses, specialists, caseData, options = {}) {
+    const { consultationId = null } = options;
+    const span = tracer.startSpan('conference.round', {
+      attributes: { 'consultation.id': consultationId, 'conference.participants': initialResponses.size }
+    });
+
     try {
       logger.info('Starting coordination conference round');
       const startTime = Date.now();
@@ -31,13 +41,17 @@ export class CoordinationConference {
         interAgentQuestions,
         specialists,
         initialResponses,
-        caseData
+        caseData,
+        { consultationId }
       );
       logger.info(`Completed ${dialogue.length} inter-agent dialogues`);
 
       // Step 3: Detect disagreements between agents
       const disagreements = this.detectDisagreements(initialResponses, dialogue);
       logger.info(`Detected ${disagreements.length} disagreements`);
+      for (const disagreement of disagreements) {
+        this.emit('disagreementDetected', { consultationId, disagreement });
+      }
 
       // Step 4: Track emergent findings from coordination
       const emergentFindings = this.trackEmergentFindings(dialogue, initialResponses);
@@ -54,10 +68,16 @@ export class CoordinationConference {
 
       // Store in history
       this.dialogueHistory.push(coordinationMetadata);
+      span.setAttributes({
+        'conference.questions': interAgentQuestions.length,
+        'conference.dialogues': dialogue.length,
+        'conference.disagreements': disagreements.length
+      });
 
       return coordinationMetadata;
     } catch (error) {
       logger.error(`Error in coordination conference: ${error.message}`);
+      span.recordException(error);
       return {
         interAgentDialogue: [],
         disagreements: [],
@@ -65,6 +85,8 @@ export class CoordinationConference {
         error: error.message,
         timestamp: new Date().toISOString()
       };
+    } finally {
+      span.end();
     }
   }
 
@@ -114,9 +136,11 @@ export class CoordinationConference {
    * @param {Map} specialists - Available specialists
    * @param {Map} initialResponses - Initial agent responses for context
    * @param {Object} caseData - Case data
+   * @param {Object} options - { consultationId } used to tag emitted events
    * @returns {Array} Dialogue exchanges
    */
-  async routeQuestionsToAgents(questions, specialists, initialResponses, caseData) {
+  async routeQuestionsToAgents(questions, specialists, initialResponses, caseData, options = {}) {
+    const { consultationId = null } = options;
     const dialogue = [];
     const questionsRouted = new Map(); // Track questions by target agent
 
@@ -130,7 +154,7 @@ export class CoordinationConference {
     }
 
     // Route to each target agent IN PARALLEL (Option 1 optimization)
-    const routingPromises = Array.from(questionsRouted.entries()).map(async ([targetAgentType, agentQuestions]) => {
+    const routeToAgent = async (targetAgentType, agentQuestions) => {
       const specialist = specialists.get(targetAgentType);
 
       if (!specialist) {
@@ -162,7 +186,7 @@ export class CoordinationConference {
         // Get specialist's response to the questions
         const coordinationResponse = await specialist.processMessage(
           coordinationPrompt,
-          { type: 'coordination_conference', consultationId: 'conference' }
+          { type: 'coordination_conference', consultationId: consultationId || 'conference' }
         );
 
         // Parse response and create dialogue entries
@@ -197,6 +221,14 @@ export class CoordinationConference {
           status: 'error'
         }));
       }
+    };
+
+    const routingPromises = Array.from(questionsRouted.entries()).map(async ([targetAgentType, agentQuestions]) => {
+      const exchanges = await routeToAgent(targetAgentType, agentQuestions);
+      for (const exchange of exchanges) {
+        this.emit('dialogueExchange', { consultationId, exchange });
+      }
+      return exchanges;
     });
 
     // Execute all routing in parallel and flatten results
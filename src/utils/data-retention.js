@@ -0,0 +1,274 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { persistValue } from './persistence-store.js';
+import { DataSubject, RUNNING_STATUSES } from './user-data.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Data classes a retention rule can be set for, in the order they are purged
+export const RETENTION_CLASSES = {
+  rawQueries: 'Consultations with their raw queries and case data, specialist responses, jobs, traces, transcripts and the agents\' assessments',
+  recoveryRecords: 'Identified recovery tracking, counted from the last progress update or completion',
+  patientHistory: 'Consultation and outcome entries of patient histories',
+  consultationHistory: 'Coordination and prediction resolution history entries',
+  deidentifiedOutcomes: 'Anonymized predictions, resolutions, recovery outcomes and agent assessments kept for statistics'
+};
+
+/**
+ * RetentionSubject - selects what a retention purge removes: consultations
+ * past their retention period, and records outside any consultation dated
+ * before the cutoff. It owns no user, so per-user data (recovery records,
+ * patient histories) is left to its own rules
+ */
+export class RetentionSubject extends DataSubject {
+  constructor(consultationIds, cutoff) {
+    super(null, undefined, consultationIds);
+    this.cutoff = cutoff;
+  }
+
+  ownsUser() {
+    return false;
+  }
+
+  owns(record) {
+    if (!record) return false;
+    if (record.consultationId) return this.ownsConsultation(record.consultationId);
+    return new Date(record.timestamp || record.createdAt).getTime() < this.cutoff;
+  }
+}
+
+/**
+ * RetentionManager - enforces how long each data class is kept
+ * Rules are days per data class (null keeps the class indefinitely). A purge
+ * deletes or anonymizes what has outlived its rule the same way a user's
+ * erasure does, so statistics keep adding up until the de-identified
+ * outcomes themselves expire. Each run produces a report of what was purged;
+ * recent reports are kept in the store (namespace `retention`).
+ *
+ * The audit log is outside retention: entries cannot be removed without
+ * breaking its hash chain. Cached consultations, consultation jobs and
+ * idempotent responses expire on their own TTLs.
+ */
+export class RetentionManager {
+  constructor(store = null, components = {}, options = {}) {
+    const config = agentConfig.retention || {};
+
+    this.store = store;
+    this.userData = components.userData;
+    this.coordinator = components.coordinator;
+    this.recoveryMetrics = components.recoveryMetrics;
+    this.patientHistory = components.patientHistory;
+    this.agents = components.agents || {};
+    this.enabled = options.enabled ?? config.enabled ?? true;
+    this.intervalMs = options.intervalMs ?? config.intervalMs ?? 6 * 60 * 60 * 1000;
+    this.maxReports = options.maxReports ?? config.maxReports ?? 50;
+    this.rules = RetentionManager.validateRules(options.rules ?? config.rules ?? {});
+    this.reports = [];
+    this.running = null;
+    this.timer = null;
+    this.stats = { runs: 0, failures: 0, lastRunAt: null };
+  }
+
+  /**
+   * Check rules against the known data classes
+   * @returns {Object} dataClass -> days or null, for every class
+   */
+  static validateRules(rules) {
+    for (const [dataClass, days] of Object.entries(rules)) {
+      if (!RETENTION_CLASSES[dataClass]) {
+        throw new Error(`Unknown retention data class: ${dataClass}`);
+      }
+      if (days !== null && !(Number.isFinite(days) && days >= 0)) {
+        throw new Error(`Invalid retention period for ${dataClass}: ${days}`);
+      }
+    }
+    return Object.fromEntries(Object.keys(RETENTION_CLASSES).map(dataClass => [dataClass, rules[dataClass] ?? null]));
+  }
+
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      this.reports = (await this.store.get('retention', 'reports')) || [];
+      this.stats.lastRunAt = this.reports.at(-1)?.finishedAt || null;
+    } catch (error) {
+      logger.error(`Error restoring retention reports: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getPolicy() {
+    return Object.fromEntries(Object.entries(this.rules).map(([dataClass, retentionDays]) => [dataClass, {
+      retentionDays,
+      description: RETENTION_CLASSES[dataClass]
+    }]));
+  }
+
+  /**
+   * Consultations started before the cutoff that are no longer running
+   */
+  findExpiredConsultations(cutoff) {
+    const { consultationJobs } = this.userData;
+    const expired = new Set();
+    const before = date => new Date(date).getTime() < cutoff;
+
+    for (const consultation of this.coordinator.activeConsultations.values()) {
+      if (before(consultation.startTime)) expired.add(consultation.id);
+    }
+    for (const job of consultationJobs.jobs.values()) {
+      if (before(job.createdAt)) expired.add(job.consultationId);
+    }
+    for (const predictions of this.coordinator.predictionMarket?.predictions.values() || []) {
+      if (!predictions.anonymized && before(predictions.timestamp)) expired.add(predictions.consultationId);
+    }
+
+    return new Set(Array.from(expired).filter(id => {
+      const status = this.coordinator.getConsultation(id)?.status || consultationJobs.get(id)?.status;
+      return !RUNNING_STATUSES.includes(status);
+    }));
+  }
+
+  /**
+   * Apply one data class's rule
+   * @returns {Object} { deleted, anonymized } counts
+   */
+  async purgeClass(dataClass, cutoff) {
+    switch (dataClass) {
+      case 'rawQueries':
+        return this.userData.eraseConsultations(new RetentionSubject(this.findExpiredConsultations(cutoff), cutoff));
+
+      case 'recoveryRecords': {
+        const result = { deleted: { recoveryRecords: 0 }, anonymized: { recoveryRecords: 0 } };
+        for (const record of this.recoveryMetrics.findInactiveRecords(cutoff)) {
+          const { deleted, anonymized } = this.recoveryMetrics.eraseUserData(new DataSubject(record.patientId, record.tenantId));
+          result.deleted.recoveryRecords += deleted;
+          result.anonymized.recoveryRecords += anonymized;
+        }
+        return result;
+      }
+
+      case 'patientHistory': {
+        const { entries, histories } = this.patientHistory.purgeBefore(cutoff);
+        return { deleted: { historyEntries: entries, histories }, anonymized: {} };
+      }
+
+      case 'consultationHistory':
+        return {
+          deleted: {
+            coordinationHistory: this.coordinator.purgeHistory(cutoff),
+            predictionHistory: this.coordinator.predictionMarket?.purgeHistory(cutoff) || 0
+          },
+          anonymized: {}
+        };
+
+      case 'deidentifiedOutcomes':
+        return {
+          deleted: {
+            predictionRecords: this.coordinator.predictionMarket?.purgeAnonymized(cutoff) || 0,
+            recoveryRecords: this.recoveryMetrics.purgeAnonymized(cutoff),
+            agentRecords: Object.values(this.agents).reduce((sum, agent) => sum + agent.purgeAnonymizedRecords(cutoff), 0)
+          },
+          anonymized: {}
+        };
+
+      default:
+        throw new Error(`Unknown retention data class: ${dataClass}`);
+    }
+  }
+
+  /**
+   * Purge everything past its retention period; a purge already running is
+   * joined rather than started twice
+   * @returns {Object} Purge report
+   */
+  purge({ trigger = 'manual' } = {}) {
+    if (!this.running) {
+      this.running = this.runPurge(trigger).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async runPurge(trigger) {
+    const startedAt = new Date();
+
+    try {
+      const policy = {};
+      const purged = {};
+      let total = 0;
+
+      for (const [dataClass, retentionDays] of Object.entries(this.rules)) {
+        if (retentionDays === null) {
+          policy[dataClass] = { retentionDays, cutoff: null };
+          continue;
+        }
+
+        const cutoff = startedAt.getTime() - retentionDays * DAY_MS;
+        policy[dataClass] = { retentionDays, cutoff: new Date(cutoff).toISOString() };
+        purged[dataClass] = await this.purgeClass(dataClass, cutoff);
+        total += [purged[dataClass].deleted, purged[dataClass].anonymized]
+          .flatMap(counts => Object.values(counts))
+          .reduce((sum, count) => sum + count, 0);
+      }
+
+      const report = {
+        runId: `retention_${startedAt.getTime()}`,
+        trigger,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        policy,
+        purged,
+        total
+      };
+
+      this.reports = [...this.reports, report].slice(-this.maxReports);
+      persistValue(this.store, 'retention', 'reports', this.reports);
+      this.stats.runs++;
+      this.stats.lastRunAt = report.finishedAt;
+      logger.info(`Retention purge (${trigger}) removed or anonymized ${total} records`);
+      return report;
+    } catch (error) {
+      this.stats.failures++;
+      logger.error(`Retention purge failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent reports first
+   */
+  getReports(limit = this.maxReports) {
+    return this.reports.slice(-limit).reverse();
+  }
+
+  /**
+   * Purge now and then every intervalMs
+   */
+  startScheduler() {
+    if (!this.enabled || this.timer) return;
+
+    const run = () => this.purge({ trigger: 'scheduled' }).catch(() => {});
+    this.timer = setInterval(run, this.intervalMs);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      intervalMs: this.intervalMs,
+      reports: this.reports.length,
+      ...this.stats
+    };
+  }
+}
+
+export default RetentionManager;
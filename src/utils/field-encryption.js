@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+export const ENVELOPE_FIELD = '__encrypted';
+export const ENVELOPE_VERSION = 1;
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Turn configured key material into a 256-bit key: 64 hex characters or
+ * base64 of 32 bytes are used as-is, anything else is treated as a passphrase
+ */
+export function parseKey(material) {
+  const value = String(material).trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, 'hex');
+
+  const decoded = Buffer.from(value, 'base64');
+  if (decoded.length === KEY_BYTES && /^[A-Za-z0-9+/]+={0,2}$/.test(value)) return decoded;
+
+  return crypto.scryptSync(value, 'orthoiq-field-encryption', KEY_BYTES);
+}
+
+// Key ids are derived from the key so rotating never needs a separate id setting
+function keyIdFor(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function encrypt(key, plaintext, aad = null) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function decrypt(key, sealed, aad = null) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * FieldEncryptor - envelope encryption for persisted patient data
+ * Each sealed value gets its own random data key (AES-256-GCM); the data key
+ * is wrapped with the current master key and stored alongside the ciphertext.
+ * Rotating the master key only re-wraps data keys, and previous keys stay
+ * readable until every envelope has been re-wrapped.
+ *
+ * Records are sealed field by field: the listed plaintext fields (ids, status,
+ * timestamps) stay readable and everything else moves into one envelope under
+ * `__encrypted`. Without a configured key values pass through untouched.
+ */
+export class FieldEncryptor {
+  constructor(options = {}) {
+    const config = agentConfig.security || {};
+    const current = 'key' in options ? options.key : config.encryptionKey;
+    const previous = options.previousKeys || config.previousEncryptionKeys || [];
+
+    this.keys = new Map(); // key id -> key
+    this.currentKeyId = null;
+    if (current) {
+      const key = parseKey(current);
+      this.currentKeyId = keyIdFor(key);
+      this.keys.set(this.currentKeyId, key);
+    }
+    for (const material of previous) {
+      const key = parseKey(material);
+      if (!this.keys.has(keyIdFor(key))) this.keys.set(keyIdFor(key), key);
+    }
+
+    this.stats = { sealed: 0, opened: 0, rewrapped: 0, failures: 0 };
+  }
+
+  get enabled() {
+    return this.currentKeyId !== null;
+  }
+
+  static isSealed(value) {
+    return isPlainObject(value) && isPlainObject(value[ENVELOPE_FIELD]) && value[ENVELOPE_FIELD].v === ENVELOPE_VERSION;
+  }
+
+  /**
+   * Seal a record, keeping `plaintextFields` readable; non-object values are sealed whole
+   * @param {String} context - Bound to the ciphertext (e.g. "namespace/key") so envelopes cannot be swapped between records
+   */
+  seal(value, plaintextFields = [], context = null) {
+    if (!this.enabled || value === null || value === undefined || FieldEncryptor.isSealed(value)) return value;
+
+    const whole = !isPlainObject(value);
+    const plain = {};
+    let secret = value;
+    if (!whole) {
+      secret = {};
+      for (const [field, item] of Object.entries(value)) {
+        if (plaintextFields.includes(field)) plain[field] = item;
+        else secret[field] = item;
+      }
+      if (Object.keys(secret).length === 0) return value;
+    }
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    this.stats.sealed++;
+    return {
+      ...plain,
+      [ENVELOPE_FIELD]: {
+        v: ENVELOPE_VERSION,
+        alg: ALGORITHM,
+        kid: this.currentKeyId,
+        key: encrypt(this.keys.get(this.currentKeyId), dataKey).toString('base64'),
+        data: encrypt(dataKey, Buffer.from(JSON.stringify(secret)), context).toString('base64'),
+        ...(whole && { whole: true })
+      }
+    };
+  }
+
+  /**
+   * Reverse seal(); values that were never sealed are returned as they are
+   */
+  open(value, context = null) {
+    if (!FieldEncryptor.isSealed(value)) return value;
+
+    const { [ENVELOPE_FIELD]: envelope, ...plain } = value;
+    try {
+      const dataKey = decrypt(this.masterKey(envelope.kid), Buffer.from(envelope.key, 'base64'));
+      const secret = JSON.parse(decrypt(dataKey, Buffer.from(envelope.data, 'base64'), context).toString('utf8'));
+      this.stats.opened++;
+      return envelope.whole ? secret : { ...plain, ...secret };
+    } catch (error) {
+      this.stats.failures++;
+      logger.error(`Failed to decrypt ${context || 'value'}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-wrap the data key of a sealed value under the current master key
+   * @returns {Object} { value, changed }
+   */
+  rewrap(value) {
+    if (!this.enabled || !FieldEncryptor.isSealed(value) || value[ENVELOPE_FIELD].kid === this.currentKeyId) {
+      return { value, changed: false };
+    }
+
+    const envelope = value[ENVELOPE_FIELD];
+    const dataKey = decrypt(this.masterKey(envelope.kid), Buffer.from(envelope.key, 'base64'));
+    this.stats.rewrapped++;
+    return {
+      value: {
+        ...value,
+        [ENVELOPE_FIELD]: {
+          ...envelope,
+          kid: this.currentKeyId,
+          key: encrypt(this.keys.get(this.currentKeyId), dataKey).toString('base64')
+        }
+      },
+      changed: true
+    };
+  }
+
+  masterKey(keyId) {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      const error = new Error(`Encryption key ${keyId} is not configured (set it in ENCRYPTION_KEY or ENCRYPTION_PREVIOUS_KEYS)`);
+      error.code = 'ENCRYPTION_KEY_MISSING';
+      throw error;
+    }
+    return key;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      algorithm: ALGORITHM,
+      keyId: this.currentKeyId,
+      previousKeys: this.keys.size - (this.enabled ? 1 : 0),
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const fieldEncryptor = new FieldEncryptor();
+
+export default fieldEncryptor;
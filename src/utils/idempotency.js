@@ -0,0 +1,261 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+// Printable ASCII without spaces, like Stripe and the IETF Idempotency-Key draft
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with sorted object keys, so equal bodies hash equally whatever the key order
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash of what the request asks for (path parameters, query and body)
+ */
+export function requestFingerprint(req) {
+  const request = stableStringify({ params: req.params || {}, query: req.query || {}, body: req.body || {} });
+  return crypto.createHash('sha256').update(request).digest('hex');
+}
+
+/**
+ * Keys are scoped to the caller and the operation, so two clients (or two
+ * endpoints) never share a key space
+ */
+export function idempotencyScope(auth, operationId, key) {
+  return `${auth?.tenantId || 'default'}:${auth?.subject || 'anonymous'}:${operationId}:${key}`;
+}
+
+/**
+ * IdempotencyStore - replays the stored response for retried requests
+ * The first request with an Idempotency-Key runs normally and its response is
+ * kept for `ttlMs`; a retry with the same key and request gets that response
+ * back (Idempotent-Replayed: true) without running the handler again. The
+ * same key with a different request is answered with 422, and a retry that
+ * arrives while the first request is still running with 409. Server errors and
+ * 429s are not stored, so retrying them runs the request again
+ */
+export class IdempotencyStore {
+  constructor(store = null, options = {}) {
+    const config = agentConfig.idempotency || {};
+
+    this.records = new PersistentMap(store, 'idempotencyKeys'); // scope -> record
+    this.ttlMs = options.ttlMs ?? config.ttlMs ?? 24 * 60 * 60 * 1000;
+    this.maxKeys = options.maxKeys ?? config.maxKeys ?? 10000;
+    this.sweepIntervalMs = options.sweepIntervalMs ?? config.sweepIntervalMs ?? 10 * 60 * 1000;
+    this.sweepTimer = null;
+    this.stats = { stored: 0, replayed: 0, conflicts: 0, inProgress: 0 };
+  }
+
+  /**
+   * Restore stored responses; requests that were running when the process
+   * stopped never answered, so their keys are released
+   */
+  async hydrate() {
+    try {
+      await this.records.hydrate();
+
+      let released = 0;
+      for (const [scope, record] of Array.from(this.records.entries())) {
+        if (record.status === 'in_progress') {
+          this.records.delete(scope);
+          released++;
+        }
+      }
+
+      const expired = this.purgeExpired();
+      logger.info(`Idempotency keys restored: ${this.records.size} stored, ${released} released, ${expired} expired`);
+    } catch (error) {
+      logger.error(`Error restoring idempotency keys: ${error.message}`);
+      throw error;
+    }
+  }
+
+  get(scope) {
+    const record = this.records.get(scope);
+    if (!record) return null;
+
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      this.records.delete(scope);
+      return null;
+    }
+    return record;
+  }
+
+  begin(scope, fingerprint) {
+    const now = Date.now();
+    this.records.set(scope, {
+      status: 'in_progress',
+      fingerprint,
+      response: null,
+      createdAt: new Date(now).toISOString(),
+      completedAt: null,
+      expiresAt: new Date(now + this.ttlMs).toISOString()
+    });
+
+    // Oldest keys go first once the store is full
+    for (const oldest of this.records.keys()) {
+      if (this.records.size <= this.maxKeys) break;
+      this.records.delete(oldest);
+    }
+  }
+
+  settle(scope, statusCode, body) {
+    const record = this.records.get(scope);
+    if (!record) return;
+
+    if (statusCode >= 500 || statusCode === 429) {
+      this.records.delete(scope);
+      return;
+    }
+
+    record.status = 'completed';
+    record.response = { statusCode, body };
+    record.completedAt = new Date().toISOString();
+    this.records.touch(scope);
+    this.stats.stored++;
+  }
+
+  /**
+   * Express middleware for a route definition (src/schemas/api.js) marked idempotent
+   * Requests without the header are passed through unchanged
+   */
+  middleware(definition) {
+    return (req, res, next) => {
+      const key = req.get(IDEMPOTENCY_HEADER);
+      if (key === undefined) return next();
+
+      if (!KEY_PATTERN.test(key)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `${IDEMPOTENCY_HEADER} must be 1-255 printable ASCII characters without spaces`
+        });
+      }
+
+      const scope = idempotencyScope(req.auth, definition.operationId, key);
+      const fingerprint = requestFingerprint(req);
+      const existing = this.get(scope);
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          this.stats.conflicts++;
+          logger.warn(`${IDEMPOTENCY_HEADER} reused with a different request on ${req.method} ${req.path}`);
+          return res.status(422).json({
+            error: 'Idempotency key reused',
+            message: `${IDEMPOTENCY_HEADER} ${key} was already used with a different request`
+          });
+        }
+
+        if (existing.status === 'in_progress') {
+          this.stats.inProgress++;
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            error: 'Request in progress',
+            message: `A request with ${IDEMPOTENCY_HEADER} ${key} is still being processed`
+          });
+        }
+
+        this.stats.replayed++;
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+      }
+
+      this.begin(scope, fingerprint);
+
+      let settled = false;
+      const json = res.json.bind(res);
+      res.json = body => {
+        if (!settled) {
+          settled = true;
+          this.settle(scope, res.statusCode, body);
+        }
+        return json(body);
+      };
+      // Handlers that end without a JSON body (or crash) release the key
+      res.on('close', () => {
+        if (!settled) {
+          settled = true;
+          this.records.delete(scope);
+        }
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Stored responses for requests a data subject made or that returned their
+   * consultations or recovery records, as [scope, record]
+   */
+  findUserRecords(subject) {
+    const tenantPrefix = `${subject.tenantId}:`;
+    return Array.from(this.records.entries()).filter(([scope, record]) => {
+      if (!scope.startsWith(tenantPrefix)) return false;
+      if (scope.startsWith(`${tenantPrefix}${subject.userId}:`)) return true;
+
+      const body = record.response?.body || {};
+      return subject.ownsConsultation(body.consultationId) ||
+        subject.ownsConsultation(body.consultation?.consultationId) ||
+        subject.ownsUser(body.completion?.patientId, subject.tenantId);
+    });
+  }
+
+  exportUserData(subject) {
+    return this.findUserRecords(subject).map(([scope, record]) => ({ scope, ...record }));
+  }
+
+  eraseUserData(subject) {
+    const records = this.findUserRecords(subject);
+    for (const [scope] of records) {
+      this.records.delete(scope);
+    }
+    return records.length;
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    let purged = 0;
+
+    for (const [scope, record] of Array.from(this.records.entries())) {
+      if (new Date(record.expiresAt).getTime() <= now) {
+        this.records.delete(scope);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => this.purgeExpired(), this.sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      keys: this.records.size,
+      ttlMs: this.ttlMs,
+      ...this.stats
+    };
+  }
+}
+
+export default IdempotencyStore;
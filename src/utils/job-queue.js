@@ -0,0 +1,491 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+import fieldEncryptor from './field-encryption.js';
+
+/**
+ * Background job queue
+ *
+ * JobQueue is the facade used by the server; the backend decides where jobs
+ * live. MemoryQueueBackend keeps jobs in a PersistentMap (so they survive a
+ * restart when the file store is configured) and BullQueueBackend delegates to
+ * Bull on a Redis-compatible server for multi-instance production deployments.
+ * Job statuses follow Bull: waiting, active, delayed, completed, failed.
+ */
+
+export const PENDING_STATUSES = ['waiting', 'active', 'delayed'];
+
+function retryDelay(backoffMs, attemptsMade) {
+  return backoffMs * Math.pow(2, Math.max(0, attemptsMade - 1));
+}
+
+/**
+ * MemoryQueueBackend - in-process queue with retries and per-queue concurrency
+ */
+export class MemoryQueueBackend {
+  constructor(store = null, options = {}) {
+    this.name = 'memory';
+    this.jobs = new PersistentMap(store, 'jobQueue');
+    this.processors = new Map(); // queue name -> { handler, concurrency, active }
+    this.waiting = new Map(); // queue name -> [jobId]
+    this.timers = new Set();
+    this.running = new Set();
+    this.maxFinishedJobs = options.maxFinishedJobs ?? 500;
+    this.sequence = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Restore jobs from the store; unfinished jobs are queued again
+   */
+  async initialize() {
+    const restored = await this.jobs.hydrate();
+    let resumed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (PENDING_STATUSES.includes(job.status)) {
+        job.status = 'waiting';
+        this.jobs.touch(job.id);
+        this.getWaiting(job.name).push(job.id);
+        resumed++;
+      }
+    }
+
+    if (restored > 0) {
+      logger.info(`Job queue restored ${restored} jobs (${resumed} resumed)`);
+    }
+  }
+
+  getWaiting(name) {
+    if (!this.waiting.has(name)) {
+      this.waiting.set(name, []);
+    }
+    return this.waiting.get(name);
+  }
+
+  process(name, concurrency, handler) {
+    this.processors.set(name, { handler, concurrency, active: 0 });
+    this.drain(name);
+  }
+
+  async add(name, data, options = {}) {
+    const id = options.jobId || `${name}_${Date.now()}_${++this.sequence}`;
+
+    // Same semantics as Bull: adding an existing job id is a no-op
+    const existing = this.jobs.get(id);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id,
+      name,
+      data,
+      status: 'waiting',
+      attemptsMade: 0,
+      maxAttempts: options.attempts || 1,
+      backoffMs: options.backoffMs || 0,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      processedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(id, job);
+
+    if (options.delay > 0) {
+      this.schedule(job, options.delay);
+    } else {
+      this.getWaiting(name).push(id);
+      this.drain(name);
+    }
+
+    return job;
+  }
+
+  schedule(job, delay) {
+    job.status = 'delayed';
+    this.jobs.touch(job.id);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      job.status = 'waiting';
+      this.jobs.touch(job.id);
+      this.getWaiting(job.name).push(job.id);
+      this.drain(job.name);
+    }, delay);
+    timer.unref();
+    this.timers.add(timer);
+  }
+
+  drain(name) {
+    const processor = this.processors.get(name);
+    if (!processor || this.closed) return;
+
+    const queue = this.getWaiting(name);
+    while (processor.active < processor.concurrency && queue.length > 0) {
+      const job = this.jobs.get(queue.shift());
+      if (!job || job.status !== 'waiting') continue;
+
+      const run = this.run(processor, job);
+      this.running.add(run);
+      run.finally(() => this.running.delete(run));
+    }
+  }
+
+  async run(processor, job) {
+    processor.active++;
+    job.status = 'active';
+    job.processedAt = new Date().toISOString();
+    job.updatedAt = job.processedAt;
+    this.jobs.touch(job.id);
+
+    try {
+      const result = await processor.handler({
+        id: job.id,
+        name: job.name,
+        data: job.data,
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.maxAttempts
+      });
+
+      job.attemptsMade++;
+      job.status = 'completed';
+      job.result = result ?? null;
+      job.error = null;
+      job.finishedAt = new Date().toISOString();
+    } catch (error) {
+      job.attemptsMade++;
+      job.error = error.message;
+
+      if (job.attemptsMade < job.maxAttempts && this.closed) {
+        // Picked up again from the store on the next start
+        job.status = 'waiting';
+      } else if (job.attemptsMade < job.maxAttempts) {
+        this.schedule(job, retryDelay(job.backoffMs, job.attemptsMade));
+      } else {
+        job.status = 'failed';
+        job.finishedAt = new Date().toISOString();
+      }
+    } finally {
+      processor.active--;
+      job.updatedAt = new Date().toISOString();
+      this.jobs.touch(job.id);
+      this.pruneFinished();
+      this.drain(job.name);
+    }
+  }
+
+  /**
+   * Keep only the most recent finished jobs for inspection
+   */
+  pruneFinished() {
+    const finished = Array.from(this.jobs.values())
+      .filter(job => job.status === 'completed' || job.status === 'failed');
+
+    if (finished.length <= this.maxFinishedJobs) return;
+
+    finished
+      .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+      .slice(0, finished.length - this.maxFinishedJobs)
+      .forEach(job => this.jobs.delete(job.id));
+  }
+
+  async getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async getJobs({ status, name } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .filter(job => !name || job.name === name)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async removeJob(id) {
+    const job = this.jobs.get(id);
+    if (!job || job.status === 'active') return false;
+
+    // Waiting and delayed ids are skipped by drain() once the job is gone
+    this.jobs.delete(id);
+    return true;
+  }
+
+  async getCounts() {
+    const counts = { waiting: 0, active: 0, delayed: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Stop picking up work and wait for running jobs to settle
+   */
+  async close() {
+    this.closed = true;
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    await Promise.allSettled(Array.from(this.running));
+  }
+}
+
+// Job payload fields left readable in Redis; everything else is sealed
+const BULL_PLAINTEXT_FIELDS = ['consultationId', 'deliveryId'];
+
+/**
+ * BullQueueBackend - Redis-backed queues via Bull, one Bull queue per job name
+ * Queues are opened on first use; the names passed as `queueNames` are opened
+ * by initialize() so their jobs can be looked up before a handler registers
+ */
+export class BullQueueBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.redisUrl = options.redisUrl;
+    this.prefix = options.prefix || 'orthoiq';
+    this.maxFinishedJobs = options.maxFinishedJobs ?? 500;
+    this.queueNames = options.queueNames || [];
+    this.queues = new Map();
+    this.Bull = null;
+    this.encryptor = options.encryptor || fieldEncryptor;
+  }
+
+  async initialize() {
+    const { default: Bull } = await import('bull');
+    this.Bull = Bull;
+    for (const name of this.queueNames) {
+      this.getQueue(name);
+    }
+    logger.info(`Job queue connected to Redis at ${this.redisUrl}`);
+  }
+
+  getQueue(name) {
+    if (!this.queues.has(name)) {
+      this.queues.set(name, new this.Bull(name, this.redisUrl, { prefix: this.prefix }));
+    }
+    return this.queues.get(name);
+  }
+
+  process(name, concurrency, handler) {
+    this.getQueue(name).process(concurrency, job => handler({
+      id: String(job.id),
+      name,
+      data: this.openData(name, job.data),
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts || 1
+    }));
+  }
+
+  // Payloads carry case data and patient history, so they are sealed before they reach Redis
+  sealData(name, data) {
+    return this.encryptor.seal(data, BULL_PLAINTEXT_FIELDS, `jobQueue/${name}`);
+  }
+
+  openData(name, data) {
+    return this.encryptor.open(data, `jobQueue/${name}`);
+  }
+
+  async add(name, data, options = {}) {
+    const job = await this.getQueue(name).add(this.sealData(name, data), {
+      jobId: options.jobId,
+      attempts: options.attempts || 1,
+      backoff: options.backoffMs ? { type: 'exponential', delay: options.backoffMs } : undefined,
+      delay: options.delay,
+      removeOnComplete: this.maxFinishedJobs,
+      removeOnFail: this.maxFinishedJobs
+    });
+    return this.toRecord(name, job);
+  }
+
+  async toRecord(name, job) {
+    return {
+      id: String(job.id),
+      name,
+      data: this.openData(name, job.data),
+      status: await job.getState(),
+      attemptsMade: job.attemptsMade,
+      maxAttempts: job.opts.attempts || 1,
+      result: job.returnvalue ?? null,
+      error: job.failedReason || null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    };
+  }
+
+  async getJob(id) {
+    for (const [name, queue] of this.queues) {
+      const job = await queue.getJob(id);
+      if (job) return this.toRecord(name, job);
+    }
+    return null;
+  }
+
+  async getJobs({ status, name } = {}) {
+    const states = status ? [status] : ['waiting', 'active', 'delayed', 'completed', 'failed'];
+    const records = [];
+
+    for (const [queueName, queue] of this.queues) {
+      if (name && name !== queueName) continue;
+      const jobs = await queue.getJobs(states);
+      records.push(...await Promise.all(jobs.filter(Boolean).map(job => this.toRecord(queueName, job))));
+    }
+
+    return records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  async removeJob(id) {
+    for (const queue of this.queues.values()) {
+      const job = await queue.getJob(id);
+      if (!job) continue;
+      if (await job.isActive()) return false;
+      await job.remove();
+      return true;
+    }
+    return false;
+  }
+
+  async getCounts() {
+    const counts = { waiting: 0, active: 0, delayed: 0, completed: 0, failed: 0 };
+    for (const queue of this.queues.values()) {
+      const queueCounts = await queue.getJobCounts();
+      for (const [status, count] of Object.entries(queueCounts)) {
+        counts[status] = (counts[status] || 0) + count;
+      }
+    }
+    return counts;
+  }
+
+  async close() {
+    await Promise.allSettled(Array.from(this.queues.values()).map(queue => queue.close()));
+  }
+}
+
+/**
+ * JobQueue - registers job handlers and enqueues work with retry defaults
+ * Emits 'completed' and 'failed' (final failure or a retryable attempt)
+ */
+export class JobQueue extends EventEmitter {
+  constructor(backend, options = {}) {
+    super();
+    this.backend = backend;
+    this.defaults = {
+      concurrency: options.concurrency ?? 2,
+      attempts: options.attempts ?? 3,
+      backoffMs: options.backoffMs ?? 5000
+    };
+    this.handlers = new Map(); // job name -> { attempts, backoffMs }
+  }
+
+  async initialize() {
+    try {
+      await this.backend.initialize();
+    } catch (error) {
+      logger.error(`Job queue initialization failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Register the handler for a job name
+   * @param {String} name - Job name
+   * @param {Function} handler - async (job) => result; throw to trigger a retry
+   * @param {Object} options - { concurrency, attempts, backoffMs }
+   */
+  register(name, handler, options = {}) {
+    const settings = {
+      concurrency: options.concurrency ?? this.defaults.concurrency,
+      attempts: options.attempts ?? this.defaults.attempts,
+      backoffMs: options.backoffMs ?? this.defaults.backoffMs
+    };
+    this.handlers.set(name, settings);
+
+    this.backend.process(name, settings.concurrency, async job => {
+      try {
+        const result = await handler(job);
+        this.emit('completed', { job, result });
+        return result;
+      } catch (error) {
+        const willRetry = job.attemptsMade + 1 < job.maxAttempts;
+        logger.warn(`Job ${job.id} (${name}) failed on attempt ${job.attemptsMade + 1}/${job.maxAttempts}: ${error.message}`);
+        this.emit('failed', { job, error: error.message, willRetry });
+        throw error;
+      }
+    });
+
+    logger.info(`Job handler registered: ${name} (concurrency ${settings.concurrency}, attempts ${settings.attempts})`);
+  }
+
+  async add(name, data, options = {}) {
+    const settings = this.handlers.get(name) || this.defaults;
+
+    return this.backend.add(name, data, {
+      jobId: options.jobId,
+      attempts: options.attempts ?? settings.attempts,
+      backoffMs: options.backoffMs ?? settings.backoffMs,
+      delay: options.delay
+    });
+  }
+
+  async getJob(id) {
+    return this.backend.getJob(id);
+  }
+
+  async getJobs(filter = {}) {
+    const jobs = await this.backend.getJobs(filter);
+    return filter.limit ? jobs.slice(0, filter.limit) : jobs;
+  }
+
+  /**
+   * Remove a job that is not running (its data included)
+   * @returns {Boolean} Whether a job was removed
+   */
+  async removeJob(id) {
+    return this.backend.removeJob(id);
+  }
+
+  async hasPendingJob(id) {
+    const job = await this.backend.getJob(id);
+    return Boolean(job && PENDING_STATUSES.includes(job.status));
+  }
+
+  async getStats() {
+    return {
+      backend: this.backend.name,
+      handlers: Object.fromEntries(this.handlers),
+      counts: await this.backend.getCounts()
+    };
+  }
+
+  async close() {
+    await this.backend.close();
+  }
+}
+
+/**
+ * Create the job queue configured for this environment
+ */
+export function createJobQueue(store = null, config = agentConfig.jobQueue) {
+  const { backend = 'memory', redisUrl, maxFinishedJobs, queues } = config;
+
+  switch (backend) {
+    case 'memory':
+      return new JobQueue(new MemoryQueueBackend(store, { maxFinishedJobs }), config);
+    case 'redis':
+      // Same rule as the persistence store: no patient data in Redis unencrypted in production
+      if (!fieldEncryptor.enabled && agentConfig.environment.nodeEnv === 'production') {
+        throw new Error('Refusing to queue patient data in Redis in production without ENCRYPTION_KEY');
+      }
+      return new JobQueue(new BullQueueBackend({ redisUrl, maxFinishedJobs, queueNames: queues }), config);
+    default:
+      throw new Error(`Unknown job queue backend: ${backend}`);
+  }
+}
+
+export default JobQueue;
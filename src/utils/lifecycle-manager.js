@@ -0,0 +1,202 @@
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+export const LIFECYCLE_STATE = {
+  RUNNING: 'running',
+  DRAINING: 'draining',
+  STOPPED: 'stopped'
+};
+
+/**
+ * LifecycleManager - tracks in-flight work so shutdown can drain it
+ *
+ * HTTP requests, background jobs and the coordinator's fire-and-forget steps
+ * (prediction initiation, token payments) register their promises with track().
+ * shutdown() stops accepting new work, waits for tracked work up to the drain
+ * deadline, runs the checkpoint of every task still unfinished and returns a
+ * report of what was drained and what was abandoned. Emits 'draining' and
+ * 'stopped'
+ */
+export class LifecycleManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const config = agentConfig.lifecycle || {};
+
+    this.drainTimeoutMs = options.drainTimeoutMs ?? config.drainTimeoutMs ?? 30 * 1000;
+    this.state = LIFECYCLE_STATE.RUNNING;
+    this.tasks = new Map(); // task id -> { id, kind, label, details, startedAt, promise, checkpoint }
+    this.sequence = 0;
+    this.shutdownPromise = null;
+    this.lastShutdown = null;
+    this.stats = { tracked: 0, completed: 0, failed: 0, rejectedRequests: 0 };
+  }
+
+  isAccepting() {
+    return this.state === LIFECYCLE_STATE.RUNNING;
+  }
+
+  /**
+   * Track a promise until it settles
+   * @param {String} kind - Category for reports (request, coordination, predictions, ...)
+   * @param {String} label - What the work is about (consultation id, route, job id)
+   * @param {Promise} promise - The work itself; returned unchanged
+   * @param {Object} options - { details (kept in the report), checkpoint (sync or async
+   *   function run if the task is abandoned at the drain deadline) }
+   */
+  track(kind, label, promise, { details = null, checkpoint = null } = {}) {
+    const id = `${kind}_${++this.sequence}`;
+    const task = { id, kind, label, details, startedAt: Date.now(), promise, checkpoint };
+
+    this.tasks.set(id, task);
+    this.stats.tracked++;
+
+    promise.then(
+      () => this.stats.completed++,
+      () => this.stats.failed++
+    ).finally(() => this.tasks.delete(id));
+
+    return promise;
+  }
+
+  /**
+   * Express middleware: tracks every request until its response closes and
+   * answers 503 once shutdown has started
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.isAccepting()) {
+        this.stats.rejectedRequests++;
+        res.set('Connection', 'close');
+        res.set('Retry-After', '5');
+        return res.status(503).json({
+          error: 'Service shutting down',
+          message: 'The server is draining in-flight work; retry against another instance'
+        });
+      }
+
+      this.track('request', `${req.method} ${req.path}`, new Promise(resolve => res.once('close', resolve)));
+      next();
+    };
+  }
+
+  getInFlight() {
+    const byKind = {};
+    for (const task of this.tasks.values()) {
+      byKind[task.kind] = (byKind[task.kind] || 0) + 1;
+    }
+    return byKind;
+  }
+
+  /**
+   * Drain and stop; safe to call more than once (later calls get the same report)
+   * @param {Object} options - { reason, stopAccepting (run before draining, e.g. closing
+   *   the HTTP server), drainTimeoutMs }
+   * @returns {Promise<Object>} Shutdown report
+   */
+  shutdown({ reason = 'shutdown', stopAccepting = null, drainTimeoutMs = this.drainTimeoutMs } = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.drain(reason, stopAccepting, drainTimeoutMs);
+    }
+    return this.shutdownPromise;
+  }
+
+  async drain(reason, stopAccepting, drainTimeoutMs) {
+    const startedAt = Date.now();
+    this.state = LIFECYCLE_STATE.DRAINING;
+    this.emit('draining', { reason });
+    logger.info(`Shutdown (${reason}): draining ${this.tasks.size} in-flight tasks, deadline ${drainTimeoutMs}ms`);
+
+    try {
+      if (stopAccepting) await stopAccepting();
+    } catch (error) {
+      logger.error(`Error while stopping intake: ${error.message}`);
+    }
+
+    const inFlight = this.tasks.size;
+    let deadlineTimer;
+    const deadline = new Promise(resolve => {
+      deadlineTimer = setTimeout(() => resolve(true), drainTimeoutMs);
+    });
+    const timedOut = await Promise.race([this.settled().then(() => false), deadline]);
+    clearTimeout(deadlineTimer);
+
+    const abandoned = [];
+    for (const task of Array.from(this.tasks.values())) {
+      let checkpointed = false;
+      if (task.checkpoint) {
+        try {
+          await task.checkpoint();
+          checkpointed = true;
+        } catch (error) {
+          logger.error(`Checkpoint failed for ${task.kind} ${task.label}: ${error.message}`);
+        }
+      }
+
+      abandoned.push({
+        kind: task.kind,
+        label: task.label,
+        details: task.details,
+        runningMs: Date.now() - task.startedAt,
+        checkpointed
+      });
+      logger.warn(`Shutdown abandoned ${task.kind} ${task.label}${checkpointed ? ' (checkpointed, resumes on restart)' : ''}`);
+    }
+
+    this.state = LIFECYCLE_STATE.STOPPED;
+    const report = {
+      reason,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      timedOut,
+      drained: inFlight - abandoned.length,
+      abandoned
+    };
+    this.lastShutdown = report;
+    this.emit('stopped', report);
+    logger.info(`Shutdown (${reason}) finished in ${report.durationMs}ms: ${report.drained} drained, ${abandoned.length} abandoned`);
+
+    return report;
+  }
+
+  // Resolves once no tracked task is left, including tasks started while draining
+  async settled() {
+    while (this.tasks.size > 0) {
+      await Promise.allSettled(Array.from(this.tasks.values()).map(task => task.promise));
+    }
+  }
+
+  /**
+   * Report from the previous process (persisted at shutdown), for /status and startup logs
+   */
+  restore(lastShutdown) {
+    if (!lastShutdown) return;
+
+    this.lastShutdown = lastShutdown;
+    if (lastShutdown.abandoned?.length > 0) {
+      const summary = lastShutdown.abandoned.map(task => `${task.kind} ${task.label}`).join(', ');
+      logger.warn(`Previous shutdown (${lastShutdown.reason}) abandoned ${lastShutdown.abandoned.length} tasks: ${summary}`);
+    }
+  }
+
+  getStats() {
+    return {
+      state: this.state,
+      drainTimeoutMs: this.drainTimeoutMs,
+      inFlight: this.getInFlight(),
+      ...this.stats,
+      lastShutdown: this.lastShutdown
+        ? {
+            reason: this.lastShutdown.reason,
+            finishedAt: this.lastShutdown.finishedAt,
+            timedOut: this.lastShutdown.timedOut,
+            drained: this.lastShutdown.drained,
+            abandoned: this.lastShutdown.abandoned.length
+          }
+        : null
+    };
+  }
+}
+
+export default LifecycleManager;
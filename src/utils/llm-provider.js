@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { ChatAnthropic } from '@langchain/anthropic';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { defaultLLMFixtures } from '../config/llm-fixtures.js';
+
+export const LLM_PROVIDERS = ['anthropic', 'scripted'];
+
+/**
+ * ScriptedChatModel - deterministic stand-in for a chat model
+ * Answers every invoke() with a canned response picked by agent id and
+ * prompt pattern, so the consultation pipeline runs without network access
+ */
+export class ScriptedChatModel {
+  constructor(options = {}) {
+    this.agentId = options.agentId || null;
+    this.modelName = options.modelName || 'scripted';
+    this.latencyMs = options.latencyMs || 0;
+    this.fixtures = options.fixtures || defaultLLMFixtures;
+    this.rules = (this.fixtures.rules || []).map(rule => ({
+      ...rule,
+      regex: new RegExp(rule.pattern, 'i')
+    }));
+    this.calls = 0;
+  }
+
+  /**
+   * Resolve the canned response for a prompt
+   * Rules are checked in order, then the agent default, then the global fallback
+   */
+  resolve(prompt) {
+    const rule = this.rules.find(candidate =>
+      (!candidate.agents || candidate.agents.includes(this.agentId)) &&
+      candidate.regex.test(prompt)
+    );
+
+    if (rule) {
+      return { fixture: rule.name || rule.pattern, response: rule.response };
+    }
+
+    const agentDefault = this.fixtures.agents?.[this.agentId];
+    if (agentDefault !== undefined) {
+      return { fixture: `agent:${this.agentId}`, response: agentDefault };
+    }
+
+    return { fixture: 'fallback', response: this.fixtures.fallback ?? '' };
+  }
+
+  async invoke(messages) {
+    const list = Array.isArray(messages) ? messages : [{ role: 'user', content: String(messages) }];
+    const prompt = list
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+
+    const { fixture, response } = this.resolve(prompt);
+    const content = typeof response === 'string' ? response : JSON.stringify(response, null, 2);
+
+    this.calls++;
+    logger.debug(`Scripted LLM (${this.agentId || 'unknown'}) answered with fixture ${fixture}`);
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const inputTokens = Math.ceil(list.reduce((sum, message) => sum + String(message.content).length, 0) / 4);
+    const outputTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      response_metadata: { provider: 'scripted', model: this.modelName, fixture },
+      usage_metadata: {
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens
+      }
+    };
+  }
+}
+
+const fixtureCache = new Map();
+
+/**
+ * Load a fixtures file (same shape as config/llm-fixtures.js) or the built-in set
+ */
+export function loadFixtures(fixturesPath = null) {
+  if (!fixturesPath) {
+    return defaultLLMFixtures;
+  }
+
+  const resolved = path.resolve(fixturesPath);
+  if (!fixtureCache.has(resolved)) {
+    try {
+      fixtureCache.set(resolved, JSON.parse(fs.readFileSync(resolved, 'utf8')));
+      logger.info(`Loaded LLM fixtures from ${resolved}`);
+    } catch (error) {
+      logger.error(`Failed to load LLM fixtures from ${resolved}: ${error.message}`);
+      throw error;
+    }
+  }
+  return fixtureCache.get(resolved);
+}
+
+/**
+ * Create the chat model an agent talks to
+ * @param {Object} options - { provider, agentId, modelName, temperature, maxTokens }
+ */
+export function createChatModel(options = {}) {
+  const config = agentConfig.llm || {};
+  const provider = options.provider || config.provider || 'anthropic';
+
+  switch (provider) {
+    case 'anthropic':
+      return new ChatAnthropic({
+        anthropicApiKey: agentConfig.claude.apiKey,
+        modelName: options.modelName,
+        temperature: options.temperature,
+        maxTokens: options.maxTokens
+      });
+    case 'scripted':
+      return new ScriptedChatModel({
+        agentId: options.agentId,
+        modelName: options.modelName,
+        latencyMs: options.latencyMs ?? config.scriptedLatencyMs,
+        fixtures: options.fixtures || loadFixtures(config.fixturesPath)
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+export default createChatModel;
@@ -1,11 +1,16 @@
 import winston from 'winston';
 import { agentConfig } from '../config/agent-config.js';
+import { redactLogEntry } from './phi-redactor.js';
+
+// Names, contact details and other direct identifiers never reach log files
+const redactIdentifiers = winston.format(info => (agentConfig.privacy.redactLogs ? redactLogEntry(info) : info));
 
 const logger = winston.createLogger({
   level: agentConfig.environment.logLevel,
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactIdentifiers(),
     winston.format.json()
   ),
   defaultMeta: { service: 'orthoiq-agents' },
@@ -0,0 +1,266 @@
+import logger from './logger.js';
+
+// Express appends the utf-8 charset
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+// Seconds; consultations run from a few seconds (fast mode) to the 90s normal-mode ceiling
+export const DEFAULT_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 15, 20, 30, 45, 60, 90, 120];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function sampleLine(name, labels, value) {
+  return `${name}${formatLabels(labels)} ${formatValue(value)}`;
+}
+
+/**
+ * Base for metrics with a fixed set of label names; each distinct label
+ * combination is a series
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // serialized labels -> { labels, ...state }
+  }
+
+  // Unknown labels are dropped and missing ones left empty, so a typo never breaks a scrape
+  normalize(labels) {
+    const normalized = {};
+    for (const labelName of this.labelNames) {
+      normalized[labelName] = labels[labelName] ?? '';
+    }
+    return normalized;
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.normalize(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.series.has(key)) this.series.set(key, create(normalized));
+    return this.series.get(key);
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    return this.series.get(JSON.stringify(this.normalize(labels)))?.value ?? 0;
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series.values()).map(series => sampleLine(this.name, series.labels, series.value))];
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  render() {
+    return [...this.header(), ...Array.from(this.series.values()).map(series => sampleLine(this.name, series.labels, series.value))];
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, normalized => ({
+      labels: normalized,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(sampleLine(`${this.name}_bucket`, { ...series.labels, le: formatValue(bound) }, series.counts[index]));
+      });
+      lines.push(sampleLine(`${this.name}_bucket`, { ...series.labels, le: '+Inf' }, series.count));
+      lines.push(sampleLine(`${this.name}_sum`, series.labels, series.sum));
+      lines.push(sampleLine(`${this.name}_count`, series.labels, series.count));
+    }
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry - Prometheus text exposition (format 0.0.4) without a client library
+ * Instrumented modules get-or-create their metrics by name and update them as
+ * work happens. Statistics that components already keep (cache hits, token
+ * ledger, LLM usage) are read at scrape time through named collectors
+ * returning [{ name, help, type, samples: [{ labels, value }] }]
+ */
+export class MetricsRegistry {
+  constructor(options = {}) {
+    this.prefix = options.prefix ?? 'orthoiq_';
+    this.metrics = new Map();
+    this.collectors = new Map();
+    this.stats = { scrapes: 0, collectorErrors: 0 };
+  }
+
+  register(MetricClass, name, help, labelNames, ...rest) {
+    const fullName = `${this.prefix}${name}`;
+    const existing = this.metrics.get(fullName);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${fullName} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new MetricClass(fullName, help, labelNames, ...rest);
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(Counter, name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(Gauge, name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(Histogram, name, help, labelNames, buckets);
+  }
+
+  /**
+   * Register (or replace) a scrape-time collector
+   */
+  collect(key, collector) {
+    this.collectors.set(key, collector);
+  }
+
+  get(name) {
+    return this.metrics.get(`${this.prefix}${name}`) || null;
+  }
+
+  renderCollected() {
+    const lines = [];
+    for (const [key, collector] of this.collectors) {
+      try {
+        for (const family of collector()) {
+          const name = `${this.prefix}${family.name}`;
+          lines.push(`# HELP ${name} ${escapeHelp(family.help)}`, `# TYPE ${name} ${family.type}`);
+          for (const sample of family.samples) {
+            lines.push(sampleLine(name, sample.labels || {}, sample.value));
+          }
+        }
+      } catch (error) {
+        this.stats.collectorErrors++;
+        logger.error(`Metrics collector ${key} failed: ${error.message}`);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * The whole registry in Prometheus text format
+   */
+  render() {
+    this.stats.scrapes++;
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    lines.push(...this.renderCollected());
+    return `${lines.join('\n')}\n`;
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) metric.reset();
+  }
+
+  getStats() {
+    return {
+      metrics: this.metrics.size,
+      collectors: this.collectors.size,
+      ...this.stats
+    };
+  }
+}
+
+// Singleton instance
+const metrics = new MetricsRegistry();
+
+export default metrics;
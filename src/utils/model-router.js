@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { createChatModel } from './llm-provider.js';
+
+export const ROUTE_MODES = ['fast', 'normal', 'learning', 'synthesis', 'conference'];
+
+const ROUTE_FIELDS = ['provider', 'model', 'temperature', 'maxTokens', 'timeoutMs', 'pricing'];
+
+/**
+ * Built-in routing table, equivalent to the CLAUDE_MODEL / FAST_MODEL /
+ * MAX_TOKENS / FAST_MAX_TOKENS behaviour that predates routing
+ */
+export function getDefaultRouting() {
+  const config = agentConfig.llm || {};
+  const model = process.env.CLAUDE_MODEL || 'claude-4-sonnet-latest';
+  const fastRoute = {
+    model: process.env.FAST_MODEL || model,
+    temperature: 0.2,
+    maxTokens: agentConfig.claude.fastMaxTokens
+  };
+
+  return {
+    defaults: {
+      provider: config.provider || 'anthropic',
+      model,
+      temperature: 0.3,
+      maxTokens: agentConfig.claude.maxTokens
+    },
+    modes: {
+      fast: fastRoute,
+      normal: {},
+      learning: {},
+      // Synthesis and conference calls have always used the fast model settings
+      synthesis: { ...fastRoute },
+      conference: { ...fastRoute }
+    },
+    agents: {},
+    fallbacks: []
+  };
+}
+
+/**
+ * Load the routing table from LLM_ROUTING_PATH (JSON) merged over the defaults
+ */
+export function loadRouting(routingPath = agentConfig.llm?.routingPath) {
+  const routing = getDefaultRouting();
+  if (!routingPath) return routing;
+
+  try {
+    const custom = JSON.parse(fs.readFileSync(path.resolve(routingPath), 'utf8'));
+    logger.info(`Loaded model routing from ${routingPath}`);
+    return {
+      defaults: { ...routing.defaults, ...custom.defaults },
+      modes: Object.fromEntries(ROUTE_MODES.map(mode => [
+        mode,
+        { ...routing.modes[mode], ...custom.modes?.[mode] }
+      ])),
+      agents: custom.agents || {},
+      fallbacks: custom.fallbacks || [],
+      pricing: custom.pricing
+    };
+  } catch (error) {
+    logger.error(`Failed to load model routing from ${routingPath}: ${error.message}`);
+    throw error;
+  }
+}
+
+function pickRouteFields(source = {}) {
+  return Object.fromEntries(
+    Object.entries(source).filter(([key, value]) => ROUTE_FIELDS.includes(key) && value !== undefined)
+  );
+}
+
+/**
+ * Pull token usage out of a chat model response (LangChain usage_metadata or
+ * the Anthropic usage block in response_metadata)
+ */
+export function extractUsage(response) {
+  const usage = response?.usage_metadata;
+  if (usage) {
+    return {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0
+    };
+  }
+
+  const anthropicUsage = response?.response_metadata?.usage;
+  if (anthropicUsage) {
+    return {
+      inputTokens: anthropicUsage.input_tokens || 0,
+      outputTokens: anthropicUsage.output_tokens || 0
+    };
+  }
+
+  return { inputTokens: 0, outputTokens: 0 };
+}
+
+/**
+ * ModelRouter - picks provider/model/temperature/maxTokens per agent and mode,
+ * falls back through an ordered list of alternatives when a model errors or
+ * times out, and keeps token and cost totals per route
+ */
+export class ModelRouter {
+  constructor(routing = null, options = {}) {
+    this.routing = routing || loadRouting();
+    this.pricing = options.pricing || this.routing.pricing || agentConfig.llm?.pricing || {};
+    this.models = new Map(); // target key -> chat model instance
+    this.routeStats = new Map(); // `${agentId}:${mode}` -> usage and cost totals
+  }
+
+  /**
+   * Resolve the ordered list of targets (primary first, then fallbacks)
+   * Precedence: defaults < mode < agent < agent mode
+   */
+  resolveRoute(agentId, mode = 'normal') {
+    const agentRouting = this.routing.agents?.[agentId] || {};
+    const primary = {
+      ...pickRouteFields(this.routing.defaults),
+      ...pickRouteFields(this.routing.modes?.[mode]),
+      ...pickRouteFields(agentRouting),
+      ...pickRouteFields(agentRouting.modes?.[mode])
+    };
+
+    const fallbacks = agentRouting.modes?.[mode]?.fallbacks ||
+      agentRouting.fallbacks ||
+      this.routing.modes?.[mode]?.fallbacks ||
+      this.routing.fallbacks ||
+      [];
+
+    return [primary, ...fallbacks.map(fallback => ({ ...primary, ...pickRouteFields(fallback) }))];
+  }
+
+  getModel(agentId, target) {
+    const key = [target.provider, target.model, target.temperature, target.maxTokens, agentId].join('|');
+    if (!this.models.has(key)) {
+      this.models.set(key, createChatModel({
+        provider: target.provider,
+        agentId,
+        modelName: target.model,
+        temperature: target.temperature,
+        maxTokens: target.maxTokens
+      }));
+    }
+    return this.models.get(key);
+  }
+
+  /**
+   * Invoke the model routed for an agent/mode, trying fallbacks in order
+   * `options.maxTokens` caps the output of every target (budget-shortened calls)
+   * @returns {Object} Chat model response with `route` metadata attached
+   */
+  async invoke(agentId, mode, messages, options = {}) {
+    const targets = this.resolveRoute(agentId, mode).map(target => options.maxTokens
+      ? { ...target, maxTokens: Math.min(target.maxTokens ?? options.maxTokens, options.maxTokens) }
+      : target);
+    let lastError = null;
+
+    for (let attempt = 0; attempt < targets.length; attempt++) {
+      const target = targets[attempt];
+      const startTime = Date.now();
+
+      try {
+        const response = await this.invokeTarget(agentId, target, messages);
+        const usage = extractUsage(response);
+        this.recordUsage(agentId, mode, target, usage, { fallback: attempt > 0 });
+
+        response.route = {
+          mode,
+          provider: target.provider,
+          model: target.model,
+          attempt: attempt + 1,
+          latencyMs: Date.now() - startTime,
+          ...usage,
+          costUsd: this.calculateCost(target, usage)
+        };
+        return response;
+      } catch (error) {
+        lastError = error;
+        this.recordFailure(agentId, mode, target);
+        const next = targets[attempt + 1];
+        logger.warn(`Model ${target.provider}/${target.model} failed for ${agentId} (${mode}): ${error.message}` +
+          (next ? ` - falling back to ${next.provider}/${next.model}` : ''));
+      }
+    }
+
+    throw lastError;
+  }
+
+  async invokeTarget(agentId, target, messages) {
+    const invocation = this.getModel(agentId, target).invoke(messages);
+    if (!target.timeoutMs) {
+      return invocation;
+    }
+
+    let timeoutHandle;
+    const timeout = new Promise((_, reject) => {
+      timeoutHandle = setTimeout(() => reject(new Error(`Model timeout after ${target.timeoutMs}ms`)), target.timeoutMs);
+    });
+    return Promise.race([invocation, timeout]).finally(() => clearTimeout(timeoutHandle));
+  }
+
+  /**
+   * Chat-model facade bound to an agent and default mode, so agents keep
+   * calling `llm.invoke(messages)`; `options.mode` overrides the mode per call
+   * and `options.maxTokens` caps the output
+   */
+  createModel(agentId, defaultMode) {
+    return {
+      agentId,
+      mode: defaultMode,
+      invoke: (messages, options = {}) => this.invoke(agentId, options.mode || defaultMode, messages, options)
+    };
+  }
+
+  getPrice(target) {
+    if (target.pricing) return target.pricing;
+
+    const model = String(target.provider === 'scripted' ? 'scripted' : target.model || '').toLowerCase();
+    const key = Object.keys(this.pricing).find(candidate => candidate !== 'default' && model.includes(candidate));
+    return this.pricing[key] || this.pricing.default || { inputPer1M: 0, outputPer1M: 0 };
+  }
+
+  calculateCost(target, usage) {
+    const price = this.getPrice(target);
+    return (usage.inputTokens * price.inputPer1M + usage.outputTokens * price.outputPer1M) / 1000000;
+  }
+
+  getRouteStats(agentId, mode) {
+    const key = `${agentId}:${mode}`;
+    if (!this.routeStats.has(key)) {
+      this.routeStats.set(key, {
+        agentId,
+        mode,
+        calls: 0,
+        failures: 0,
+        fallbacksUsed: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+        models: {}
+      });
+    }
+    return this.routeStats.get(key);
+  }
+
+  recordUsage(agentId, mode, target, usage, { fallback = false } = {}) {
+    const stats = this.getRouteStats(agentId, mode);
+    const cost = this.calculateCost(target, usage);
+    const modelKey = `${target.provider}/${target.model}`;
+
+    stats.calls++;
+    if (fallback) stats.fallbacksUsed++;
+    stats.inputTokens += usage.inputTokens;
+    stats.outputTokens += usage.outputTokens;
+    stats.costUsd += cost;
+
+    const modelStats = stats.models[modelKey] || (stats.models[modelKey] = { calls: 0, costUsd: 0 });
+    modelStats.calls++;
+    modelStats.costUsd += cost;
+  }
+
+  recordFailure(agentId, mode, target) {
+    const stats = this.getRouteStats(agentId, mode);
+    const modelKey = `${target.provider}/${target.model}`;
+
+    stats.failures++;
+    const modelStats = stats.models[modelKey] || (stats.models[modelKey] = { calls: 0, costUsd: 0 });
+    modelStats.failures = (modelStats.failures || 0) + 1;
+  }
+
+  getStats() {
+    const routes = Array.from(this.routeStats.values());
+    return {
+      routes,
+      totals: {
+        calls: routes.reduce((sum, route) => sum + route.calls, 0),
+        failures: routes.reduce((sum, route) => sum + route.failures, 0),
+        fallbacksUsed: routes.reduce((sum, route) => sum + route.fallbacksUsed, 0),
+        costUsd: routes.reduce((sum, route) => sum + route.costUsd, 0)
+      }
+    };
+  }
+}
+
+// Singleton instance
+const modelRouter = new ModelRouter();
+
+export default modelRouter;
@@ -0,0 +1,304 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+import { extractBodyPartFromQuery } from './body-part-extractor.js';
+
+const DEFAULT_TENANT = 'default';
+
+export function historyKey(userId, tenantId = DEFAULT_TENANT) {
+  return `${tenantId || DEFAULT_TENANT}:${userId}`;
+}
+
+function truncate(text, length) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function describeComplaint(caseData = {}) {
+  const complaint = caseData.primaryComplaint
+    || (Array.isArray(caseData.symptoms) ? caseData.symptoms.join(', ') : caseData.symptoms)
+    || caseData.rawQuery
+    || 'Unspecified complaint';
+  return truncate(complaint, 160);
+}
+
+// Highest-priority interventions across all specialists, without repeats
+function topRecommendations(responses = [], limit) {
+  const seen = new Set();
+  return responses
+    .filter(entry => entry.status === 'success')
+    .flatMap(entry => entry.response?.recommendations || [])
+    .filter(recommendation => recommendation?.intervention)
+    .sort((a, b) => (a.priority || 5) - (b.priority || 5))
+    .map(recommendation => truncate(recommendation.intervention, 100))
+    .filter(intervention => {
+      const key = intervention.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+/**
+ * One-line description of a reported outcome, by resolution source
+ */
+export function describeOutcome(source, data = {}) {
+  const parts = [];
+
+  switch (source) {
+    case 'user_modal':
+      if (data.user_satisfaction !== undefined) parts.push(data.user_satisfaction ? 'satisfied' : 'not satisfied');
+      if (data.pain_reduction_day7 != null) parts.push(`pain ${data.pain_reduction_day7}/10`);
+      return `patient feedback: ${parts.join(', ') || 'submitted'}`;
+    case 'follow_up':
+      if (data.return_to_activity_timeline != null) parts.push(`day ${data.return_to_activity_timeline}`);
+      if (data.pain_reduction_percentage != null) parts.push(`pain reduced ${Math.round(data.pain_reduction_percentage)}%`);
+      if (data.functional_restoration != null) parts.push(`function ${data.functional_restoration}%`);
+      if (data.adherence_rate != null) parts.push(`adherence ${data.adherence_rate}%`);
+      if (data.returned_to_activity !== undefined) parts.push(data.returned_to_activity ? 'returned to activity' : 'not yet back to activity');
+      return `follow-up: ${parts.join(', ') || 'submitted'}`;
+    case 'md_review':
+      if (data.md_approval !== undefined) parts.push(data.md_approval ? 'approved' : 'not approved');
+      if (data.clinical_accuracy != null) parts.push(`clinical accuracy ${data.clinical_accuracy}`);
+      return `MD review: ${parts.join(', ') || 'completed'}`;
+    case 'recovery_milestone':
+      return `recovery milestone: ${data.achievement || data.type}`;
+    default:
+      return `${source}: ${truncate(JSON.stringify(data), 120)}`;
+  }
+}
+
+// Client-supplied priorConsultations entries (free-form) as summary lines
+function describeClientConsultation(entry) {
+  if (typeof entry === 'string') return truncate(entry, 200);
+  if (!entry || typeof entry !== 'object') return null;
+
+  const date = entry.date || entry.createdAt || entry.timestamp;
+  const complaint = entry.primaryComplaint || entry.complaint || entry.summary || entry.rawQuery;
+  return truncate(`${date ? `${String(date).slice(0, 10)}: ` : ''}${complaint || JSON.stringify(entry)}`, 200);
+}
+
+/**
+ * PatientHistory - per-user case history across consultations
+ *
+ * Completed consultations are recorded with the complaint, body part, working
+ * diagnosis and top recommendations; outcomes the patient or an MD report later
+ * (prediction resolutions, recovery milestones) are attached as they arrive.
+ * summarize() condenses the most recent entries into a short prompt section so
+ * triage and the specialists can build on earlier consultations.
+ */
+export class PatientHistory {
+  constructor(store = null, options = {}) {
+    const config = agentConfig.patientHistory || {};
+
+    this.histories = new PersistentMap(store, 'patientHistory'); // tenant:userId -> history
+    this.maxConsultations = options.maxConsultations ?? config.maxConsultations ?? 20;
+    this.summaryConsultations = options.summaryConsultations ?? config.summaryConsultations ?? 3;
+    this.maxRecommendations = options.maxRecommendations ?? config.maxRecommendations ?? 3;
+    this.stats = { consultationsRecorded: 0, outcomesRecorded: 0, summariesServed: 0 };
+  }
+
+  async hydrate() {
+    try {
+      const restored = await this.histories.hydrate();
+      if (restored > 0) {
+        logger.info(`Patient history restored for ${restored} users`);
+      }
+    } catch (error) {
+      logger.error(`Error restoring patient history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record completed consultations and the outcomes reported for them
+   */
+  attach({ coordinator = null, recoveryMetrics = null } = {}) {
+    coordinator?.on('consultationCompleted', ({ consultationId, result, tenantId, userId, caseData }) => {
+      if (!userId) return;
+      this.recordConsultation({ consultationId, tenantId, userId, caseData, result });
+    });
+
+    coordinator?.on('predictionsResolved', ({ consultationId, resolution, tenantId, userId }) => {
+      // Inter-agent consensus is the agents' own estimate, not a reported outcome
+      if (!userId || resolution.source === 'inter_agent') return;
+      this.recordOutcome({
+        tenantId,
+        userId,
+        consultationId,
+        source: resolution.source,
+        data: resolution.outcomes,
+        timestamp: resolution.timestamp
+      });
+    });
+
+    recoveryMetrics?.on('milestoneReached', ({ patientId, tenantId, milestone }) => {
+      this.recordOutcome({
+        tenantId,
+        userId: patientId,
+        source: 'recovery_milestone',
+        data: milestone,
+        timestamp: milestone.timestamp
+      });
+    });
+  }
+
+  getOrCreate(userId, tenantId) {
+    const key = historyKey(userId, tenantId);
+    if (!this.histories.has(key)) {
+      this.histories.set(key, {
+        userId,
+        tenantId: tenantId || DEFAULT_TENANT,
+        consultations: [],
+        outcomes: [],
+        updatedAt: new Date().toISOString()
+      });
+    }
+    return [key, this.histories.get(key)];
+  }
+
+  recordConsultation({ consultationId, tenantId, userId, caseData = {}, result = {} }) {
+    try {
+      const [key, history] = this.getOrCreate(userId, tenantId);
+      if (history.consultations.some(entry => entry.consultationId === consultationId)) return;
+
+      history.consultations.push({
+        consultationId,
+        date: new Date().toISOString(),
+        complaint: describeComplaint(caseData),
+        bodyPart: extractBodyPartFromQuery(caseData.rawQuery, caseData),
+        workingDiagnosis: result.synthesizedRecommendations?.prescriptionData?.diagnosisHypothesis?.primary || null,
+        specialists: result.participatingSpecialists || [],
+        recommendations: topRecommendations(result.responses, this.maxRecommendations)
+      });
+      history.consultations = history.consultations.slice(-this.maxConsultations);
+      history.updatedAt = new Date().toISOString();
+      this.histories.touch(key);
+      this.stats.consultationsRecorded++;
+    } catch (error) {
+      logger.error(`Error recording patient history for ${consultationId}: ${error.message}`);
+    }
+  }
+
+  recordOutcome({ tenantId, userId, consultationId = null, source, data = {}, timestamp = null }) {
+    try {
+      const [key, history] = this.getOrCreate(userId, tenantId);
+      history.outcomes.push({
+        consultationId,
+        source,
+        summary: describeOutcome(source, data),
+        recordedAt: timestamp || new Date().toISOString()
+      });
+      history.outcomes = history.outcomes.slice(-this.maxConsultations * 4);
+      history.updatedAt = new Date().toISOString();
+      this.histories.touch(key);
+      this.stats.outcomesRecorded++;
+    } catch (error) {
+      logger.error(`Error recording outcome for ${userId}: ${error.message}`);
+    }
+  }
+
+  getHistory(userId, { tenantId } = {}) {
+    return this.histories.get(historyKey(userId, tenantId)) || null;
+  }
+
+  exportUserData(subject) {
+    return this.getHistory(subject.userId, { tenantId: subject.tenantId });
+  }
+
+  eraseUserData(subject) {
+    const key = historyKey(subject.userId, subject.tenantId);
+    if (!this.histories.has(key)) return 0;
+    this.histories.delete(key);
+    return 1;
+  }
+
+  /**
+   * Drop consultations and outcomes recorded before the cutoff (ms timestamp);
+   * histories left empty are deleted
+   * @returns {Object} { entries, histories } removed
+   */
+  purgeBefore(cutoff) {
+    const recent = date => new Date(date).getTime() >= cutoff;
+    let entries = 0;
+    let histories = 0;
+
+    for (const [key, history] of Array.from(this.histories.entries())) {
+      const consultations = history.consultations.filter(entry => recent(entry.date));
+      const outcomes = history.outcomes.filter(entry => recent(entry.recordedAt));
+      const removed = history.consultations.length - consultations.length + history.outcomes.length - outcomes.length;
+      if (removed === 0) continue;
+
+      entries += removed;
+      if (consultations.length === 0 && outcomes.length === 0) {
+        this.histories.delete(key);
+        histories++;
+      } else {
+        Object.assign(history, { consultations, outcomes });
+        this.histories.touch(key);
+      }
+    }
+    return { entries, histories };
+  }
+
+  /**
+   * Condensed longitudinal summary for agent prompts
+   * @param {Object} options - { tenantId, priorConsultations (client-supplied entries, used for
+   *   consultations this service has no record of) }
+   * @returns {String|null} Prompt section, or null when there is nothing to build on
+   */
+  summarize(userId, { tenantId, priorConsultations = [] } = {}) {
+    const history = userId ? this.getHistory(userId, { tenantId }) : null;
+    const recorded = history ? history.consultations.slice(-this.summaryConsultations).reverse() : [];
+    const knownIds = new Set(history?.consultations.map(entry => entry.consultationId) || []);
+    const clientEntries = (Array.isArray(priorConsultations) ? priorConsultations : [])
+      .filter(entry => !(entry && typeof entry === 'object' && knownIds.has(entry.consultationId)))
+      .slice(0, Math.max(0, this.summaryConsultations - recorded.length))
+      .map(describeClientConsultation)
+      .filter(Boolean);
+
+    const generalOutcomes = (history?.outcomes || []).filter(outcome => !outcome.consultationId).slice(-3);
+    if (recorded.length === 0 && clientEntries.length === 0 && generalOutcomes.length === 0) {
+      return null;
+    }
+
+    const lines = [`PATIENT HISTORY (returning patient, ${history?.consultations.length || 0} recorded prior consultation(s), most recent first):`];
+
+    for (const entry of recorded) {
+      const details = [entry.bodyPart, entry.workingDiagnosis && `working diagnosis: ${entry.workingDiagnosis}`]
+        .filter(Boolean)
+        .join('; ');
+      lines.push(`- ${entry.date.slice(0, 10)}: ${entry.complaint}${details ? ` (${details})` : ''}`);
+      if (entry.recommendations.length > 0) {
+        lines.push(`  Recommended: ${entry.recommendations.join('; ')}`);
+      }
+      const outcomes = history.outcomes.filter(outcome => outcome.consultationId === entry.consultationId);
+      if (outcomes.length > 0) {
+        lines.push(`  Reported outcomes: ${outcomes.map(outcome => outcome.summary).join('; ')}`);
+      }
+    }
+
+    for (const line of clientEntries) {
+      lines.push(`- ${line} (reported by the client app)`);
+    }
+
+    if (generalOutcomes.length > 0) {
+      lines.push(`Recovery tracking: ${generalOutcomes.map(outcome => outcome.summary).join('; ')}`);
+    }
+
+    lines.push('Build on this history: note what changed since the last consultation and whether earlier recommendations helped; do not start from scratch.');
+
+    this.stats.summariesServed++;
+    return lines.join('\n');
+  }
+
+  getStats() {
+    return {
+      users: this.histories.size,
+      ...this.stats
+    };
+  }
+}
+
+export default PatientHistory;
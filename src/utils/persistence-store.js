@@ -0,0 +1,394 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import fieldEncryptor from './field-encryption.js';
+
+/**
+ * Persistence layer for stateful components
+ *
+ * Stores are namespaced key/value stores holding JSON-serializable values.
+ * Components keep their working set in a PersistentMap (a Map that writes
+ * through to the store) and hydrate it from the store on startup, so balances,
+ * open predictions and patient timelines survive a restart.
+ */
+
+/**
+ * Namespaces holding patient data, with the fields left in plaintext; all
+ * other fields are envelope-encrypted when an encryption key is configured.
+ * Token transactions carry the recovery outcomes a reward was paid for.
+ * Webhook subscriptions hold their subscribers' signing secrets.
+ * Usage breakdowns (consultationUsage) and consultation fees
+ * (consultationPayments) hold only token counts, costs and specialist names
+ * under a consultation id, so they stay in plaintext
+ */
+export const ENCRYPTED_NAMESPACES = {
+  consultations: ['consultationId', 'status', 'mode', 'tenantId', 'startTime', 'endTime'],
+  consultationJobs: ['consultationId', 'status', 'mode', 'tenantId', 'createdAt', 'updatedAt', 'startedAt', 'completedAt', 'expiresAt'],
+  jobQueue: ['id', 'name', 'status', 'attemptsMade', 'maxAttempts', 'backoffMs', 'createdAt', 'updatedAt', 'processedAt', 'finishedAt'],
+  patientRecords: ['status', 'recoveryPhase'],
+  recoveryTimelines: [],
+  qualityIndicators: [],
+  predictions: [],
+  predictionResolutions: [],
+  patientHistory: [],
+  idempotencyKeys: ['status', 'createdAt', 'completedAt', 'expiresAt'],
+  tokenTransactions: ['id', 'type', 'agentId', 'fromAgentId', 'toAgentId', 'amount', 'timestamp', 'status'],
+  webhookSubscriptions: ['id', 'events', 'tenantId', 'source', 'createdAt'],
+  webhookDeliveries: ['id', 'event', 'eventId', 'subscriptionId', 'tenantId', 'status', 'createdAt', 'updatedAt', 'deliveredAt', 'deadLetteredAt'],
+  auditLog: ['seq', 'timestamp', 'action', 'resource', 'prevHash', 'hash']
+};
+
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * MemoryStore - process-local store, used for tests and as the offline default
+ * Values are cloned on the way in and out so callers see the same
+ * serialization behaviour as with the file-backed store
+ */
+export class MemoryStore {
+  constructor(options = {}) {
+    this.driver = 'memory';
+    this.encryptor = options.encryptor || fieldEncryptor;
+    this.namespaces = new Map();
+    this.stats = {
+      reads: 0,
+      writes: 0,
+      deletes: 0,
+      errors: 0
+    };
+  }
+
+  async initialize() {
+    return this;
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  // Values are held sealed, so the file store writes them to disk as they are
+  seal(namespace, key, value) {
+    const plaintextFields = ENCRYPTED_NAMESPACES[namespace];
+    return plaintextFields ? this.encryptor.seal(value, plaintextFields, `${namespace}/${key}`) : value;
+  }
+
+  open(namespace, key, value) {
+    return this.encryptor.open(value, `${namespace}/${key}`);
+  }
+
+  async get(namespace, key) {
+    this.stats.reads++;
+    const value = this.getNamespace(namespace).get(String(key));
+    return value === undefined ? null : this.open(namespace, String(key), cloneValue(value));
+  }
+
+  async set(namespace, key, value) {
+    this.stats.writes++;
+    this.getNamespace(namespace).set(String(key), cloneValue(this.seal(namespace, String(key), value)));
+    return true;
+  }
+
+  async delete(namespace, key) {
+    this.stats.deletes++;
+    return this.getNamespace(namespace).delete(String(key));
+  }
+
+  async entries(namespace) {
+    this.stats.reads++;
+    return Array.from(this.getNamespace(namespace).entries())
+      .map(([key, value]) => [key, this.open(namespace, key, cloneValue(value))]);
+  }
+
+  /**
+   * Re-wrap every envelope under the current key and seal records written
+   * before encryption was enabled
+   * @returns {Object} { rewrapped, sealed } counts per namespace
+   */
+  async rotateEncryption() {
+    if (!this.encryptor.enabled) {
+      throw new Error('No encryption key configured (ENCRYPTION_KEY)');
+    }
+
+    const report = { rewrapped: 0, sealed: 0, namespaces: {} };
+    for (const [namespace, entries] of this.namespaces) {
+      if (!ENCRYPTED_NAMESPACES[namespace]) continue;
+
+      let changed = 0;
+      for (const [key, value] of entries) {
+        const rewrapped = this.encryptor.rewrap(value);
+        const sealed = this.seal(namespace, key, rewrapped.value);
+        if (rewrapped.changed) report.rewrapped++;
+        if (sealed !== rewrapped.value) report.sealed++;
+        if (rewrapped.changed || sealed !== rewrapped.value) {
+          entries.set(key, sealed);
+          changed++;
+        }
+      }
+      if (changed > 0) {
+        report.namespaces[namespace] = changed;
+        await this.persistNamespace(namespace);
+      }
+    }
+
+    logger.info(`Encryption rotated to key ${this.encryptor.currentKeyId}: ${report.rewrapped} re-wrapped, ${report.sealed} newly sealed`);
+    return report;
+  }
+
+  async persistNamespace() {
+    // Nothing to write for the memory store
+  }
+
+  async clear(namespace) {
+    this.getNamespace(namespace).clear();
+  }
+
+  async flush() {
+    // Nothing buffered in memory
+  }
+
+  async close() {
+    await this.flush();
+  }
+
+  getStats() {
+    const namespaces = {};
+    for (const [name, entries] of this.namespaces) {
+      namespaces[name] = entries.size;
+    }
+
+    return {
+      driver: this.driver,
+      ...this.stats,
+      namespaces,
+      encryption: this.encryptor.getStats()
+    };
+  }
+}
+
+/**
+ * FileStore - one JSON document per namespace under the data directory
+ * Writes are coalesced per namespace and applied atomically (temp file + rename)
+ */
+export class FileStore extends MemoryStore {
+  constructor(dataDir = agentConfig.persistence.dataDir, options = {}) {
+    super(options);
+    this.driver = 'file';
+    this.dataDir = path.resolve(dataDir);
+    this.pendingWrites = new Map(); // namespace -> { promise, queued }
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    const files = await fs.readdir(this.dataDir);
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const namespace = decodeURIComponent(file.slice(0, -'.json'.length));
+      try {
+        const content = await fs.readFile(path.join(this.dataDir, file), 'utf8');
+        const data = JSON.parse(content);
+        this.namespaces.set(namespace, new Map(Object.entries(data)));
+      } catch (error) {
+        this.stats.errors++;
+        logger.error(`Failed to load persisted namespace ${namespace}: ${error.message}`);
+      }
+    }
+
+    logger.info(`File store initialized at ${this.dataDir} (${this.namespaces.size} namespaces)`);
+    return this;
+  }
+
+  getFilePath(namespace) {
+    return path.join(this.dataDir, `${encodeURIComponent(namespace)}.json`);
+  }
+
+  async set(namespace, key, value) {
+    await super.set(namespace, key, value);
+    await this.scheduleWrite(namespace);
+    return true;
+  }
+
+  async delete(namespace, key) {
+    const existed = await super.delete(namespace, key);
+    if (existed) {
+      await this.scheduleWrite(namespace);
+    }
+    return existed;
+  }
+
+  async clear(namespace) {
+    await super.clear(namespace);
+    await this.scheduleWrite(namespace);
+  }
+
+  persistNamespace(namespace) {
+    return this.scheduleWrite(namespace);
+  }
+
+  /**
+   * Queue a rewrite of the namespace file
+   * At most one write per namespace is queued behind the active one; later
+   * changes are picked up by the queued write since it serializes on start
+   */
+  scheduleWrite(namespace) {
+    const pending = this.pendingWrites.get(namespace);
+    if (pending?.queued) {
+      return pending.promise;
+    }
+
+    const previous = pending ? pending.promise.catch(() => {}) : Promise.resolve();
+    const entry = { queued: true };
+
+    entry.promise = previous
+      .then(() => {
+        entry.queued = false;
+        return this.writeNamespace(namespace);
+      })
+      .finally(() => {
+        if (this.pendingWrites.get(namespace) === entry) {
+          this.pendingWrites.delete(namespace);
+        }
+      });
+
+    this.pendingWrites.set(namespace, entry);
+    return entry.promise;
+  }
+
+  async writeNamespace(namespace) {
+    const filePath = this.getFilePath(namespace);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const data = Object.fromEntries(this.getNamespace(namespace));
+
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Failed to persist namespace ${namespace}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async flush() {
+    const pending = Array.from(this.pendingWrites.values()).map(entry => entry.promise);
+    await Promise.allSettled(pending);
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      dataDir: this.dataDir,
+      pendingWrites: this.pendingWrites.size
+    };
+  }
+}
+
+/**
+ * PersistentMap - Map that writes through to a store namespace
+ * Without a store it behaves like a plain Map. Values mutated in place must be
+ * re-saved with touch(key); serialize/deserialize hooks convert values that are
+ * not plain JSON (e.g. nested Maps)
+ */
+export class PersistentMap extends Map {
+  constructor(store = null, namespace = null, options = {}) {
+    super();
+    this.store = store;
+    this.namespace = namespace;
+    this.serialize = options.serialize || (value => value);
+    this.deserialize = options.deserialize || (value => value);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.touch(key);
+    return this;
+  }
+
+  delete(key) {
+    const existed = super.delete(key);
+    if (existed && this.store) {
+      this.store.delete(this.namespace, key).catch(error => {
+        logger.error(`Failed to delete ${this.namespace}/${key}: ${error.message}`);
+      });
+    }
+    return existed;
+  }
+
+  clear() {
+    super.clear();
+    if (this.store) {
+      this.store.clear(this.namespace).catch(error => {
+        logger.error(`Failed to clear ${this.namespace}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Persist the current value for a key (call after in-place mutation)
+   */
+  touch(key) {
+    if (!this.store || !super.has(key)) return;
+
+    this.store.set(this.namespace, key, this.serialize(super.get(key))).catch(error => {
+      logger.error(`Failed to persist ${this.namespace}/${key}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Load all persisted entries into memory
+   * @returns {Number} Number of entries restored
+   */
+  async hydrate() {
+    if (!this.store) return 0;
+
+    const entries = await this.store.entries(this.namespace);
+    for (const [key, value] of entries) {
+      super.set(key, this.deserialize(value));
+    }
+    return entries.length;
+  }
+}
+
+/**
+ * Save a standalone value (history arrays, counters) without blocking the caller
+ */
+export function persistValue(store, namespace, key, value) {
+  if (!store) return;
+
+  store.set(namespace, key, value).catch(error => {
+    logger.error(`Failed to persist ${namespace}/${key}: ${error.message}`);
+  });
+}
+
+/**
+ * Create the store configured for this environment
+ */
+export function createStore(options = agentConfig.persistence) {
+  const { driver = 'memory', dataDir, encryptor = fieldEncryptor } = options;
+
+  // Patient data never goes to disk unencrypted in production
+  if (driver !== 'memory' && !encryptor.enabled && agentConfig.environment.nodeEnv === 'production') {
+    throw new Error(`Refusing to persist patient data with the ${driver} driver in production without ENCRYPTION_KEY`);
+  }
+  if (driver !== 'memory' && !encryptor.enabled) {
+    logger.warn(`Persisting patient data unencrypted (${driver} driver) - set ENCRYPTION_KEY`);
+  }
+
+  switch (driver) {
+    case 'file':
+      return new FileStore(dataDir, { encryptor });
+    case 'memory':
+      return new MemoryStore({ encryptor });
+    default:
+      throw new Error(`Unknown persistence driver: ${driver}`);
+  }
+}
+
+export default createStore;
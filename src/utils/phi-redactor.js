@@ -0,0 +1,337 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { agentConfig } from '../config/agent-config.js';
+
+// No logger import: logger.js uses this module to redact log entries
+
+export const PHI_TYPES = {
+  NAME: 'NAME',
+  EMAIL: 'EMAIL',
+  PHONE: 'PHONE',
+  DATE_OF_BIRTH: 'DOB',
+  ADDRESS: 'ADDRESS',
+  RECORD_NUMBER: 'RECORD',
+  SSN: 'SSN'
+};
+
+// Case data fields that hold the user's own identifiers, by type
+const IDENTIFIER_FIELDS = {
+  name: PHI_TYPES.NAME,
+  fullName: PHI_TYPES.NAME,
+  firstName: PHI_TYPES.NAME,
+  lastName: PHI_TYPES.NAME,
+  patientName: PHI_TYPES.NAME,
+  email: PHI_TYPES.EMAIL,
+  phone: PHI_TYPES.PHONE,
+  phoneNumber: PHI_TYPES.PHONE,
+  dateOfBirth: PHI_TYPES.DATE_OF_BIRTH,
+  dob: PHI_TYPES.DATE_OF_BIRTH,
+  birthDate: PHI_TYPES.DATE_OF_BIRTH,
+  address: PHI_TYPES.ADDRESS,
+  streetAddress: PHI_TYPES.ADDRESS,
+  mrn: PHI_TYPES.RECORD_NUMBER,
+  medicalRecordNumber: PHI_TYPES.RECORD_NUMBER,
+  patientId: PHI_TYPES.RECORD_NUMBER,
+  insuranceId: PHI_TYPES.RECORD_NUMBER,
+  memberId: PHI_TYPES.RECORD_NUMBER,
+  ssn: PHI_TYPES.SSN
+};
+
+const TOKEN_PATTERN = new RegExp(`\\[(${Object.values(PHI_TYPES).join('|')})_(\\d+)\\]`, 'g');
+
+const MONTH = '(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4})`;
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy)';
+
+const TITLE = '(?:Dr|Mr|Mrs|Ms|Miss|Prof)\\.?';
+
+// Capitalized words that follow "I am" / "Patient:" without being a name
+const NOT_NAMES = new Set(['The', 'A', 'An', 'In', 'Not', 'Very', 'Having', 'Feeling', 'Still', 'Now', 'Also', 'So', 'Just', 'Really', 'Currently', 'Unable', 'Worried', 'Concerned', 'Male', 'Female', 'Adult', 'Child', 'Unknown', 'None', 'Anonymous']);
+
+// Names that are also everyday words ("will", "May", "walker"); seeded on
+// their own they would mask ordinary text, so they only match as part of the full name
+const COMMON_WORD_NAMES = new Set(['will', 'grant', 'may', 'june', 'april', 'august', 'walker', 'mark', 'bill', 'frank', 'jack', 'rose', 'grace', 'hope', 'joy', 'faith', 'dawn', 'summer', 'hunter', 'chase', 'carter', 'cooper', 'baker', 'cook', 'miller', 'mason', 'page', 'lane', 'bell', 'stone', 'price', 'hall', 'hill', 'wood', 'park', 'king', 'young', 'long', 'little', 'brown', 'white', 'black', 'green', 'gray', 'rich', 'sue', 'pat', 'art', 'ray', 'dean', 'guy', 'read', 'rock', 'fisher', 'porter', 'penny', 'ivy', 'sky']);
+
+/**
+ * The capitalized words a captured name starts with ("Sarah Connor, 34F"),
+ * or '' when there are fewer than minWords of them ("Running a lot")
+ */
+function leadingName(value, minWords) {
+  const words = [];
+  for (const word of value.split(/\s+/)) {
+    if (!/^[A-Z][a-z]+$/.test(word) || NOT_NAMES.has(word)) break;
+    words.push(word);
+  }
+  return words.length >= minWords ? words.join(' ') : '';
+}
+
+/**
+ * Detectors run in order; `group` is the capture holding the identifier when
+ * the match includes context (e.g. "my name is"), and `accept` can trim or
+ * reject a captured value
+ */
+const DETECTORS = [
+  { type: PHI_TYPES.EMAIL, pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: PHI_TYPES.SSN, pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: PHI_TYPES.DATE_OF_BIRTH,
+    pattern: new RegExp(`\\b(?:DOB|D\\.O\\.B\\.?|date of birth|birth ?date|born(?: on)?|birthday(?: is)?)\\s*(?:is|:|-)?\\s*(${DATE})`, 'gi'),
+    group: 1
+  },
+  {
+    type: PHI_TYPES.RECORD_NUMBER,
+    pattern: /\b(?:MRN|medical record(?: number| no\.?| #)?|patient (?:id|number|#)|member (?:id|number|#)|policy (?:number|no\.?|#)|insurance (?:id|number|#))\s*(?:is|:|#)?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,})/gi,
+    group: 1
+  },
+  {
+    // Written as a phone number: area code in parentheses, a country code, or dashes/dots throughout
+    type: PHI_TYPES.PHONE,
+    pattern: /(?:\+\d{1,3}[\s.-]?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}|\(\d{3}\)\s?\d{3}[\s.-]\d{4}|\b\d{3}([.-])\d{3}\1\d{4})\b/g
+  },
+  {
+    // Space-separated digits only count as a phone number after a phone cue
+    type: PHI_TYPES.PHONE,
+    pattern: /\b(?:(?:phone|cell|mobile|tel|telephone)(?: number| no\.?| #)?|(?:call|text|reach) me(?: at| on)?|my number(?: is)?)\s*(?:is|:|#)?\s*(\d{3}\s\d{3}\s\d{4})\b/gi,
+    group: 1
+  },
+  {
+    type: PHI_TYPES.ADDRESS,
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[A-Z][a-z]+\\s+){1,3}${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:Apt|Apartment|Suite|Unit|#)\\.?\\s*[\\w-]+)?`, 'g')
+  },
+  {
+    // An explicit name label; a title is skipped ("Patient: Dr visit" has no name)
+    type: PHI_TYPES.NAME,
+    pattern: new RegExp(`\\b(?:my name is|name is|name\\s*:|patient\\s*:)\\s+(?:${TITLE}\\s+)?([a-z]+(?:\\s+[a-z]+){0,2})`, 'gi'),
+    group: 1,
+    accept: value => leadingName(value, 1)
+  },
+  {
+    // Introductions only with a first and last name ("I'm Sarah Connor", not "I am Running a lot")
+    type: PHI_TYPES.NAME,
+    pattern: /\b(?:i am|i'm|this is)\s+([a-z]+(?:\s+[a-z]+){0,2})/gi,
+    group: 1,
+    accept: value => leadingName(value, 2)
+  },
+  {
+    type: PHI_TYPES.NAME,
+    pattern: /\b(?:Mr|Mrs|Ms|Miss)\.?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/g,
+    group: 1
+  }
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * RedactionVault - reversible de-identification for one request or job
+ * Each distinct identifier gets a stable token ([NAME_1], [EMAIL_1], ...);
+ * restore() puts the originals back. The mapping only lives in memory for
+ * the lifetime of the vault and is never written to logs, transcripts or the store
+ */
+export class RedactionVault {
+  constructor(caseData = null) {
+    this.originals = new Map(); // token -> original value
+    this.tokens = new Map(); // "TYPE:normalized value" -> token
+    this.counters = {};
+    this.known = []; // [{ value, type }] the user's own identifiers, matched anywhere in text
+    if (caseData) this.seed(caseData);
+  }
+
+  tokenFor(type, value) {
+    const key = `${type}:${value.trim().toLowerCase()}`;
+    if (!this.tokens.has(key)) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+      const token = `[${type}_${this.counters[type]}]`;
+      this.tokens.set(key, token);
+      this.originals.set(token, value.trim());
+    }
+    return this.tokens.get(key);
+  }
+
+  /**
+   * Register identifiers from case data fields (including personalInfo) so
+   * they are masked wherever they appear, even where no detector would match
+   */
+  seed(caseData) {
+    const sources = [caseData, caseData?.personalInfo].filter(source => source && typeof source === 'object');
+    for (const source of sources) {
+      for (const [field, type] of Object.entries(IDENTIFIER_FIELDS)) {
+        const value = source[field];
+        if (typeof value === 'string' && value.trim().length >= 3) {
+          const parts = value.trim().split(/\s+/);
+          if (type === PHI_TYPES.NAME && parts.length === 1 && COMMON_WORD_NAMES.has(parts[0].toLowerCase())) continue;
+          this.known.push({ value: value.trim(), type });
+          // Full names are also matched word by word ("Sarah" on its own)
+          if (type === PHI_TYPES.NAME && parts.length > 1) {
+            for (const part of parts) {
+              if (part.length >= 3 && !COMMON_WORD_NAMES.has(part.toLowerCase())) this.known.push({ value: part, type });
+            }
+          }
+        }
+      }
+    }
+    this.known.sort((a, b) => b.value.length - a.value.length);
+  }
+
+  redactText(text) {
+    if (typeof text !== 'string' || text.length === 0) return text;
+
+    let redacted = text;
+    for (const { value, type } of this.known) {
+      // Names match case-sensitively so "Will Grant" leaves "will grant me" alone
+      const flags = type === PHI_TYPES.NAME ? 'g' : 'gi';
+      const pattern = new RegExp(`(?<![\\w@])${escapeRegExp(value)}(?![\\w@])`, flags);
+      redacted = redacted.replace(pattern, match => this.tokenFor(type, match));
+    }
+
+    for (const { type, pattern, group, accept } of DETECTORS) {
+      redacted = redacted.replace(pattern, (match, ...captures) => {
+        if (!group) return this.tokenFor(type, match);
+
+        const captured = captures[group - 1];
+        const value = accept ? accept(captured) : captured;
+        if (!value) return match;
+
+        const index = match.lastIndexOf(captured);
+        return `${match.slice(0, index)}${this.tokenFor(type, value)}${match.slice(index + value.length)}`;
+      });
+    }
+    return redacted;
+  }
+
+  /**
+   * Deep copy with identifiers masked; identifier fields are replaced whole
+   */
+  redact(value) {
+    if (typeof value === 'string') return this.redactText(value);
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        IDENTIFIER_FIELDS[key] && typeof item === 'string' && item.trim()
+          ? this.tokenFor(IDENTIFIER_FIELDS[key], item)
+          : this.redact(item)
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * Put the original values back in place of this vault's tokens (deep)
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(TOKEN_PATTERN, token => this.originals.get(token) ?? token);
+    }
+    if (Array.isArray(value)) return value.map(item => this.restore(item));
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  get size() {
+    return this.originals.size;
+  }
+
+  countsByType() {
+    return { ...this.counters };
+  }
+}
+
+/**
+ * Mask identifiers in a string or object for logging; tokens are not reversible
+ */
+export function redactForLog(value) {
+  return new RedactionVault().redact(value);
+}
+
+// Winston entry fields that never carry user text
+const LOG_PASSTHROUGH = new Set(['level', 'timestamp', 'service']);
+
+/**
+ * Redact a winston info object in place (symbol keys such as the formatted
+ * message are left to later formats)
+ */
+export function redactLogEntry(info) {
+  for (const key of Object.keys(info)) {
+    if (!LOG_PASSTHROUGH.has(key)) info[key] = redactForLog(info[key]);
+  }
+  return info;
+}
+
+/**
+ * PhiRedactor - scopes a RedactionVault to a request or background job so
+ * every prompt built inside it is de-identified consistently and every LLM
+ * reply can be restored with the user's own details
+ */
+export class PhiRedactor {
+  constructor(options = {}) {
+    const config = agentConfig.privacy || {};
+
+    this.enabled = options.enabled ?? config.redactPrompts ?? true;
+    this.context = new AsyncLocalStorage();
+    this.stats = { vaults: 0, prompts: 0, promptsWithIdentifiers: 0, identifiers: {} };
+  }
+
+  createVault(caseData = null) {
+    this.stats.vaults++;
+    return new RedactionVault(caseData);
+  }
+
+  run(vault, fn) {
+    return this.context.run(vault, fn);
+  }
+
+  /**
+   * The active vault, or a new one for calls made outside any request or job
+   */
+  currentVault() {
+    return this.context.getStore() || this.createVault();
+  }
+
+  /**
+   * Mask identifiers in case data before it is embedded in a prompt
+   */
+  redact(value, vault = this.currentVault()) {
+    return this.enabled ? vault.redact(value) : value;
+  }
+
+  /**
+   * De-identify an outgoing prompt; returns the prompt and the vault that restores the reply
+   */
+  redactPrompt(prompt, vault = this.currentVault()) {
+    if (!this.enabled) return { prompt, vault: null };
+
+    const before = vault.countsByType();
+    const redacted = vault.redactText(prompt);
+    this.stats.prompts++;
+    if (redacted !== prompt) {
+      this.stats.promptsWithIdentifiers++;
+      for (const [type, count] of Object.entries(vault.countsByType())) {
+        const added = count - (before[type] || 0);
+        if (added > 0) this.stats.identifiers[type] = (this.stats.identifiers[type] || 0) + added;
+      }
+    }
+    return { prompt: redacted, vault };
+  }
+
+  /**
+   * Express middleware: one vault per request, seeded with the identifiers in the submitted case
+   */
+  middleware() {
+    return (req, res, next) => {
+      const body = req.body && typeof req.body === 'object' ? req.body : {};
+      this.run(this.createVault(body.caseData || body), next);
+    };
+  }
+
+  getStats() {
+    return { enabled: this.enabled, ...this.stats, identifiers: { ...this.stats.identifiers } };
+  }
+}
+
+// Singleton instance
+const phiRedactor = new PhiRedactor();
+
+export default phiRedactor;
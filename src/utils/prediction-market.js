@@ -1,27 +1,51 @@
+import { EventEmitter } from 'events';
 import logger from './logger.js';
 import { v4 as uuidv4 } from 'uuid';
+import { PersistentMap, persistValue } from './persistence-store.js';
 
 /**
  * PredictionMarket - Inter-agent prediction system for medical outcomes
  * Enables agents to make staked predictions across multiple dimensions with
  * cascading resolution from inter-agent consensus through user follow-up
  */
-export class PredictionMarket {
-  constructor(tokenManager) {
+export class PredictionMarket extends EventEmitter {
+  constructor(tokenManager, store = null) {
+    super();
     this.tokenManager = tokenManager;
-    this.predictions = new Map(); // consultationId -> predictions
-    this.resolutions = new Map(); // consultationId -> resolution data
-    this.agentPerformance = new Map(); // agentId -> performance stats
+    this.store = store;
+    this.predictions = new PersistentMap(store, 'predictions'); // consultationId -> predictions
+    this.resolutions = new PersistentMap(store, 'predictionResolutions'); // consultationId -> resolution data
+    this.agentPerformance = new PersistentMap(store, 'predictionPerformance'); // agentId -> performance stats
     this.predictionHistory = [];
   }
 
+  /**
+   * Restore open predictions and resolutions from the store
+   * MD review and follow-up resolutions can arrive days after the consultation
+   */
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      const predictions = await this.predictions.hydrate();
+      await this.resolutions.hydrate();
+      await this.agentPerformance.hydrate();
+      this.predictionHistory = (await this.store.get('predictionMarket', 'history')) || [];
+
+      logger.info(`Prediction market restored: ${predictions} consultations`);
+    } catch (error) {
+      logger.error(`Error restoring prediction market: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Initiate predictions for a consultation
    * Called at consultation start - agents make predictions before seeing outcomes
    * Supports merging: if called multiple times with same consultationId (e.g., fast mode
    * where triage predicts first, then specialists predict in background), predictions are merged
    */
-  async initiatePredictions(consultationId, caseData, participatingAgents) {
+  async initiatePredictions(consultationId, caseData, participatingAgents, owner = {}) {
     try {
       logger.info(`Initiating predictions for consultation: ${consultationId}`);
 
@@ -31,6 +55,8 @@ export class PredictionMarket {
       if (!predictions) {
         predictions = {
           consultationId,
+          tenantId: owner.tenantId || 'default',
+          userId: owner.userId || null,
           timestamp: new Date().toISOString(),
           caseData: {
             primaryComplaint: caseData.primaryComplaint,
@@ -336,6 +362,7 @@ export class PredictionMarket {
 
       this.resolutions.set(consultationId, resolution);
       predictions.status = 'resolved';
+      this.predictions.touch(consultationId);
 
       // Record in history
       this.predictionHistory.push({
@@ -345,8 +372,15 @@ export class PredictionMarket {
         totalAgents: predictions.agentPredictions.length,
         averageAccuracy: this.calculateAverageAccuracy(resolution.agentResults)
       });
+      persistValue(this.store, 'predictionMarket', 'history', this.predictionHistory);
 
       logger.info(`Predictions resolved: ${resolution.agentResults.length} agents scored`);
+      this.emit('predictionsResolved', {
+        consultationId,
+        resolution,
+        tenantId: predictions.tenantId,
+        userId: predictions.userId
+      });
 
       return resolution;
     } catch (error) {
@@ -525,6 +559,7 @@ export class PredictionMarket {
         const agentBalance = this.tokenManager.getAgentBalance(agentId);
         if (agentBalance) {
           agentBalance.tokenBalance = Math.max(0, agentBalance.tokenBalance + netChange);
+          this.tokenManager.saveAgentBalance?.(agentId);
           logger.info(`Agent ${agentId} lost ${Math.abs(netChange)} tokens from predictions`);
         }
       }
@@ -577,6 +612,8 @@ export class PredictionMarket {
       dimPerf.totalAccuracy += score.accuracy;
       dimPerf.averageAccuracy = dimPerf.totalAccuracy / dimPerf.count;
     }
+
+    this.agentPerformance.touch(agentId);
   }
 
   /**
@@ -641,6 +678,95 @@ export class PredictionMarket {
       }));
   }
 
+  exportUserData(subject) {
+    const owned = ([consultationId]) => subject.ownsConsultation(consultationId);
+    return {
+      predictions: Array.from(this.predictions.entries()).filter(owned).map(([, predictions]) => predictions),
+      resolutions: Array.from(this.resolutions.entries()).filter(owned).map(([, resolution]) => resolution)
+    };
+  }
+
+  /**
+   * Move a data subject's predictions and resolutions under an alias without
+   * the case snapshot and reported outcomes; stakes and scores stay, so agent
+   * performance and the market statistics keep adding up
+   * @returns {Number} Consultations anonymized
+   */
+  eraseUserData(subject) {
+    const consultationIds = new Set([
+      ...Array.from(this.predictions.keys()),
+      ...Array.from(this.resolutions.keys())
+    ].filter(consultationId => subject.ownsConsultation(consultationId)));
+
+    for (const consultationId of consultationIds) {
+      const alias = subject.alias(consultationId);
+      const predictions = this.predictions.get(consultationId);
+      if (predictions) {
+        this.predictions.delete(consultationId);
+        this.predictions.set(alias, {
+          consultationId: alias,
+          tenantId: predictions.tenantId,
+          timestamp: predictions.timestamp,
+          agentPredictions: predictions.agentPredictions.map(prediction => ({ ...prediction, consultationId: alias })),
+          status: predictions.status,
+          anonymized: true
+        });
+      }
+
+      const resolution = this.resolutions.get(consultationId);
+      if (resolution) {
+        this.resolutions.delete(consultationId);
+        this.resolutions.set(alias, {
+          consultationId: alias,
+          source: resolution.source,
+          timestamp: resolution.timestamp,
+          agentResults: resolution.agentResults,
+          anonymized: true
+        });
+      }
+    }
+
+    if (this.predictionHistory.some(entry => consultationIds.has(entry.consultationId))) {
+      this.predictionHistory = this.predictionHistory.map(entry => consultationIds.has(entry.consultationId)
+        ? { ...entry, consultationId: subject.alias(entry.consultationId) }
+        : entry);
+      persistValue(this.store, 'predictionMarket', 'history', this.predictionHistory);
+    }
+
+    return consultationIds.size;
+  }
+
+  /**
+   * Drop resolution history entries recorded before the cutoff (ms timestamp)
+   * @returns {Number} Entries removed
+   */
+  purgeHistory(cutoff) {
+    const kept = this.predictionHistory.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    const purged = this.predictionHistory.length - kept.length;
+    if (purged > 0) {
+      this.predictionHistory = kept;
+      persistValue(this.store, 'predictionMarket', 'history', this.predictionHistory);
+    }
+    return purged;
+  }
+
+  /**
+   * Delete anonymized predictions and resolutions made before the cutoff
+   * Agent performance is aggregated separately and does not change
+   * @returns {Number} Records deleted
+   */
+  purgeAnonymized(cutoff) {
+    let purged = 0;
+    for (const records of [this.predictions, this.resolutions]) {
+      for (const [key, record] of Array.from(records.entries())) {
+        if (!record.anonymized || new Date(record.timestamp).getTime() >= cutoff) continue;
+        records.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
   /**
    * Get predictions for a consultation
    */
@@ -1,4 +1,5 @@
 import logger from './logger.js';
+import phiRedactor from './phi-redactor.js';
 
 class PromptManager {
   constructor() {
@@ -79,7 +80,7 @@ Format: Plain text narrative, NOT JSON.`
 LEARNING MODE - Deep Analysis Required
 
 FULL CASE DATA:
-${JSON.stringify(this.sanitizeCaseData(caseData), null, 2)}
+${JSON.stringify(phiRedactor.redact(this.sanitizeCaseData(caseData)), null, 2)}
 
 AGENT EXPERIENCE: ${agent.experience} points
 COLLABORATION NETWORK: ${agent.collaboratingAgents ? agent.collaboratingAgents.size : 0} specialists
@@ -288,7 +289,8 @@ Format: Plain text narrative, NOT JSON.`;
   }
   
   /**
-   * Remove sensitive data from prompts
+   * Remove sensitive data from prompts (identifiers left in free text are
+   * masked by the PHI redactor)
    */
   sanitizeCaseData(caseData) {
     const sanitized = { ...caseData };
@@ -299,6 +301,14 @@ Format: Plain text narrative, NOT JSON.`;
     return sanitized;
   }
   
+  /**
+   * Fold the token count of a completed LLM call into the running average
+   */
+  recordTokenUsage(tokens) {
+    this.stats.totalPrompts++;
+    this.stats.avgTokensUsed += ((tokens || 0) - this.stats.avgTokensUsed) / this.stats.totalPrompts;
+  }
+  
   /**
    * Get prompt statistics
    */
@@ -0,0 +1,132 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+/**
+ * RateLimiter - token buckets per caller plus one shared global bucket.
+ * Each bucket holds `limit` requests and refills continuously over `windowMs`,
+ * so short bursts are allowed while the sustained rate stays at limit/window
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    const config = agentConfig.api || {};
+
+    this.limit = options.limit ?? config.rateLimit ?? 100;
+    this.windowMs = options.windowMs ?? config.rateLimitWindowMs ?? 60 * 1000;
+    this.globalLimit = options.globalLimit ?? config.globalRateLimit ?? null;
+    this.now = options.now || Date.now;
+
+    this.buckets = new Map(); // caller key -> { tokens, limit, updatedAt }
+    this.global = this.globalLimit ? { tokens: this.globalLimit, limit: this.globalLimit, updatedAt: this.now() } : null;
+    this.lastPrune = this.now();
+    this.stats = { allowed: 0, limitedPerKey: 0, limitedGlobal: 0 };
+  }
+
+  refill(bucket, now) {
+    const elapsed = now - bucket.updatedAt;
+    bucket.tokens = Math.min(bucket.limit, bucket.tokens + (elapsed * bucket.limit) / this.windowMs);
+    bucket.updatedAt = now;
+  }
+
+  // Time until a bucket holds one whole token again
+  waitMs(bucket) {
+    return Math.ceil(((1 - bucket.tokens) * this.windowMs) / bucket.limit);
+  }
+
+  /**
+   * Take one request from the caller's bucket and the global bucket
+   * @param {string} key - Caller identity (API key subject, JWT subject or IP)
+   * @param {number} [limit] - Per-caller override of the configured limit
+   * @returns {Object} { allowed, limit, remaining, retryAfterMs, scope }
+   */
+  take(key, limit = null) {
+    const now = this.now();
+    const callerLimit = limit || this.limit;
+    this.prune(now);
+
+    let bucket = this.buckets.get(key);
+    if (!bucket || bucket.limit !== callerLimit) {
+      bucket = { tokens: callerLimit, limit: callerLimit, updatedAt: now };
+      this.buckets.set(key, bucket);
+    }
+    this.refill(bucket, now);
+    if (this.global) this.refill(this.global, now);
+
+    const keyLimited = bucket.tokens < 1;
+    const globalLimited = this.global ? this.global.tokens < 1 : false;
+
+    if (keyLimited || globalLimited) {
+      if (keyLimited) this.stats.limitedPerKey++;
+      else this.stats.limitedGlobal++;
+
+      return {
+        allowed: false,
+        limit: callerLimit,
+        remaining: Math.floor(bucket.tokens),
+        retryAfterMs: Math.max(keyLimited ? this.waitMs(bucket) : 0, globalLimited ? this.waitMs(this.global) : 0),
+        scope: keyLimited ? 'key' : 'global'
+      };
+    }
+
+    bucket.tokens -= 1;
+    if (this.global) this.global.tokens -= 1;
+    this.stats.allowed++;
+
+    return { allowed: true, limit: callerLimit, remaining: Math.floor(bucket.tokens), retryAfterMs: 0, scope: null };
+  }
+
+  /**
+   * Drop buckets that have refilled completely; they carry no state
+   */
+  prune(now) {
+    if (now - this.lastPrune < this.windowMs) return;
+    this.lastPrune = now;
+
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= this.windowMs) this.buckets.delete(key);
+    }
+  }
+
+  /**
+   * Express middleware limiting each authenticated caller (req.auth) or IP,
+   * answering 429 with Retry-After when a limit is hit
+   */
+  middleware() {
+    return (req, res, next) => {
+      const key = req.auth && req.auth.method !== 'none'
+        ? `${req.auth.tenantId}:${req.auth.subject}`
+        : `ip:${req.ip}`;
+      const decision = this.take(key, req.auth?.rateLimit);
+
+      res.set('RateLimit-Limit', String(decision.limit));
+      res.set('RateLimit-Remaining', String(decision.remaining));
+
+      if (!decision.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(decision.retryAfterMs / 1000));
+        logger.warn(`Rate limit (${decision.scope}) hit for ${key} on ${req.method} ${req.path}`);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: decision.scope === 'global'
+            ? 'The API is receiving too many requests, please retry later'
+            : `Rate limit of ${decision.limit} requests per ${Math.round(this.windowMs / 1000)}s exceeded`,
+          retryAfter
+        });
+      }
+
+      next();
+    };
+  }
+
+  getStats() {
+    return {
+      limit: this.limit,
+      windowMs: this.windowMs,
+      globalLimit: this.globalLimit,
+      trackedCallers: this.buckets.size,
+      globalRemaining: this.global ? Math.floor(this.global.tokens) : null,
+      ...this.stats
+    };
+  }
+}
+
+export default RateLimiter;
@@ -1,12 +1,44 @@
+import { EventEmitter } from 'events';
 import logger from './logger.js';
+import { PersistentMap } from './persistence-store.js';
 
-export class RecoveryMetrics {
-  constructor() {
-    this.patientRecords = new Map();
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Storage key for a patient's records; the default tenant keeps bare patient
+ * ids so records persisted before tenant scoping still resolve
+ */
+export function recoveryRecordKey(patientId, tenantId = DEFAULT_TENANT) {
+  return !tenantId || tenantId === DEFAULT_TENANT ? patientId : `${tenantId}:${patientId}`;
+}
+
+export class RecoveryMetrics extends EventEmitter {
+  constructor(store = null) {
+    super();
+    this.store = store;
+    this.patientRecords = new PersistentMap(store, 'patientRecords');
     this.outcomeMetrics = new Map();
-    this.recoveryTimelines = new Map();
+    this.recoveryTimelines = new PersistentMap(store, 'recoveryTimelines');
     this.benchmarkData = this.initializeBenchmarks();
-    this.qualityIndicators = new Map();
+    this.qualityIndicators = new PersistentMap(store, 'qualityIndicators');
+  }
+
+  /**
+   * Restore patient recovery records and timelines from the store
+   */
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      const records = await this.patientRecords.hydrate();
+      await this.recoveryTimelines.hydrate();
+      await this.qualityIndicators.hydrate();
+
+      logger.info(`Recovery metrics restored: ${records} patient records`);
+    } catch (error) {
+      logger.error(`Error restoring recovery metrics: ${error.message}`);
+      throw error;
+    }
   }
 
   initializeBenchmarks() {
@@ -44,12 +76,21 @@ export class RecoveryMetrics {
     };
   }
 
-  async trackPatientRecovery(patientId, initialAssessment) {
+  /**
+   * Get a patient's recovery record within a tenant
+   */
+  getPatientRecord(patientId, { tenantId } = {}) {
+    return this.patientRecords.get(recoveryRecordKey(patientId, tenantId)) || null;
+  }
+
+  async trackPatientRecovery(patientId, initialAssessment, { tenantId = DEFAULT_TENANT } = {}) {
     try {
       logger.info(`Starting recovery tracking for patient: ${patientId}`);
+      const key = recoveryRecordKey(patientId, tenantId);
       
       const recoveryRecord = {
         patientId,
+        tenantId,
         startDate: new Date().toISOString(),
         initialAssessment,
         progressUpdates: [],
@@ -74,8 +115,8 @@ export class RecoveryMetrics {
       recoveryRecord.expectedTimeline = expectedTimeline;
       
       // Store record
-      this.patientRecords.set(patientId, recoveryRecord);
-      this.recoveryTimelines.set(patientId, this.createTimelineTracker(expectedTimeline));
+      this.patientRecords.set(key, recoveryRecord);
+      this.recoveryTimelines.set(key, this.createTimelineTracker(expectedTimeline));
       
       logger.info(`Recovery tracking initialized for patient ${patientId}`);
       
@@ -92,9 +133,10 @@ export class RecoveryMetrics {
     }
   }
 
-  async updateRecoveryProgress(patientId, progressData) {
+  async updateRecoveryProgress(patientId, progressData, { tenantId } = {}) {
     try {
-      const record = this.patientRecords.get(patientId);
+      const key = recoveryRecordKey(patientId, tenantId);
+      const record = this.patientRecords.get(key);
       if (!record) {
         throw new Error(`Patient record not found: ${patientId}`);
       }
@@ -135,7 +177,12 @@ export class RecoveryMetrics {
       record.progressUpdates.push(progressUpdate);
       
       // Update timeline tracker
-      this.updateTimelineTracker(patientId, progressUpdate);
+      this.updateTimelineTracker(key, progressUpdate);
+      this.patientRecords.touch(key);
+
+      if (milestone) {
+        this.emit('milestoneReached', { patientId, tenantId: record.tenantId, milestone, phase: record.recoveryPhase });
+      }
       
       // Check for complications or concerning trends
       const riskAssessment = this.assessProgressRisk(record);
@@ -158,9 +205,10 @@ export class RecoveryMetrics {
     }
   }
 
-  async completeRecoveryTracking(patientId, finalOutcome) {
+  async completeRecoveryTracking(patientId, finalOutcome, { tenantId } = {}) {
     try {
-      const record = this.patientRecords.get(patientId);
+      const key = recoveryRecordKey(patientId, tenantId);
+      const record = this.patientRecords.get(key);
       if (!record) {
         throw new Error(`Patient record not found: ${patientId}`);
       }
@@ -180,13 +228,14 @@ export class RecoveryMetrics {
       record.completionDate = new Date().toISOString();
       record.totalDuration = this.calculateTotalDuration(record.startDate, record.completionDate);
       record.status = 'completed';
+      this.patientRecords.touch(key);
       
       // Store outcome metrics for benchmarking
-      this.storeOutcomeMetrics(patientId, record);
+      this.storeOutcomeMetrics(key, record);
       
       // Generate quality indicators
       const qualityIndicators = this.generateQualityIndicators(record);
-      this.qualityIndicators.set(patientId, qualityIndicators);
+      this.qualityIndicators.set(key, qualityIndicators);
       
       logger.info(`Recovery tracking completed for patient ${patientId}`);
       
@@ -603,11 +652,85 @@ export class RecoveryMetrics {
     };
   }
 
-  updateTimelineTracker(patientId, progressUpdate) {
-    const tracker = this.recoveryTimelines.get(patientId);
+  updateTimelineTracker(key, progressUpdate) {
+    const tracker = this.recoveryTimelines.get(key);
     if (tracker && progressUpdate.milestoneReached) {
       tracker.actualMilestones.push(progressUpdate.milestoneReached);
+      this.recoveryTimelines.touch(key);
+    }
+  }
+
+  exportUserData(subject) {
+    const key = recoveryRecordKey(subject.userId, subject.tenantId);
+    return {
+      record: this.patientRecords.get(key) || null,
+      timeline: this.recoveryTimelines.get(key) || null,
+      qualityIndicators: this.qualityIndicators.get(key) || null
+    };
+  }
+
+  /**
+   * Erase a data subject's recovery tracking. A completed record is kept under
+   * an alias with only the fields getRecoveryStatistics() reads, so the
+   * outcome statistics do not change; anything else is deleted
+   * @returns {Object} { deleted, anonymized }
+   */
+  eraseUserData(subject) {
+    const key = recoveryRecordKey(subject.userId, subject.tenantId);
+    const record = this.patientRecords.get(key);
+    let anonymized = 0;
+
+    if (record?.status === 'completed') {
+      const { totalPainReduction, totalFunctionalImprovement, patientSatisfaction, returnToActivity } = record.finalMetrics || {};
+      this.patientRecords.set(subject.alias(key), {
+        tenantId: record.tenantId,
+        status: record.status,
+        totalDuration: record.totalDuration,
+        finalMetrics: { totalPainReduction, totalFunctionalImprovement, patientSatisfaction, returnToActivity },
+        outcomeAnalysis: { overallSuccess: record.outcomeAnalysis?.overallSuccess },
+        // Only the count is used, for the complication rate
+        complications: (record.complications || []).map(() => ({})),
+        anonymized: true,
+        anonymizedAt: new Date().toISOString()
+      });
+      anonymized++;
+    }
+
+    let deleted = 0;
+    for (const records of [this.patientRecords, this.recoveryTimelines, this.qualityIndicators]) {
+      if (!records.has(key)) continue;
+      records.delete(key);
+      deleted++;
+    }
+
+    // The anonymized copy replaces the record rather than removing it
+    return { deleted: deleted - anonymized, anonymized };
+  }
+
+  /**
+   * Identified records with no activity (start, progress update or completion) since the cutoff
+   */
+  findInactiveRecords(cutoff) {
+    return Array.from(this.patientRecords.values()).filter(record => {
+      if (record.anonymized) return false;
+      const lastUpdate = record.progressUpdates?.[record.progressUpdates.length - 1]?.timestamp;
+      const lastActivity = record.completionDate || lastUpdate || record.startDate;
+      return new Date(lastActivity).getTime() < cutoff;
+    });
+  }
+
+  /**
+   * Delete anonymized records made before the cutoff
+   * @returns {Number} Records deleted
+   */
+  purgeAnonymized(cutoff) {
+    let purged = 0;
+    for (const [key, record] of Array.from(this.patientRecords.entries())) {
+      if (!record.anonymized || new Date(record.anonymizedAt).getTime() >= cutoff) continue;
+      this.patientRecords.delete(key);
+      purged++;
     }
+    return purged;
   }
 
   // Statistics and reporting methods
@@ -926,9 +1049,10 @@ export class RecoveryMetrics {
     return milestones;
   }
 
-  async updatePatientOutcome(patientId, outcomeData) {
+  async updatePatientOutcome(patientId, outcomeData, { tenantId } = {}) {
     try {
-      const journey = this.patientRecords.get(patientId);
+      const key = recoveryRecordKey(patientId, tenantId);
+      const journey = this.patientRecords.get(key);
       
       if (!journey) {
         logger.warn(`Patient journey not found for ${patientId}`);
@@ -940,6 +1064,7 @@ export class RecoveryMetrics {
       journey.userSatisfaction = outcomeData.satisfaction;
       journey.outcomeSuccess = outcomeData.outcomeSuccess;
       journey.lastFeedbackUpdate = new Date().toISOString();
+      this.patientRecords.touch(key);
       
       logger.info(`Updated patient outcome for ${patientId} with feedback`);
       
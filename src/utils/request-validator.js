@@ -0,0 +1,86 @@
+import logger from './logger.js';
+import { validateSchema, formatSchemaErrors } from './schema-validator.js';
+
+// Query strings arrive as text; convert the declared scalar types before validating
+function coerceQueryValue(schema, value) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (typeof value !== 'string') return value;
+
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Validate a request's path params, query string and JSON body against a route definition
+ * @returns {Array} Error lines such as "body.caseData is required"; empty when valid
+ */
+export function requestErrors(route, req) {
+  const errors = [];
+
+  for (const [name, schema] of Object.entries(route.params || {})) {
+    errors.push(...validateSchema(schema, req.params?.[name], `params.${name}`));
+  }
+
+  for (const [name, schema] of Object.entries(route.query || {})) {
+    const value = req.query?.[name];
+    if (value !== undefined) {
+      errors.push(...validateSchema(schema, coerceQueryValue(schema, value), `query.${name}`));
+    }
+  }
+
+  if (route.body) {
+    errors.push(...validateSchema(route.body, req.body, 'body'));
+  }
+
+  return formatSchemaErrors(errors);
+}
+
+/**
+ * Validate a response body against the route's schema for its status code
+ * @returns {Array} Error lines; empty when valid or when no schema is declared for the status
+ */
+export function responseErrors(route, status, body) {
+  const schema = route.responses?.[status];
+  return schema ? formatSchemaErrors(validateSchema(schema, body, 'response')) : [];
+}
+
+/**
+ * Express middleware answering 400 with every invalid field when the request
+ * does not match its route definition
+ */
+export function validateRequest(route) {
+  return (req, res, next) => {
+    const errors = requestErrors(route, req);
+    if (errors.length === 0) return next();
+
+    res.status(400).json({
+      error: 'Invalid request',
+      message: errors.join('; '),
+      details: errors
+    });
+  };
+}
+
+/**
+ * Express middleware that checks JSON responses against the route definition
+ * and logs mismatches (enabled with API_VALIDATE_RESPONSES, for development and tests)
+ */
+export function validateResponses(route) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = body => {
+      const errors = responseErrors(route, res.statusCode, body);
+      if (errors.length > 0) {
+        logger.warn(`Response for ${route.method.toUpperCase()} ${route.path} (${res.statusCode}) does not match its schema: ${errors.join('; ')}`);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
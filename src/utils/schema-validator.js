@@ -0,0 +1,115 @@
+/**
+ * Minimal JSON Schema validator covering the keywords used by the schemas in
+ * src/schemas: type (string or list, including 'integer' and 'null'), enum,
+ * required, properties, additionalProperties (false only), items, minItems,
+ * maxItems, minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum
+ * and anyOf
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array} Errors as { path, message }; empty when the value is valid
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push({ path: `${path}.${field}`, message: 'is required' });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        errors.push(...validateSchema(properties[field], fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${field}`, message: 'is not allowed' });
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validateSchema(option, value, path));
+    if (!attempts.some(optionErrors => optionErrors.length === 0)) {
+      // Report each alternative relative to this value, e.g. "primaryComplaint is required"
+      const reasons = attempts.map(optionErrors => formatSchemaErrors(optionErrors)
+        .map(line => (line.startsWith(path) ? line.slice(path.length).replace(/^\./, '').trim() : line))
+        .join(', '));
+      errors.push({ path, message: `must match one of: ${reasons.join(' | ')}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render validation errors as one line each, e.g. "$.urgencyLevel is required"
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(error => `${error.path} ${error.message}`);
+}
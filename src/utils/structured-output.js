@@ -0,0 +1,103 @@
+import { validateSchema, formatSchemaErrors } from './schema-validator.js';
+
+/**
+ * Instructions appended to a prompt so the LLM answers with JSON matching `schema`
+ */
+export function buildSchemaInstructions(schemaName, schema) {
+  return `
+
+RESPONSE SCHEMA: ${schemaName}
+Respond with ONLY a JSON object (no code fences, no text before or after it) that validates against this JSON Schema:
+${JSON.stringify(schema)}
+Write the answer you would otherwise give as prose, in markdown, in the "narrative" field.`;
+}
+
+/**
+ * Re-ask prompt listing what was wrong with the previous reply
+ */
+export function buildRepairPrompt(schemaName, schema, previousReply, errors) {
+  return `RESPONSE SCHEMA REPAIR: ${schemaName}
+Your previous reply did not match the required JSON Schema.
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${typeof previousReply === 'string' ? previousReply : JSON.stringify(previousReply)}
+
+Reply again with ONLY the corrected JSON object, keeping the clinical content of your previous reply. JSON Schema:
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Pull a JSON object out of an LLM reply, tolerating code fences and text
+ * around the object
+ * @returns {Object|null} The parsed value or null when no JSON object is found
+ */
+export function extractJson(reply) {
+  if (reply && typeof reply === 'object') return reply;
+  if (typeof reply !== 'string') return null;
+
+  const fenced = reply.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidates = [reply.trim(), fenced?.[1]?.trim()];
+  const start = reply.indexOf('{');
+  const end = reply.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    candidates.push(reply.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse and validate an LLM reply
+ * @returns {Object} { data, errors } - data is null when the reply is not valid
+ */
+export function parseStructuredOutput(reply, schema) {
+  const parsed = extractJson(reply);
+  if (parsed === null) {
+    return { data: null, errors: ['reply is not a JSON object'] };
+  }
+
+  const errors = formatSchemaErrors(validateSchema(schema, parsed));
+  return errors.length === 0 ? { data: parsed, errors } : { data: null, errors };
+}
+
+/**
+ * StructuredOutputStats - validation outcomes per schema
+ */
+export class StructuredOutputStats {
+  constructor() {
+    this.schemas = new Map();
+  }
+
+  record(schemaName, { valid, attempts }) {
+    if (!this.schemas.has(schemaName)) {
+      this.schemas.set(schemaName, { requests: 0, validFirstTry: 0, repaired: 0, failed: 0, repairAttempts: 0 });
+    }
+    const stats = this.schemas.get(schemaName);
+
+    stats.requests++;
+    stats.repairAttempts += attempts - 1;
+    if (!valid) stats.failed++;
+    else if (attempts > 1) stats.repaired++;
+    else stats.validFirstTry++;
+  }
+
+  getStats() {
+    return Object.fromEntries(this.schemas);
+  }
+}
+
+// Singleton instance
+const structuredOutputStats = new StructuredOutputStats();
+
+export default structuredOutputStats;
@@ -2,11 +2,13 @@ import { ethers } from 'ethers';
 import logger from './logger.js';
 import { agentConfig } from '../config/agent-config.js';
 import BlockchainUtils from './blockchain-utils.js';
+import { PersistentMap, persistValue } from './persistence-store.js';
 
 export class TokenManager {
-  constructor() {
-    this.tokenTransactions = new Map();
-    this.agentBalances = new Map();
+  constructor(store = null) {
+    this.store = store;
+    this.tokenTransactions = new PersistentMap(store, 'tokenTransactions');
+    this.agentBalances = new PersistentMap(store, 'agentBalances');
     this.rewardRules = this.initializeRewardRules();
     this.distributionHistory = [];
     this.blockchainUtils = new BlockchainUtils();
@@ -19,6 +21,43 @@ export class TokenManager {
     };
   }
 
+  /**
+   * Restore balances, transactions and ledger statistics from the store
+   */
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      const balances = await this.agentBalances.hydrate();
+      const transactions = await this.tokenTransactions.hydrate();
+      const ledger = await this.store.get('tokenLedger', 'state');
+
+      if (ledger) {
+        this.networkStats = { ...this.networkStats, ...ledger.networkStats };
+        this.distributionHistory = ledger.distributionHistory || [];
+      }
+
+      logger.info(`Token ledger restored: ${balances} balances, ${transactions} transactions`);
+    } catch (error) {
+      logger.error(`Error restoring token ledger: ${error.message}`);
+      throw error;
+    }
+  }
+
+  persistLedger() {
+    persistValue(this.store, 'tokenLedger', 'state', {
+      networkStats: this.networkStats,
+      distributionHistory: this.distributionHistory
+    });
+  }
+
+  /**
+   * Persist an agent balance after it was modified in place
+   */
+  saveAgentBalance(agentId) {
+    this.agentBalances.touch(agentId);
+  }
+
   initializeRewardRules() {
     return {
       // Base rewards
@@ -68,6 +107,24 @@ export class TokenManager {
         throw new Error(`Agent ${agent.name} does not have a wallet address`);
       }
       
+      // Keep balances restored from the store, only refresh identity fields
+      const existingBalance = this.agentBalances.get(agent.agentId);
+      if (existingBalance) {
+        existingBalance.name = agent.name;
+        existingBalance.walletAddress = agent.walletAddress;
+        this.saveAgentBalance(agent.agentId);
+        agent.tokenBalance = existingBalance.tokenBalance;
+        
+        logger.info(`Restored wallet for ${agent.name} with balance: ${existingBalance.tokenBalance}`);
+        
+        return {
+          agentId: agent.agentId,
+          walletAddress: agent.walletAddress,
+          initialBalance: existingBalance.tokenBalance,
+          restored: true
+        };
+      }
+      
       // Initialize balance tracking
       this.agentBalances.set(agent.agentId, {
         agentId: agent.agentId,
@@ -147,6 +204,9 @@ export class TokenManager {
         transaction.status = 'local_only';
       }
       
+      this.tokenTransactions.touch(transaction.id);
+      this.saveAgentBalance(agentId);
+      
       // Update network statistics
       this.updateNetworkStats(rewardAmount, outcome);
       
@@ -158,6 +218,7 @@ export class TokenManager {
         reason: this.summarizeOutcome(outcome),
         timestamp: new Date().toISOString()
       });
+      this.persistLedger();
       
       logger.info(`Distributed ${rewardAmount} tokens to agent ${agentId} for: ${this.summarizeOutcome(outcome)}`);
       
@@ -378,6 +439,9 @@ export class TokenManager {
       toBalance.lastUpdated = new Date().toISOString();
       toBalance.transactionCount += 1;
       
+      this.saveAgentBalance(fromAgentId);
+      this.saveAgentBalance(toAgentId);
+      
       // Store transaction
       this.tokenTransactions.set(transferTx.id, transferTx);
       
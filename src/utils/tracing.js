@@ -0,0 +1,477 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { performance } from 'perf_hooks';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+
+export const TRACE_HEADER = 'traceparent';
+export const TRACE_ID_HEADER = 'X-Trace-Id';
+
+// OTLP enum values
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+export const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// Wall-clock milliseconds with sub-millisecond precision
+function nowMs() {
+  return performance.timeOrigin + performance.now();
+}
+
+function toUnixNano(ms) {
+  return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+/**
+ * Parse a W3C traceparent header into { traceId, spanId }, or null when absent or invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) return null;
+  return { traceId: match[1], spanId: match[2], remote: true };
+}
+
+export function formatTraceparent({ traceId, spanId }) {
+  return `00-${traceId}-${spanId}-01`;
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: JSON.stringify(value) };
+}
+
+function toKeyValues(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+export class Span {
+  constructor(tracer, name, { traceId, parentSpanId = null, kind = SPAN_KIND.INTERNAL, attributes = {}, localRoot = false }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.kind = kind;
+    this.localRoot = localRoot;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTime = nowMs();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) this.setAttribute(key, value);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: nowMs(), attributes });
+    return this;
+  }
+
+  setStatus(code, message) {
+    this.status = message ? { code, message } : { code };
+    return this;
+  }
+
+  recordException(error) {
+    this.addEvent('exception', { 'exception.type': error.name || 'Error', 'exception.message': error.message });
+    return this.setStatus(SPAN_STATUS.ERROR, error.message);
+  }
+
+  isEnded() {
+    return this.endTime !== null;
+  }
+
+  end() {
+    if (this.isEnded()) return;
+    this.endTime = nowMs();
+    this.tracer.onEnd(this);
+  }
+
+  toJSON() {
+    return {
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: Object.keys(SPAN_KIND).find(kind => SPAN_KIND[kind] === this.kind).toLowerCase(),
+      startTime: new Date(this.startTime).toISOString(),
+      endTime: this.isEnded() ? new Date(this.endTime).toISOString() : null,
+      durationMs: this.isEnded() ? Math.round((this.endTime - this.startTime) * 1000) / 1000 : null,
+      status: Object.keys(SPAN_STATUS).find(status => SPAN_STATUS[status] === this.status.code).toLowerCase(),
+      statusMessage: this.status.message || null,
+      attributes: this.attributes,
+      events: this.events.map(event => ({ ...event, time: new Date(event.time).toISOString() }))
+    };
+  }
+
+  toOtlp() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: toUnixNano(this.startTime),
+      endTimeUnixNano: toUnixNano(this.endTime),
+      attributes: toKeyValues(this.attributes),
+      events: this.events.map(event => ({
+        timeUnixNano: toUnixNano(event.time),
+        name: event.name,
+        attributes: toKeyValues(event.attributes)
+      })),
+      status: this.status
+    };
+  }
+}
+
+/**
+ * OtlpHttpExporter - batches ended spans and posts them as OTLP/HTTP JSON
+ * (POST {endpoint} with an ExportTraceServiceRequest body), so any OpenTelemetry
+ * collector, Jaeger or Tempo can ingest them. Spans beyond `maxQueueSize`
+ * are dropped oldest-first and failed batches are not retried
+ */
+export class OtlpHttpExporter {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+    this.headers = options.headers || {};
+    this.serviceName = options.serviceName || 'orthoiq-agents';
+    this.fetch = options.fetch || globalThis.fetch;
+    this.intervalMs = options.intervalMs ?? 5000;
+    this.batchSize = options.batchSize ?? 512;
+    this.maxQueueSize = options.maxQueueSize ?? 2048;
+    this.queue = [];
+    this.timer = null;
+    this.flushing = null;
+    this.stats = { exported: 0, failed: 0, dropped: 0, requests: 0 };
+  }
+
+  export(span) {
+    this.queue.push(span.toOtlp());
+    if (this.queue.length > this.maxQueueSize) {
+      this.queue.shift();
+      this.stats.dropped++;
+    }
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.intervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Send everything queued; concurrent calls wait for the running flush first
+   */
+  async flush() {
+    while (this.flushing) await this.flushing;
+    if (this.queue.length === 0) return;
+
+    this.flushing = this.sendQueued().finally(() => {
+      this.flushing = null;
+    });
+    await this.flushing;
+  }
+
+  async sendQueued() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.batchSize);
+      this.stats.requests++;
+
+      try {
+        const response = await this.fetch(this.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...this.headers },
+          body: JSON.stringify({
+            resourceSpans: [{
+              resource: { attributes: toKeyValues({ 'service.name': this.serviceName }) },
+              scopeSpans: [{ scope: { name: 'orthoiq-agents' }, spans: batch }]
+            }]
+          })
+        });
+        if (!response.ok) throw new Error(`collector answered ${response.status}`);
+        this.stats.exported += batch.length;
+      } catch (error) {
+        this.stats.failed += batch.length;
+        logger.warn(`Trace export of ${batch.length} spans failed: ${error.message}`);
+      }
+    }
+  }
+
+  async shutdown() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+
+  getStats() {
+    return { endpoint: this.endpoint, queued: this.queue.length, ...this.stats };
+  }
+}
+
+/**
+ * Parse OTEL_EXPORTER_OTLP_HEADERS style "key=value,key2=value2"
+ */
+export function parseOtlpHeaders(value = '') {
+  return Object.fromEntries(String(value)
+    .split(',')
+    .map(pair => pair.split('='))
+    .filter(([key, ...rest]) => key.trim() && rest.length > 0)
+    .map(([key, ...rest]) => [key.trim(), decodeURIComponent(rest.join('=').trim())]));
+}
+
+/**
+ * Tracer - spans for the consultation pipeline with the active span carried
+ * through async calls (AsyncLocalStorage) and across processes and the job
+ * queue as a W3C traceparent. Ended spans go to the exporter; spans of traces
+ * linked to a consultation are also kept in memory for the most recent
+ * `maxConsultations` consultations and served per consultation
+ */
+export class Tracer {
+  constructor(options = {}) {
+    const config = agentConfig.tracing || {};
+
+    this.enabled = options.enabled ?? config.enabled ?? true;
+    this.maxConsultations = options.maxConsultations ?? config.maxConsultations ?? 500;
+    this.exporter = options.exporter !== undefined
+      ? options.exporter
+      : config.otlpEndpoint
+        ? new OtlpHttpExporter({
+            endpoint: config.otlpEndpoint,
+            headers: parseOtlpHeaders(config.otlpHeaders),
+            serviceName: config.serviceName,
+            intervalMs: config.exportIntervalMs,
+            batchSize: config.exportBatchSize,
+            maxQueueSize: config.maxQueueSize
+          })
+        : null;
+    this.context = new AsyncLocalStorage();
+    this.traces = new Map(); // traceId -> { spans: Map(spanId -> Span), linked }
+    this.consultations = new Map(); // consultationId -> [traceId], least recently linked first
+    this.stats = { started: 0, ended: 0 };
+  }
+
+  currentSpan() {
+    return this.context.getStore() || null;
+  }
+
+  /**
+   * Start a span; the parent is the active span unless `parent` (a Span, a
+   * { traceId, spanId } context or a traceparent string) is given
+   */
+  startSpan(name, { parent, kind = SPAN_KIND.INTERNAL, attributes = {} } = {}) {
+    const parentContext = typeof parent === 'string' ? parseTraceparent(parent) : (parent ?? this.currentSpan());
+    const local = parentContext instanceof Span;
+    const span = new Span(this, name, {
+      traceId: parentContext?.traceId || crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parentContext?.spanId || null,
+      kind,
+      attributes,
+      localRoot: !local
+    });
+    if (!this.enabled) return span;
+
+    this.stats.started++;
+    let trace = this.traces.get(span.traceId);
+    if (!trace) {
+      trace = { spans: new Map(), linked: false };
+      this.traces.set(span.traceId, trace);
+    }
+    trace.spans.set(span.spanId, span);
+    return span;
+  }
+
+  withContext(span, fn) {
+    return this.context.run(span, fn);
+  }
+
+  /**
+   * Run fn(span) as the active span and end the span when fn settles;
+   * errors are recorded on the span and rethrown
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      return await this.withContext(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * traceparent for the active (or given) span, to hand to queued jobs or outgoing calls
+   */
+  inject(span = this.currentSpan()) {
+    return span ? formatTraceparent(span) : null;
+  }
+
+  /**
+   * Mark the trace of the active (or given) span as belonging to a consultation;
+   * a consultation collects several traces (the request, its queued coordination
+   * when that runs elsewhere, later refinements)
+   */
+  setConsultation(consultationId, span = this.currentSpan()) {
+    if (!span || !consultationId) return;
+
+    span.setAttribute('consultation.id', consultationId);
+    const trace = this.traces.get(span.traceId);
+    if (!trace) return;
+
+    trace.linked = true;
+    const traceIds = this.consultations.get(consultationId) || [];
+    if (!traceIds.includes(span.traceId)) traceIds.push(span.traceId);
+    this.consultations.delete(consultationId);
+    this.consultations.set(consultationId, traceIds);
+
+    for (const [oldest, evicted] of this.consultations) {
+      if (this.consultations.size <= this.maxConsultations) break;
+      this.consultations.delete(oldest);
+
+      const stillLinked = new Set(Array.from(this.consultations.values()).flat());
+      for (const traceId of evicted) {
+        if (!stillLinked.has(traceId)) this.traces.delete(traceId);
+      }
+    }
+  }
+
+  onEnd(span) {
+    if (!this.enabled) return;
+
+    this.stats.ended++;
+    if (this.exporter) this.exporter.export(span);
+
+    // Traces that never touched a consultation are only exported
+    const trace = this.traces.get(span.traceId);
+    if (trace && !trace.linked && span.localRoot) {
+      this.traces.delete(span.traceId);
+    }
+  }
+
+  describeTrace(traceId, trace) {
+    const spans = Array.from(trace.spans.values()).sort((a, b) => a.startTime - b.startTime);
+
+    // Time spent per span name, to see which stage dominates
+    const breakdown = {};
+    for (const span of spans) {
+      const entry = breakdown[span.name] ||= { count: 0, totalMs: 0, maxMs: 0, open: 0 };
+      const durationMs = span.isEnded() ? span.endTime - span.startTime : null;
+      entry.count++;
+      if (durationMs === null) {
+        entry.open++;
+      } else {
+        entry.totalMs = Math.round((entry.totalMs + durationMs) * 1000) / 1000;
+        entry.maxMs = Math.max(entry.maxMs, Math.round(durationMs * 1000) / 1000);
+      }
+    }
+
+    const startedAt = spans[0].startTime;
+    const open = spans.some(span => !span.isEnded());
+    const finishedAt = open ? null : Math.max(...spans.map(span => span.endTime));
+
+    return {
+      traceId,
+      startTime: new Date(startedAt).toISOString(),
+      endTime: open ? null : new Date(finishedAt).toISOString(),
+      durationMs: open ? null : Math.round((finishedAt - startedAt) * 1000) / 1000,
+      spans: spans.map(span => span.toJSON()),
+      breakdown
+    };
+  }
+
+  /**
+   * Traces recorded for a consultation, oldest first (open spans have no
+   * endTime yet), or null when none are kept in this process
+   */
+  getConsultationTraces(consultationId) {
+    const traces = (this.consultations.get(consultationId) || [])
+      .filter(traceId => this.traces.get(traceId)?.spans.size > 0)
+      .map(traceId => this.describeTrace(traceId, this.traces.get(traceId)));
+
+    return traces.length > 0 ? traces : null;
+  }
+
+  /**
+   * Drop the traces kept for a consultation (spans carry its id and timings)
+   * @returns {Number} Traces dropped
+   */
+  forgetConsultation(consultationId) {
+    const traceIds = this.consultations.get(consultationId);
+    if (!traceIds) return 0;
+    this.consultations.delete(consultationId);
+
+    const stillLinked = new Set(Array.from(this.consultations.values()).flat());
+    const dropped = traceIds.filter(traceId => !stillLinked.has(traceId));
+    for (const traceId of dropped) {
+      this.traces.delete(traceId);
+    }
+    return dropped.length;
+  }
+
+  /**
+   * Express middleware: a server span per request, continuing an incoming
+   * traceparent; the trace id is returned in X-Trace-Id
+   */
+  middleware() {
+    return (req, res, next) => {
+      const span = this.startSpan(`${req.method} ${req.path}`, {
+        parent: req.get(TRACE_HEADER) || null,
+        kind: SPAN_KIND.SERVER,
+        attributes: { 'http.method': req.method, 'http.target': req.path }
+      });
+      res.set(TRACE_ID_HEADER, span.traceId);
+
+      res.once('close', () => {
+        if (req.route) {
+          span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+          span.setAttribute('http.route', `${req.baseUrl}${req.route.path}`);
+        }
+        span.setAttribute('http.status_code', res.statusCode);
+        if (res.statusCode >= 500) span.setStatus(SPAN_STATUS.ERROR);
+        span.end();
+      });
+
+      this.withContext(span, next);
+    };
+  }
+
+  async shutdown() {
+    if (this.exporter) await this.exporter.shutdown();
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      consultations: this.consultations.size,
+      traces: this.traces.size,
+      ...this.stats,
+      exporter: this.exporter ? this.exporter.getStats() : null
+    };
+  }
+}
+
+// Singleton instance
+const tracer = new Tracer();
+
+export default tracer;
@@ -0,0 +1,243 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import fieldEncryptor from './field-encryption.js';
+
+export const TRANSCRIPT_VERSION = 1;
+
+// Left readable in sealed transcripts; prompts, replies, case data and outputs are encrypted
+const PLAINTEXT_FIELDS = ['version', 'consultationId', 'recordedAt', 'durationMs', 'status'];
+
+// Fields that change from run to run and would drown real differences
+const VOLATILE_FIELDS = new Set([
+  'timestamp',
+  'responseTime',
+  'duration',
+  'coordinationDuration',
+  'caseId',
+  'consultationId',
+  'assessmentId',
+  'planId',
+  'prescriptionId',
+  'id'
+]);
+
+function stripVolatile(value) {
+  if (Array.isArray(value)) {
+    return value.map(stripVolatile);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !VOLATILE_FIELDS.has(key))
+        .map(([key, nested]) => [key, stripVolatile(nested)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Reduce a consultation result to the parts produced by the response parsers:
+ * structured specialist responses, conference dialogue and the synthesis
+ */
+export function summarizeConsultation(result) {
+  if (!result) return null;
+
+  const specialists = {};
+  for (const entry of result.responses || []) {
+    const response = entry.response;
+    const type = (response && typeof response === 'object' && response.specialistType) || entry.specialist || 'unknown';
+    specialists[type] = stripVolatile({
+      status: entry.status,
+      error: entry.error,
+      response
+    });
+  }
+
+  const synthesis = result.synthesizedRecommendations || {};
+  const conference = synthesis.coordinationMetadata || {};
+
+  return {
+    participatingSpecialists: result.participatingSpecialists || [],
+    specialists,
+    conference: stripVolatile({
+      interAgentDialogue: conference.interAgentDialogue || [],
+      disagreements: conference.disagreements || [],
+      emergentFindings: conference.emergentFindings || []
+    }),
+    synthesis: stripVolatile({
+      synthesis: synthesis.synthesis,
+      consensusLevel: synthesis.consensusLevel,
+      treatmentPlan: synthesis.treatmentPlan,
+      clinicalFlags: synthesis.clinicalFlags,
+      suggestedFollowUp: synthesis.suggestedFollowUp
+    })
+  };
+}
+
+/**
+ * TranscriptRecorder - captures every prompt an agent sends during a
+ * consultation together with the raw LLM reply and timings, and writes the
+ * transcript to disk when the consultation ends so it can be replayed later.
+ * Transcripts are sealed with the field encryptor when a key is configured,
+ * and recording is refused in production without one
+ */
+export class TranscriptRecorder {
+  constructor(options = {}) {
+    const config = agentConfig.transcripts || {};
+
+    this.enabled = options.enabled ?? config.record ?? false;
+    this.dir = options.dir ?? config.dir ?? 'transcripts';
+    this.encryptor = options.encryptor || fieldEncryptor;
+    this.active = new Map(); // consultationId -> transcript being recorded
+    this.stats = {
+      recorded: 0,
+      exchanges: 0,
+      writeErrors: 0
+    };
+  }
+
+  /**
+   * Start recording a consultation (no-op when recording is disabled)
+   */
+  begin(consultationId, input = {}) {
+    if (!this.enabled || !consultationId) return;
+
+    this.active.set(consultationId, {
+      version: TRANSCRIPT_VERSION,
+      consultationId,
+      recordedAt: new Date().toISOString(),
+      startedAt: Date.now(),
+      input: JSON.parse(JSON.stringify(input)),
+      exchanges: []
+    });
+  }
+
+  /**
+   * Record one LLM exchange made on behalf of a consultation
+   */
+  record(consultationId, exchange) {
+    const transcript = consultationId ? this.active.get(consultationId) : null;
+    if (!transcript) return;
+
+    transcript.exchanges.push({
+      seq: transcript.exchanges.length + 1,
+      offsetMs: Date.now() - transcript.startedAt,
+      ...exchange
+    });
+    this.stats.exchanges++;
+  }
+
+  /**
+   * Stop recording and persist the transcript
+   * @param {Object} outcome - { result } on success or { error } on failure
+   * @returns {Object|null} The finished transcript
+   */
+  async finish(consultationId, outcome = {}) {
+    const transcript = this.active.get(consultationId);
+    if (!transcript) return null;
+    this.active.delete(consultationId);
+
+    const { startedAt, ...rest } = transcript;
+    const finished = {
+      ...rest,
+      durationMs: Date.now() - startedAt,
+      status: outcome.error ? 'failed' : 'completed',
+      error: outcome.error,
+      output: summarizeConsultation(outcome.result)
+    };
+
+    if (this.dir) {
+      try {
+        await saveTranscript(this.transcriptPath(consultationId), finished, this.encryptor);
+        this.stats.recorded++;
+      } catch (error) {
+        this.stats.writeErrors++;
+        logger.error(`Failed to write transcript for ${consultationId}: ${error.message}`);
+      }
+    }
+
+    return finished;
+  }
+
+  /**
+   * Transcripts hold raw patient queries, so they never go to disk unencrypted in production
+   */
+  checkEncryption() {
+    if (!this.enabled || !this.dir || this.encryptor.enabled) return;
+
+    if (agentConfig.environment.nodeEnv === 'production') {
+      throw new Error('Refusing to record transcripts in production without ENCRYPTION_KEY');
+    }
+    logger.warn('Recording transcripts unencrypted - set ENCRYPTION_KEY');
+  }
+
+  transcriptPath(consultationId) {
+    return this.dir ? path.join(this.dir, `${consultationId}.json`) : null;
+  }
+
+  /**
+   * The transcript written for a consultation, or null when there is none
+   */
+  async load(consultationId) {
+    const filePath = this.transcriptPath(consultationId);
+    if (!filePath) return null;
+
+    try {
+      return await loadTranscript(filePath, this.encryptor);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a consultation's transcript (and stop recording it)
+   * @returns {Boolean} Whether a transcript was deleted
+   */
+  async remove(consultationId) {
+    this.active.delete(consultationId);
+    const filePath = this.transcriptPath(consultationId);
+    if (!filePath) return false;
+
+    try {
+      await fs.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      logger.error(`Failed to delete transcript for ${consultationId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      dir: this.dir,
+      encrypted: this.encryptor.enabled,
+      inProgress: this.active.size,
+      ...this.stats
+    };
+  }
+}
+
+export async function saveTranscript(filePath, transcript, encryptor = fieldEncryptor) {
+  const sealed = encryptor.seal(transcript, PLAINTEXT_FIELDS, `transcripts/${transcript.consultationId}`);
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(sealed, null, 2));
+  logger.info(`Transcript written to ${filePath}`);
+}
+
+export async function loadTranscript(filePath, encryptor = fieldEncryptor) {
+  const sealed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (sealed.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version: ${sealed.version}`);
+  }
+  return encryptor.open(sealed, `transcripts/${sealed.consultationId}`);
+}
+
+// Singleton instance
+const transcriptRecorder = new TranscriptRecorder();
+
+export default transcriptRecorder;
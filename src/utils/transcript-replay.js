@@ -0,0 +1,131 @@
+import logger from './logger.js';
+import { AgentCoordinator } from './agent-coordinator.js';
+import { summarizeConsultation } from './transcript-recorder.js';
+import { TriageAgent } from '../agents/triage-agent.js';
+import { PainWhispererAgent } from '../agents/pain-whisperer-agent.js';
+import { MovementDetectiveAgent } from '../agents/movement-detective-agent.js';
+import { StrengthSageAgent } from '../agents/strength-sage-agent.js';
+import { MindMenderAgent } from '../agents/mind-mender-agent.js';
+
+const AGENT_CLASSES = {
+  triage: [TriageAgent, 'OrthoTriage Master'],
+  painWhisperer: [PainWhispererAgent, 'Pain Whisperer'],
+  movementDetective: [MovementDetectiveAgent, 'Movement Detective'],
+  strengthSage: [StrengthSageAgent, 'Strength Sage'],
+  mindMender: [MindMenderAgent, 'Mind Mender']
+};
+
+/**
+ * ReplayChatModel - answers an agent's LLM calls from a recorded transcript
+ * Prefers the recorded exchange with the identical prompt, otherwise hands out
+ * the agent's recordings in their original order
+ */
+export class ReplayChatModel {
+  constructor(agentId, exchanges) {
+    this.agentId = agentId;
+    this.exchanges = exchanges.filter(exchange => exchange.agentId === agentId);
+    this.used = new Set();
+  }
+
+  next(prompt) {
+    const candidates = this.exchanges.filter(exchange => !this.used.has(exchange.seq));
+    return candidates.find(exchange => exchange.prompt === prompt) || candidates[0] || null;
+  }
+
+  async invoke(messages) {
+    const prompt = messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content)
+      .join('\n');
+
+    const exchange = this.next(prompt);
+    if (!exchange) {
+      throw new Error(`No recorded reply left for agent ${this.agentId}`);
+    }
+    this.used.add(exchange.seq);
+
+    if (exchange.error) {
+      throw new Error(exchange.error);
+    }
+
+    return {
+      content: exchange.response,
+      response_metadata: { provider: 'replay', seq: exchange.seq }
+    };
+  }
+
+  get remaining() {
+    return this.exchanges.length - this.used.size;
+  }
+}
+
+/**
+ * Re-run a recorded consultation through AgentCoordinator with every LLM call
+ * answered from the transcript
+ * @returns {Object} { result, output, error, unusedExchanges }
+ */
+export async function replayTranscript(transcript) {
+  const { caseData, specialists = [], options = {} } = transcript.input || {};
+  const coordinator = new AgentCoordinator();
+  const models = [];
+
+  const agentIds = new Set([...specialists, ...transcript.exchanges.map(exchange => exchange.agentId)]);
+  for (const agentId of agentIds) {
+    if (!AGENT_CLASSES[agentId]) {
+      logger.warn(`Transcript references unknown agent ${agentId}, skipping`);
+      continue;
+    }
+
+    const [AgentClass, name] = AGENT_CLASSES[agentId];
+    const agent = new AgentClass(name);
+    const model = new ReplayChatModel(agentId, transcript.exchanges);
+    agent.llm = model;
+    agent.fastLLM = model;
+    models.push(model);
+
+    coordinator.registerSpecialist(agentId, agent);
+  }
+
+  let result = null;
+  let error = null;
+  try {
+    result = await coordinator.coordinateMultiSpecialistConsultation(caseData, specialists, {
+      ...options,
+      consultationId: transcript.consultationId
+    });
+  } catch (replayError) {
+    error = replayError.message;
+  }
+
+  return {
+    result,
+    output: summarizeConsultation(result),
+    error,
+    unusedExchanges: models.reduce((sum, model) => sum + model.remaining, 0)
+  };
+}
+
+/**
+ * Structural diff of two JSON-compatible values
+ * @returns {Array} [{ path, before, after }] for every differing leaf
+ */
+export function diffStructures(before, after, path = '') {
+  if (before === after) return [];
+
+  const bothObjects = before && after && typeof before === 'object' && typeof after === 'object' &&
+    Array.isArray(before) === Array.isArray(after);
+
+  if (!bothObjects) {
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path: path || '(root)', before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const key of keys) {
+    const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+    changes.push(...diffStructures(before[key], after[key], childPath));
+  }
+  return changes;
+}
+
+export default replayTranscript;
@@ -0,0 +1,312 @@
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap, persistValue } from './persistence-store.js';
+
+// Consultation stage for each processMessage context type
+const STAGES = {
+  multi_specialist_consultation: 'specialist',
+  coordination_conference: 'conference',
+  synthesis: 'synthesis'
+};
+
+const DAILY_RETENTION = 90;
+
+export function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals, usage) {
+  totals.calls += 1;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.totalTokens += usage.inputTokens + usage.outputTokens;
+  totals.costUsd += usage.costUsd;
+  return totals;
+}
+
+function emptyAggregates() {
+  return {
+    totals: emptyTotals(),
+    byAgent: {},
+    byStage: {},
+    byModel: {},
+    daily: {},
+    monthly: {},
+    consultations: 0,
+    consultationsOverBudget: 0
+  };
+}
+
+function bucket(map, key) {
+  if (!map[key]) map[key] = emptyTotals();
+  return map[key];
+}
+
+export function stageForContext(contextType) {
+  return STAGES[contextType] || 'other';
+}
+
+/**
+ * UsageTracker - token and cost accounting for LLM calls
+ * Every call is added to global aggregates (by agent, stage, model, day and
+ * month) and, when its tenant is known, to that tenant's aggregates; calls
+ * made for a consultation are also rolled up into a per-consultation
+ * breakdown of specialists, conference and synthesis
+ */
+export class UsageTracker {
+  constructor(store = null, options = {}) {
+    const config = agentConfig.usage || {};
+
+    this.budgets = {
+      dailyUsd: options.dailyBudgetUsd ?? config.dailyBudgetUsd ?? null,
+      monthlyUsd: options.monthlyBudgetUsd ?? config.monthlyBudgetUsd ?? null,
+      consultationUsd: options.consultationBudgetUsd ?? config.consultationBudgetUsd ?? null
+    };
+    this.maxConsultations = options.maxConsultations ?? config.maxConsultations ?? 1000;
+    this.active = new Map(); // consultationId -> breakdown being accumulated
+    this.attachStore(store);
+  }
+
+  attachStore(store) {
+    this.store = store;
+    this.consultations = new PersistentMap(store, 'consultationUsage');
+    this.aggregates = emptyAggregates();
+    this.tenantAggregates = {}; // tenantId -> aggregates of the tenant's calls
+  }
+
+  async hydrate() {
+    if (!this.store) return;
+
+    try {
+      const consultations = await this.consultations.hydrate();
+      const aggregates = await this.store.get('usage', 'aggregates');
+      if (aggregates) {
+        this.aggregates = { ...this.aggregates, ...aggregates };
+      }
+      this.tenantAggregates = (await this.store.get('usage', 'tenantAggregates')) || {};
+      logger.info(`Usage ledger restored: ${consultations} consultation breakdowns`);
+    } catch (error) {
+      logger.error(`Error restoring usage ledger: ${error.message}`);
+      throw error;
+    }
+  }
+
+  createBreakdown(consultationId, tenantId = null) {
+    return {
+      consultationId,
+      tenantId,
+      totals: emptyTotals(),
+      specialists: {},
+      conference: emptyTotals(),
+      synthesis: emptyTotals(),
+      other: emptyTotals(),
+      models: {},
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Attribute a consultation's calls to its tenant (calls that carry no tenantId themselves)
+   */
+  begin(consultationId, { tenantId = 'default' } = {}) {
+    if (!this.active.has(consultationId)) {
+      this.active.set(consultationId, this.createBreakdown(consultationId, tenantId));
+    } else {
+      this.active.get(consultationId).tenantId = tenantId;
+    }
+  }
+
+  tenantAggregatesFor(tenantId) {
+    if (!this.tenantAggregates[tenantId]) this.tenantAggregates[tenantId] = emptyAggregates();
+    return this.tenantAggregates[tenantId];
+  }
+
+  /**
+   * Record the usage of one LLM call
+   * @param {Object} call - { consultationId, tenantId, agentId, contextType, provider, model, inputTokens, outputTokens, costUsd }
+   */
+  record(call) {
+    const usage = {
+      inputTokens: call.inputTokens || 0,
+      outputTokens: call.outputTokens || 0,
+      costUsd: call.costUsd || 0
+    };
+    const stage = stageForContext(call.contextType);
+    const modelKey = `${call.provider || 'unknown'}/${call.model || 'unknown'}`;
+    const now = new Date().toISOString();
+
+    let breakdown = null;
+    let finalized = null;
+    if (call.consultationId) {
+      // Late calls (e.g. fast-mode stragglers) are added to the finalized breakdown
+      finalized = !this.active.has(call.consultationId) && this.consultations.get(call.consultationId);
+      if (!finalized && !this.active.has(call.consultationId)) {
+        this.active.set(call.consultationId, this.createBreakdown(call.consultationId, call.tenantId || null));
+      }
+      breakdown = finalized || this.active.get(call.consultationId);
+      if (!breakdown.tenantId && call.tenantId) breakdown.tenantId = call.tenantId;
+    }
+
+    const tenantId = call.tenantId || breakdown?.tenantId;
+    for (const aggregates of tenantId ? [this.aggregates, this.tenantAggregatesFor(tenantId)] : [this.aggregates]) {
+      addTo(aggregates.totals, usage);
+      addTo(bucket(aggregates.byAgent, call.agentId || 'unknown'), usage);
+      addTo(bucket(aggregates.byStage, stage), usage);
+      addTo(bucket(aggregates.byModel, modelKey), usage);
+      addTo(bucket(aggregates.daily, now.slice(0, 10)), usage);
+      addTo(bucket(aggregates.monthly, now.slice(0, 7)), usage);
+      this.pruneDaily(aggregates);
+    }
+    persistValue(this.store, 'usage', 'aggregates', this.aggregates);
+    if (tenantId) persistValue(this.store, 'usage', 'tenantAggregates', this.tenantAggregates);
+
+    if (breakdown) {
+      addTo(breakdown.totals, usage);
+      addTo(bucket(breakdown.models, modelKey), usage);
+      if (stage === 'specialist') {
+        addTo(bucket(breakdown.specialists, call.agentId || 'unknown'), usage);
+      } else {
+        addTo(breakdown[stage], usage);
+      }
+      if (finalized) this.consultations.touch(call.consultationId);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Usage so far for a consultation (in progress or finalized)
+   */
+  getConsultationUsage(consultationId) {
+    return this.active.get(consultationId) || this.consultations.get(consultationId) || null;
+  }
+
+  /**
+   * Close a consultation's breakdown and keep it for /usage lookups
+   * A consultation finalized again (after a refinement, whose calls were
+   * added to the stored breakdown) is not counted a second time
+   * @returns {Object} Cost breakdown to attach to the consultation result
+   */
+  finalize(consultationId) {
+    const reopened = !this.active.has(consultationId) && this.consultations.has(consultationId);
+    const breakdown = this.active.get(consultationId) || this.consultations.get(consultationId) || this.createBreakdown(consultationId);
+    const wasOverBudget = reopened && Boolean(breakdown.overBudget);
+    this.active.delete(consultationId);
+
+    breakdown.finalizedAt = new Date().toISOString();
+    if (this.budgets.consultationUsd !== null) {
+      breakdown.budgetUsd = this.budgets.consultationUsd;
+      breakdown.overBudget = breakdown.totals.costUsd > this.budgets.consultationUsd;
+    }
+
+    for (const aggregates of breakdown.tenantId ? [this.aggregates, this.tenantAggregatesFor(breakdown.tenantId)] : [this.aggregates]) {
+      if (!reopened) aggregates.consultations++;
+      if (breakdown.overBudget && !wasOverBudget) aggregates.consultationsOverBudget++;
+    }
+    persistValue(this.store, 'usage', 'aggregates', this.aggregates);
+    if (breakdown.tenantId) persistValue(this.store, 'usage', 'tenantAggregates', this.tenantAggregates);
+
+    this.consultations.set(consultationId, breakdown);
+    this.pruneConsultations();
+
+    return breakdown;
+  }
+
+  exportUserData(subject) {
+    return Array.from(this.consultations.entries())
+      .filter(([consultationId]) => subject.ownsConsultation(consultationId))
+      .map(([, breakdown]) => breakdown);
+  }
+
+  /**
+   * Move a data subject's breakdowns under an alias; the aggregates never
+   * referenced a consultation and are left as they are
+   * @returns {Number} Breakdowns anonymized
+   */
+  eraseUserData(subject) {
+    let anonymized = 0;
+    for (const consultationId of Array.from(this.consultations.keys())) {
+      if (!subject.ownsConsultation(consultationId)) continue;
+      const breakdown = this.consultations.get(consultationId);
+      const alias = subject.alias(consultationId);
+      this.consultations.delete(consultationId);
+      this.consultations.set(alias, { ...breakdown, consultationId: alias });
+      anonymized++;
+    }
+    return anonymized;
+  }
+
+  pruneDaily(aggregates = this.aggregates) {
+    const days = Object.keys(aggregates.daily).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - DAILY_RETENTION))) {
+      delete aggregates.daily[day];
+    }
+  }
+
+  pruneConsultations() {
+    const excess = this.consultations.size - this.maxConsultations;
+    if (excess <= 0) return;
+
+    const oldest = Array.from(this.consultations.keys()).slice(0, excess);
+    for (const consultationId of oldest) {
+      this.consultations.delete(consultationId);
+    }
+  }
+
+  budgetStatus(limit, spent) {
+    if (limit === null) return null;
+    return {
+      limitUsd: limit,
+      spentUsd: spent,
+      remainingUsd: Math.max(0, limit - spent),
+      percentUsed: limit > 0 ? Math.round((spent / limit) * 1000) / 10 : 100,
+      exceeded: spent > limit
+    };
+  }
+
+  /**
+   * Aggregates with budget status; with a tenantId, only that tenant's usage
+   * (budgets are deployment-wide, so their status is too)
+   */
+  getSummary({ tenantId = null } = {}) {
+    const aggregates = tenantId ? (this.tenantAggregates[tenantId] || emptyAggregates()) : this.aggregates;
+    const now = new Date().toISOString();
+    const today = this.aggregates.daily[now.slice(0, 10)] || emptyTotals();
+    const month = this.aggregates.monthly[now.slice(0, 7)] || emptyTotals();
+    const consultations = aggregates.consultations;
+    const consultationSpend = ['specialist', 'conference', 'synthesis'].reduce((sum, stage) => {
+      const totals = aggregates.byStage[stage];
+      if (totals) {
+        sum.costUsd += totals.costUsd;
+        sum.totalTokens += totals.totalTokens;
+      }
+      return sum;
+    }, { costUsd: 0, totalTokens: 0 });
+
+    return {
+      ...aggregates,
+      averagePerConsultation: consultations > 0
+        ? {
+            costUsd: consultationSpend.costUsd / consultations,
+            totalTokens: consultationSpend.totalTokens / consultations
+          }
+        : null,
+      inProgress: tenantId
+        ? Array.from(this.active.values()).filter(breakdown => breakdown.tenantId === tenantId).length
+        : this.active.size,
+      budgets: {
+        daily: this.budgetStatus(this.budgets.dailyUsd, today.costUsd),
+        monthly: this.budgetStatus(this.budgets.monthlyUsd, month.costUsd),
+        perConsultation: this.budgets.consultationUsd === null ? null : {
+          limitUsd: this.budgets.consultationUsd,
+          consultationsOverBudget: aggregates.consultationsOverBudget
+        }
+      }
+    };
+  }
+}
+
+// Singleton instance (the server attaches its persistence store at startup)
+const usageTracker = new UsageTracker();
+
+export default usageTracker;
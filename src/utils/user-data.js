@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const DEFAULT_TENANT = 'default';
+
+export const EXPORT_FORMAT = 'orthoiq-user-data';
+export const EXPORT_VERSION = 1;
+
+// Consultation states that still write to the user's records
+export const RUNNING_STATUSES = ['in_progress', 'refining', 'queued', 'running'];
+
+/**
+ * DataSubject - the user a data request is about, within one tenant, and the
+ * consultations they own. Components match their records against it; records
+ * kept for statistics are moved under aliases that are random per request, so
+ * they cannot be linked back to the consultation or case they came from
+ */
+export class DataSubject {
+  constructor(userId, tenantId = DEFAULT_TENANT, consultationIds = []) {
+    this.userId = userId;
+    this.tenantId = tenantId || DEFAULT_TENANT;
+    this.consultationIds = new Set(consultationIds);
+    this.aliases = new Map(); // original id -> alias
+  }
+
+  ownsUser(userId, tenantId) {
+    return Boolean(userId) && userId === this.userId && (tenantId || DEFAULT_TENANT) === this.tenantId;
+  }
+
+  ownsConsultation(consultationId) {
+    return Boolean(consultationId) && this.consultationIds.has(consultationId);
+  }
+
+  owns(record) {
+    return Boolean(record) && (this.ownsConsultation(record.consultationId) ||
+      this.ownsUser(record.userId ?? record.patientId, record.tenantId));
+  }
+
+  alias(id) {
+    if (!this.aliases.has(id)) {
+      this.aliases.set(id, `erased_${crypto.randomUUID()}`);
+    }
+    return this.aliases.get(id);
+  }
+}
+
+/**
+ * UserDataManager - answers a user's request to see or erase their data
+ * The data is spread over the coordinator (consultations, prediction market),
+ * recovery tracking, patient history, the agents' own assessment stores, the
+ * response cache, job records, usage breakdowns, idempotent responses, webhook
+ * delivery logs, traces, event streams and transcripts. Each component exports
+ * and erases its own part through exportUserData/eraseUserData.
+ *
+ * Erasure deletes what only serves the user and anonymizes what feeds
+ * aggregate statistics or the token ledger. The audit log is kept: it is the
+ * record of who accessed the data (including this erasure) and cannot be
+ * edited without breaking its hash chain.
+ */
+export class UserDataManager {
+  constructor(components = {}) {
+    this.coordinator = components.coordinator;
+    this.agents = components.agents || {};
+    this.recoveryMetrics = components.recoveryMetrics;
+    this.patientHistory = components.patientHistory;
+    this.consultationJobs = components.consultationJobs;
+    this.jobQueue = components.jobQueue;
+    this.cacheManager = components.cacheManager;
+    this.usageTracker = components.usageTracker;
+    this.idempotency = components.idempotency;
+    this.webhooks = components.webhooks;
+    this.consultationEvents = components.consultationEvents;
+    this.tracer = components.tracer;
+    this.transcriptRecorder = components.transcriptRecorder;
+    this.auditLog = components.auditLog;
+    this.stats = { exports: 0, erasures: 0, refused: 0 };
+  }
+
+  /**
+   * The data subject with every consultation recorded for the user
+   */
+  subjectFor(userId, tenantId = DEFAULT_TENANT) {
+    const subject = new DataSubject(userId, tenantId);
+    const add = consultationId => consultationId && subject.consultationIds.add(consultationId);
+
+    for (const consultation of this.coordinator.activeConsultations.values()) {
+      if (subject.ownsUser(consultation.userId, consultation.tenantId)) add(consultation.id);
+    }
+    for (const job of this.consultationJobs.jobs.values()) {
+      if (subject.ownsUser(job.userId, job.tenantId)) add(job.consultationId);
+    }
+    for (const predictions of this.coordinator.predictionMarket?.predictions.values() || []) {
+      if (subject.ownsUser(predictions.userId, predictions.tenantId)) add(predictions.consultationId);
+    }
+
+    const history = this.patientHistory.getHistory(userId, { tenantId: subject.tenantId });
+    for (const entry of [...(history?.consultations || []), ...(history?.outcomes || [])]) {
+      add(entry.consultationId);
+    }
+
+    return subject;
+  }
+
+  /**
+   * Background jobs carrying the user's case data
+   */
+  async findJobs(subject) {
+    const jobs = await this.jobQueue.getJobs();
+    return jobs.filter(job => {
+      const data = job.data || {};
+      return subject.ownsConsultation(data.consultationId) ||
+        subject.ownsConsultation(data.fastResponse?.consultationId) ||
+        subject.ownsUser(data.options?.userId ?? data.caseData?.userId, data.options?.tenantId ?? data.caseData?.tenantId);
+    });
+  }
+
+  exportAgentRecords(subject) {
+    return Object.fromEntries(Object.entries(this.agents)
+      .map(([type, agent]) => [type, agent.exportPatientRecords(subject)])
+      .filter(([, records]) => Object.keys(records).length > 0));
+  }
+
+  /**
+   * Everything recorded about a user, as one machine-readable bundle
+   */
+  async export(userId, tenantId = DEFAULT_TENANT) {
+    try {
+      const subject = this.subjectFor(userId, tenantId);
+      const consultationIds = Array.from(subject.consultationIds);
+      const transcripts = await Promise.all(consultationIds.map(id => this.transcriptRecorder.load(id)));
+
+      const bundle = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        userId,
+        tenantId: subject.tenantId,
+        exportedAt: new Date().toISOString(),
+        consultationIds,
+        ...this.coordinator.exportUserData(subject),
+        consultationJobs: this.consultationJobs.exportUserData(subject),
+        backgroundJobs: await this.findJobs(subject),
+        recovery: this.recoveryMetrics.exportUserData(subject),
+        patientHistory: this.patientHistory.exportUserData(subject),
+        agentRecords: this.exportAgentRecords(subject),
+        cachedConsultations: this.cacheManager.exportUserData(subject),
+        usage: this.usageTracker.exportUserData(subject),
+        idempotentResponses: this.idempotency.exportUserData(subject),
+        webhookDeliveries: this.webhooks.exportUserData(subject),
+        traces: consultationIds.flatMap(id => this.tracer.getConsultationTraces(id) || []),
+        transcripts: transcripts.filter(Boolean),
+        auditTrail: this.auditLog.export({ patientId: userId, tenantId: subject.tenantId }).entries
+      };
+
+      this.stats.exports++;
+      logger.info(`Exported data for user ${userId} (${consultationIds.length} consultations)`);
+      return bundle;
+    } catch (error) {
+      logger.error(`Error exporting data for user ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete or anonymize everything recorded about a user
+   * Refused (code ERASURE_IN_PROGRESS) while one of their consultations is
+   * still running, since it would write the data back
+   * @returns {Object} Report of what was deleted, anonymized and retained
+   */
+  async erase(userId, tenantId = DEFAULT_TENANT) {
+    const subject = this.subjectFor(userId, tenantId);
+    const consultationIds = Array.from(subject.consultationIds);
+
+    const running = consultationIds.filter(id => {
+      const status = this.coordinator.getConsultation(id)?.status || this.consultationJobs.get(id)?.status;
+      return RUNNING_STATUSES.includes(status);
+    });
+    if (running.length > 0) {
+      this.stats.refused++;
+      const error = new Error(`Consultations still running for user ${userId}: ${running.join(', ')}`);
+      error.code = 'ERASURE_IN_PROGRESS';
+      throw error;
+    }
+
+    try {
+      const consultations = await this.eraseConsultations(subject);
+      const recovery = this.recoveryMetrics.eraseUserData(subject);
+
+      const report = {
+        userId,
+        tenantId: subject.tenantId,
+        erasedAt: new Date().toISOString(),
+        consultationIds: consultationIds.length,
+        deleted: {
+          ...consultations.deleted,
+          recoveryRecords: recovery.deleted,
+          patientHistory: this.patientHistory.eraseUserData(subject),
+          cachedConsultations: this.cacheManager.eraseUserData(subject),
+          idempotentResponses: this.idempotency.eraseUserData(subject)
+        },
+        anonymized: {
+          ...consultations.anonymized,
+          recoveryRecords: recovery.anonymized
+        },
+        retained: {
+          auditEntries: this.auditLog.export({ patientId: userId, tenantId: subject.tenantId }).entries.length
+        }
+      };
+
+      this.stats.erasures++;
+      logger.info(`Erased data for user ${userId} (${consultationIds.length} consultations)`);
+
+      // Subscribers holding copies of the user's data (consultation webhooks) can follow suit
+      this.webhooks.emit('user.erased', { userId, erasedAt: report.erasedAt }, { tenantId: subject.tenantId }).catch(() => {});
+
+      return report;
+    } catch (error) {
+      logger.error(`Error erasing data for user ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete or anonymize what is recorded per consultation for the subject's
+   * consultations (also used by retention purges)
+   * @returns {Object} { deleted, anonymized } counts
+   */
+  async eraseConsultations(subject) {
+    const jobs = await this.findJobs(subject);
+    const coordinator = this.coordinator.eraseUserData(subject);
+
+    let backgroundJobs = 0;
+    for (const job of jobs) {
+      if (await this.jobQueue.removeJob(job.id)) backgroundJobs++;
+    }
+
+    let traces = 0;
+    let eventStreams = 0;
+    let transcripts = 0;
+    for (const consultationId of subject.consultationIds) {
+      traces += this.tracer.forgetConsultation(consultationId);
+      if (this.consultationEvents.discard(consultationId)) eventStreams++;
+      if (await this.transcriptRecorder.remove(consultationId)) transcripts++;
+    }
+
+    return {
+      deleted: {
+        consultations: coordinator.deleted,
+        consultationJobs: this.consultationJobs.eraseUserData(subject),
+        backgroundJobs,
+        webhookDeliveries: this.webhooks.eraseUserData(subject),
+        traces,
+        eventStreams,
+        transcripts
+      },
+      anonymized: {
+        coordinationRecords: coordinator.anonymized,
+        usageBreakdowns: this.usageTracker.eraseUserData(subject),
+        agentRecords: Object.values(this.agents)
+          .reduce((sum, agent) => sum + agent.anonymizePatientRecords(subject), 0)
+      }
+    };
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default UserDataManager;
@@ -0,0 +1,477 @@
+import crypto from 'crypto';
+import net from 'net';
+import logger from './logger.js';
+import { agentConfig } from '../config/agent-config.js';
+import { PersistentMap } from './persistence-store.js';
+
+export const WEBHOOK_EVENTS = [
+  'consultation.completed',
+  'consultation.flagged_for_md_review',
+  'prediction.resolved',
+  'recovery.milestone',
+  'user.erased'
+];
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  DEAD_LETTER: 'dead_letter',
+  CANCELLED: 'cancelled'
+};
+
+export const SIGNATURE_HEADER = 'X-OrthoIQ-Signature';
+
+// Loopback, private, link-local and other non-public ranges API subscribers may not target
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether a URL hostname names this machine or a private network; hostnames
+ * are judged by name only, they are not resolved
+ */
+function isInternalHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const family = net.isIP(host);
+  if (family) return INTERNAL_ADDRESSES.check(host, family === 4 ? 'ipv4' : 'ipv6');
+  return host === 'localhost' || /\.(localhost|local|internal)$/.test(host) || !host.includes('.');
+}
+
+/**
+ * Signature header value for a payload: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header the way a subscriber should: recompute the HMAC over
+ * the raw body and reject stale timestamps to prevent replays
+ */
+export function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isFinite(timestamp)) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Subscription as shown over the API: the signing secret is only returned when it is created
+ */
+export function publicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return { ...rest, secretHint: secret ? `${secret.slice(0, 10)}...` : null };
+}
+
+/**
+ * WebhookDispatcher - signed outbound event notifications
+ *
+ * Subscribers register a URL for one or more WEBHOOK_EVENTS, either at deploy
+ * time (WEBHOOK_SUBSCRIPTIONS, all tenants) or over the API (their own tenant).
+ * Every event becomes one delivery per matching subscriber; deliveries run as
+ * 'webhook-delivery' jobs, so they are retried with exponential backoff by the
+ * job queue and survive restarts. Deliveries that exhaust their attempts move
+ * to the dead-letter list, from where they can be redelivered.
+ */
+export class WebhookDispatcher {
+  constructor(store = null, jobQueue = null, options = {}) {
+    const config = agentConfig.webhooks || {};
+
+    this.jobQueue = jobQueue;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.maxAttempts = options.maxAttempts ?? config.maxAttempts ?? 6;
+    this.backoffMs = options.backoffMs ?? config.backoffMs ?? 10 * 1000;
+    this.timeoutMs = options.timeoutMs ?? config.timeoutMs ?? 10 * 1000;
+    this.maxDeliveryLogs = options.maxDeliveryLogs ?? config.maxDeliveryLogs ?? 1000;
+    this.allowedHosts = options.allowedHosts ?? config.allowedHosts ?? [];
+
+    this.subscriptions = new PersistentMap(store, 'webhookSubscriptions'); // registered over the API
+    this.configuredSubscriptions = new Map(); // from WEBHOOK_SUBSCRIPTIONS, rebuilt on every start
+    this.deliveries = new PersistentMap(store, 'webhookDeliveries');
+    this.stats = { emitted: 0, delivered: 0, failedAttempts: 0, deadLettered: 0 };
+
+    const configured = options.subscriptions ?? config.subscriptions ?? [];
+    configured.forEach((subscription, index) => {
+      const id = `config_${index}`;
+      if (!subscription.secret && !config.secret) {
+        logger.warn(`Webhook subscriber ${subscription.url} has no secret (set WEBHOOK_SECRET); its signatures cannot be verified`);
+      }
+      this.configuredSubscriptions.set(id, this.buildSubscription({
+        ...subscription,
+        secret: subscription.secret || config.secret
+      }, { id, source: 'config' }));
+    });
+  }
+
+  /**
+   * Restore API-registered subscriptions and delivery logs from the store
+   */
+  async hydrate() {
+    try {
+      const subscriptions = await this.subscriptions.hydrate();
+      const deliveries = await this.deliveries.hydrate();
+      if (subscriptions > 0 || deliveries > 0) {
+        logger.info(`Webhooks restored: ${subscriptions} subscriptions, ${deliveries} delivery logs`);
+      }
+    } catch (error) {
+      logger.error(`Error restoring webhooks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Emit webhook events for coordinator and recovery tracking activity
+   */
+  attach({ coordinator = null, recoveryMetrics = null } = {}) {
+    coordinator?.on('consultationCompleted', ({ consultationId, result, tenantId, userId }) => {
+      this.emit('consultation.completed', {
+        consultationId,
+        userId: userId || null,
+        participatingSpecialists: result.participatingSpecialists,
+        mode: result.mode,
+        duration: result.duration,
+        budgetDegraded: Boolean(result.budget?.degraded)
+      }, { tenantId, eventId: `consultation.completed:${consultationId}` }).catch(() => {});
+    });
+
+    coordinator?.on('predictionsResolved', ({ consultationId, resolution, tenantId, userId }) => {
+      this.emit('prediction.resolved', {
+        consultationId,
+        userId: userId || null,
+        source: resolution.source,
+        resolvedAt: resolution.timestamp,
+        agentResults: resolution.agentResults.map(result => ({
+          agentId: result.agentId,
+          agentName: result.agentName,
+          accuracy: result.accuracy,
+          netChange: result.netChange
+        }))
+      }, { tenantId }).catch(() => {});
+    });
+
+    recoveryMetrics?.on('milestoneReached', ({ patientId, tenantId, milestone, phase }) => {
+      this.emit('recovery.milestone', { patientId, milestone, phase }, {
+        tenantId,
+        eventId: `recovery.milestone:${tenantId || 'default'}:${patientId}:${milestone.type}`
+      }).catch(() => {});
+    });
+  }
+
+  buildSubscription({ url, events, secret, description = null }, { id, source, tenantId = null }) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid webhook URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(`Webhook URL must use http or https: ${url}`);
+    }
+    // Subscribers registered over the API must not reach into our own network
+    if (source === 'api' && !this.allowedHosts.includes(parsed.hostname) && isInternalHost(parsed.hostname)) {
+      throw new Error(`Webhook URL must not point at a private or internal host: ${url}`);
+    }
+
+    const eventList = events === '*' || events === undefined ? ['*'] : events;
+    if (!Array.isArray(eventList) || eventList.length === 0) {
+      throw new Error('Webhook events must be "*" or a non-empty list');
+    }
+    const unknown = eventList.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook events: ${unknown.join(', ')}`);
+    }
+
+    return {
+      id,
+      url,
+      events: eventList,
+      secret: secret || generateSecret(),
+      description,
+      tenantId,
+      source,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Register a subscriber for a tenant
+   * @returns {Object} The subscription including its signing secret (only time it is returned)
+   */
+  subscribe(details, { tenantId = 'default' } = {}) {
+    const id = `whsub_${crypto.randomUUID()}`;
+    const subscription = this.buildSubscription(details, { id, source: 'api', tenantId });
+    this.subscriptions.set(id, subscription);
+    logger.info(`Webhook subscription ${id} added for ${subscription.events.join(', ')} -> ${subscription.url}`);
+    return subscription;
+  }
+
+  unsubscribe(id) {
+    if (this.configuredSubscriptions.has(id)) {
+      throw new Error('Subscriptions from WEBHOOK_SUBSCRIPTIONS can only be removed from the configuration');
+    }
+    if (!this.subscriptions.delete(id)) return false;
+    logger.info(`Webhook subscription ${id} removed`);
+    return true;
+  }
+
+  getSubscription(id) {
+    return this.configuredSubscriptions.get(id) || this.subscriptions.get(id) || null;
+  }
+
+  listSubscriptions() {
+    return [...this.configuredSubscriptions.values(), ...this.subscriptions.values()];
+  }
+
+  /**
+   * Queue one signed delivery per subscriber of the event
+   * @param {Object} options - { tenantId, eventId } - eventId makes repeated emits of the same event a no-op
+   * @returns {Array} The delivery records created
+   */
+  async emit(event, data, { tenantId = 'default', eventId = null } = {}) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown webhook event: ${event}`);
+    }
+
+    const id = eventId || `evt_${crypto.randomUUID()}`;
+    const tenant = tenantId || 'default';
+    const subscribers = this.listSubscriptions().filter(subscription =>
+      (subscription.events.includes('*') || subscription.events.includes(event)) &&
+      (!subscription.tenantId || subscription.tenantId === tenant)
+    );
+    if (subscribers.length === 0) return [];
+
+    this.stats.emitted++;
+    const payload = { id, event, tenantId: tenant, createdAt: new Date().toISOString(), data };
+    const deliveries = [];
+
+    try {
+      for (const subscription of subscribers) {
+        const deliveryId = `${id}:${subscription.id}`;
+        if (this.deliveries.has(deliveryId)) continue;
+
+        const delivery = {
+          id: deliveryId,
+          event,
+          eventId: id,
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          tenantId: tenant,
+          subscriberTenantId: subscription.tenantId,
+          payload,
+          status: DELIVERY_STATUS.PENDING,
+          attempts: [],
+          createdAt: payload.createdAt,
+          updatedAt: payload.createdAt,
+          deliveredAt: null,
+          deadLetteredAt: null
+        };
+        this.deliveries.set(deliveryId, delivery);
+        deliveries.push(delivery);
+
+        await this.enqueue(delivery);
+      }
+
+      this.pruneDeliveries();
+      logger.info(`Webhook ${event} queued for ${deliveries.length} subscriber(s)`);
+      return deliveries;
+    } catch (error) {
+      logger.error(`Error queueing webhook ${event}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async enqueue(delivery, jobId = `webhook:${delivery.id}`) {
+    if (!this.jobQueue) {
+      throw new Error('Webhook dispatcher has no job queue');
+    }
+    await this.jobQueue.add('webhook-delivery', { deliveryId: delivery.id }, {
+      jobId,
+      attempts: this.maxAttempts,
+      backoffMs: this.backoffMs
+    });
+  }
+
+  /**
+   * Job handler: POST the signed payload once; throws on failure so the job queue retries
+   */
+  async deliver(job) {
+    const delivery = this.deliveries.get(job.data.deliveryId);
+    if (!delivery || delivery.status === DELIVERY_STATUS.DELIVERED) return { skipped: true };
+
+    const subscription = this.getSubscription(delivery.subscriptionId);
+    if (!subscription) {
+      delivery.status = DELIVERY_STATUS.CANCELLED;
+      delivery.updatedAt = new Date().toISOString();
+      this.deliveries.touch(delivery.id);
+      return { skipped: true, reason: 'subscription removed' };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString(), statusCode: null, durationMs: 0, error: null };
+    const startedAt = Date.now();
+
+    try {
+      const response = await this.fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'OrthoIQ-Webhooks/1.0',
+          'X-OrthoIQ-Event': delivery.event,
+          'X-OrthoIQ-Delivery': delivery.id,
+          [SIGNATURE_HEADER]: signPayload(subscription.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      attempt.statusCode = response.status;
+
+      if (!response.ok) {
+        throw new Error(`Subscriber responded with ${response.status}`);
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : error.message;
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+    delivery.updatedAt = new Date().toISOString();
+
+    if (!attempt.error) {
+      delivery.status = DELIVERY_STATUS.DELIVERED;
+      delivery.deliveredAt = delivery.updatedAt;
+      this.deliveries.touch(delivery.id);
+      this.stats.delivered++;
+      logger.info(`Webhook ${delivery.event} delivered to ${subscription.url} (attempt ${attempt.attempt})`);
+      return { delivered: true, statusCode: attempt.statusCode };
+    }
+
+    this.stats.failedAttempts++;
+    if (job.attemptsMade + 1 >= job.maxAttempts) {
+      delivery.status = DELIVERY_STATUS.DEAD_LETTER;
+      delivery.deadLetteredAt = delivery.updatedAt;
+      this.stats.deadLettered++;
+      logger.error(`Webhook ${delivery.id} moved to dead letters after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    } else {
+      delivery.status = DELIVERY_STATUS.RETRYING;
+    }
+    this.deliveries.touch(delivery.id);
+
+    throw new Error(`Webhook delivery to ${subscription.url} failed: ${attempt.error}`);
+  }
+
+  /**
+   * Queue a dead-lettered (or cancelled) delivery again with a fresh set of attempts
+   */
+  async redeliver(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) return null;
+    if (![DELIVERY_STATUS.DEAD_LETTER, DELIVERY_STATUS.CANCELLED].includes(delivery.status)) {
+      throw new Error(`Only dead-lettered or cancelled deliveries can be redelivered (status: ${delivery.status})`);
+    }
+    if (!this.getSubscription(delivery.subscriptionId)) {
+      throw new Error(`Subscription ${delivery.subscriptionId} no longer exists`);
+    }
+
+    delivery.status = DELIVERY_STATUS.PENDING;
+    delivery.deadLetteredAt = null;
+    delivery.updatedAt = new Date().toISOString();
+    this.deliveries.touch(deliveryId);
+
+    await this.enqueue(delivery, `webhook:${deliveryId}:${delivery.attempts.length}`);
+    logger.info(`Webhook ${deliveryId} queued for redelivery`);
+    return delivery;
+  }
+
+  getDelivery(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  /**
+   * Delivery logs, newest first
+   * @param {Object} filter - { status, event, subscriptionId, tenantId (of the subscriber), limit }
+   */
+  listDeliveries({ status, event, subscriptionId, tenantId, limit } = {}) {
+    const deliveries = Array.from(this.deliveries.values())
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !subscriptionId || delivery.subscriptionId === subscriptionId)
+      .filter(delivery => !tenantId || (delivery.subscriberTenantId || 'default') === tenantId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return limit ? deliveries.slice(0, limit) : deliveries;
+  }
+
+  /**
+   * Delivery logs whose payload is about a data subject
+   */
+  findUserDeliveries(subject) {
+    return Array.from(this.deliveries.values()).filter(delivery => {
+      const data = delivery.payload?.data || {};
+      return subject.ownsConsultation(data.consultationId) ||
+        subject.ownsUser(data.userId ?? data.patientId, delivery.tenantId);
+    });
+  }
+
+  /**
+   * A data subject's delivery logs, for a data export
+   */
+  exportUserData(subject) {
+    return this.findUserDeliveries(subject);
+  }
+
+  /**
+   * Delete a data subject's delivery logs; queued retries find no delivery and are skipped
+   * @returns {Number} Deliveries deleted
+   */
+  eraseUserData(subject) {
+    const deliveries = this.findUserDeliveries(subject);
+    for (const delivery of deliveries) {
+      this.deliveries.delete(delivery.id);
+    }
+    return deliveries.length;
+  }
+
+  /**
+   * Keep the most recent finished delivery logs; pending work and dead letters are kept
+   */
+  pruneDeliveries() {
+    const finished = Array.from(this.deliveries.values())
+      .filter(delivery => delivery.status === DELIVERY_STATUS.DELIVERED || delivery.status === DELIVERY_STATUS.CANCELLED);
+
+    if (finished.length <= this.maxDeliveryLogs) return;
+
+    finished
+      .sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt))
+      .slice(0, finished.length - this.maxDeliveryLogs)
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const delivery of this.deliveries.values()) {
+      byStatus[delivery.status] = (byStatus[delivery.status] || 0) + 1;
+    }
+
+    return {
+      subscriptions: this.configuredSubscriptions.size + this.subscriptions.size,
+      events: WEBHOOK_EVENTS,
+      deliveries: byStatus,
+      ...this.stats
+    };
+  }
+}
+
+export default WebhookDispatcher;
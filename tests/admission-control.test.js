@@ -0,0 +1,61 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { AdmissionController } = await import('../src/utils/admission-control.js');
+
+describe('AdmissionController', () => {
+  test('runs up to maxConcurrent and hands freed slots to the queue in order', async () => {
+    const admission = new AdmissionController({ maxConcurrent: 1, maxQueued: 2, queueTimeoutMs: 0 });
+    const order = [];
+
+    const releaseFirst = await admission.acquire();
+    const second = admission.acquire().then(release => { order.push('second'); return release; });
+    const third = admission.acquire().then(release => { order.push('third'); return release; });
+    expect(admission.getStats()).toMatchObject({ running: 1, waiting: 2, queueDepth: 2 });
+
+    releaseFirst();
+    (await second)();
+    (await third)();
+
+    expect(order).toEqual(['second', 'third']);
+    expect(admission.getStats()).toMatchObject({ running: 0, queueDepth: 0, admitted: 3, peakQueueDepth: 2 });
+  });
+
+  test('rejects with a retry hint when the queue is full or the wait times out', async () => {
+    const admission = new AdmissionController({ maxConcurrent: 1, maxQueued: 1, queueTimeoutMs: 20 });
+    const release = await admission.acquire();
+    const waiting = admission.acquire();
+
+    await expect(admission.acquire()).rejects.toMatchObject({ code: 'ADMISSION_REJECTED', reason: 'queue_full' });
+    await expect(waiting).rejects.toMatchObject({ code: 'ADMISSION_REJECTED', reason: 'queue_timeout' });
+
+    expect(admission.getStats()).toMatchObject({ rejected: 1, timedOut: 1, waiting: 0 });
+    release();
+
+    const next = await admission.acquire();
+    next();
+    expect(admission.getStats().running).toBe(0);
+  });
+
+  test('reserved background work counts toward capacity and is never turned away', async () => {
+    const admission = new AdmissionController({ maxConcurrent: 1, maxQueued: 1, queueTimeoutMs: 20 });
+    const release = await admission.acquire();
+
+    admission.reserve('consultation_1');
+    expect(() => admission.reserve('consultation_2')).toThrow('Consultation capacity reached');
+    await expect(admission.acquire()).rejects.toMatchObject({ reason: 'queue_full' });
+
+    // The reserved job waits past the queue timeout without being rejected
+    const background = admission.acquire({ reservationId: 'consultation_1' });
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(admission.getStats()).toMatchObject({ waiting: 1, reserved: 0 });
+
+    release();
+    (await background)();
+    expect(admission.getStats()).toMatchObject({ running: 0, queueDepth: 0, admitted: 2 });
+    expect(admission.estimateWaitMs()).toBeGreaterThanOrEqual(1000);
+  });
+});
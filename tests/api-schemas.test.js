@@ -0,0 +1,174 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { API_ROUTES, buildOpenApiDocument, toOpenApiPath } = await import('../src/schemas/api.js');
+const { requestErrors, responseErrors } = await import('../src/utils/request-validator.js');
+const { validateSchema } = await import('../src/utils/schema-validator.js');
+const { PERMISSIONS } = await import('../src/utils/auth.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+async function withSystem(run) {
+  const system = new OrthoIQAgentSystem();
+  system.setupMiddleware();
+  system.setupRoutes();
+  system.setupErrorHandling();
+
+  const server = system.app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`, system);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    system.consultationJobs.stop();
+  }
+}
+
+// Routes that neither return nor change patient data; every other route needs an `audit` entry
+const WITHOUT_PATIENT_DATA = [
+  'get /health', 'get /status', 'get /metrics', 'get /usage',
+  'get /audit/entries', 'get /audit/verify',
+  'get /retention/policy', 'get /retention/reports', 'post /retention/purge',
+  // Webhook payloads carry ids and scores, not case data
+  'get /webhooks/subscriptions', 'post /webhooks/subscriptions', 'delete /webhooks/subscriptions/:subscriptionId',
+  'get /webhooks/deliveries', 'get /webhooks/deliveries/:deliveryId', 'post /webhooks/deliveries/:deliveryId/redeliver',
+  'get /webhooks/dead-letters',
+  'get /schemas', 'get /schemas/*', 'get /docs', 'get /openapi.json',
+  'get /cache/stats', 'get /tokens/balance/:agentId', 'get /tokens/statistics',
+  'get /predictions/market/statistics', 'get /predictions/agent/:agentId'
+];
+
+function post(url, body) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+describe('Route definitions', () => {
+  test('every registered Express route has a definition and every definition is registered', async () => {
+    await withSystem(async (baseUrl, system) => {
+      const registered = system.app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method} ${layer.route.path}`))
+        .sort();
+
+      expect(registered).toEqual(API_ROUTES.map(route => `${route.method} ${route.path}`).sort());
+    });
+  });
+
+  test('every route touching patient data is audited', () => {
+    const routes = API_ROUTES.map(route => `${route.method} ${route.path}`);
+    expect(routes).toEqual(expect.arrayContaining(WITHOUT_PATIENT_DATA));
+
+    const unaudited = API_ROUTES
+      .filter(route => !route.audit && !WITHOUT_PATIENT_DATA.includes(`${route.method} ${route.path}`))
+      .map(route => `${route.method} ${route.path}`);
+    expect(unaudited).toEqual([]);
+  });
+
+  test('the OpenAPI document covers every route with its parameters, body and roles', () => {
+    const document = buildOpenApiDocument({ version: '1.0.1', permissions: PERMISSIONS });
+
+    expect(document.openapi).toBe('3.1.0');
+    for (const route of API_ROUTES) {
+      expect(document.paths[toOpenApiPath(route)][route.method].operationId).toBe(route.operationId);
+    }
+
+    const consultation = document.paths['/consultation'].post;
+    expect(consultation.requestBody.content['application/json'].schema.required).toContain('caseData');
+    expect(consultation['x-roles']).toEqual(PERMISSIONS['consultations:create']);
+    expect(consultation.responses[429]).toBeDefined();
+
+    const status = document.paths['/consultation/{consultationId}/status'].get;
+    expect(status.parameters).toEqual([expect.objectContaining({ name: 'consultationId', in: 'path', required: true })]);
+    expect(document.paths['/health'].get.security).toEqual([]);
+  });
+});
+
+describe('Request validation', () => {
+  const consultation = API_ROUTES.find(route => route.operationId === 'createConsultation');
+
+  test('reports every invalid field with its path', () => {
+    expect(requestErrors(consultation, { params: {}, query: {}, body: { caseData: { age: 40 }, budget: { maxTokens: -1 } } }))
+      .toEqual([
+        'body.caseData must match one of: primaryComplaint is required | symptoms is required | rawQuery is required',
+        'body.budget.maxTokens must be > 0'
+      ]);
+    expect(requestErrors(consultation, { params: {}, query: { noCache: 'true' }, body: { caseData: { symptoms: 'knee pain' } } }))
+      .toEqual([]);
+    expect(requestErrors(consultation, { params: {}, query: { noCache: 'yes' }, body: { caseData: { rawQuery: 'x' } } }))
+      .toEqual(['query.noCache must be boolean, got string']);
+  });
+
+  test('supports pattern and maxLength constraints', () => {
+    const schema = { type: 'string', pattern: '^[a-z-]+$', maxLength: 5 };
+    expect(validateSchema(schema, 'abc', 'id')).toEqual([]);
+    expect(validateSchema(schema, 'ABC', 'id')[0].message).toBe('must match ^[a-z-]+$');
+    expect(validateSchema(schema, 'abcdef', 'id')[0].message).toMatch(/at most 5/);
+  });
+
+  test('the API answers 400 with details before a handler runs', async () => {
+    await withSystem(async baseUrl => {
+      const missing = await post(`${baseUrl}/consultation`, {});
+      expect(missing.status).toBe(400);
+      expect(await missing.json()).toMatchObject({ error: 'Invalid request', details: ['body.caseData is required'] });
+
+      const badLimit = await fetch(`${baseUrl}/jobs?limit=0`);
+      expect((await badLimit.json()).details).toEqual(['query.limit must be >= 1']);
+
+      const review = await post(`${baseUrl}/predictions/resolve/md-review`, { consultationId: 'c1', mdReviewData: {} });
+      expect((await review.json()).details).toEqual(['body.mdReviewData.approved is required']);
+
+      // Symptoms may be a list; scope validation reads it as text
+      const triage = await post(`${baseUrl}/triage`, { symptoms: ['fever', 'flu symptoms'] });
+      expect(await triage.json()).toMatchObject({ success: false, scopeValidation: { category: 'out_of_scope' } });
+      const consultation = await post(`${baseUrl}/consultation`, { caseData: { symptoms: ['fever', 'flu symptoms'] } });
+      expect(await consultation.json()).toMatchObject({ success: false, scopeValidation: { category: 'out_of_scope' } });
+
+      const malformed = await fetch(`${baseUrl}/consultation`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"caseData": {"rawQuery": '
+      });
+      expect(malformed.status).toBe(400);
+      expect(await malformed.json()).toEqual({ error: 'Invalid request', message: 'body must be valid JSON', details: ['body must be valid JSON'] });
+    });
+  });
+});
+
+describe('Response schemas', () => {
+  test('live responses match their declared schemas', async () => {
+    await withSystem(async baseUrl => {
+      const health = await fetch(`${baseUrl}/health`);
+      const healthRoute = API_ROUTES.find(route => route.path === '/health');
+      expect(responseErrors(healthRoute, health.status, await health.json())).toEqual([]);
+
+      const openApi = await fetch(`${baseUrl}/openapi.json`);
+      const openApiRoute = API_ROUTES.find(route => route.path === '/openapi.json');
+      const document = await openApi.json();
+      expect(responseErrors(openApiRoute, openApi.status, document)).toEqual([]);
+      expect(document.servers[0].url).toBe(baseUrl);
+
+      const notFound = await fetch(`${baseUrl}/consultation/unknown/status`);
+      const statusRoute = API_ROUTES.find(route => route.operationId === 'getConsultationStatus');
+      expect(responseErrors(statusRoute, notFound.status, await notFound.json())).toEqual([]);
+    });
+  });
+});
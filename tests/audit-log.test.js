@@ -0,0 +1,129 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { AuditLog, GENESIS_HASH } = await import('../src/utils/audit-log.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { FieldEncryptor } = await import('../src/utils/field-encryption.js');
+const { Authenticator, signJwt } = await import('../src/utils/auth.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const SECRET = 'audit-test-secret';
+const clinician = { subject: 'dr-house', role: 'clinician', tenantId: 'clinic-a', method: 'apiKey' };
+
+describe('AuditLog', () => {
+  test('chains entries and pinpoints edited or removed ones', () => {
+    const auditLog = new AuditLog();
+    const first = auditLog.record({ action: 'read', resource: 'consultation', auth: clinician, consultationId: 'consultation_1', patientId: 'patient-1' });
+    auditLog.record({ action: 'write', resource: 'recovery', auth: clinician, patientId: 'patient-1' });
+    auditLog.record({ action: 'read', resource: 'consultation', auth: clinician, patientId: 'patient-2' });
+
+    expect(first.prevHash).toBe(GENESIS_HASH);
+    expect(auditLog.verify()).toMatchObject({ valid: true, entries: 3, headHash: auditLog.lastHash });
+    expect(() => auditLog.record({ action: 'peek', resource: 'consultation' })).toThrow('Unknown audit action');
+
+    // Rewriting who did it breaks the entry's own hash
+    auditLog.entries.get('000000000002').actor.subject = 'someone-else';
+    expect(auditLog.verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry content does not match its hash' });
+    auditLog.entries.get('000000000002').actor.subject = 'dr-house';
+
+    // Removing an entry leaves a gap
+    auditLog.entries.delete('000000000002');
+    expect(auditLog.verify()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+
+  test('continues the chain after a restart from an encrypted store', async () => {
+    const store = new MemoryStore({ encryptor: new FieldEncryptor({ key: 'audit-log-key' }) });
+    const before = new AuditLog(store);
+    before.record({ action: 'write', resource: 'resolution', auth: clinician, consultationId: 'consultation_1', patientId: 'patient-1' });
+
+    const [[, persisted]] = store.getNamespace('auditLog');
+    expect(JSON.stringify(persisted)).not.toContain('patient-1');
+
+    const after = new AuditLog(store);
+    await after.hydrate();
+    after.record({ action: 'read', resource: 'cache', auth: clinician, consultationId: 'consultation_1', patientId: 'patient-1' });
+
+    expect(after.verify()).toMatchObject({ valid: true, entries: 2 });
+    expect(after.export({ patientId: 'patient-1' }).entries.map(entry => entry.resource)).toEqual(['resolution', 'cache']);
+  });
+});
+
+describe('Audited routes', () => {
+  test('record who touched a patient record, including refused attempts, and export them', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.authenticator = new Authenticator({
+      jwtSecret: SECRET,
+      apiKeys: {
+        'clinic-a-md': { role: 'clinician', tenantId: 'clinic-a', name: 'dr-house' },
+        'clinic-a-admin': { role: 'admin', tenantId: 'clinic-a', name: 'records-officer' }
+      }
+    });
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, headers, body) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      const started = await post('/recovery/start', { 'X-API-Key': 'clinic-a-md' }, {
+        patientId: 'patient-7',
+        initialAssessment: { painLevel: 6, injuryType: 'ACL sprain' }
+      });
+      expect(started.status).toBe(200);
+
+      const otherPatient = signJwt({ sub: 'patient-9', tenantId: 'clinic-a', role: 'patient' }, SECRET);
+      const refused = await post('/recovery/complete', { Authorization: `Bearer ${otherPatient}` }, {
+        patientId: 'patient-7',
+        finalOutcome: { painLevel: 1 }
+      });
+      expect(refused.status).toBe(403);
+
+      const unrelated = await fetch(`${baseUrl}/cache/stats`, { headers: { 'X-API-Key': 'clinic-a-admin' } });
+      expect(unrelated.status).toBe(200);
+
+      const forbidden = await fetch(`${baseUrl}/audit/entries?patientId=patient-7`, { headers: { 'X-API-Key': 'clinic-a-md' } });
+      expect(forbidden.status).toBe(403);
+
+      const exported = await fetch(`${baseUrl}/audit/entries?patientId=patient-7`, { headers: { 'X-API-Key': 'clinic-a-admin' } });
+      expect(exported.status).toBe(200);
+      const { entries, verification } = await exported.json();
+      expect(entries.map(entry => [entry.route, entry.action, entry.actor.subject, entry.statusCode])).toEqual([
+        ['POST /recovery/start', 'write', 'dr-house', 200],
+        ['POST /recovery/complete', 'write', 'patient-9', 403]
+      ]);
+      expect(verification.valid).toBe(true);
+
+      const verified = await (await fetch(`${baseUrl}/audit/verify`, { headers: { 'X-API-Key': 'clinic-a-admin' } })).json();
+      expect(verified).toMatchObject({ success: true, valid: true, entries: 2 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const express = (await import('express')).default;
+const { Authenticator, signJwt, verifyJwt, canAccessRecord } = await import('../src/utils/auth.js');
+const { RecoveryMetrics } = await import('../src/utils/recovery-metrics.js');
+
+const SECRET = 'test-secret';
+
+const config = {
+  jwtSecret: SECRET,
+  apiKey: 'legacy-admin-key',
+  apiKeys: {
+    'clinic-a-app': { tenantId: 'clinic-a', role: 'patient', name: 'clinic-a-app' },
+    'clinic-a-md': { tenantId: 'clinic-a', role: 'clinician', name: 'clinic-a-md' }
+  }
+};
+
+function request(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+async function withServer(app, run) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+describe('JWT verification', () => {
+  test('accepts a signed token and rejects tampering or expiry', () => {
+    const token = signJwt({ sub: 'patient-1', tenantId: 'clinic-a', role: 'patient' }, SECRET);
+    expect(verifyJwt(token, SECRET)).toMatchObject({ sub: 'patient-1', tenantId: 'clinic-a' });
+
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'patient-1', role: 'admin' })).toString('base64url');
+    expect(() => verifyJwt(`${header}.${forged}.${signature}`, SECRET)).toThrow('Invalid token signature');
+    expect(() => verifyJwt(token, 'other-secret')).toThrow('Invalid token signature');
+
+    const expired = signJwt({ sub: 'patient-1', exp: Math.floor(Date.now() / 1000) - 10 }, SECRET);
+    expect(() => verifyJwt(expired, SECRET)).toThrow('Token expired');
+  });
+
+  test('checks issuer and audience when configured', () => {
+    const token = signJwt({ sub: 'md-1', iss: 'orthoiq', aud: ['api'] }, SECRET);
+    expect(verifyJwt(token, SECRET, { issuer: 'orthoiq', audience: 'api' }).sub).toBe('md-1');
+    expect(() => verifyJwt(token, SECRET, { issuer: 'someone-else' })).toThrow('Invalid token issuer');
+    expect(() => verifyJwt(token, SECRET, { audience: 'admin' })).toThrow('Invalid token audience');
+  });
+});
+
+describe('Authenticator', () => {
+  test('resolves API keys and JWTs to tenant-scoped identities', () => {
+    const authenticator = new Authenticator(config);
+
+    expect(authenticator.identify(request({ 'X-API-Key': 'legacy-admin-key' })).auth)
+      .toMatchObject({ tenantId: 'default', role: 'admin', method: 'apiKey' });
+    expect(authenticator.identify(request({ Authorization: 'Bearer clinic-a-md' })).auth)
+      .toMatchObject({ tenantId: 'clinic-a', role: 'clinician', userId: null });
+
+    const token = signJwt({ sub: 'patient-1', tenantId: 'clinic-a', role: 'patient' }, SECRET);
+    expect(authenticator.identify(request({ Authorization: `Bearer ${token}` })).auth)
+      .toMatchObject({ tenantId: 'clinic-a', role: 'patient', userId: 'patient-1', method: 'jwt' });
+
+    expect(authenticator.identify(request({ 'X-API-Key': 'wrong' })).error).toBe('Invalid API key');
+    expect(authenticator.identify(request()).error).toMatch(/Missing credentials/);
+
+    const anonymousPatient = signJwt({ tenantId: 'clinic-a', role: 'patient' }, SECRET);
+    expect(authenticator.identify(request({ Authorization: `Bearer ${anonymousPatient}` })).error)
+      .toMatch(/must identify the patient/);
+  });
+
+  test('runs unauthenticated requests as default-tenant admin only when auth is not required', () => {
+    const open = new Authenticator({});
+    expect(open.required).toBe(false);
+    expect(open.identify(request()).auth).toMatchObject({ tenantId: 'default', role: 'admin', method: 'none' });
+
+    expect(new Authenticator({ apiKey: 'key' }).required).toBe(true);
+    expect(() => new Authenticator({ apiKeys: { key: { role: 'superuser' } } })).toThrow('Invalid role');
+  });
+
+  test('middleware returns 401 without credentials and 403 for roles lacking the permission', async () => {
+    const authenticator = new Authenticator(config);
+    const app = express();
+    app.use(authenticator.middleware());
+    app.post('/cache/clear', authenticator.authorize('system:admin'), (req, res) => res.json({ success: true }));
+    app.get('/whoami', (req, res) => res.json(req.auth));
+
+    await withServer(app, async baseUrl => {
+      const missing = await fetch(`${baseUrl}/whoami`);
+      expect(missing.status).toBe(401);
+      expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+
+      const clinician = await fetch(`${baseUrl}/cache/clear`, { method: 'POST', headers: { 'X-API-Key': 'clinic-a-md' } });
+      expect(clinician.status).toBe(403);
+
+      const admin = await fetch(`${baseUrl}/cache/clear`, { method: 'POST', headers: { 'X-API-Key': 'legacy-admin-key' } });
+      expect(admin.status).toBe(200);
+    });
+
+    expect(authenticator.getStats()).toMatchObject({ rejected: 1, forbidden: 1, authenticated: 2 });
+  });
+});
+
+describe('Tenant isolation', () => {
+  test('records are only visible within their tenant, and patient tokens only see their own', () => {
+    const clinician = { tenantId: 'clinic-a', role: 'clinician', userId: null };
+    const patient = { tenantId: 'clinic-a', role: 'patient', userId: 'patient-1' };
+
+    expect(canAccessRecord(clinician, { tenantId: 'clinic-a', userId: 'patient-2' })).toBe(true);
+    expect(canAccessRecord(clinician, { tenantId: 'clinic-b', userId: 'patient-2' })).toBe(false);
+    expect(canAccessRecord(patient, { tenantId: 'clinic-a', userId: 'patient-1' })).toBe(true);
+    expect(canAccessRecord(patient, { tenantId: 'clinic-a', userId: 'patient-2' })).toBe(false);
+    expect(canAccessRecord({ tenantId: 'default', role: 'admin' }, { userId: 'legacy' })).toBe(true);
+  });
+
+  test('recovery records with the same patient id are kept apart per tenant', async () => {
+    const metrics = new RecoveryMetrics();
+    await metrics.trackPatientRecovery('patient-1', { painLevel: 6 }, { tenantId: 'clinic-a' });
+
+    expect(metrics.getPatientRecord('patient-1', { tenantId: 'clinic-a' })).toMatchObject({ tenantId: 'clinic-a' });
+    expect(metrics.getPatientRecord('patient-1', { tenantId: 'clinic-b' })).toBeNull();
+    await expect(metrics.updateRecoveryProgress('patient-1', { painLevel: 4 }, { tenantId: 'clinic-b' }))
+      .rejects.toThrow('Patient record not found');
+  });
+});
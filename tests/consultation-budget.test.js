@@ -0,0 +1,155 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+// Import after mocking
+const { ConsultationBudget, resolveBudgetLimits, validateBudget } = await import('../src/utils/consultation-budget.js');
+const { ModelRouter } = await import('../src/utils/model-router.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { StrengthSageAgent } = await import('../src/agents/strength-sage-agent.js');
+
+// $3 in / $15 out per million tokens
+const router = new ModelRouter({
+  defaults: { provider: 'anthropic', model: 'claude-sonnet' },
+  modes: {},
+  agents: {},
+  fallbacks: []
+}, { pricing: { sonnet: { inputPer1M: 3, outputPer1M: 15 } } });
+
+const estimates = {
+  specialist: { inputTokens: 2000, outputTokens: 1000 }, // $0.021
+  conference: { inputTokens: 1000, outputTokens: 500 }, // $0.0105
+  synthesis: { inputTokens: 3000, outputTokens: 1000 } // $0.024, brief (300 out) $0.0135
+};
+
+function createBudget(limits, spent = { costUsd: 0, totalTokens: 0 }) {
+  const tracker = {
+    aggregates: { byStage: {} },
+    getConsultationUsage: () => ({ totals: spent })
+  };
+  return new ConsultationBudget('consultation_budget', { maxCostUsd: null, maxTokens: null, ...limits }, {
+    tracker,
+    router,
+    estimates,
+    briefSynthesisMaxTokens: 300
+  });
+}
+
+describe('resolveBudgetLimits', () => {
+  const config = {
+    consultationBudgetUsd: 0.5,
+    consultationMaxTokens: null,
+    tenantBudgets: { clinic: { maxCostUsd: 0.2, maxTokens: 40000 } }
+  };
+
+  test('uses the tenant budget over the global default', () => {
+    expect(resolveBudgetLimits({}, config)).toEqual({ maxCostUsd: 0.5, maxTokens: null, source: 'default' });
+    expect(resolveBudgetLimits({ tenantId: 'clinic' }, config)).toEqual({ maxCostUsd: 0.2, maxTokens: 40000, source: 'tenant' });
+  });
+
+  test('lets a request tighten but never raise its ceiling', () => {
+    expect(resolveBudgetLimits({ tenantId: 'clinic', budget: { maxCostUsd: 0.05 } }, config))
+      .toEqual({ maxCostUsd: 0.05, maxTokens: 40000, source: 'request' });
+    expect(resolveBudgetLimits({ tenantId: 'clinic', budget: { maxCostUsd: 5 } }, config))
+      .toEqual({ maxCostUsd: 0.2, maxTokens: 40000, source: 'tenant' });
+    expect(resolveBudgetLimits({ budget: { maxTokens: 1000 } }, {})).toEqual({ maxCostUsd: null, maxTokens: 1000, source: 'request' });
+    expect(resolveBudgetLimits({}, {})).toBeNull();
+  });
+
+  test('validates request budgets', () => {
+    expect(validateBudget(undefined)).toBeNull();
+    expect(validateBudget({ maxCostUsd: 0.1 })).toBeNull();
+    expect(validateBudget({ maxCostUsd: -1 })).toBe('budget.maxCostUsd must be a positive number');
+    expect(validateBudget({ maxTokens: '500' })).toBe('budget.maxTokens must be a positive number');
+    expect(validateBudget({})).toBe('budget must set maxCostUsd and/or maxTokens');
+    expect(validateBudget(5)).toBe('budget must be an object with maxCostUsd and/or maxTokens');
+  });
+});
+
+describe('ConsultationBudget', () => {
+  test('drops lower-priority specialists while reserving a brief synthesis', () => {
+    const budget = createBudget({ maxCostUsd: 0.06 });
+
+    const kept = budget.planSpecialists(['triage', 'painWhisperer', 'strengthSage'], 'normal');
+
+    expect(kept).toEqual(['triage', 'painWhisperer']);
+    expect(budget.skippedSteps[0]).toMatchObject({ step: 'specialists', dropped: ['strengthSage'] });
+  });
+
+  test('always keeps the first specialist', () => {
+    const budget = createBudget({ maxTokens: 100 });
+    expect(budget.planSpecialists(['triage', 'painWhisperer'], 'normal')).toEqual(['triage']);
+  });
+
+  test('skips the conference and shortens synthesis as the budget runs out', () => {
+    const onSkip = jest.fn();
+    const budget = createBudget({ maxCostUsd: 0.1 }, { costUsd: 0.08, totalTokens: 9000 });
+    budget.onSkip = onSkip;
+
+    expect(budget.allowsConference(2)).toBe(false);
+    expect(budget.planSynthesis()).toBe('brief');
+    expect(budget.skippedSteps.map(step => step.step)).toEqual(['coordination_conference', 'full_synthesis']);
+    expect(onSkip).toHaveBeenCalledTimes(2);
+
+    const report = budget.report();
+    expect(report).toMatchObject({ degraded: true, exceeded: false, spent: { costUsd: 0.08, tokens: 9000 } });
+    expect(report.remaining.costUsd).toBeCloseTo(0.02);
+  });
+
+  test('falls back to a summary when no synthesis fits', () => {
+    const budget = createBudget({ maxCostUsd: 0.1 }, { costUsd: 0.095, totalTokens: 12000 });
+    expect(budget.planSynthesis()).toBe('none');
+    expect(createBudget({ maxCostUsd: 1 }).planSynthesis()).toBe('full');
+  });
+});
+
+describe('Budgeted consultation', () => {
+  test('reports the steps skipped to stay within a token budget', async () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.registerSpecialist('triage', new TriageAgent('OrthoTriage Master'));
+    coordinator.registerSpecialist('painWhisperer', new PainWhispererAgent('Pain Whisperer'));
+    coordinator.registerSpecialist('strengthSage', new StrengthSageAgent('Strength Sage'));
+    const skipped = [];
+    coordinator.on('budgetStepSkipped', ({ step }) => skipped.push(step.step));
+
+    const result = await coordinator.coordinateMultiSpecialistConsultation(
+      { primaryComplaint: 'Knee pain after twisting it playing soccer', painLevel: 6, location: 'knee' },
+      ['triage', 'painWhisperer', 'strengthSage'],
+      { mode: 'normal', consultationId: 'consultation_budgeted', budget: { maxTokens: 9000 } }
+    );
+
+    expect(result.participatingSpecialists).toEqual(['triage']);
+    expect(result.usage.conference.calls).toBe(0);
+    expect(result.budget.limits).toMatchObject({ maxTokens: 9000, source: 'request' });
+    expect(result.budget.skippedSteps[0]).toMatchObject({ step: 'specialists', dropped: ['painWhisperer', 'strengthSage'] });
+    expect(result.budget.spent.tokens).toBe(result.usage.totals.totalTokens);
+    expect(skipped).toEqual(result.budget.skippedSteps.map(step => step.step));
+    expect(result.synthesizedRecommendations.synthesisDetail).toBe('full');
+  }, 30000);
+});
@@ -0,0 +1,117 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { ConsultationEventStream, STREAM_EVENTS } = await import('../src/utils/consultation-events.js');
+
+function createClient(lastEventId) {
+  const req = new EventEmitter();
+  req.httpVersion = '1.1';
+  req.query = {};
+  req.get = header => (header === 'Last-Event-ID' ? lastEventId : undefined);
+  req.socket = { setTimeout: jest.fn(), setNoDelay: jest.fn(), setKeepAlive: jest.fn() };
+
+  const res = {
+    chunks: [],
+    ended: false,
+    setHeader: jest.fn(),
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+    events() {
+      return this.chunks.join('').match(/event: [\w.]+/g)?.map(line => line.slice(7)) || [];
+    }
+  };
+
+  return { req, res };
+}
+
+describe('ConsultationEventStream', () => {
+  test('streams coordinator events to subscribers', () => {
+    const stream = new ConsultationEventStream();
+    const coordinator = new EventEmitter();
+    stream.attach(coordinator);
+
+    const { req, res } = createClient();
+    stream.subscribe('consultation_1', req, res);
+
+    coordinator.emit('specialistResponse', {
+      consultationId: 'consultation_1',
+      specialistType: 'painWhisperer',
+      response: { painScore: 6 },
+      status: 'success'
+    });
+    coordinator.emit('dialogueExchange', {
+      consultationId: 'consultation_1',
+      exchange: { fromAgent: 'painWhisperer', toAgent: 'movementDetective', question: 'Gait?' }
+    });
+    coordinator.emit('disagreementDetected', {
+      consultationId: 'consultation_1',
+      disagreement: { type: 'severity' }
+    });
+    coordinator.emit('specialistResponse', {
+      consultationId: 'consultation_2',
+      specialistType: 'triage',
+      response: {},
+      status: 'success'
+    });
+
+    expect(res.events()).toEqual([
+      STREAM_EVENTS.specialistResponse,
+      STREAM_EVENTS.dialogueExchange,
+      STREAM_EVENTS.disagreementDetected
+    ]);
+    expect(res.ended).toBe(false);
+  });
+
+  test('ends open connections on the terminal event', () => {
+    const stream = new ConsultationEventStream();
+    const { req, res } = createClient();
+    stream.subscribe('consultation_1', req, res);
+
+    stream.publish('consultation_1', STREAM_EVENTS.synthesisCompleted, { synthesizedRecommendations: {} });
+    stream.publish('consultation_1', STREAM_EVENTS.consultationCompleted, { duration: 10 });
+    stream.publish('consultation_1', STREAM_EVENTS.specialistResponse, { specialistType: 'late' });
+
+    expect(res.events()).toEqual([
+      STREAM_EVENTS.synthesisCompleted,
+      STREAM_EVENTS.consultationCompleted
+    ]);
+    expect(res.ended).toBe(true);
+  });
+
+  test('replays missed events to late subscribers', () => {
+    const stream = new ConsultationEventStream();
+    stream.publish('consultation_1', STREAM_EVENTS.specialistResponse, { specialistType: 'triage' });
+    stream.publish('consultation_1', STREAM_EVENTS.specialistResponse, { specialistType: 'painWhisperer' });
+
+    const late = createClient();
+    stream.subscribe('consultation_1', late.req, late.res);
+    expect(late.res.events()).toHaveLength(2);
+
+    const reconnect = createClient('1');
+    stream.subscribe('consultation_1', reconnect.req, reconnect.res);
+    expect(reconnect.res.chunks.join('')).toContain('"specialistType":"painWhisperer"');
+    expect(reconnect.res.chunks.join('')).not.toContain('"specialistType":"triage"');
+  });
+
+  test('replays the outcome of a finished job', () => {
+    const stream = new ConsultationEventStream();
+    stream.replayOutcome('consultation_1', { status: 'failed', error: 'Consultation timeout' });
+
+    const { req, res } = createClient();
+    stream.subscribe('consultation_1', req, res);
+
+    expect(res.events()).toEqual([STREAM_EVENTS.consultationFailed]);
+    expect(res.ended).toBe(true);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { ConsultationJobRegistry, JOB_STATUS } = await import('../src/utils/consultation-jobs.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+
+describe('ConsultationJobRegistry', () => {
+  test('tracks a job through its lifecycle', () => {
+    const registry = new ConsultationJobRegistry();
+    registry.create('consultation_1', { mode: 'fast', specialists: ['triage', 'painWhisperer'] });
+    expect(registry.get('consultation_1').status).toBe(JOB_STATUS.QUEUED);
+
+    registry.markRunning('consultation_1');
+    registry.recordSpecialistResponse('consultation_1', 'triage', { confidence: 0.8 });
+    const status = registry.getStatus('consultation_1');
+    expect(status.status).toBe(JOB_STATUS.RUNNING);
+    expect(status.progress).toMatchObject({ completed: 1, total: 2, receivedSpecialists: ['triage'] });
+
+    registry.complete('consultation_1', { synthesizedRecommendations: { summary: 'ok' } });
+    const job = registry.get('consultation_1');
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(job.result.synthesizedRecommendations.summary).toBe('ok');
+    expect(job.specialistResponses.triage.response).toEqual({ confidence: 0.8 });
+  });
+
+  test('follows coordinator events', () => {
+    const registry = new ConsultationJobRegistry();
+    const coordinator = new EventEmitter();
+    registry.attach(coordinator);
+    registry.create('consultation_1', { specialists: ['painWhisperer'] });
+    registry.create('consultation_2');
+
+    coordinator.emit('specialistResponse', {
+      consultationId: 'consultation_1',
+      specialistType: 'painWhisperer',
+      response: { painScore: 6 },
+      status: 'success'
+    });
+    coordinator.emit('consultationCompleted', { consultationId: 'consultation_1', result: { mode: 'normal' } });
+    coordinator.emit('consultationFailed', { consultationId: 'consultation_2', error: 'No required specialists available' });
+    coordinator.emit('consultationCompleted', { consultationId: 'unknown', result: {} });
+
+    expect(registry.get('consultation_1').status).toBe(JOB_STATUS.COMPLETED);
+    expect(registry.get('consultation_1').specialistResponses.painWhisperer.status).toBe('success');
+    expect(registry.get('consultation_2')).toMatchObject({
+      status: JOB_STATUS.FAILED,
+      error: 'No required specialists available'
+    });
+    expect(registry.get('unknown')).toBeNull();
+  });
+
+  test('expires jobs after the configured ttl', () => {
+    const registry = new ConsultationJobRegistry(null, { ttlMs: -1 });
+    registry.create('consultation_1');
+
+    expect(registry.get('consultation_1')).toBeNull();
+    expect(registry.jobs.size).toBe(0);
+  });
+
+  test('fails jobs interrupted by a restart', async () => {
+    const store = new MemoryStore();
+    const registry = new ConsultationJobRegistry(store);
+    registry.create('consultation_1');
+    registry.markRunning('consultation_1');
+
+    const restarted = new ConsultationJobRegistry(store);
+    await restarted.hydrate();
+
+    expect(restarted.get('consultation_1')).toMatchObject({
+      status: JOB_STATUS.FAILED,
+      error: 'Interrupted by server restart'
+    });
+  });
+
+  test('requeues jobs the background queue will resume', async () => {
+    const store = new MemoryStore();
+    const registry = new ConsultationJobRegistry(store);
+    registry.create('consultation_1');
+    registry.markRunning('consultation_1');
+
+    const restarted = new ConsultationJobRegistry(store);
+    await restarted.hydrate(async consultationId => consultationId === 'consultation_1');
+
+    expect(restarted.get('consultation_1').status).toBe(JOB_STATUS.QUEUED);
+  });
+
+  test('keeps jobs queued while a failed attempt will be retried', () => {
+    const registry = new ConsultationJobRegistry();
+    const coordinator = new EventEmitter();
+    registry.attach(coordinator);
+    registry.create('consultation_1');
+
+    coordinator.emit('consultationFailed', { consultationId: 'consultation_1', error: 'Timeout', willRetry: true });
+
+    expect(registry.get('consultation_1')).toMatchObject({ status: JOB_STATUS.QUEUED, error: 'Timeout' });
+  });
+});
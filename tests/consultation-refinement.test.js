@@ -0,0 +1,237 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { mergeCaseAnswers, planRefinement, diffRecommendations } = await import('../src/utils/consultation-refinement.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { default: usageTracker } = await import('../src/utils/usage-tracker.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { StrengthSageAgent } = await import('../src/agents/strength-sage-agent.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const plan = (...phases) => ({
+  treatmentPlan: Object.fromEntries(phases.map((interventions, i) => [`phase${i + 1}`, { interventions }]))
+});
+
+describe('Refinement helpers', () => {
+  test('merges answers into the case without touching the owner', () => {
+    const caseData = { primaryComplaint: 'Knee pain', userId: 'patient-1', painData: { location: 'medial knee' } };
+    const { caseData: merged, changedFields } = mergeCaseAnswers(
+      caseData,
+      { painLevel: 6, painData: { quality: 'sharp' }, userId: 'someone-else', primaryComplaint: 'Knee pain' },
+      [{ question: 'How long have you had symptoms?', answer: 'About three weeks' }]
+    );
+
+    expect(merged).toMatchObject({
+      userId: 'patient-1',
+      painLevel: 6,
+      painData: { location: 'medial knee', quality: 'sharp' },
+      followUpAnswers: [{ question: 'How long have you had symptoms?', answer: 'About three weeks' }]
+    });
+    expect(changedFields).toEqual(['painLevel', 'painData', 'followUpAnswers']);
+    expect(caseData.painData).toEqual({ location: 'medial knee' });
+  });
+
+  test('re-runs consulted specialists whose completeness changed and adds newly recommended ones', () => {
+    const availability = (pain, strength, mind) => ({
+      painWhisperer: { completeness: pain },
+      strengthSage: { completeness: strength },
+      mindMender: { completeness: mind }
+    });
+    const before = { coreDataScore: 0.45, specialistDataAvailability: availability(0.3, 0, 0), recommendedSpecialists: ['triage', 'painWhisperer'] };
+    const after = { coreDataScore: 0.45, specialistDataAvailability: availability(0.7, 0.25, 0.25), recommendedSpecialists: ['triage', 'painWhisperer', 'strengthSage'] };
+
+    expect(planRefinement(before, after, ['triage', 'painWhisperer'])).toEqual({
+      rerun: ['painWhisperer'],
+      joined: ['strengthSage'],
+      completenessChanges: {
+        painWhisperer: { before: 0.3, after: 0.7 },
+        strengthSage: { before: 0, after: 0.25 },
+        mindMender: { before: 0, after: 0.25 }
+      }
+    });
+  });
+
+  test('diffs interventions, diagnosis, urgency and red flags', () => {
+    const before = {
+      ...plan([{ name: 'RICE protocol', priority: 1 }], [{ name: 'Hamstring stretching', priority: 3 }]),
+      prescriptionData: { diagnosisHypothesis: { primary: 'Patellofemoral pain' } },
+      clinicalFlags: { urgencyLevel: 'routine', redFlags: [] }
+    };
+    const after = {
+      ...plan([{ name: 'rice protocol', priority: 1 }, { name: 'Hamstring stretching', priority: 2 }], [{ name: 'Knee brace', priority: 3 }]),
+      prescriptionData: { diagnosisHypothesis: { primary: 'Meniscal tear' } },
+      clinicalFlags: { urgencyLevel: '24-48hrs', redFlags: [{ flag: 'Mechanical locking' }] }
+    };
+
+    const diff = diffRecommendations(before, after);
+    expect(diff.interventions).toEqual({
+      added: [{ intervention: 'Knee brace', phase: 'phase2', priority: 3, specialist: null }],
+      removed: [],
+      changed: [{
+        intervention: 'Hamstring stretching',
+        before: { phase: 'phase2', priority: 3 },
+        after: { phase: 'phase1', priority: 2 }
+      }],
+      unchanged: 1
+    });
+    expect(diff.diagnosis).toEqual({ before: 'Patellofemoral pain', after: 'Meniscal tear' });
+    expect(diff.urgencyLevel).toEqual({ before: 'routine', after: '24-48hrs' });
+    expect(diff.redFlags).toEqual({ added: ['Mechanical locking'], removed: [] });
+    expect(diff.hasChanges).toBe(true);
+    expect(diffRecommendations(after, after).hasChanges).toBe(false);
+  });
+});
+
+describe('AgentCoordinator.refineConsultation', () => {
+  test('re-runs only the specialists whose data changed and re-synthesizes', async () => {
+    const coordinator = new AgentCoordinator();
+    const triage = new TriageAgent('OrthoTriage Master');
+    const pain = new PainWhispererAgent('Pain Whisperer');
+    const strength = new StrengthSageAgent('Strength Sage');
+    coordinator.registerSpecialist('triage', triage);
+    coordinator.registerSpecialist('painWhisperer', pain);
+    coordinator.registerSpecialist('strengthSage', strength);
+
+    await coordinator.coordinateMultiSpecialistConsultation(
+      { primaryComplaint: 'Knee pain after twisting it playing soccer', painLevel: 6, location: 'knee' },
+      ['triage', 'painWhisperer'],
+      { mode: 'normal', consultationId: 'consultation_refine', userId: 'patient-1' }
+    );
+
+    const triageRuns = jest.spyOn(triage, 'triageCase');
+    const painRuns = jest.spyOn(pain, 'assessPain');
+    const strengthRuns = jest.spyOn(strength, 'assessFunctionalCapacity');
+    const refined = [];
+    coordinator.on('consultationRefined', event => refined.push(event));
+
+    const result = await coordinator.refineConsultation('consultation_refine', {
+      answers: { painData: { quality: 'sharp', triggers: 'stairs' }, functionalLimitations: true },
+      followUpAnswers: [{ question: 'What daily activities are difficult?', answer: 'Climbing stairs' }]
+    });
+
+    expect(triageRuns).not.toHaveBeenCalled();
+    expect(painRuns).toHaveBeenCalledTimes(1);
+    expect(strengthRuns).toHaveBeenCalledTimes(1);
+    expect(result.refinement).toMatchObject({
+      number: 1,
+      changedFields: ['painData', 'functionalLimitations', 'followUpAnswers'],
+      rerunSpecialists: ['painWhisperer', 'strengthSage'],
+      failedSpecialists: []
+    });
+    expect(result.refinement.completeness.after).toBeGreaterThan(result.refinement.completeness.before);
+    expect(result.participatingSpecialists).toEqual(['triage', 'painWhisperer', 'strengthSage']);
+    expect(result.responses).toHaveLength(3);
+    expect(result.refinement.changes.interventions).toBeDefined();
+    expect(refined[0]).toMatchObject({ consultationId: 'consultation_refine', userId: 'patient-1' });
+
+    const stored = coordinator.getConsultation('consultation_refine');
+    expect(stored.status).toBe('completed');
+    expect(stored.caseData.painData).toEqual({ quality: 'sharp', triggers: 'stairs' });
+    expect(stored.refinements).toHaveLength(1);
+
+    // Answers that don't change any specialist's data only re-synthesize
+    const second = await coordinator.refineConsultation('consultation_refine', {
+      followUpAnswers: [{ question: 'Any swelling?', answer: 'A little in the evening' }]
+    });
+    expect(second.refinement).toMatchObject({ number: 2, rerunSpecialists: [] });
+    expect(painRuns).toHaveBeenCalledTimes(1);
+  }, 30000);
+
+  test('adds the refinement to the consultation\'s usage without losing its tenant', async () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.registerSpecialist('triage', new TriageAgent('OrthoTriage Master'));
+    coordinator.registerSpecialist('painWhisperer', new PainWhispererAgent('Pain Whisperer'));
+
+    await coordinator.coordinateMultiSpecialistConsultation(
+      { primaryComplaint: 'Knee pain after twisting it playing soccer', painLevel: 6, location: 'knee' },
+      ['triage', 'painWhisperer'],
+      { mode: 'normal', consultationId: 'consultation_refine_usage', tenantId: 'acme' }
+    );
+    const before = JSON.parse(JSON.stringify(usageTracker.getConsultationUsage('consultation_refine_usage')));
+    const consultations = usageTracker.getSummary({ tenantId: 'acme' }).consultations;
+    expect(before.totals.calls).toBeGreaterThan(0);
+
+    await coordinator.refineConsultation('consultation_refine_usage', { answers: { painData: { quality: 'sharp' } } });
+
+    const after = usageTracker.getConsultationUsage('consultation_refine_usage');
+    expect(after.tenantId).toBe('acme');
+    expect(after.totals.calls).toBeGreaterThan(before.totals.calls);
+    expect(after.totals.totalTokens).toBeGreaterThan(before.totals.totalTokens);
+    expect(usageTracker.getSummary({ tenantId: 'acme' }).consultations).toBe(consultations);
+  }, 30000);
+
+  test('refuses consultations that have not completed', async () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.registerSpecialist('triage', new TriageAgent('OrthoTriage Master'));
+    coordinator.activeConsultations.set('consultation_running', {
+      id: 'consultation_running',
+      caseData: { primaryComplaint: 'Shoulder pain' },
+      responses: new Map(),
+      status: 'in_progress'
+    });
+
+    await expect(coordinator.refineConsultation('consultation_running', { answers: { painLevel: 4 } }))
+      .rejects.toMatchObject({ code: 'CONSULTATION_NOT_REFINABLE' });
+    await expect(coordinator.refineConsultation('consultation_missing', { answers: { painLevel: 4 } }))
+      .rejects.toMatchObject({ code: 'CONSULTATION_NOT_FOUND' });
+  });
+});
+
+describe('POST /consultation/:consultationId/answers', () => {
+  test('validates the answers and hides unknown consultations', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const answer = (consultationId, body) => fetch(`http://127.0.0.1:${server.address().port}/consultation/${consultationId}/answers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      const empty = await answer('consultation_1', {});
+      expect(empty.status).toBe(400);
+
+      const missing = await answer('consultation_1', { answers: { painLevel: 4 } });
+      expect(missing.status).toBe(404);
+
+      system.coordinator.activeConsultations.set('consultation_2', {
+        id: 'consultation_2',
+        tenantId: 'default',
+        caseData: { primaryComplaint: 'Hip pain' },
+        responses: new Map(),
+        status: 'in_progress'
+      });
+      const running = await answer('consultation_2', { answers: { painLevel: 4 } });
+      expect(running.status).toBe(409);
+      expect((await running.json()).error).toBe('Consultation cannot be refined');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+    }
+  });
+});
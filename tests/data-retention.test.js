@@ -0,0 +1,181 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { RetentionManager, RETENTION_CLASSES } = await import('../src/utils/data-retention.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { Authenticator } = await import('../src/utils/auth.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// One consultation per age, with its prediction, coordination history entry and agent assessment
+function seedConsultation(system, agent, consultationId, age) {
+  const { coordinator } = system;
+  coordinator.activeConsultations.set(consultationId, {
+    id: consultationId, userId: 'patient-7', tenantId: 'clinic-a', status: 'completed',
+    rawQuery: 'my knee hurts after skiing', startTime: daysAgo(age), responses: new Map()
+  });
+  coordinator.coordinationHistory.push({ consultationId, success: true, timestamp: daysAgo(age) });
+  coordinator.predictionMarket.predictions.set(consultationId, {
+    consultationId, userId: 'patient-7', tenantId: 'clinic-a', timestamp: daysAgo(age),
+    caseData: { primaryComplaint: 'knee pain' }, agentPredictions: [], status: 'active'
+  });
+  agent.painTrackingHistory.push({
+    assessmentId: `pain_${consultationId}`, consultationId, userId: 'patient-7', tenantId: 'clinic-a',
+    painScore: 6, riskLevel: 'moderate', timestamp: daysAgo(age)
+  });
+}
+
+describe('RetentionManager', () => {
+  test('rejects rules for unknown data classes or invalid periods', () => {
+    expect(() => RetentionManager.validateRules({ rawQueries: 30, chatLogs: 7 })).toThrow('Unknown retention data class: chatLogs');
+    expect(() => RetentionManager.validateRules({ rawQueries: -1 })).toThrow('Invalid retention period');
+
+    const rules = RetentionManager.validateRules({ rawQueries: 14 });
+    expect(Object.keys(rules)).toEqual(Object.keys(RETENTION_CLASSES));
+    expect(rules).toMatchObject({ rawQueries: 14, deidentifiedOutcomes: null });
+  });
+
+  test('purges expired data per class, keeps statistics and persists the report', async () => {
+    const system = new OrthoIQAgentSystem();
+    const agent = new PainWhispererAgent();
+    system.userData.agents = { painWhisperer: agent };
+    const store = new MemoryStore();
+    const retention = new RetentionManager(store, {
+      userData: system.userData,
+      coordinator: system.coordinator,
+      recoveryMetrics: system.recoveryMetrics,
+      patientHistory: system.patientHistory,
+      agents: system.userData.agents
+    }, { rules: { rawQueries: 30, recoveryRecords: 365, patientHistory: 365, consultationHistory: 90 } });
+    const { coordinator, recoveryMetrics, patientHistory } = system;
+
+    try {
+      seedConsultation(system, agent, 'consultation_old', 45);
+      seedConsultation(system, agent, 'consultation_ancient', 120);
+      seedConsultation(system, agent, 'consultation_new', 2);
+      coordinator.activeConsultations.get('consultation_ancient').status = 'in_progress';
+
+      await recoveryMetrics.trackPatientRecovery('patient-7', { painLevel: 7 }, { tenantId: 'clinic-a' });
+      await recoveryMetrics.trackPatientRecovery('patient-9', { painLevel: 5 }, { tenantId: 'clinic-a' });
+      Object.assign(recoveryMetrics.getPatientRecord('patient-7', { tenantId: 'clinic-a' }), {
+        status: 'completed',
+        startDate: daysAgo(500),
+        completionDate: daysAgo(400),
+        totalDuration: 12,
+        finalMetrics: { totalPainReduction: 60, totalFunctionalImprovement: 50, patientSatisfaction: 8, returnToActivity: true },
+        outcomeAnalysis: { overallSuccess: true }
+      });
+      const recoveryBefore = recoveryMetrics.getRecoveryStatistics();
+
+      patientHistory.recordOutcome({ tenantId: 'clinic-a', userId: 'patient-7', source: 'follow_up', timestamp: daysAgo(400) });
+      patientHistory.recordOutcome({ tenantId: 'clinic-a', userId: 'patient-7', source: 'follow_up', timestamp: daysAgo(10) });
+      patientHistory.recordOutcome({ tenantId: 'clinic-a', userId: 'patient-9', source: 'follow_up', timestamp: daysAgo(400) });
+
+      const report = await retention.purge({ trigger: 'manual' });
+      expect(report.purged).toMatchObject({
+        // The running consultation is left for a later purge
+        rawQueries: { deleted: { consultations: 1 }, anonymized: { coordinationRecords: 2, agentRecords: 1 } },
+        recoveryRecords: { deleted: { recoveryRecords: 1 }, anonymized: { recoveryRecords: 1 } },
+        patientHistory: { deleted: { historyEntries: 2, histories: 1 } },
+        consultationHistory: { deleted: { coordinationHistory: 1, predictionHistory: 0 } }
+      });
+      expect(report.purged.deidentifiedOutcomes).toBeUndefined();
+      expect(report.policy.deidentifiedOutcomes).toEqual({ retentionDays: null, cutoff: null });
+
+      expect(coordinator.activeConsultations.has('consultation_old')).toBe(false);
+      expect(coordinator.activeConsultations.has('consultation_ancient')).toBe(true);
+      expect(coordinator.activeConsultations.has('consultation_new')).toBe(true);
+      expect(coordinator.predictionMarket.predictions.get('consultation_new')).toMatchObject({ caseData: { primaryComplaint: 'knee pain' } });
+      expect(coordinator.coordinationHistory.map(entry => entry.consultationId)).toEqual([expect.stringMatching(/^erased_/), 'consultation_new']);
+      expect(agent.painTrackingHistory.filter(record => record.anonymized)).toHaveLength(1);
+
+      expect(recoveryMetrics.getRecoveryStatistics()).toEqual(recoveryBefore);
+      expect(recoveryMetrics.getPatientRecord('patient-7', { tenantId: 'clinic-a' })).toBeNull();
+      expect(recoveryMetrics.getPatientRecord('patient-9', { tenantId: 'clinic-a' })).toMatchObject({ status: 'active' });
+      expect(patientHistory.getHistory('patient-7', { tenantId: 'clinic-a' }).outcomes).toHaveLength(1);
+      expect(patientHistory.getHistory('patient-9', { tenantId: 'clinic-a' })).toBeNull();
+
+      // De-identified outcomes go once their own rule expires
+      retention.rules = RetentionManager.validateRules({ deidentifiedOutcomes: 0 });
+      const second = await retention.purge();
+      expect(second.purged.deidentifiedOutcomes.deleted).toEqual({ predictionRecords: 1, recoveryRecords: 1, agentRecords: 1 });
+      expect(recoveryMetrics.getRecoveryStatistics().totalPatients).toBe(0);
+
+      const restored = new RetentionManager(store, {});
+      await restored.hydrate();
+      expect(restored.getReports().map(entry => entry.runId)).toEqual([second.runId, report.runId]);
+      expect(JSON.stringify(restored.reports)).not.toMatch(/patient-7|consultation_old|knee/);
+      expect(retention.getStats()).toMatchObject({ runs: 2, failures: 0, reports: 2, lastRunAt: second.finishedAt });
+    } finally {
+      system.consultationJobs.stop();
+    }
+  });
+});
+
+describe('Retention routes', () => {
+  test('admins read the policy, purge on demand and list reports', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.authenticator = new Authenticator({
+      jwtSecret: 'retention-test-secret',
+      apiKeys: {
+        'clinic-a-md': { role: 'clinician', tenantId: 'clinic-a', name: 'dr-house' },
+        'clinic-a-admin': { role: 'admin', tenantId: 'clinic-a', name: 'records-officer' }
+      }
+    });
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const admin = { 'X-API-Key': 'clinic-a-admin' };
+
+    try {
+      const forbidden = await fetch(`${baseUrl}/retention/purge`, { method: 'POST', headers: { 'X-API-Key': 'clinic-a-md' } });
+      expect(forbidden.status).toBe(403);
+
+      const policy = await (await fetch(`${baseUrl}/retention/policy`, { headers: admin })).json();
+      expect(policy.policy).toMatchObject({
+        rawQueries: { retentionDays: 30 },
+        deidentifiedOutcomes: { retentionDays: null }
+      });
+      expect(policy.schedule).toMatchObject({ enabled: true, lastRunAt: null });
+
+      const purged = await fetch(`${baseUrl}/retention/purge`, { method: 'POST', headers: admin });
+      expect(purged.status).toBe(200);
+      const { report } = await purged.json();
+      expect(report).toMatchObject({ trigger: 'manual', total: 0 });
+
+      const reports = await (await fetch(`${baseUrl}/retention/reports?limit=5`, { headers: admin })).json();
+      expect(reports.reports.map(entry => entry.runId)).toEqual([report.runId]);
+
+      const status = await (await fetch(`${baseUrl}/status`, { headers: admin })).json();
+      expect(status.retention).toMatchObject({ runs: 1, reports: 1 });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+    }
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { FieldEncryptor, ENVELOPE_FIELD } = await import('../src/utils/field-encryption.js');
+const { FileStore, createStore } = await import('../src/utils/persistence-store.js');
+const { TranscriptRecorder, loadTranscript } = await import('../src/utils/transcript-recorder.js');
+const { agentConfig } = await import('../src/config/agent-config.js');
+
+const OLD_KEY = crypto.randomBytes(32).toString('hex');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+const recoveryRecord = {
+  patientId: 'patient_1',
+  status: 'active',
+  recoveryPhase: 'acute',
+  initialAssessment: { primaryComplaint: 'Torn ACL after a skiing fall', painLevel: 7, name: 'Sarah Connor' }
+};
+
+describe('FieldEncryptor', () => {
+  test('seals everything but the plaintext fields and binds the envelope to its record', () => {
+    const encryptor = new FieldEncryptor({ key: OLD_KEY });
+    const sealed = encryptor.seal(recoveryRecord, ['status', 'recoveryPhase'], 'patientRecords/patient_1');
+
+    expect(Object.keys(sealed)).toEqual(['status', 'recoveryPhase', ENVELOPE_FIELD]);
+    expect(JSON.stringify(sealed)).not.toMatch(/ACL|Sarah|patient_1/);
+    expect(encryptor.open(sealed, 'patientRecords/patient_1')).toEqual(recoveryRecord);
+    expect(() => encryptor.open(sealed, 'patientRecords/patient_2')).toThrow();
+
+    // Non-object values are sealed whole and unsealed values pass through
+    expect(encryptor.open(encryptor.seal(['Sarah'], []))).toEqual(['Sarah']);
+    expect(encryptor.open(recoveryRecord)).toBe(recoveryRecord);
+    expect(new FieldEncryptor({ key: null }).seal(recoveryRecord)).toBe(recoveryRecord);
+  });
+});
+
+describe('Encrypted persistence', () => {
+  let dataDir;
+
+  beforeEach(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'orthoiq-encrypted-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('writes patient namespaces to disk encrypted and leaves other namespaces readable', async () => {
+    const store = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: OLD_KEY }) }).initialize();
+    await store.set('patientRecords', 'patient_1', recoveryRecord);
+    await store.set('agentBalances', 'painWhisperer', { balance: 12 });
+    await store.close();
+
+    const onDisk = await fs.readFile(path.join(dataDir, 'patientRecords.json'), 'utf8');
+    expect(onDisk).not.toContain('ACL');
+    expect(JSON.parse(onDisk).patient_1.status).toBe('active');
+    expect(JSON.parse(await fs.readFile(path.join(dataDir, 'agentBalances.json'), 'utf8'))).toEqual({ painWhisperer: { balance: 12 } });
+
+    const restarted = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: OLD_KEY }) }).initialize();
+    expect(await restarted.entries('patientRecords')).toEqual([['patient_1', recoveryRecord]]);
+  });
+
+  test('rotates to a new key and seals records written before encryption was enabled', async () => {
+    const plaintext = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: null }) }).initialize();
+    await plaintext.set('predictions', 'consultation_legacy', { caseData: { primaryComplaint: 'Shoulder pain' } });
+    await plaintext.close();
+
+    const before = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: OLD_KEY }) }).initialize();
+    await before.set('patientRecords', 'patient_1', recoveryRecord);
+    await before.close();
+
+    const rotating = await new FileStore(dataDir, {
+      encryptor: new FieldEncryptor({ key: NEW_KEY, previousKeys: [OLD_KEY] })
+    }).initialize();
+    expect(await rotating.get('patientRecords', 'patient_1')).toEqual(recoveryRecord);
+    expect(await rotating.rotateEncryption()).toEqual({
+      rewrapped: 1,
+      sealed: 1,
+      namespaces: { patientRecords: 1, predictions: 1 }
+    });
+    await rotating.close();
+
+    expect(await fs.readFile(path.join(dataDir, 'predictions.json'), 'utf8')).not.toContain('Shoulder');
+
+    const rotated = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: NEW_KEY }) }).initialize();
+    expect(await rotated.get('patientRecords', 'patient_1')).toEqual(recoveryRecord);
+    expect(await rotated.get('predictions', 'consultation_legacy')).toEqual({ caseData: { primaryComplaint: 'Shoulder pain' } });
+
+    const stale = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: OLD_KEY }) }).initialize();
+    await expect(stale.get('patientRecords', 'patient_1')).rejects.toMatchObject({ code: 'ENCRYPTION_KEY_MISSING' });
+  });
+
+  test('refuses to persist patient data in production without a key', () => {
+    const { nodeEnv } = agentConfig.environment;
+    agentConfig.environment.nodeEnv = 'production';
+    try {
+      expect(() => createStore({ driver: 'file', dataDir, encryptor: new FieldEncryptor({ key: null }) }))
+        .toThrow('Refusing to persist patient data');
+      expect(createStore({ driver: 'file', dataDir, encryptor: new FieldEncryptor({ key: NEW_KEY }) })).toBeInstanceOf(FileStore);
+      expect(createStore({ driver: 'memory', encryptor: new FieldEncryptor({ key: null }) }).driver).toBe('memory');
+    } finally {
+      agentConfig.environment.nodeEnv = nodeEnv;
+    }
+  });
+
+  test('seals transcripts and refuses to record them in production without a key', async () => {
+    const encryptor = new FieldEncryptor({ key: NEW_KEY });
+    const recorder = new TranscriptRecorder({ enabled: true, dir: dataDir, encryptor });
+    recorder.begin('consultation_1', { caseData: { primaryComplaint: 'Torn ACL after a skiing fall' } });
+    recorder.record('consultation_1', { agentId: 'triage', prompt: 'Sarah Connor, 34', response: 'Likely ACL tear' });
+    await recorder.finish('consultation_1');
+
+    const filePath = recorder.transcriptPath('consultation_1');
+    const onDisk = await fs.readFile(filePath, 'utf8');
+    expect(onDisk).not.toMatch(/ACL|Sarah/);
+    expect(JSON.parse(onDisk)).toMatchObject({ version: 1, consultationId: 'consultation_1', status: 'completed' });
+    expect((await recorder.load('consultation_1')).exchanges[0].prompt).toBe('Sarah Connor, 34');
+    expect((await loadTranscript(filePath, encryptor)).input.caseData.primaryComplaint).toMatch(/ACL/);
+
+    const { nodeEnv } = agentConfig.environment;
+    agentConfig.environment.nodeEnv = 'production';
+    try {
+      expect(() => new TranscriptRecorder({ enabled: true, dir: dataDir, encryptor: new FieldEncryptor({ key: null }) }).checkEncryption())
+        .toThrow('Refusing to record transcripts');
+      expect(() => recorder.checkEncryption()).not.toThrow();
+    } finally {
+      agentConfig.environment.nodeEnv = nodeEnv;
+    }
+  });
+
+  test('seals the outcomes carried by token transactions', async () => {
+    const store = await new FileStore(dataDir, { encryptor: new FieldEncryptor({ key: NEW_KEY }) }).initialize();
+    await store.set('tokenTransactions', 'txn_1', {
+      id: 'txn_1', agentId: 'painWhisperer', type: 'reward_distribution', amount: 5, status: 'pending',
+      outcome: { reason: 'progress_milestone', painReduction: 60 }
+    });
+    await store.close();
+
+    const onDisk = JSON.parse(await fs.readFile(path.join(dataDir, 'tokenTransactions.json'), 'utf8'));
+    expect(onDisk.txn_1).toMatchObject({ agentId: 'painWhisperer', amount: 5 });
+    expect(onDisk.txn_1.outcome).toBeUndefined();
+  });
+});
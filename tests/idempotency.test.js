@@ -0,0 +1,181 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const express = (await import('express')).default;
+const { IdempotencyStore, requestFingerprint } = await import('../src/utils/idempotency.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { buildOpenApiDocument } = await import('../src/schemas/api.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+async function listen(app) {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function post(url, body, key) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'Idempotency-Key': key } : {}) },
+    body: JSON.stringify(body)
+  });
+}
+
+// Endpoint that counts its runs and answers with the queued status codes (then 200)
+function createApp(idempotency, statuses = [], delayMs = 0) {
+  const app = express();
+  app.use(express.json());
+  const handler = jest.fn(async (req, res) => {
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+    res.status(statuses.shift() || 200).json({ run: handler.mock.calls.length, received: req.body });
+  });
+  app.post('/resolve', (req, res, next) => {
+    req.auth = { tenantId: 'clinic-a', subject: 'mobile-app' };
+    next();
+  }, idempotency.middleware({ operationId: 'resolve' }), handler);
+  return { app, handler };
+}
+
+describe('requestFingerprint', () => {
+  test('ignores object key order but not values', () => {
+    const fingerprint = body => requestFingerprint({ params: {}, query: {}, body });
+    expect(fingerprint({ a: 1, b: { c: 2, d: 3 } })).toBe(fingerprint({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(fingerprint({ a: 1 })).not.toBe(fingerprint({ a: 2 }));
+  });
+});
+
+describe('IdempotencyStore middleware', () => {
+  test('replays the first response for retries and rejects a reused key with a different body', async () => {
+    const idempotency = new IdempotencyStore(null);
+    const { app, handler } = createApp(idempotency);
+    const server = await listen(app);
+
+    try {
+      const first = await post(`${server.baseUrl}/resolve`, { consultationId: 'c1', approved: true }, 'retry-1');
+      const retry = await post(`${server.baseUrl}/resolve`, { approved: true, consultationId: 'c1' }, 'retry-1');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(retry.status).toBe(200);
+      expect(retry.headers.get('idempotent-replayed')).toBe('true');
+      expect(await retry.json()).toEqual(await first.json());
+
+      const conflict = await post(`${server.baseUrl}/resolve`, { consultationId: 'c2', approved: true }, 'retry-1');
+      expect(conflict.status).toBe(422);
+      expect((await conflict.json()).error).toBe('Idempotency key reused');
+
+      // Requests without a key always run
+      await post(`${server.baseUrl}/resolve`, { consultationId: 'c1', approved: true });
+      expect(handler).toHaveBeenCalledTimes(2);
+
+      const invalid = await post(`${server.baseUrl}/resolve`, {}, 'has spaces');
+      expect(invalid.status).toBe(400);
+      expect(idempotency.getStats()).toMatchObject({ keys: 1, stored: 1, replayed: 1, conflicts: 1 });
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('answers 409 while the first request runs and does not store server errors', async () => {
+    const idempotency = new IdempotencyStore(null);
+    const { app, handler } = createApp(idempotency, [503], 100);
+    const server = await listen(app);
+
+    try {
+      const [first, concurrent] = await Promise.all([
+        post(`${server.baseUrl}/resolve`, { consultationId: 'c1' }, 'flaky-1'),
+        new Promise(resolve => setTimeout(resolve, 20)).then(() => post(`${server.baseUrl}/resolve`, { consultationId: 'c1' }, 'flaky-1'))
+      ]);
+      expect(first.status).toBe(503);
+      expect(concurrent.status).toBe(409);
+      expect(concurrent.headers.get('retry-after')).toBe('1');
+
+      const retried = await post(`${server.baseUrl}/resolve`, { consultationId: 'c1' }, 'flaky-1');
+      expect(retried.status).toBe(200);
+      expect(retried.headers.get('idempotent-replayed')).toBeNull();
+      expect(handler).toHaveBeenCalledTimes(2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('keeps stored responses across restarts and releases keys of interrupted requests', async () => {
+    const store = new MemoryStore();
+    const idempotency = new IdempotencyStore(store);
+    idempotency.begin('default:app:resolve:done', 'abc');
+    idempotency.settle('default:app:resolve:done', 201, { ok: true });
+    idempotency.begin('default:app:resolve:interrupted', 'def');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const restored = new IdempotencyStore(store);
+    await restored.hydrate();
+    expect(restored.get('default:app:resolve:done').response).toEqual({ statusCode: 201, body: { ok: true } });
+    expect(restored.get('default:app:resolve:interrupted')).toBeNull();
+
+    const expiring = new IdempotencyStore(null, { ttlMs: -1 });
+    expiring.begin('default:app:resolve:old', 'abc');
+    expect(expiring.get('default:app:resolve:old')).toBeNull();
+  });
+});
+
+describe('Idempotent API routes', () => {
+  test('a retried consultation is triaged and queued once', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.agents.triage = new TriageAgent('OrthoTriage Master');
+    const triage = jest.spyOn(system.agents.triage, 'triageCase');
+    const queued = jest.spyOn(system.jobQueue, 'add');
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = await listen(system.app);
+
+    try {
+      const body = { caseData: { primaryComplaint: 'Knee pain when climbing stairs', painLevel: 5 }, mode: 'fast' };
+      const first = await post(`${server.baseUrl}/consultation`, body, 'consult-1');
+      const retry = await post(`${server.baseUrl}/consultation`, body, 'consult-1');
+
+      expect(first.status).toBe(200);
+      expect(retry.headers.get('idempotent-replayed')).toBe('true');
+      expect(await retry.json()).toEqual(await first.json());
+      expect(triage).toHaveBeenCalledTimes(1);
+      expect(queued).toHaveBeenCalledTimes(1);
+    } finally {
+      await server.close();
+      system.consultationJobs.stop();
+      await system.jobQueue.close();
+    }
+  });
+
+  test('the OpenAPI document advertises the header on idempotent routes only', () => {
+    const document = buildOpenApiDocument();
+    const headerOf = operation => (operation.parameters || []).find(parameter => parameter.name === 'Idempotency-Key');
+
+    expect(headerOf(document.paths['/consultation'].post)).toMatchObject({ in: 'header', required: false });
+    expect(headerOf(document.paths['/predictions/resolve/follow-up'].post)).toBeDefined();
+    expect(document.paths['/recovery/complete'].post.responses[422]).toBeDefined();
+    expect(headerOf(document.paths['/triage'].post)).toBeUndefined();
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// In-memory stand-in for Bull queues already holding jobs in Redis
+const redisJobs = new Map(); // queue name -> jobs
+jest.unstable_mockModule('bull', () => ({
+  default: class FakeBull {
+    constructor(name) {
+      this.name = name;
+    }
+
+    async getJob(id) {
+      return (redisJobs.get(this.name) || []).find(job => job.id === id) || null;
+    }
+
+    async add(data, opts) {
+      const job = { id: opts.jobId, data, opts, attemptsMade: 0, timestamp: Date.now(), getState: async () => 'waiting' };
+      redisJobs.set(this.name, [...(redisJobs.get(this.name) || []), job]);
+      return job;
+    }
+
+    async close() {}
+  }
+}));
+
+// Import after mocking
+const { JobQueue, MemoryQueueBackend, BullQueueBackend, createJobQueue } = await import('../src/utils/job-queue.js');
+const { FieldEncryptor } = await import('../src/utils/field-encryption.js');
+const { agentConfig } = await import('../src/config/agent-config.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('JobQueue (memory backend)', () => {
+  test('processes jobs and records results', async () => {
+    const queue = new JobQueue(new MemoryQueueBackend());
+    queue.register('coordination', async job => ({ consultationId: job.data.consultationId }));
+
+    const job = await queue.add('coordination', { consultationId: 'consultation_1' }, { jobId: 'coordination:consultation_1' });
+    await waitFor(async () => (await queue.getJob(job.id)).status === 'completed');
+
+    expect((await queue.getJob(job.id)).result).toEqual({ consultationId: 'consultation_1' });
+    await queue.close();
+  });
+
+  test('retries failed jobs with backoff until attempts are exhausted', async () => {
+    const queue = new JobQueue(new MemoryQueueBackend(), { attempts: 3, backoffMs: 1 });
+    const failures = [];
+    queue.on('failed', event => failures.push(event.willRetry));
+
+    let calls = 0;
+    queue.register('md-review-flag', async () => {
+      calls++;
+      if (calls < 3) throw new Error('Review service unavailable');
+      return { flagged: true };
+    });
+
+    const job = await queue.add('md-review-flag', { consultationId: 'consultation_1' });
+    await waitFor(async () => (await queue.getJob(job.id)).status === 'completed');
+
+    const finished = await queue.getJob(job.id);
+    expect(finished.attemptsMade).toBe(3);
+    expect(failures).toEqual([true, true]);
+    await queue.close();
+  });
+
+  test('marks jobs failed after the last attempt', async () => {
+    const queue = new JobQueue(new MemoryQueueBackend(), { attempts: 2, backoffMs: 1 });
+    queue.register('learning', async () => {
+      throw new Error('LLM unavailable');
+    });
+
+    const job = await queue.add('learning', {});
+    await waitFor(async () => (await queue.getJob(job.id)).status === 'failed');
+
+    expect(await queue.getJob(job.id)).toMatchObject({ attemptsMade: 2, error: 'LLM unavailable' });
+    await queue.close();
+  });
+
+  test('respects per-queue concurrency', async () => {
+    const queue = new JobQueue(new MemoryQueueBackend());
+    let active = 0;
+    let maxActive = 0;
+    queue.register('coordination', async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      active--;
+    }, { concurrency: 2 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(i => queue.add('coordination', { i })));
+    await waitFor(async () => (await queue.getStats()).counts.completed === 5);
+
+    expect(maxActive).toBe(2);
+    await queue.close();
+  });
+
+  test('ignores duplicate job ids', async () => {
+    const queue = new JobQueue(new MemoryQueueBackend());
+    const first = await queue.add('md-review-flag', { n: 1 }, { jobId: 'md-review-flag:consultation_1' });
+    const second = await queue.add('md-review-flag', { n: 2 }, { jobId: 'md-review-flag:consultation_1' });
+
+    expect(second).toBe(first);
+    expect(await queue.getJobs({ name: 'md-review-flag' })).toHaveLength(1);
+    await queue.close();
+  });
+
+  test('resumes unfinished jobs after a restart', async () => {
+    const store = new MemoryStore();
+    const queue = new JobQueue(new MemoryQueueBackend(store));
+    await queue.initialize();
+    await queue.add('coordination', { consultationId: 'consultation_1' }, { jobId: 'coordination:consultation_1' });
+    await queue.close();
+
+    const restarted = new JobQueue(new MemoryQueueBackend(store));
+    await restarted.initialize();
+    expect(await restarted.hasPendingJob('coordination:consultation_1')).toBe(true);
+
+    const handler = jest.fn(async () => 'done');
+    restarted.register('coordination', handler);
+    await waitFor(async () => !(await restarted.hasPendingJob('coordination:consultation_1')));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    await restarted.close();
+  });
+
+  test('rejects unknown backends', () => {
+    expect(() => createJobQueue(null, { backend: 'sqs' })).toThrow('Unknown job queue backend');
+  });
+});
+
+describe('JobQueue (redis backend)', () => {
+  test('finds jobs of configured Bull queues before any handler registers', async () => {
+    redisJobs.set('coordination', [{
+      id: 'coordination:consultation_1',
+      data: { consultationId: 'consultation_1' },
+      opts: { attempts: 3 },
+      attemptsMade: 0,
+      timestamp: Date.now(),
+      getState: async () => 'waiting'
+    }]);
+    const queue = createJobQueue(null, { backend: 'redis', redisUrl: 'redis://test', queues: ['coordination', 'learning'] });
+    await queue.initialize();
+
+    expect(Array.from(queue.backend.queues.keys())).toEqual(['coordination', 'learning']);
+    expect(await queue.hasPendingJob('coordination:consultation_1')).toBe(true);
+    await queue.close();
+  });
+
+  test('seals job payloads before they reach Redis', async () => {
+    const backend = new BullQueueBackend({ redisUrl: 'redis://test', encryptor: new FieldEncryptor({ key: 'test-passphrase' }) });
+    await backend.initialize();
+    const caseData = { primaryComplaint: 'knee pain', name: 'Dana Whitfield' };
+
+    const record = await backend.add('learning', { consultationId: 'consultation_2', caseData }, { jobId: 'learning:consultation_2' });
+    expect(record.data).toEqual({ consultationId: 'consultation_2', caseData });
+
+    const stored = redisJobs.get('learning').find(job => job.id === 'learning:consultation_2');
+    expect(stored.data.consultationId).toBe('consultation_2');
+    expect(JSON.stringify(stored.data)).not.toContain('Dana Whitfield');
+    expect((await backend.getJob('learning:consultation_2')).data.caseData).toEqual(caseData);
+    await backend.close();
+  });
+
+  test('refuses to queue in Redis in production without an encryption key', () => {
+    const nodeEnv = agentConfig.environment.nodeEnv;
+    agentConfig.environment.nodeEnv = 'production';
+    try {
+      expect(() => createJobQueue(null, { backend: 'redis', redisUrl: 'redis://test' })).toThrow('ENCRYPTION_KEY');
+    } finally {
+      agentConfig.environment.nodeEnv = nodeEnv;
+    }
+  });
+});
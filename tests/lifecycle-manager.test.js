@@ -0,0 +1,139 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const express = (await import('express')).default;
+const { LifecycleManager, LIFECYCLE_STATE } = await import('../src/utils/lifecycle-manager.js');
+const { MemoryQueueBackend } = await import('../src/utils/job-queue.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('LifecycleManager', () => {
+  test('waits for tracked work, including work started while draining', async () => {
+    const lifecycle = new LifecycleManager({ drainTimeoutMs: 1000 });
+    const finished = [];
+
+    lifecycle.track('payments', 'consultation_1', delay(30).then(() => {
+      finished.push('payments');
+      // Follow-up work spawned while draining is waited for as well
+      lifecycle.track('predictions', 'consultation_1', delay(20).then(() => finished.push('predictions')));
+    }));
+    lifecycle.track('learning', 'job_1', Promise.reject(new Error('LLM unavailable')));
+
+    const report = await lifecycle.shutdown({ reason: 'SIGTERM' });
+
+    expect(finished).toEqual(['payments', 'predictions']);
+    expect(report).toMatchObject({ reason: 'SIGTERM', timedOut: false, drained: 2, abandoned: [] });
+    expect(lifecycle.state).toBe(LIFECYCLE_STATE.STOPPED);
+    expect(lifecycle.getStats()).toMatchObject({ tracked: 3, completed: 2, failed: 1, inFlight: {} });
+    expect(await lifecycle.shutdown()).toBe(report);
+  });
+
+  test('checkpoints and reports work still running at the deadline', async () => {
+    const lifecycle = new LifecycleManager({ drainTimeoutMs: 30 });
+    const checkpoint = jest.fn();
+
+    lifecycle.track('coordination', 'consultation_1', new Promise(() => {}), {
+      details: { jobId: 'coordination:consultation_1' },
+      checkpoint
+    });
+    lifecycle.track('payments', 'consultation_2', new Promise(() => {}), {
+      checkpoint: () => { throw new Error('store unavailable'); }
+    });
+    lifecycle.track('predictions', 'consultation_3', delay(5));
+
+    const report = await lifecycle.shutdown({ reason: 'SIGINT' });
+
+    expect(checkpoint).toHaveBeenCalledTimes(1);
+    expect(report.timedOut).toBe(true);
+    expect(report.drained).toBe(1);
+    expect(report.abandoned).toEqual([
+      expect.objectContaining({ kind: 'coordination', label: 'consultation_1', details: { jobId: 'coordination:consultation_1' }, checkpointed: true }),
+      expect.objectContaining({ kind: 'payments', label: 'consultation_2', checkpointed: false })
+    ]);
+    expect(lifecycle.getStats().lastShutdown).toMatchObject({ reason: 'SIGINT', abandoned: 2 });
+  });
+
+  test('turns requests away with 503 once draining starts', async () => {
+    const lifecycle = new LifecycleManager({ drainTimeoutMs: 1000 });
+    const app = express();
+    app.use(lifecycle.middleware());
+    app.get('/slow', async (req, res) => {
+      await delay(50);
+      res.json({ ok: true });
+    });
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/slow`;
+
+    try {
+      const inFlight = fetch(url);
+      await delay(10);
+      const shutdown = lifecycle.shutdown({ reason: 'test' });
+
+      const rejected = await fetch(url);
+      expect(rejected.status).toBe(503);
+      expect((await rejected.json()).error).toBe('Service shutting down');
+
+      expect((await inFlight).status).toBe(200);
+      expect((await shutdown).abandoned).toEqual([]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('OrthoIQAgentSystem.stop', () => {
+  test('checkpoints an unfinished background coordination so it resumes on restart', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.lifecycle.drainTimeoutMs = 50;
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    await system.jobQueue.initialize();
+    system.processCoordinationJob = jest.fn(() => new Promise(() => {}));
+    system.registerJobHandlers();
+
+    system.server = system.app.listen(0);
+    await new Promise(resolve => system.server.once('listening', resolve));
+
+    system.consultationJobs.create('consultation_1', { mode: 'fast', specialists: ['triage'] });
+    await system.jobQueue.add('coordination', { consultationId: 'consultation_1' }, { jobId: 'coordination:consultation_1' });
+    await delay(5);
+    expect(system.processCoordinationJob).toHaveBeenCalledTimes(1);
+
+    const report = await system.stop({ reason: 'SIGTERM' });
+
+    expect(report.abandoned).toEqual(expect.arrayContaining([
+      expect.objectContaining({ kind: 'coordination', label: 'consultation_1', checkpointed: true })
+    ]));
+    expect(system.consultationJobs.get('consultation_1')).toMatchObject({ status: 'queued' });
+    expect(await system.store.get('lifecycle', 'lastShutdown')).toMatchObject({ reason: 'SIGTERM' });
+    expect(system.server.listening).toBe(false);
+
+    // The queue store still holds the job, so the next start picks it up again
+    const restarted = new MemoryQueueBackend(system.store);
+    await restarted.initialize();
+    expect(restarted.getWaiting('coordination')).toEqual(['coordination:consultation_1']);
+  });
+});
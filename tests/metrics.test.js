@@ -0,0 +1,153 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { MetricsRegistry, default: metrics } = await import('../src/utils/metrics.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { default: usageTracker } = await import('../src/utils/usage-tracker.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+describe('MetricsRegistry', () => {
+  test('renders counters and cumulative histograms in Prometheus text format', () => {
+    const registry = new MetricsRegistry({ prefix: 'test_' });
+    const requests = registry.counter('requests_total', 'Requests handled', ['route']);
+    const latency = registry.histogram('latency_seconds', 'Request latency', ['route'], [0.1, 1]);
+
+    requests.inc({ route: '/triage' });
+    requests.inc({ route: '/triage' }, 2);
+    requests.inc({ route: 'say "hi"\n' });
+    latency.observe({ route: '/triage' }, 0.05);
+    latency.observe({ route: '/triage' }, 0.5);
+    latency.observe({ route: '/triage' }, 3);
+
+    expect(registry.counter('requests_total', 'Requests handled', ['route'])).toBe(requests);
+    expect(() => registry.gauge('requests_total', 'Requests handled')).toThrow('already registered');
+    expect(() => requests.inc({}, -1)).toThrow('cannot decrease');
+
+    expect(registry.render()).toBe([
+      '# HELP test_requests_total Requests handled',
+      '# TYPE test_requests_total counter',
+      'test_requests_total{route="/triage"} 3',
+      'test_requests_total{route="say \\"hi\\"\\n"} 1',
+      '# HELP test_latency_seconds Request latency',
+      '# TYPE test_latency_seconds histogram',
+      'test_latency_seconds_bucket{route="/triage",le="0.1"} 1',
+      'test_latency_seconds_bucket{route="/triage",le="1"} 2',
+      'test_latency_seconds_bucket{route="/triage",le="+Inf"} 3',
+      'test_latency_seconds_sum{route="/triage"} 3.55',
+      'test_latency_seconds_count{route="/triage"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  test('reads collectors at scrape time and survives a failing one', () => {
+    const registry = new MetricsRegistry({ prefix: 'test_' });
+    let hits = 1;
+    registry.collect('cache', () => [
+      { name: 'cache_hits_total', help: 'Cache hits', type: 'counter', samples: [{ value: hits }] }
+    ]);
+    registry.collect('broken', () => { throw new Error('stats unavailable'); });
+
+    expect(registry.render()).toContain('test_cache_hits_total 1\n');
+    hits = 5;
+    expect(registry.render()).toContain('test_cache_hits_total 5\n');
+    expect(registry.getStats()).toMatchObject({ collectors: 2, scrapes: 2, collectorErrors: 2 });
+  });
+});
+
+describe('Consultation instrumentation', () => {
+  test('records per-specialist response times and timeouts', async () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.registerSpecialist('painWhisperer', { name: 'Pain Whisperer', tokenBalance: 0, experience: 0 });
+    coordinator.registerSpecialist('strengthSage', { name: 'Strength Sage', tokenBalance: 0, experience: 0 });
+    coordinator.getSpecialistResponse = jest.fn(specialist => specialist.name === 'Pain Whisperer'
+      ? Promise.resolve({ confidence: 0.8 })
+      : new Promise(() => {}));
+
+    const responses = await coordinator.collectSpecialistResponses(
+      { id: 'consultation_1', caseData: {}, availableSpecialists: ['painWhisperer', 'strengthSage'] },
+      { timeout: 20 }
+    );
+
+    expect(responses.get('strengthSage').error).toBe('Timeout after 20ms');
+    expect(metrics.get('specialist_timeouts_total').get({ specialist: 'strengthSage', mode: 'normal' })).toBe(1);
+    expect(metrics.get('specialist_timeouts_total').get({ specialist: 'painWhisperer', mode: 'normal' })).toBe(0);
+
+    const text = metrics.render();
+    expect(text).toContain('orthoiq_specialist_response_duration_seconds_count{specialist="painWhisperer",mode="normal",status="success"} 1');
+    expect(text).toContain('orthoiq_specialist_response_duration_seconds_count{specialist="strengthSage",mode="normal",status="timeout"} 1');
+  });
+
+  test('times queued fast-mode coordinations as fast consultations', async () => {
+    const coordinator = new AgentCoordinator();
+
+    // No specialists registered, so the coordination fails straight away
+    await expect(coordinator.coordinateMultiSpecialistConsultation({}, ['painWhisperer'], {
+      mode: 'normal',
+      originMode: 'fast',
+      consultationId: 'consultation_fast'
+    })).rejects.toThrow('No required specialists available');
+
+    const text = metrics.render();
+    expect(text).toContain('orthoiq_consultation_duration_seconds_count{mode="fast",outcome="failed"} 1');
+    expect(text).not.toContain('orthoiq_consultation_duration_seconds_count{mode="normal",outcome="failed"}');
+  });
+});
+
+describe('GET /metrics', () => {
+  test('exposes scope rejections, cache, token and LLM usage for scraping', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      usageTracker.record({ agentId: 'triage', contextType: 'synthesis', provider: 'scripted', model: 'scripted-1', inputTokens: 120, outputTokens: 30 });
+      system.tokenManager.networkStats.totalTokensIssued = 42;
+
+      const redirected = await fetch(`${baseUrl}/triage`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ primaryComplaint: 'I have heart palpitations' })
+      });
+      expect((await redirected.json()).scopeValidation.detectedCondition).toBe('cardiac');
+
+      const response = await fetch(`${baseUrl}/metrics`);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toMatch(/^text\/plain;.*version=0.0.4/);
+
+      const text = await response.text();
+      expect(text).toContain('# TYPE orthoiq_scope_rejections_total counter');
+      expect(text).toContain('orthoiq_scope_rejections_total{category="cardiac"} 1');
+      expect(text).toMatch(/^orthoiq_cache_hits_total \d+$/m);
+      expect(text).toContain('orthoiq_tokens_distributed_total 42');
+      expect(text).toContain('orthoiq_llm_tokens_total{provider="scripted",model="scripted-1",direction="input"} 120');
+      expect(text).toContain('orthoiq_llm_tokens_total{provider="scripted",model="scripted-1",direction="output"} 30');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { ModelRouter, extractUsage } = await import('../src/utils/model-router.js');
+
+const messages = [
+  { role: 'system', content: 'You are a specialist' },
+  { role: 'user', content: 'Assess this case' }
+];
+
+function createRouter(overrides = {}) {
+  return new ModelRouter({
+    defaults: { provider: 'scripted', model: 'claude-sonnet', temperature: 0.3, maxTokens: 2500 },
+    modes: {
+      fast: { model: 'claude-haiku', temperature: 0.2, maxTokens: 1000 },
+      synthesis: { maxTokens: 4000 }
+    },
+    agents: {
+      triage: { temperature: 0.1, modes: { synthesis: { model: 'claude-opus' } } }
+    },
+    fallbacks: [],
+    ...overrides
+  }, {
+    pricing: {
+      haiku: { inputPer1M: 1, outputPer1M: 5 },
+      sonnet: { inputPer1M: 3, outputPer1M: 15 },
+      opus: { inputPer1M: 15, outputPer1M: 75 }
+    }
+  });
+}
+
+describe('ModelRouter', () => {
+  test('resolves routes with defaults < mode < agent < agent mode precedence', () => {
+    const router = createRouter();
+
+    expect(router.resolveRoute('painWhisperer', 'fast')[0]).toMatchObject({
+      model: 'claude-haiku', temperature: 0.2, maxTokens: 1000
+    });
+    expect(router.resolveRoute('triage', 'normal')[0]).toMatchObject({
+      model: 'claude-sonnet', temperature: 0.1, maxTokens: 2500
+    });
+    expect(router.resolveRoute('triage', 'synthesis')[0]).toMatchObject({
+      model: 'claude-opus', temperature: 0.1, maxTokens: 4000
+    });
+  });
+
+  test('falls back in order when a model errors', async () => {
+    const router = createRouter({
+      fallbacks: [{ provider: 'offline' }, { provider: 'scripted', model: 'claude-haiku' }]
+    });
+    router.models.set('scripted|claude-sonnet|0.3|2500|painWhisperer', {
+      invoke: async () => { throw new Error('overloaded'); }
+    });
+
+    const response = await router.invoke('painWhisperer', 'normal', messages);
+
+    expect(response.route).toMatchObject({ provider: 'scripted', model: 'claude-haiku', attempt: 3 });
+    const [route] = router.getStats().routes;
+    expect(route).toMatchObject({ agentId: 'painWhisperer', mode: 'normal', calls: 1, failures: 2, fallbacksUsed: 1 });
+  });
+
+  test('falls back when a model exceeds its route timeout', async () => {
+    const router = createRouter({
+      defaults: { provider: 'scripted', model: 'claude-sonnet', timeoutMs: 5 },
+      fallbacks: [{ model: 'claude-haiku', timeoutMs: 1000 }]
+    });
+    router.models.set('scripted|claude-sonnet|||strengthSage', {
+      invoke: () => new Promise(resolve => setTimeout(() => resolve({ content: 'late' }), 50))
+    });
+
+    const response = await router.invoke('strengthSage', 'normal', messages);
+    expect(response.route.model).toBe('claude-haiku');
+  });
+
+  test('throws the last error when every target fails', async () => {
+    const router = createRouter({ defaults: { provider: 'offline' }, fallbacks: [{ provider: 'also-offline' }] });
+    await expect(router.invoke('triage', 'normal', messages)).rejects.toThrow('Unknown LLM provider: also-offline');
+  });
+
+  test('accounts tokens and cost per route', async () => {
+    const router = createRouter();
+    router.models.set('scripted|claude-haiku|0.2|1000|mindMender', {
+      invoke: async () => ({ content: 'ok', usage_metadata: { input_tokens: 1000, output_tokens: 200 } })
+    });
+
+    const response = await router.invoke('mindMender', 'fast', messages);
+    await router.invoke('mindMender', 'fast', messages);
+
+    expect(response.route.costUsd).toBeCloseTo(0.002);
+    const { routes, totals } = router.getStats();
+    expect(routes[0]).toMatchObject({ calls: 2, inputTokens: 2000, outputTokens: 400 });
+    expect(routes[0].models['scripted/claude-haiku'].calls).toBe(2);
+    expect(totals.costUsd).toBeCloseTo(0.004);
+  });
+
+  test('caps output tokens when a call asks for fewer', async () => {
+    const router = createRouter();
+    const model = router.createModel('triage', 'synthesis');
+
+    await model.invoke(messages, { maxTokens: 600 });
+
+    expect(router.models.has('scripted|claude-opus|0.1|600|triage')).toBe(true);
+  });
+
+  test('reads usage from LangChain and Anthropic metadata', () => {
+    expect(extractUsage({ usage_metadata: { input_tokens: 5, output_tokens: 7 } })).toEqual({ inputTokens: 5, outputTokens: 7 });
+    expect(extractUsage({ response_metadata: { usage: { input_tokens: 3, output_tokens: 4 } } })).toEqual({ inputTokens: 3, outputTokens: 4 });
+    expect(extractUsage({ content: 'no usage' })).toEqual({ inputTokens: 0, outputTokens: 0 });
+  });
+});
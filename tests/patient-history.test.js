@@ -0,0 +1,148 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { EventEmitter } = await import('events');
+const { PatientHistory, describeOutcome } = await import('../src/utils/patient-history.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { RecoveryMetrics } = await import('../src/utils/recovery-metrics.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+
+const kneeResult = {
+  participatingSpecialists: ['triage', 'painWhisperer'],
+  synthesizedRecommendations: { prescriptionData: { diagnosisHypothesis: { primary: 'Suspected medial meniscus irritation' } } },
+  responses: [
+    {
+      status: 'success',
+      response: { recommendations: [{ intervention: 'Quadriceps strengthening', priority: 2 }, { intervention: 'RICE protocol', priority: 1 }] }
+    },
+    {
+      status: 'success',
+      response: { recommendations: [{ intervention: 'rice protocol', priority: 1 }, { intervention: 'Avoid deep squats', priority: 3 }] }
+    },
+    { status: 'failed', response: { error: 'Timeout' } }
+  ]
+};
+
+function completeKneeConsultation(coordinator, tenantId = 'clinic-a') {
+  coordinator.emit('consultationCompleted', {
+    consultationId: 'consultation_1',
+    tenantId,
+    userId: 'patient-1',
+    caseData: { primaryComplaint: 'Right knee pain after twisting while skiing', bodyPart: 'knee' },
+    result: kneeResult
+  });
+}
+
+describe('PatientHistory', () => {
+  test('records consultations and reported outcomes and condenses them for agents', async () => {
+    const store = new MemoryStore();
+    const coordinator = new EventEmitter();
+    const recoveryMetrics = new RecoveryMetrics();
+    const history = new PatientHistory(store);
+    history.attach({ coordinator, recoveryMetrics });
+
+    completeKneeConsultation(coordinator);
+    coordinator.emit('predictionsResolved', {
+      consultationId: 'consultation_1',
+      tenantId: 'clinic-a',
+      userId: 'patient-1',
+      resolution: { source: 'user_modal', outcomes: { user_satisfaction: true, pain_reduction_day7: 4 }, timestamp: '2026-09-20T00:00:00Z' }
+    });
+    // The agents' own consensus is not a reported outcome
+    coordinator.emit('predictionsResolved', {
+      consultationId: 'consultation_1',
+      tenantId: 'clinic-a',
+      userId: 'patient-1',
+      resolution: { source: 'inter_agent', outcomes: { md_approval: true } }
+    });
+
+    await recoveryMetrics.trackPatientRecovery('patient-1', { painLevel: 8 }, { tenantId: 'clinic-a' });
+    await recoveryMetrics.updateRecoveryProgress('patient-1', { painLevel: 3, returnToWork: true }, { tenantId: 'clinic-a' });
+
+    const summary = history.summarize('patient-1', { tenantId: 'clinic-a' });
+    expect(summary).toContain('PATIENT HISTORY (returning patient, 1 recorded prior consultation(s)');
+    expect(summary).toContain('Right knee pain after twisting while skiing (Knee; working diagnosis: Suspected medial meniscus irritation)');
+    expect(summary).toContain('Recommended: RICE protocol; Quadriceps strengthening; Avoid deep squats');
+    expect(summary).toContain('Reported outcomes: patient feedback: satisfied, pain 4/10');
+    expect(summary).toMatch(/Recovery tracking: recovery milestone: /);
+    expect(summary).not.toContain('md_approval');
+
+    // Histories are kept per tenant and restored from the store
+    expect(history.summarize('patient-1', { tenantId: 'clinic-b' })).toBeNull();
+    const restored = new PatientHistory(store);
+    await restored.hydrate();
+    expect(restored.getHistory('patient-1', { tenantId: 'clinic-a' }).consultations).toHaveLength(1);
+  });
+
+  test('falls back to client-supplied prior consultations and ignores anonymous consultations', () => {
+    const coordinator = new EventEmitter();
+    const history = new PatientHistory(null);
+    history.attach({ coordinator });
+
+    coordinator.emit('consultationCompleted', { consultationId: 'c0', result: kneeResult, caseData: {} });
+    expect(history.getStats().users).toBe(0);
+
+    expect(history.summarize('patient-2')).toBeNull();
+    const summary = history.summarize('patient-2', {
+      priorConsultations: [{ date: '2026-08-01T10:00:00Z', primaryComplaint: 'Left shoulder impingement' }, 'Ankle sprain in 2025']
+    });
+    expect(summary).toContain('- 2026-08-01: Left shoulder impingement (reported by the client app)');
+    expect(summary).toContain('- Ankle sprain in 2025 (reported by the client app)');
+  });
+
+  test('describes follow-up and MD review outcomes', () => {
+    expect(describeOutcome('follow_up', {
+      return_to_activity_timeline: 30,
+      pain_reduction_percentage: 70,
+      functional_restoration: 80,
+      returned_to_activity: true
+    })).toBe('follow-up: day 30, pain reduced 70%, function 80%, returned to activity');
+    expect(describeOutcome('md_review', { md_approval: false, clinical_accuracy: 0.6 }))
+      .toBe('MD review: not approved, clinical accuracy 0.6');
+  });
+});
+
+describe('Longitudinal context in agent prompts', () => {
+  test('triage and specialists receive the summary', async () => {
+    const coordinator = new EventEmitter();
+    const history = new PatientHistory(null);
+    history.attach({ coordinator });
+    completeKneeConsultation(coordinator, 'default');
+    const patientHistory = history.summarize('patient-1');
+
+    const triage = new TriageAgent('Triage');
+    const triagePrompt = jest.spyOn(triage, 'processMessage');
+    await triage.triageCase({ primaryComplaint: 'Knee still swollen' }, { patientHistory });
+    expect(triagePrompt.mock.calls[0][0]).toContain('Suspected medial meniscus irritation');
+
+    await triage.triageCase({ primaryComplaint: 'Knee still swollen' });
+    expect(triagePrompt.mock.calls.at(-1)[0]).not.toContain('PATIENT HISTORY');
+
+    const specialistCoordinator = new AgentCoordinator();
+    const pain = new PainWhispererAgent('Pain');
+    const painPrompt = jest.spyOn(pain, 'processMessage');
+    await specialistCoordinator.getSpecialistResponse(pain, { painLevel: 5, symptoms: 'knee pain' }, 'consultation_2', { patientHistory });
+    expect(painPrompt.mock.calls[0][0]).toContain('Recommended: RICE protocol');
+  });
+});
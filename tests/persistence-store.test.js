@@ -0,0 +1,220 @@
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Keep token rewards off-chain
+jest.unstable_mockModule('../src/utils/blockchain-utils.js', () => ({
+  default: class MockBlockchainUtils {
+    async initialize() {}
+  }
+}));
+
+// Import after mocking
+const { MemoryStore, FileStore, PersistentMap, createStore } = await import('../src/utils/persistence-store.js');
+const { TokenManager } = await import('../src/utils/token-manager.js');
+const { PredictionMarket } = await import('../src/utils/prediction-market.js');
+const { RecoveryMetrics } = await import('../src/utils/recovery-metrics.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+
+describe('Persistence Store', () => {
+  describe('MemoryStore', () => {
+    test('stores copies of values by namespace', async () => {
+      const store = new MemoryStore();
+      const value = { balance: 10 };
+
+      await store.set('balances', 'agent1', value);
+      value.balance = 20;
+
+      expect(await store.get('balances', 'agent1')).toEqual({ balance: 10 });
+      expect(await store.get('other', 'agent1')).toBeNull();
+    });
+
+    test('lists and deletes entries', async () => {
+      const store = new MemoryStore();
+      await store.set('ns', 'a', 1);
+      await store.set('ns', 'b', 2);
+      await store.delete('ns', 'a');
+
+      expect(await store.entries('ns')).toEqual([['b', 2]]);
+    });
+  });
+
+  describe('FileStore', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'orthoiq-store-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    test('survives a restart', async () => {
+      const store = await new FileStore(dataDir).initialize();
+      await store.set('predictions', 'consultation_1', { status: 'active' });
+      await store.set('predictions', 'consultation_2', { status: 'resolved' });
+      await store.delete('predictions', 'consultation_2');
+      await store.close();
+
+      const restarted = await new FileStore(dataDir).initialize();
+      expect(await restarted.entries('predictions')).toEqual([
+        ['consultation_1', { status: 'active' }]
+      ]);
+    });
+
+    test('coalesces concurrent writes to the latest state', async () => {
+      const store = await new FileStore(dataDir).initialize();
+      await Promise.all(
+        Array.from({ length: 20 }, (_, i) => store.set('counter', 'value', i))
+      );
+      await store.flush();
+
+      const content = JSON.parse(await fs.readFile(path.join(dataDir, 'counter.json'), 'utf8'));
+      expect(content.value).toBe(19);
+    });
+  });
+
+  describe('createStore', () => {
+    test('creates the configured driver', () => {
+      expect(createStore({ driver: 'memory' })).toBeInstanceOf(MemoryStore);
+      expect(createStore({ driver: 'file', dataDir: os.tmpdir() })).toBeInstanceOf(FileStore);
+    });
+
+    test('rejects unknown drivers', () => {
+      expect(() => createStore({ driver: 'postgres' })).toThrow('Unknown persistence driver');
+    });
+  });
+
+  describe('PersistentMap', () => {
+    test('behaves like a plain Map without a store', () => {
+      const map = new PersistentMap();
+      map.set('a', 1);
+      map.touch('a');
+
+      expect(map.get('a')).toBe(1);
+      expect(map.size).toBe(1);
+    });
+
+    test('writes through and hydrates, including in-place mutations', async () => {
+      const store = new MemoryStore();
+      const map = new PersistentMap(store, 'records');
+      map.set('patient1', { milestones: [] });
+      map.get('patient1').milestones.push('pain_reduction');
+      map.touch('patient1');
+      await store.flush();
+
+      const restored = new PersistentMap(store, 'records');
+      expect(await restored.hydrate()).toBe(1);
+      expect(restored.get('patient1').milestones).toEqual(['pain_reduction']);
+    });
+
+    test('applies serialize and deserialize hooks', async () => {
+      const store = new MemoryStore();
+      const options = {
+        serialize: value => ({ ...value, responses: Object.fromEntries(value.responses) }),
+        deserialize: value => ({ ...value, responses: new Map(Object.entries(value.responses)) })
+      };
+      const map = new PersistentMap(store, 'consultations', options);
+      map.set('c1', { responses: new Map([['triage', { confidence: 0.8 }]]) });
+
+      const restored = new PersistentMap(store, 'consultations', options);
+      await restored.hydrate();
+      expect(restored.get('c1').responses.get('triage')).toEqual({ confidence: 0.8 });
+    });
+  });
+
+  describe('Component restoration', () => {
+    const agent = {
+      agentId: 'painWhisperer',
+      name: 'Pain Whisperer',
+      walletAddress: '0x1234',
+      tokenBalance: 0
+    };
+
+    test('TokenManager keeps persisted balances on wallet initialization', async () => {
+      const store = new MemoryStore();
+      const tokenManager = new TokenManager(store);
+      await tokenManager.initializeAgentWallet({ ...agent });
+      await tokenManager.distributeTokenReward(agent.agentId, { success: true });
+      const earned = tokenManager.getAgentBalance(agent.agentId).tokenBalance;
+
+      const restarted = new TokenManager(store);
+      await restarted.hydrate();
+      const restartedAgent = { ...agent };
+      const wallet = await restarted.initializeAgentWallet(restartedAgent);
+
+      expect(earned).toBeGreaterThan(0);
+      expect(wallet.restored).toBe(true);
+      expect(restarted.getAgentBalance(agent.agentId).tokenBalance).toBe(earned);
+      expect(restartedAgent.tokenBalance).toBe(earned);
+      expect(restarted.getNetworkStatistics().recentDistributions).toHaveLength(1);
+    });
+
+    test('PredictionMarket resolves predictions made before a restart', async () => {
+      const store = new MemoryStore();
+      const tokenManager = new TokenManager(store);
+      await tokenManager.initializeAgentWallet({ ...agent });
+
+      const market = new PredictionMarket(tokenManager, store);
+      await market.initiatePredictions('consultation_1', { primaryComplaint: 'knee pain', painLevel: 6 }, [
+        { ...agent, agentType: 'pain_whisperer' }
+      ]);
+
+      const restartedTokens = new TokenManager(store);
+      await restartedTokens.hydrate();
+      const restartedMarket = new PredictionMarket(restartedTokens, store);
+      await restartedMarket.hydrate();
+
+      const resolution = await restartedMarket.resolvePredictions('consultation_1', {
+        mdReview: { approved: true }
+      });
+
+      expect(resolution).not.toBeNull();
+      expect(restartedMarket.getPredictions('consultation_1').status).toBe('resolved');
+
+      const afterSecondRestart = new PredictionMarket(restartedTokens, store);
+      await afterSecondRestart.hydrate();
+      expect(afterSecondRestart.getPredictions('consultation_1').status).toBe('resolved');
+    });
+
+    test('RecoveryMetrics restores patient records', async () => {
+      const store = new MemoryStore();
+      const metrics = new RecoveryMetrics(store);
+      await metrics.trackPatientRecovery('patient1', { painLevel: 7, functionalScore: 40 });
+
+      const restarted = new RecoveryMetrics(store);
+      await restarted.hydrate();
+
+      expect(restarted.patientRecords.get('patient1')).toBeDefined();
+    });
+
+    test('AgentCoordinator marks unfinished consultations as interrupted', async () => {
+      const store = new MemoryStore();
+      const coordinator = new AgentCoordinator(null, { store });
+      coordinator.activeConsultations.set('consultation_1', {
+        id: 'consultation_1',
+        status: 'in_progress',
+        responses: new Map([['triage', { specialist: 'Triage' }]])
+      });
+
+      const restarted = new AgentCoordinator(null, { store });
+      await restarted.hydrate();
+      const consultation = restarted.getConsultation('consultation_1');
+
+      expect(consultation.status).toBe('interrupted');
+      expect(consultation.responses.get('triage')).toEqual({ specialist: 'Triage' });
+    });
+  });
+});
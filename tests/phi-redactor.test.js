@@ -0,0 +1,137 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { RedactionVault, PhiRedactor, redactLogEntry, default: phiRedactor } = await import('../src/utils/phi-redactor.js');
+const { default: promptManager } = await import('../src/utils/prompt-manager.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+
+const RAW_QUERY = "Hi, I'm Sarah Connor (sarah.connor@example.com, 555-123-4567). DOB: 03/14/1985. " +
+  'I live at 42 Wallaby Way, Apt 3 and my MRN is 00123456. My knee has hurt since March 3, 2024 and I am worried.';
+
+describe('RedactionVault', () => {
+  test('masks direct identifiers with stable tokens and restores them', () => {
+    const vault = new RedactionVault();
+    const redacted = vault.redactText(RAW_QUERY);
+
+    expect(redacted).toBe("Hi, I'm [NAME_1] ([EMAIL_1], [PHONE_1]). DOB: [DOB_1]. " +
+      'I live at [ADDRESS_1] and my MRN is [RECORD_1]. My knee has hurt since March 3, 2024 and I am worried.');
+    expect(vault.redactText('Contact sarah.connor@example.com')).toBe('Contact [EMAIL_1]');
+    expect(vault.restore(`${redacted} [NAME_9]`)).toBe(`${RAW_QUERY} [NAME_9]`);
+  });
+
+  test('leaves numbers and capitalized words that only look like identifiers alone', () => {
+    const vault = new RedactionVault();
+    const negatives = [
+      'I did sets of 100 200 3000 steps',
+      'I am Running a lot and this is Sharp pain',
+      'Patient: Dr visit next week',
+      'Patient: Male, 34'
+    ];
+
+    for (const text of negatives) {
+      expect(vault.redactText(text)).toBe(text);
+    }
+    expect(vault.size).toBe(0);
+
+    expect(vault.redactText('Patient: Dr. Jane Doe, call me at 555 123 4567 or (555) 987-6543'))
+      .toBe('Patient: Dr. [NAME_1], call me at [PHONE_2] or [PHONE_1]');
+    expect(vault.redactText('This is Dana Whitfield, +1 555 222 3333')).toBe('This is [NAME_2], [PHONE_3]');
+  });
+
+  test('seeds the identifiers submitted with the case so they are masked anywhere', () => {
+    const vault = new RedactionVault({ name: 'Dana Whitfield', personalInfo: { phone: '5551234567' } });
+    const redacted = vault.redact({
+      rawQuery: 'Dana Whitfield here, Dana twisted her ankle, call 5551234567',
+      name: 'Dana Whitfield',
+      painLevel: 6,
+      symptoms: ['swelling', 'Whitfield family history of sprains']
+    });
+
+    expect(redacted).toEqual({
+      rawQuery: '[NAME_1] here, [NAME_2] twisted her ankle, call [PHONE_1]',
+      name: '[NAME_1]',
+      painLevel: 6,
+      symptoms: ['swelling', '[NAME_3] family history of sprains']
+    });
+    expect(vault.restore(redacted).rawQuery).toBe('Dana Whitfield here, Dana twisted her ankle, call 5551234567');
+  });
+
+  test('leaves everyday words that happen to be seeded name parts alone', () => {
+    const vault = new RedactionVault({ name: 'Will Grant', personalInfo: { firstName: 'May', lastName: 'Walker' } });
+
+    expect(vault.redactText('my knee will not bend, hoping therapy will grant me relief')).toBe('my knee will not bend, hoping therapy will grant me relief');
+    expect(vault.redactText('Will Grant here')).toBe('[NAME_1] here');
+    expect(vault.redactText('pain since May, it may get worse')).toBe('pain since May, it may get worse');
+    expect(vault.redactText('I use a walker since the fall')).toBe('I use a walker since the fall');
+  });
+
+  test('redacts log entries without touching winston metadata', () => {
+    const entry = redactLogEntry({
+      level: 'info',
+      message: 'Scope validation passed',
+      extractedQuery: 'my name is John Smith and my email is john@example.com',
+      timestamp: '2026-01-01T00:00:00.000Z'
+    });
+
+    expect(entry).toEqual({
+      level: 'info',
+      message: 'Scope validation passed',
+      extractedQuery: 'my name is [NAME_1] and my email is [EMAIL_1]',
+      timestamp: '2026-01-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('Prompt de-identification', () => {
+  test('the learning prompt embeds masked case data', () => {
+    const prompt = phiRedactor.run(phiRedactor.createVault(), () => promptManager.getLearningPrompt(
+      { name: 'Pain Whisperer', specialization: 'pain', experience: 0 },
+      { rawQuery: RAW_QUERY, painLevel: 6 }
+    )).content;
+
+    expect(prompt).toContain('[NAME_1]');
+    expect(prompt).not.toMatch(/Sarah|sarah\.connor|555-123-4567|03\/14\/1985|Wallaby|00123456/);
+  });
+
+  test('the LLM sees tokens and the caller gets the reply with the user details restored', async () => {
+    const agent = new PainWhispererAgent('Pain Whisperer');
+    agent.llm = {
+      invoke: jest.fn(async () => ({ content: 'Thanks [NAME_1]. We will email [EMAIL_1] your plan.' }))
+    };
+    const vault = phiRedactor.createVault({ email: 'sarah.connor@example.com' });
+
+    const reply = await phiRedactor.run(vault, () => agent.processMessage(RAW_QUERY, { mode: 'normal' }));
+
+    const [, userMessage] = agent.llm.invoke.mock.calls[0][0];
+    expect(userMessage.content).not.toContain('Sarah Connor');
+    expect(userMessage.content).not.toContain('sarah.connor@example.com');
+    expect(userMessage.content).toContain("I'm [NAME_1] ([EMAIL_1]");
+    expect(reply).toBe('Thanks Sarah Connor. We will email sarah.connor@example.com your plan.');
+  });
+
+  test('can be switched off', () => {
+    const redactor = new PhiRedactor({ enabled: false });
+    expect(redactor.redactPrompt(RAW_QUERY)).toEqual({ prompt: RAW_QUERY, vault: null });
+    expect(redactor.getStats()).toMatchObject({ enabled: false, prompts: 0 });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const { RateLimiter } = await import('../src/utils/rate-limiter.js');
+
+function clock(start = 0) {
+  let now = start;
+  return { now: () => now, advance: ms => { now += ms; } };
+}
+
+describe('RateLimiter', () => {
+  test('limits each caller separately and refills over the window', () => {
+    const time = clock();
+    const limiter = new RateLimiter({ limit: 2, windowMs: 1000, globalLimit: 0, now: time.now });
+
+    expect(limiter.take('a').allowed).toBe(true);
+    expect(limiter.take('a')).toMatchObject({ allowed: true, remaining: 0 });
+
+    const limited = limiter.take('a');
+    expect(limited).toMatchObject({ allowed: false, scope: 'key' });
+    expect(limited.retryAfterMs).toBe(500);
+    expect(limiter.take('b').allowed).toBe(true);
+
+    time.advance(500);
+    expect(limiter.take('a').allowed).toBe(true);
+    expect(limiter.take('a').allowed).toBe(false);
+  });
+
+  test('applies the global limit across callers without charging rejected requests', () => {
+    const time = clock();
+    const limiter = new RateLimiter({ limit: 10, windowMs: 1000, globalLimit: 3, now: time.now });
+
+    expect(['a', 'b', 'c'].map(key => limiter.take(key).allowed)).toEqual([true, true, true]);
+    expect(limiter.take('d')).toMatchObject({ allowed: false, scope: 'global', remaining: 10 });
+    expect(limiter.getStats()).toMatchObject({ allowed: 3, limitedGlobal: 1, limitedPerKey: 0 });
+  });
+
+  test('honors per-key overrides and drops idle buckets', () => {
+    const time = clock();
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000, globalLimit: 0, now: time.now });
+
+    expect(limiter.take('partner', 3).allowed).toBe(true);
+    expect(limiter.take('partner', 3).allowed).toBe(true);
+    expect(limiter.take('partner', 3)).toMatchObject({ allowed: true, limit: 3 });
+
+    time.advance(2000);
+    limiter.take('other');
+    expect(limiter.getStats().trackedCallers).toBe(1);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { Authenticator } = await import('../src/utils/auth.js');
+const { default: usageTracker } = await import('../src/utils/usage-tracker.js');
+const { default: cacheManager } = await import('../src/utils/cache-manager.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+describe('Tenant isolation of admin routes', () => {
+  test('admins only see jobs, usage and cache entries of their own tenant', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.authenticator = new Authenticator({
+      apiKeys: {
+        'clinic-a-admin': { role: 'admin', tenantId: 'clinic-a', name: 'ops-a' },
+        'clinic-b-admin': { role: 'admin', tenantId: 'clinic-b', name: 'ops-b' }
+      }
+    });
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const get = (path, key) => fetch(`${baseUrl}${path}`, { headers: { 'X-API-Key': key } });
+
+    try {
+      await system.jobQueue.add('learning', {
+        caseData: { primaryComplaint: 'knee pain' }, fastResponse: {}, tenantId: 'clinic-a'
+      }, { jobId: 'learning:consultation_a' });
+
+      usageTracker.begin('consultation_a', { tenantId: 'clinic-a' });
+      usageTracker.record({
+        consultationId: 'consultation_a', agentId: 'triage', provider: 'anthropic', model: 'claude-sonnet',
+        inputTokens: 1000, outputTokens: 500, costUsd: 0.01
+      });
+      usageTracker.finalize('consultation_a');
+
+      await cacheManager.set({ primaryComplaint: 'knee pain' }, { answer: 'a' }, null, 'clinic-a');
+      await cacheManager.set({ primaryComplaint: 'knee pain' }, { answer: 'b' }, null, 'clinic-b');
+
+      const ownJobs = await (await get('/jobs', 'clinic-a-admin')).json();
+      expect(ownJobs.jobs.map(job => job.id)).toContain('learning:consultation_a');
+      const otherJobs = await (await get('/jobs', 'clinic-b-admin')).json();
+      expect(otherJobs.jobs.map(job => job.id)).not.toContain('learning:consultation_a');
+      expect((await get('/jobs/learning:consultation_a', 'clinic-b-admin')).status).toBe(404);
+      expect((await get('/jobs/learning:consultation_a', 'clinic-a-admin')).status).toBe(200);
+      expect(system.auditLog.list().filter(entry => entry.resource === 'job').map(entry => entry.statusCode)).toEqual([200, 200, 404, 200]);
+
+      // Webhook delivery jobs belong to the subscriber, not the tenant the event came from
+      system.webhooks.deliveries.set('whd_a', { id: 'whd_a', tenantId: 'clinic-b', subscriberTenantId: 'clinic-a', status: 'pending' });
+      await system.jobQueue.add('webhook-delivery', { deliveryId: 'whd_a' }, { jobId: 'webhook-delivery:whd_a' });
+      expect((await get('/jobs/webhook-delivery:whd_a', 'clinic-b-admin')).status).toBe(404);
+      expect((await get('/jobs/webhook-delivery:whd_a', 'clinic-a-admin')).status).toBe(200);
+
+      expect((await get('/usage/consultations/consultation_a', 'clinic-b-admin')).status).toBe(404);
+      expect((await get('/usage/consultations/consultation_a', 'clinic-a-admin')).status).toBe(200);
+      const otherUsage = await (await get('/usage', 'clinic-b-admin')).json();
+      expect(otherUsage.usage.totals.calls).toBe(0);
+      const ownUsage = await (await get('/usage', 'clinic-a-admin')).json();
+      expect(ownUsage.usage.totals.calls).toBe(1);
+
+      const cleared = await (await fetch(`${baseUrl}/cache/clear`, {
+        method: 'POST', headers: { 'X-API-Key': 'clinic-b-admin' }
+      })).json();
+      expect(cleared.cleared).toBe(1);
+      expect(await cacheManager.get({ primaryComplaint: 'knee pain' }, 'clinic-a')).toMatchObject({ response: { answer: 'a' } });
+      expect(await cacheManager.get({ primaryComplaint: 'knee pain' }, 'clinic-b')).toBeNull();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      await system.jobQueue.close();
+      system.consultationJobs.stop();
+    }
+  });
+});
@@ -0,0 +1,191 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { Tracer, OtlpHttpExporter, parseTraceparent, parseOtlpHeaders, SPAN_KIND } = await import('../src/utils/tracing.js');
+const { default: tracer } = await import('../src/utils/tracing.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const INCOMING_TRACE = '4bf92f3577b34da6a3ce929d0e0e4736';
+
+describe('Tracer', () => {
+  test('nests spans through async calls and records failures', async () => {
+    const tracer = new Tracer({ exporter: null });
+
+    await expect(tracer.withSpan('consultation', {}, async root => {
+      tracer.setConsultation('consultation_1');
+      await tracer.withSpan('specialists', {}, async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        tracer.startSpan('specialist', { attributes: { 'specialist.type': 'painWhisperer' } }).end();
+      });
+      expect(tracer.currentSpan()).toBe(root);
+      await tracer.withSpan('synthesis', {}, async () => {
+        throw new Error('No successful specialist responses to synthesize');
+      });
+    })).rejects.toThrow('No successful specialist responses');
+
+    const [trace] = tracer.getConsultationTraces('consultation_1');
+    const byName = Object.fromEntries(trace.spans.map(span => [span.name, span]));
+
+    expect(byName.consultation.parentSpanId).toBeNull();
+    expect(byName.specialists.parentSpanId).toBe(byName.consultation.spanId);
+    expect(byName.specialist.parentSpanId).toBe(byName.specialists.spanId);
+    expect(byName.specialist.attributes).toEqual({ 'specialist.type': 'painWhisperer' });
+    expect(byName.synthesis).toMatchObject({ status: 'error', statusMessage: 'No successful specialist responses to synthesize' });
+    expect(byName.consultation.attributes['consultation.id']).toBe('consultation_1');
+    expect(trace.breakdown.specialists.totalMs).toBeGreaterThanOrEqual(4);
+    expect(trace.durationMs).toBeGreaterThan(0);
+  });
+
+  test('continues incoming traceparents and only keeps traces linked to a consultation', () => {
+    const tracer = new Tracer({ exporter: null, maxConsultations: 1 });
+    expect(parseTraceparent(`00-${INCOMING_TRACE}-00f067aa0ba902b7-01`)).toMatchObject({ traceId: INCOMING_TRACE, spanId: '00f067aa0ba902b7' });
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+
+    const health = tracer.startSpan('GET /health', { parent: `00-${INCOMING_TRACE}-00f067aa0ba902b7-01` });
+    expect(health).toMatchObject({ traceId: INCOMING_TRACE, parentSpanId: '00f067aa0ba902b7' });
+    health.end();
+    expect(tracer.getStats().traces).toBe(0);
+
+    const first = tracer.startSpan('POST /consultation');
+    tracer.setConsultation('consultation_1', first);
+    first.end();
+    const queued = tracer.startSpan('job.coordination', { parent: tracer.inject(first) });
+    expect(queued.traceId).toBe(first.traceId);
+    queued.end();
+    expect(tracer.getConsultationTraces('consultation_1')[0].spans).toHaveLength(2);
+
+    // The oldest consultation's trace is dropped once the limit is reached
+    const second = tracer.startSpan('POST /consultation');
+    tracer.setConsultation('consultation_2', second);
+    second.end();
+    expect(tracer.getConsultationTraces('consultation_1')).toBeNull();
+    expect(tracer.getConsultationTraces('consultation_2')).toHaveLength(1);
+  });
+});
+
+describe('OtlpHttpExporter', () => {
+  test('posts batches as OTLP/HTTP JSON and counts failed exports', async () => {
+    const fetch = jest.fn()
+      .mockResolvedValueOnce({ ok: true, status: 200 })
+      .mockResolvedValueOnce({ ok: false, status: 503 });
+    const exporter = new OtlpHttpExporter({
+      endpoint: 'http://collector:4318/v1/traces',
+      headers: parseOtlpHeaders('x-api-key=secret,x-team=ortho%20iq'),
+      fetch,
+      batchSize: 2
+    });
+    const tracer = new Tracer({ exporter });
+
+    const root = tracer.startSpan('POST /consultation', { kind: SPAN_KIND.SERVER, attributes: { 'http.status_code': 200 } });
+    tracer.startSpan('triage.assess_data_completeness', { parent: root, attributes: { 'triage.completeness': 0.45 } }).end();
+    root.end();
+    await exporter.flush();
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://collector:4318/v1/traces');
+    expect(request.headers).toMatchObject({ 'Content-Type': 'application/json', 'x-api-key': 'secret', 'x-team': 'ortho iq' });
+    const { resourceSpans } = JSON.parse(request.body);
+    expect(resourceSpans[0].resource.attributes).toEqual([{ key: 'service.name', value: { stringValue: 'orthoiq-agents' } }]);
+    const [child, server] = resourceSpans[0].scopeSpans[0].spans;
+    expect(server).toMatchObject({ traceId: root.traceId, spanId: root.spanId, kind: 2, attributes: [{ key: 'http.status_code', value: { intValue: '200' } }] });
+    expect(child).toMatchObject({ parentSpanId: root.spanId, attributes: [{ key: 'triage.completeness', value: { doubleValue: 0.45 } }] });
+    expect(BigInt(server.endTimeUnixNano)).toBeGreaterThanOrEqual(BigInt(server.startTimeUnixNano));
+
+    tracer.startSpan('GET /health').end();
+    await exporter.shutdown();
+    expect(exporter.getStats()).toMatchObject({ exported: 2, failed: 1, queued: 0, requests: 2 });
+  });
+});
+
+describe('Consultation pipeline spans', () => {
+  test('cover specialists, conference and synthesis under the consultation trace', async () => {
+    const coordinator = new AgentCoordinator();
+    coordinator.registerSpecialist('triage', new TriageAgent('OrthoTriage Master'));
+    coordinator.registerSpecialist('painWhisperer', new PainWhispererAgent('Pain Whisperer'));
+
+    await tracer.withSpan('consultation.coordinate', {}, () => {
+      tracer.setConsultation('consultation_traced');
+      return coordinator.coordinateMultiSpecialistConsultation(
+        { primaryComplaint: 'Knee pain after twisting it playing soccer', painLevel: 6, location: 'knee' },
+        ['triage', 'painWhisperer'],
+        { mode: 'normal', consultationId: 'consultation_traced' }
+      );
+    });
+
+    const [trace] = tracer.getConsultationTraces('consultation_traced');
+    const spansNamed = name => trace.spans.filter(span => span.name === name);
+    const [root] = spansNamed('consultation.coordinate');
+    const [collection] = spansNamed('coordinator.collect_specialist_responses');
+
+    expect(collection).toMatchObject({ parentSpanId: root.spanId, attributes: expect.objectContaining({ 'specialists.responded': 2 }) });
+    expect(spansNamed('coordinator.get_specialist_response').map(span => span.attributes['specialist.type']).sort())
+      .toEqual(['painWhisperer', 'triage']);
+    expect(spansNamed('coordinator.get_specialist_response').every(span => span.parentSpanId === collection.spanId)).toBe(true);
+    expect(spansNamed('conference.round')[0].parentSpanId).toBe(root.spanId);
+    expect(spansNamed('coordinator.synthesize_recommendations')[0]).toMatchObject({ parentSpanId: root.spanId, status: 'unset' });
+    expect(Object.keys(trace.breakdown)).toEqual(expect.arrayContaining(['conference.round', 'coordinator.synthesize_recommendations']));
+  }, 30000);
+
+  test('a fast consultation continues the caller trace into its queued coordination', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.agents.triage = new TriageAgent('OrthoTriage Master');
+    const queued = jest.spyOn(system.jobQueue, 'add');
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const response = await fetch(`${baseUrl}/consultation`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', traceparent: `00-${INCOMING_TRACE}-00f067aa0ba902b7-01` },
+        body: JSON.stringify({ caseData: { primaryComplaint: 'Knee pain when climbing stairs', painLevel: 5 }, mode: 'fast' })
+      });
+      expect(response.headers.get('x-trace-id')).toBe(INCOMING_TRACE);
+      const { consultationId } = await response.json();
+      expect(parseTraceparent(queued.mock.calls[0][1].traceparent).traceId).toBe(INCOMING_TRACE);
+
+      const traceResponse = await fetch(`${baseUrl}/consultation/${consultationId}/trace`);
+      expect(traceResponse.status).toBe(200);
+      const { traces } = await traceResponse.json();
+      expect(traces[0].traceId).toBe(INCOMING_TRACE);
+      expect(traces[0].spans.map(span => span.name)).toEqual(expect.arrayContaining([
+        'POST /consultation',
+        'triage.assess_data_completeness'
+      ]));
+
+      const missing = await fetch(`${baseUrl}/consultation/consultation_unknown/trace`);
+      expect(missing.status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+      await system.jobQueue.close();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, test, expect, jest, afterAll } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+process.env.LLM_PROVIDER = 'scripted';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+// Import after mocking
+const { default: transcriptRecorder, loadTranscript, summarizeConsultation } = await import('../src/utils/transcript-recorder.js');
+const { replayTranscript, diffStructures, ReplayChatModel } = await import('../src/utils/transcript-replay.js');
+const { AgentCoordinator } = await import('../src/utils/agent-coordinator.js');
+const { TriageAgent } = await import('../src/agents/triage-agent.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { MovementDetectiveAgent } = await import('../src/agents/movement-detective-agent.js');
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+
+afterAll(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function recordConsultation(consultationId) {
+  transcriptRecorder.enabled = true;
+  transcriptRecorder.dir = dir;
+
+  const coordinator = new AgentCoordinator();
+  coordinator.registerSpecialist('triage', new TriageAgent('OrthoTriage Master'));
+  coordinator.registerSpecialist('painWhisperer', new PainWhispererAgent('Pain Whisperer'));
+  coordinator.registerSpecialist('movementDetective', new MovementDetectiveAgent('Movement Detective'));
+
+  const result = await coordinator.coordinateMultiSpecialistConsultation(
+    { primaryComplaint: 'Knee pain after a twist', painLevel: 6, location: 'knee' },
+    ['triage', 'painWhisperer', 'movementDetective'],
+    { mode: 'normal', consultationId }
+  );
+
+  transcriptRecorder.enabled = false;
+  return { result, transcript: await loadTranscript(path.join(dir, `${consultationId}.json`)) };
+}
+
+describe('Consultation transcripts', () => {
+  test('records every prompt and raw reply of a consultation', async () => {
+    const { result, transcript } = await recordConsultation('consultation_recorded');
+
+    expect(transcript.status).toBe('completed');
+    expect(transcript.input.specialists).toEqual(['triage', 'painWhisperer', 'movementDetective']);
+    expect(transcript.exchanges.map(e => e.contextType)).toEqual(expect.arrayContaining([
+      'multi_specialist_consultation',
+      'coordination_conference',
+      'synthesis'
+    ]));
+    for (const exchange of transcript.exchanges) {
+      expect(exchange.prompt).toEqual(expect.any(String));
+      expect(exchange.response).toEqual(expect.any(String));
+      expect(exchange.durationMs).toBeGreaterThanOrEqual(0);
+    }
+    expect(transcript.output).toEqual(JSON.parse(JSON.stringify(summarizeConsultation(result))));
+  });
+
+  test('replays deterministically through the coordinator', async () => {
+    const { transcript } = await recordConsultation('consultation_replayed');
+
+    const first = await replayTranscript(transcript);
+    const second = await replayTranscript(transcript);
+
+    expect(first.error).toBeNull();
+    expect(first.unusedExchanges).toBe(0);
+    expect(diffStructures(first.output, second.output)).toEqual([]);
+    expect(first.output.specialists.triage.response.urgencyLevel).toBe('routine');
+  });
+
+  test('surfaces parser-visible changes in the diff', async () => {
+    const { transcript } = await recordConsultation('consultation_changed');
+    const baseline = await replayTranscript(transcript);
+
+    const triageExchange = transcript.exchanges.find(e => e.agentId === 'triage' && e.contextType === 'multi_specialist_consultation');
+    triageExchange.response = triageExchange.response.replace('"urgencyLevel": "routine"', '"urgencyLevel": "emergency"');
+    const changed = await replayTranscript(transcript);
+
+    const paths = diffStructures(baseline.output, changed.output).map(change => change.path);
+    expect(paths).toContain('specialists.triage.response.urgencyLevel');
+  });
+});
+
+describe('ReplayChatModel', () => {
+  test('prefers the matching prompt and reproduces recorded errors', async () => {
+    const model = new ReplayChatModel('triage', [
+      { seq: 1, agentId: 'triage', prompt: 'first', response: 'one' },
+      { seq: 2, agentId: 'triage', prompt: 'second', error: 'Processing timeout after 50000ms' },
+      { seq: 3, agentId: 'painWhisperer', prompt: 'first', response: 'pain' }
+    ]);
+
+    await expect(model.invoke([{ role: 'user', content: 'second' }])).rejects.toThrow('Processing timeout');
+    expect((await model.invoke([{ role: 'user', content: 'changed prompt' }])).content).toBe('one');
+    await expect(model.invoke([{ role: 'user', content: 'first' }])).rejects.toThrow('No recorded reply left');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+// Mock the logger to prevent actual logging during tests
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+// Import after mocking
+const { UsageTracker } = await import('../src/utils/usage-tracker.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { default: promptManager } = await import('../src/utils/prompt-manager.js');
+
+const call = (overrides = {}) => ({
+  consultationId: 'consultation_1',
+  agentId: 'painWhisperer',
+  contextType: 'multi_specialist_consultation',
+  provider: 'anthropic',
+  model: 'claude-sonnet',
+  inputTokens: 1000,
+  outputTokens: 500,
+  costUsd: 0.01,
+  ...overrides
+});
+
+describe('UsageTracker', () => {
+  test('rolls usage up per specialist, conference and synthesis', () => {
+    const tracker = new UsageTracker();
+    tracker.record(call());
+    tracker.record(call({ agentId: 'triage' }));
+    tracker.record(call({ agentId: 'triage', contextType: 'coordination_conference', costUsd: 0.002 }));
+    tracker.record(call({ agentId: 'triage', contextType: 'synthesis', costUsd: 0.005 }));
+
+    const breakdown = tracker.finalize('consultation_1');
+
+    expect(breakdown.totals).toMatchObject({ calls: 4, inputTokens: 4000, outputTokens: 2000, totalTokens: 6000 });
+    expect(breakdown.totals.costUsd).toBeCloseTo(0.027);
+    expect(Object.keys(breakdown.specialists)).toEqual(['painWhisperer', 'triage']);
+    expect(breakdown.conference.costUsd).toBeCloseTo(0.002);
+    expect(breakdown.synthesis.calls).toBe(1);
+    expect(breakdown.models['anthropic/claude-sonnet'].calls).toBe(4);
+    expect(tracker.getConsultationUsage('consultation_1')).toBe(breakdown);
+  });
+
+  test('aggregates calls outside consultations and reports budgets', () => {
+    const tracker = new UsageTracker(null, { dailyBudgetUsd: 0.02, consultationBudgetUsd: 0.015 });
+    tracker.record(call());
+    tracker.record(call({ consultationId: undefined, contextType: undefined, agentId: 'mindMender' }));
+    tracker.record(call());
+    tracker.finalize('consultation_1');
+
+    const summary = tracker.getSummary();
+    expect(summary.totals.calls).toBe(3);
+    expect(summary.byStage.other.calls).toBe(1);
+    expect(summary.byAgent.mindMender.calls).toBe(1);
+    expect(summary.consultations).toBe(1);
+    expect(summary.consultationsOverBudget).toBe(1);
+    expect(summary.budgets.daily).toMatchObject({ limitUsd: 0.02, exceeded: true, remainingUsd: 0 });
+    expect(summary.budgets.monthly).toBeNull();
+    expect(summary.averagePerConsultation.totalTokens).toBe(3000);
+  });
+
+  test('adds late calls to an already finalized consultation', () => {
+    const tracker = new UsageTracker();
+    tracker.record(call());
+    tracker.finalize('consultation_1');
+    tracker.record(call({ agentId: 'movementDetective' }));
+
+    expect(tracker.active.size).toBe(0);
+    expect(tracker.getConsultationUsage('consultation_1').totals.calls).toBe(2);
+  });
+
+  test('finalizing a refined consultation keeps its breakdown and counts it once', () => {
+    const tracker = new UsageTracker(null, { consultationBudgetUsd: 0.015 });
+    tracker.begin('consultation_1', { tenantId: 'acme' });
+    tracker.record(call());
+    tracker.finalize('consultation_1');
+
+    // Refinement calls land on the finalized breakdown before it is finalized again
+    tracker.record(call({ agentId: 'triage', contextType: 'synthesis' }));
+    const breakdown = tracker.finalize('consultation_1');
+
+    expect(breakdown).toMatchObject({ tenantId: 'acme', totals: { calls: 2, totalTokens: 3000 }, overBudget: true });
+    expect(tracker.getSummary()).toMatchObject({ consultations: 1, consultationsOverBudget: 1 });
+    expect(tracker.getSummary({ tenantId: 'acme' })).toMatchObject({ consultations: 1, totals: { calls: 2 } });
+  });
+
+  test('restores aggregates and breakdowns from the store', async () => {
+    const store = new MemoryStore();
+    const tracker = new UsageTracker(store);
+    tracker.record(call());
+    tracker.finalize('consultation_1');
+
+    const restarted = new UsageTracker(store);
+    await restarted.hydrate();
+
+    expect(restarted.getSummary().totals.calls).toBe(1);
+    expect(restarted.getConsultationUsage('consultation_1').totals.totalTokens).toBe(1500);
+  });
+
+  test('keeps per-tenant aggregates next to the deployment totals', async () => {
+    const store = new MemoryStore();
+    const tracker = new UsageTracker(store);
+    tracker.begin('consultation_1', { tenantId: 'clinic-a' });
+    tracker.record(call());
+    tracker.record(call({ consultationId: 'consultation_2', tenantId: 'clinic-b' }));
+    tracker.finalize('consultation_1');
+
+    expect(tracker.getConsultationUsage('consultation_1').tenantId).toBe('clinic-a');
+    expect(tracker.getSummary().totals.calls).toBe(2);
+    expect(tracker.getSummary({ tenantId: 'clinic-a' })).toMatchObject({ totals: { calls: 1 }, consultations: 1, inProgress: 0 });
+    expect(tracker.getSummary({ tenantId: 'clinic-b' })).toMatchObject({ totals: { calls: 1 }, consultations: 0, inProgress: 1 });
+
+    const restarted = new UsageTracker(store);
+    await restarted.hydrate();
+    expect(restarted.getSummary({ tenantId: 'clinic-a' }).totals.calls).toBe(1);
+  });
+});
+
+describe('PromptManager token statistics', () => {
+  test('keeps a running average of tokens per call', () => {
+    const before = promptManager.stats.totalPrompts;
+    promptManager.stats.avgTokensUsed = 0;
+    promptManager.stats.totalPrompts = 0;
+
+    promptManager.recordTokenUsage(100);
+    promptManager.recordTokenUsage(300);
+
+    expect(promptManager.stats.avgTokensUsed).toBe(200);
+    expect(promptManager.stats.totalPrompts).toBe(2);
+    promptManager.stats.totalPrompts += before;
+  });
+});
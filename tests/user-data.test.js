@@ -0,0 +1,223 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+process.env.LLM_PROVIDER = 'scripted';
+process.env.PERSISTENCE_DRIVER = 'memory';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// Blockchain dependencies are not needed with ENABLE_BLOCKCHAIN unset
+jest.unstable_mockModule('@coinbase/agentkit', () => ({
+  default: {},
+  CdpEvmWalletProvider: {},
+  AgentKit: {}
+}));
+jest.unstable_mockModule('@coinbase/agentkit-langchain', () => ({
+  default: {},
+  getLangChainTools: jest.fn()
+}));
+jest.unstable_mockModule('../src/utils/cdp-account-manager.js', () => ({
+  default: class MockCdpAccountManager {}
+}));
+
+const { DataSubject, EXPORT_FORMAT } = await import('../src/utils/user-data.js');
+const { PainWhispererAgent } = await import('../src/agents/pain-whisperer-agent.js');
+const { Authenticator, signJwt } = await import('../src/utils/auth.js');
+const { default: OrthoIQAgentSystem } = await import('../src/index.js');
+
+const SECRET = 'user-data-test-secret';
+
+describe('DataSubject', () => {
+  test('matches records by consultation or by user within the tenant', () => {
+    const subject = new DataSubject('patient-7', 'clinic-a', ['consultation_1']);
+
+    expect(subject.owns({ consultationId: 'consultation_1' })).toBe(true);
+    expect(subject.owns({ userId: 'patient-7', tenantId: 'clinic-a' })).toBe(true);
+    expect(subject.owns({ patientId: 'patient-7', tenantId: 'clinic-a' })).toBe(true);
+    expect(subject.owns({ userId: 'patient-7', tenantId: 'clinic-b' })).toBe(false);
+    expect(subject.owns({ consultationId: 'consultation_2', userId: 'patient-9', tenantId: 'clinic-a' })).toBe(false);
+
+    expect(subject.alias('consultation_1')).toMatch(/^erased_/);
+    expect(subject.alias('consultation_1')).toBe(subject.alias('consultation_1'));
+    expect(subject.alias('consultation_2')).not.toBe(subject.alias('consultation_1'));
+  });
+
+  test('agents anonymize assessments and linked plans without changing their statistics', () => {
+    const agent = new PainWhispererAgent();
+    agent.painTrackingHistory.push(
+      { assessmentId: 'pain_1', consultationId: 'consultation_1', userId: 'patient-7', tenantId: 'clinic-a', painScore: 7, riskLevel: 'high', painHistory: 'skiing fall', timestamp: '2026-01-01T00:00:00.000Z' },
+      { assessmentId: 'pain_2', consultationId: 'consultation_2', userId: 'patient-9', tenantId: 'clinic-a', painScore: 3, riskLevel: 'low', timestamp: '2026-01-02T00:00:00.000Z' }
+    );
+    agent.painInterventions.set('plan_1', { planId: 'plan_1', assessmentId: 'pain_1', opioidSparing: true, patientNotes: 'lives alone' });
+    agent.painInterventions.set('plan_2', { planId: 'plan_2', assessmentId: 'pain_2', opioidSparing: false });
+    const before = agent.getPainStatistics();
+
+    const subject = new DataSubject('patient-7', 'clinic-a', ['consultation_1']);
+    expect(agent.exportPatientRecords(subject)).toMatchObject({
+      painTrackingHistory: [{ assessmentId: 'pain_1', painHistory: 'skiing fall' }],
+      painInterventions: [{ planId: 'plan_1', patientNotes: 'lives alone' }]
+    });
+
+    expect(agent.anonymizePatientRecords(subject)).toBe(2);
+    expect(agent.getPainStatistics()).toEqual(before);
+    expect(JSON.stringify([agent.painTrackingHistory, Array.from(agent.painInterventions.values())]))
+      .not.toMatch(/patient-7|consultation_1|skiing fall|lives alone/);
+    expect(agent.painInterventions.has('plan_1')).toBe(false);
+    expect(agent.painInterventions.get('plan_2')).toMatchObject({ assessmentId: 'pain_2' });
+
+    // Already anonymized records are not matched again
+    expect(agent.exportPatientRecords(subject)).toEqual({});
+  });
+});
+
+describe('UserDataManager', () => {
+  test('erasure keeps market and recovery statistics but removes the user', async () => {
+    const system = new OrthoIQAgentSystem();
+    const { coordinator, recoveryMetrics, userData } = system;
+    const market = coordinator.predictionMarket;
+
+    try {
+      coordinator.activeConsultations.set('consultation_1', {
+        id: 'consultation_1', userId: 'patient-7', tenantId: 'clinic-a', status: 'completed',
+        caseData: { primaryComplaint: 'knee pain' }, responses: new Map([['painWhisperer', { painScore: 7 }]])
+      });
+      coordinator.coordinationHistory.push({ consultationId: 'consultation_1', specialists: ['painWhisperer'] });
+      market.predictions.set('consultation_1', {
+        consultationId: 'consultation_1', userId: 'patient-7', tenantId: 'clinic-a', caseData: { primaryComplaint: 'knee pain' },
+        agentPredictions: [{ agentId: 'painWhisperer', consultationId: 'consultation_1', stake: 5 }], status: 'resolved'
+      });
+      market.resolutions.set('consultation_1', {
+        consultationId: 'consultation_1', source: 'patient_report', actualOutcomes: { painLevel: 2 }, agentResults: []
+      });
+
+      await recoveryMetrics.trackPatientRecovery('patient-7', { painLevel: 7, injuryType: 'ACL sprain' }, { tenantId: 'clinic-a' });
+      const record = recoveryMetrics.getPatientRecord('patient-7', { tenantId: 'clinic-a' });
+      Object.assign(record, {
+        status: 'completed',
+        totalDuration: 8,
+        finalMetrics: { totalPainReduction: 70, totalFunctionalImprovement: 40, patientSatisfaction: 9, returnToActivity: true },
+        outcomeAnalysis: { overallSuccess: true }
+      });
+
+      const marketBefore = market.getMarketStatistics();
+      const recoveryBefore = recoveryMetrics.getRecoveryStatistics();
+
+      const exported = await userData.export('patient-7', 'clinic-a');
+      expect(exported).toMatchObject({
+        format: EXPORT_FORMAT,
+        userId: 'patient-7',
+        consultationIds: ['consultation_1'],
+        consultations: [{ id: 'consultation_1', responses: { painWhisperer: { painScore: 7 } } }],
+        predictions: [{ consultationId: 'consultation_1' }],
+        recovery: { record: { patientId: 'patient-7' } }
+      });
+
+      const report = await userData.erase('patient-7', 'clinic-a');
+      expect(report).toMatchObject({
+        consultationIds: 1,
+        deleted: { consultations: 1, recoveryRecords: 1 },
+        anonymized: { coordinationRecords: 2, recoveryRecords: 1 }
+      });
+
+      expect(market.getMarketStatistics().totalConsultations).toBe(marketBefore.totalConsultations);
+      expect(market.getMarketStatistics().resolvedConsultations).toBe(marketBefore.resolvedConsultations);
+      expect(recoveryMetrics.getRecoveryStatistics()).toEqual(recoveryBefore);
+
+      const remaining = JSON.stringify([
+        Array.from(market.predictions.values()),
+        Array.from(market.resolutions.values()),
+        coordinator.coordinationHistory,
+        Array.from(recoveryMetrics.patientRecords.values())
+      ]);
+      expect(remaining).not.toMatch(/patient-7|consultation_1|knee pain|ACL sprain/);
+
+      const afterwards = await userData.export('patient-7', 'clinic-a');
+      expect(afterwards).toMatchObject({ consultationIds: [], consultations: [], predictions: [], recovery: { record: null } });
+      expect(userData.getStats()).toEqual({ exports: 2, erasures: 1, refused: 0 });
+    } finally {
+      system.consultationJobs.stop();
+    }
+  });
+
+  test('refuses to erase while a consultation is running', async () => {
+    const system = new OrthoIQAgentSystem();
+    try {
+      system.coordinator.activeConsultations.set('consultation_3', {
+        id: 'consultation_3', userId: 'patient-7', tenantId: 'default', status: 'in_progress', responses: new Map()
+      });
+
+      await expect(system.userData.erase('patient-7')).rejects.toMatchObject({ code: 'ERASURE_IN_PROGRESS' });
+      expect(system.coordinator.activeConsultations.has('consultation_3')).toBe(true);
+      expect(system.userData.getStats().refused).toBe(1);
+    } finally {
+      system.consultationJobs.stop();
+    }
+  });
+});
+
+describe('User data routes', () => {
+  test('patients export and erase their own data, and the requests are audited', async () => {
+    const system = new OrthoIQAgentSystem();
+    system.authenticator = new Authenticator({
+      jwtSecret: SECRET,
+      apiKeys: {
+        'clinic-a-md': { role: 'clinician', tenantId: 'clinic-a', name: 'dr-house' },
+        'clinic-a-admin': { role: 'admin', tenantId: 'clinic-a', name: 'records-officer' },
+        'clinic-a-app': { role: 'patient', tenantId: 'clinic-a', name: 'patient-app' }
+      }
+    });
+    system.setupMiddleware();
+    system.setupRoutes();
+    system.setupErrorHandling();
+    const server = system.app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const bearer = sub => ({ Authorization: `Bearer ${signJwt({ sub, tenantId: 'clinic-a', role: 'patient' }, SECRET)}` });
+
+    try {
+      const started = await fetch(`${baseUrl}/recovery/start`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': 'clinic-a-md' },
+        body: JSON.stringify({ patientId: 'patient-7', initialAssessment: { painLevel: 6, injuryType: 'ACL sprain' } })
+      });
+      expect(started.status).toBe(200);
+
+      const refused = await fetch(`${baseUrl}/users/patient-7/export`, { headers: bearer('patient-9') });
+      expect(refused.status).toBe(403);
+
+      // The shared patient-app key acts for no particular patient
+      const sharedKey = await fetch(`${baseUrl}/users/patient-7/export`, { headers: { 'X-API-Key': 'clinic-a-app' } });
+      expect(sharedKey.status).toBe(403);
+      expect((await sharedKey.json()).message).toMatch(/token identifying the patient/);
+
+      const clinician = await fetch(`${baseUrl}/users/patient-7`, { method: 'DELETE', headers: { 'X-API-Key': 'clinic-a-md' } });
+      expect(clinician.status).toBe(403);
+
+      const exported = await fetch(`${baseUrl}/users/patient-7/export`, { headers: bearer('patient-7') });
+      expect(exported.status).toBe(200);
+      const { export: bundle } = await exported.json();
+      expect(bundle.recovery.record).toMatchObject({ patientId: 'patient-7', tenantId: 'clinic-a' });
+
+      const erased = await fetch(`${baseUrl}/users/patient-7`, { method: 'DELETE', headers: bearer('patient-7') });
+      expect(erased.status).toBe(200);
+      const { erasure } = await erased.json();
+      expect(erasure).toMatchObject({ userId: 'patient-7', deleted: { recoveryRecords: 2 } });
+      expect(erasure.retained.auditEntries).toBeGreaterThanOrEqual(3);
+      expect(system.recoveryMetrics.getPatientRecord('patient-7', { tenantId: 'clinic-a' })).toBeFalsy();
+
+      const audit = await (await fetch(`${baseUrl}/audit/entries?patientId=patient-7`, { headers: { 'X-API-Key': 'clinic-a-admin' } })).json();
+      expect(audit.entries.filter(entry => entry.resource === 'user').map(entry => [entry.action, entry.actor.subject, entry.statusCode])).toEqual([
+        ['read', 'patient-9', 403],
+        ['read', 'patient-app', 403],
+        ['delete', 'dr-house', 403],
+        ['read', 'patient-7', 200],
+        ['delete', 'patient-7', 200]
+      ]);
+      expect(audit.verification.valid).toBe(true);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      system.consultationJobs.stop();
+    }
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+jest.unstable_mockModule('../src/utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const express = (await import('express')).default;
+const { WebhookDispatcher, signPayload, verifySignature, SIGNATURE_HEADER, DELIVERY_STATUS } =
+  await import('../src/utils/webhook-dispatcher.js');
+const { JobQueue, MemoryQueueBackend } = await import('../src/utils/job-queue.js');
+const { RecoveryMetrics } = await import('../src/utils/recovery-metrics.js');
+const { MemoryStore } = await import('../src/utils/persistence-store.js');
+const { FieldEncryptor } = await import('../src/utils/field-encryption.js');
+
+const SECRET = 'whsec_test_secret_value';
+
+const waitFor = async (predicate, timeoutMs = 2000) => {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// Subscriber that records signed requests and answers with the queued status codes (then 200)
+async function startReceiver(statuses = []) {
+  const received = [];
+  const app = express();
+  app.use(express.text({ type: 'application/json' }));
+  app.post('/hook', (req, res) => {
+    received.push({ body: req.body, headers: req.headers });
+    res.sendStatus(statuses.shift() || 200);
+  });
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function createDispatcher(options = {}) {
+  const jobQueue = new JobQueue(new MemoryQueueBackend());
+  const webhooks = new WebhookDispatcher(options.store || null, jobQueue, {
+    backoffMs: 1, subscriptions: [], allowedHosts: ['127.0.0.1'], ...options
+  });
+  jobQueue.register('webhook-delivery', job => webhooks.deliver(job), {
+    attempts: webhooks.maxAttempts,
+    backoffMs: webhooks.backoffMs
+  });
+  return { webhooks, jobQueue };
+}
+
+describe('Webhook signatures', () => {
+  test('verifies the HMAC over timestamp and body and rejects tampering or stale timestamps', () => {
+    const body = JSON.stringify({ event: 'consultation.completed' });
+    const header = signPayload(SECRET, body);
+
+    expect(verifySignature(SECRET, body, header)).toBe(true);
+    expect(verifySignature('other-secret', body, header)).toBe(false);
+    expect(verifySignature(SECRET, `${body} `, header)).toBe(false);
+    expect(verifySignature(SECRET, body, header, { now: Date.now() + 10 * 60 * 1000 })).toBe(false);
+    expect(verifySignature(SECRET, body, 'garbage')).toBe(false);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  test('delivers signed payloads only to subscribers of the event and tenant', async () => {
+    const receiver = await startReceiver();
+    const { webhooks, jobQueue } = createDispatcher();
+
+    webhooks.subscribe({ url: receiver.url, events: ['consultation.completed'], secret: SECRET }, { tenantId: 'clinic-a' });
+    webhooks.subscribe({ url: receiver.url, events: ['recovery.milestone'] }, { tenantId: 'clinic-a' });
+    webhooks.subscribe({ url: receiver.url, events: '*' }, { tenantId: 'clinic-b' });
+
+    const [delivery] = await webhooks.emit('consultation.completed', { consultationId: 'c1' }, { tenantId: 'clinic-a' });
+    await waitFor(() => webhooks.getDelivery(delivery.id).status === DELIVERY_STATUS.DELIVERED);
+
+    expect(receiver.received).toHaveLength(1);
+    const [request] = receiver.received;
+    expect(request.headers['x-orthoiq-event']).toBe('consultation.completed');
+    expect(verifySignature(SECRET, request.body, request.headers[SIGNATURE_HEADER.toLowerCase()])).toBe(true);
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'consultation.completed', tenantId: 'clinic-a', data: { consultationId: 'c1' } });
+
+    // Re-emitting the same event id does not deliver twice
+    await webhooks.emit('consultation.completed', { consultationId: 'c1' }, { tenantId: 'clinic-a', eventId: delivery.eventId });
+    expect(webhooks.listDeliveries()).toHaveLength(1);
+
+    await jobQueue.close();
+    await receiver.close();
+  });
+
+  test('retries failed deliveries, dead-letters them after the last attempt and can redeliver', async () => {
+    const receiver = await startReceiver([500, 503, 500]);
+    const { webhooks, jobQueue } = createDispatcher({ maxAttempts: 3 });
+    webhooks.subscribe({ url: receiver.url, events: ['prediction.resolved'] });
+
+    const [delivery] = await webhooks.emit('prediction.resolved', { consultationId: 'c1' });
+    await waitFor(() => webhooks.getDelivery(delivery.id).status === DELIVERY_STATUS.DEAD_LETTER);
+
+    const deadLetter = webhooks.getDelivery(delivery.id);
+    expect(deadLetter.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 500]);
+    expect(webhooks.listDeliveries({ status: DELIVERY_STATUS.DEAD_LETTER, tenantId: 'default' })).toHaveLength(1);
+    expect(webhooks.getStats()).toMatchObject({ failedAttempts: 3, deadLettered: 1 });
+
+    await webhooks.redeliver(delivery.id);
+    await waitFor(() => webhooks.getDelivery(delivery.id).status === DELIVERY_STATUS.DELIVERED);
+    expect(webhooks.getDelivery(delivery.id).attempts).toHaveLength(4);
+    await expect(webhooks.redeliver(delivery.id)).rejects.toThrow('Only dead-lettered or cancelled');
+
+    await jobQueue.close();
+    await receiver.close();
+  });
+
+  test('emits recovery milestones and rejects invalid subscriptions', async () => {
+    const { webhooks, jobQueue } = createDispatcher({
+      subscriptions: [{ url: 'https://hooks.example.com/orthoiq', events: ['recovery.milestone'], secret: SECRET }]
+    });
+    const emitted = jest.spyOn(webhooks, 'emit').mockResolvedValue([]);
+    const recoveryMetrics = new RecoveryMetrics();
+    webhooks.attach({ recoveryMetrics });
+
+    await recoveryMetrics.trackPatientRecovery('patient-1', { painLevel: 8 }, { tenantId: 'clinic-a' });
+    await recoveryMetrics.updateRecoveryProgress('patient-1', { painLevel: 2, returnToWork: true }, { tenantId: 'clinic-a' });
+
+    expect(emitted).toHaveBeenCalledWith(
+      'recovery.milestone',
+      expect.objectContaining({ patientId: 'patient-1', milestone: expect.objectContaining({ type: expect.any(String) }) }),
+      expect.objectContaining({ tenantId: 'clinic-a' })
+    );
+
+    expect(() => webhooks.subscribe({ url: 'ftp://example.com', events: '*' })).toThrow('http or https');
+    expect(() => webhooks.subscribe({ url: 'https://example.com', events: ['consultation.started'] })).toThrow('Unknown webhook events');
+    expect(() => webhooks.unsubscribe('config_0')).toThrow('WEBHOOK_SUBSCRIPTIONS');
+
+    await jobQueue.close();
+  });
+
+  test('rejects subscribers on private or internal hosts unless they are allowed', async () => {
+    const { webhooks, jobQueue } = createDispatcher({ allowedHosts: ['hooks.internal'] });
+
+    for (const url of [
+      'http://localhost:3001/hook', 'http://127.0.0.1/hook', 'http://2130706433/hook', 'http://[::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/hook',
+      'http://172.20.0.1/hook', 'http://192.168.1.10/hook', 'http://[fd00::1]/hook', 'http://[fe80::1]/hook',
+      'http://metadata/hook', 'http://db.internal/hook'
+    ]) {
+      expect(() => webhooks.subscribe({ url, events: '*' })).toThrow('private or internal host');
+    }
+    expect(webhooks.subscribe({ url: 'https://hooks.internal/orthoiq', events: '*' }).url).toBe('https://hooks.internal/orthoiq');
+    expect(webhooks.subscribe({ url: 'https://8.8.8.8/hook', events: '*' }).url).toBe('https://8.8.8.8/hook');
+
+    await jobQueue.close();
+  });
+
+  test('persists subscription URLs and signing secrets encrypted', async () => {
+    const store = new MemoryStore({ encryptor: new FieldEncryptor({ key: 'test-passphrase' }) });
+    const { webhooks, jobQueue } = createDispatcher({ store });
+
+    const subscription = webhooks.subscribe({ url: 'https://hooks.example.com/orthoiq', events: '*', secret: SECRET }, { tenantId: 'clinic-a' });
+    await waitFor(() => store.getNamespace('webhookSubscriptions').has(subscription.id));
+
+    const stored = JSON.stringify(Array.from(store.getNamespace('webhookSubscriptions').values()));
+    expect(stored).not.toContain(SECRET);
+    expect(stored).not.toContain('hooks.example.com');
+    expect(await store.get('webhookSubscriptions', subscription.id)).toMatchObject({ secret: SECRET, tenantId: 'clinic-a' });
+
+    await jobQueue.close();
+  });
+});